@@ -1,6 +1,38 @@
-import supabase from '../config/supabase.js'
 import { errorResponse } from '../utils/response.js'
-import { isValidDateFormat } from '../utils/validation.js'
+import { isValidDateFormat, isValidUUID, parseIntSafe } from '../utils/validation.js'
+import { addDaysToDate, daysBetween, formatDate } from '../utils/dateTime.js'
+import { createExportWriter, EXPORT_FORMATS } from '../utils/export.js'
+import { aggregateDashboard, aggregateRevenueBreakdowns, aggregateUtilization, aggregateMemberships, aggregateRetention, aggregateBookingPatterns } from '../services/analyticsService.js'
+
+/**
+ * Resolve the report date range and its previous period for comparison
+ *
+ * Defaults to the last 30 days. The previous period is the same number
+ * of days immediately before start_date.
+ * Returns { error } or { startDate, endDate, prevStartDate, prevEndDate }
+ */
+function resolvePeriod({ start_date, end_date }) {
+  // Default date range: last 30 days (spa-local dates)
+  const today = formatDate(new Date())
+
+  const startDate = start_date || addDaysToDate(today, -30)
+  const endDate = end_date || today
+
+  // Validate date formats
+  if (!isValidDateFormat(startDate)) {
+    return { error: 'Invalid start_date format (expected YYYY-MM-DD)' }
+  }
+  if (!isValidDateFormat(endDate)) {
+    return { error: 'Invalid end_date format (expected YYYY-MM-DD)' }
+  }
+
+  // Calculate previous period for comparison
+  const rangeDays = daysBetween(startDate, endDate)
+  const prevStartDate = addDaysToDate(startDate, -rangeDays)
+  const prevEndDate = addDaysToDate(startDate, -1)
+
+  return { startDate, endDate, prevStartDate, prevEndDate }
+}
 
 /**
  * Get dashboard analytics for admin
@@ -8,220 +40,226 @@ import { isValidDateFormat } from '../utils/validation.js'
  * Query params:
  * - start_date (YYYY-MM-DD, default: 30 days ago)
  * - end_date (YYYY-MM-DD, default: today)
+ * - location_id (optional): only this branch's bookings and slots
+ *   (membership counts and MRR are always spa-wide)
  */
 export const getDashboardAnalytics = async (req, res) => {
   try {
-    const { start_date, end_date } = req.query
+    const period = resolvePeriod(req.query)
+    if (period.error) {
+      return errorResponse(res, 400, period.error)
+    }
+
+    const { location_id } = req.query
+    if (location_id && !isValidUUID(location_id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for location_id')
+    }
+
+    const { startDate, endDate, prevStartDate, prevEndDate } = period
+    const locationId = location_id || null
+
+    // Summary metrics and breakdowns (shared with the digest email job)
+    const dashboard = await aggregateDashboard(startDate, endDate, prevStartDate, prevEndDate, { locationId })
+
+    // Utilization: booked minutes vs. available slot minutes
+    const utilization = await aggregateUtilization(startDate, endDate, { locationId })
 
-    // Default date range: last 30 days
-    const today = new Date()
-    today.setHours(0, 0, 0, 0)
-    const thirtyDaysAgo = new Date(today)
-    thirtyDaysAgo.setDate(today.getDate() - 30)
+    // Members vs. non-members and monthly recurring revenue
+    const memberships = await aggregateMemberships(startDate, endDate, { locationId })
 
-    const startDate = start_date || thirtyDaysAgo.toISOString().split('T')[0]
-    const endDate = end_date || today.toISOString().split('T')[0]
+    res.json({
+      success: true,
+      data: {
+        ...dashboard,
+        utilization,
+        memberships
+      }
+    })
 
-    // Validate date formats
-    if (!isValidDateFormat(startDate)) {
-      return errorResponse(res, 400, 'Invalid start_date format (expected YYYY-MM-DD)')
+  } catch (error) {
+    console.error('Dashboard analytics error:', error)
+    return errorResponse(res, 500, 'Failed to generate analytics')
+  }
+}
+
+// Export reports: breakdown key and spreadsheet columns
+const EXPORT_REPORTS = {
+  revenue_by_day: {
+    breakdown: 'revenueByDay',
+    columns: [
+      { key: 'date', header: 'Date' },
+      { key: 'count', header: 'Bookings' },
+      { key: 'revenue', header: 'Revenue (before discounts)' },
+      { key: 'netRevenue', header: 'Net Revenue' }
+    ]
+  },
+  revenue_by_service: {
+    breakdown: 'bookingsByService',
+    columns: [
+      { key: 'service_name', header: 'Service' },
+      { key: 'count', header: 'Bookings' },
+      { key: 'revenue', header: 'Revenue (before discounts)' },
+      { key: 'netRevenue', header: 'Net Revenue' }
+    ]
+  },
+  revenue_by_therapist: {
+    breakdown: 'bookingsByTherapist',
+    columns: [
+      { key: 'therapist_name', header: 'Therapist' },
+      { key: 'count', header: 'Bookings' },
+      { key: 'revenue', header: 'Revenue (before discounts)' },
+      { key: 'netRevenue', header: 'Net Revenue' }
+    ]
+  }
+}
+
+/**
+ * Export an analytics breakdown as CSV or XLSX (Admin only)
+ *
+ * Query params:
+ * - report: revenue_by_day | revenue_by_service | revenue_by_therapist
+ * - format: csv | xlsx (default: csv)
+ * - start_date (YYYY-MM-DD, default: 30 days ago)
+ * - end_date (YYYY-MM-DD, default: today)
+ *
+ * Bookings are aggregated in batches (aggregateRevenueBreakdowns), so
+ * long date ranges don't load every booking into memory.
+ */
+export const exportAnalytics = async (req, res) => {
+  try {
+    const { report } = req.query
+    const format = req.query.format || 'csv'
+
+    if (!EXPORT_REPORTS[report]) {
+      return errorResponse(res, 400, `Invalid report. Must be one of: ${Object.keys(EXPORT_REPORTS).join(', ')}`)
     }
-    if (!isValidDateFormat(endDate)) {
-      return errorResponse(res, 400, 'Invalid end_date format (expected YYYY-MM-DD)')
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return errorResponse(res, 400, `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`)
+    }
+
+    const period = resolvePeriod(req.query)
+    if (period.error) {
+      return errorResponse(res, 400, period.error)
     }
 
-    // Calculate previous period for comparison
-    const start = new Date(startDate)
-    const end = new Date(endDate)
-    const rangeDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24))
-    const prevStart = new Date(start)
-    prevStart.setDate(start.getDate() - rangeDays)
-    const prevEnd = new Date(start)
-    prevEnd.setDate(start.getDate() - 1)
-
-    const prevStartDate = prevStart.toISOString().split('T')[0]
-    const prevEndDate = prevEnd.toISOString().split('T')[0]
-
-    // Fetch all bookings in current period
-    const { data: currentBookings, error: currentError } = await supabase
-      .from('bookings')
-      .select(`
-        *,
-        customer:profiles!bookings_customer_id_fkey(id, full_name, created_at),
-        therapist:therapists!bookings_therapist_id_fkey(
-          id,
-          profile:profiles!therapists_user_id_fkey(full_name)
-        )
-      `)
-      .gte('booking_date', startDate)
-      .lte('booking_date', endDate)
-
-    if (currentError) {
-      console.error('Fetch current bookings error:', currentError)
-      return errorResponse(res, 500, 'Failed to fetch analytics data')
+    const { startDate, endDate } = period
+    if (startDate > endDate) {
+      return errorResponse(res, 400, 'end_date must be on or after start_date')
     }
 
-    // Fetch previous period bookings for comparison
-    const { data: previousBookings, error: previousError } = await supabase
-      .from('bookings')
-      .select('*')
-      .gte('booking_date', prevStartDate)
-      .lte('booking_date', prevEndDate)
+    const { breakdown, columns } = EXPORT_REPORTS[report]
+    const breakdowns = await aggregateRevenueBreakdowns(startDate, endDate)
 
-    if (previousError) {
-      console.error('Fetch previous bookings error:', previousError)
-      return errorResponse(res, 500, 'Failed to fetch comparison data')
+    const writer = createExportWriter(res, {
+      format,
+      filename: `${report.replace(/_/g, '-')}-${startDate}-to-${endDate}`,
+      sheetName: report,
+      columns
+    })
+
+    for (const row of breakdowns[breakdown]) {
+      await writer.writeRow(row)
     }
+    await writer.end()
 
-    // Calculate summary metrics
-    const confirmedOrCompleted = currentBookings.filter(b =>
-      ['confirmed', 'completed'].includes(b.status)
-    )
-
-    const totalRevenue = confirmedOrCompleted.reduce((sum, b) =>
-      sum + (parseFloat(b.service_price) || 0), 0
-    )
-
-    const totalBookings = currentBookings.length
-    const completedBookings = currentBookings.filter(b => b.status === 'completed').length
-    const cancelledBookings = currentBookings.filter(b => b.status === 'cancelled').length
-    const cancellationRate = totalBookings > 0 ? (cancelledBookings / totalBookings) * 100 : 0
-
-    // Count new customers (profiles created in date range)
-    const { data: newCustomersData, error: customersError } = await supabase
-      .from('profiles')
-      .select('id')
-      .eq('role', 'customer')
-      .gte('created_at', `${startDate}T00:00:00Z`)
-      .lte('created_at', `${endDate}T23:59:59Z`)
-
-    if (customersError) {
-      console.error('Fetch new customers error:', customersError)
+  } catch (error) {
+    console.error('Export analytics error:', error)
+    if (res.headersSent) {
+      return res.destroy(error)
     }
+    return errorResponse(res, 500, 'Failed to export analytics')
+  }
+}
 
-    const newCustomers = newCustomersData?.length || 0
-
-    // Previous period comparison
-    const prevConfirmedOrCompleted = previousBookings.filter(b =>
-      ['confirmed', 'completed'].includes(b.status)
-    )
-    const prevTotalRevenue = prevConfirmedOrCompleted.reduce((sum, b) =>
-      sum + (parseFloat(b.service_price) || 0), 0
-    )
-    const prevTotalBookings = previousBookings.length
-
-    // Revenue by day
-    const revenueByDay = {}
-    confirmedOrCompleted.forEach(booking => {
-      const date = booking.booking_date
-      if (!revenueByDay[date]) {
-        revenueByDay[date] = 0
-      }
-      revenueByDay[date] += parseFloat(booking.service_price) || 0
-    })
+/**
+ * Get customer retention analytics (Admin only)
+ *
+ * Query params:
+ * - start_date (YYYY-MM-DD, default: 30 days ago)
+ * - end_date (YYYY-MM-DD, default: today)
+ * - churn_days: days without a visit before a customer counts as churned (default: 90)
+ *
+ * Returns repeat-visit rate, days between visits, monthly cohort retention,
+ * churned customers and lifetime value, with the previous period's summary
+ * for comparison (same convention as getDashboardAnalytics).
+ */
+export const getRetentionAnalytics = async (req, res) => {
+  try {
+    const period = resolvePeriod(req.query)
+    if (period.error) {
+      return errorResponse(res, 400, period.error)
+    }
 
-    const revenueByDayArray = Object.keys(revenueByDay)
-      .sort()
-      .map(date => ({
-        date,
-        revenue: parseFloat(revenueByDay[date].toFixed(2))
-      }))
-
-    // Bookings by day (all statuses)
-    const bookingsByDay = {}
-    currentBookings.forEach(booking => {
-      const date = booking.booking_date
-      bookingsByDay[date] = (bookingsByDay[date] || 0) + 1
-    })
+    const { startDate, endDate, prevStartDate } = period
+    const churnDays = parseIntSafe(req.query.churn_days, 90, 7, 730)
 
-    const bookingsByDayArray = Object.keys(bookingsByDay)
-      .sort()
-      .map(date => ({
-        date,
-        count: bookingsByDay[date]
-      }))
-
-    // Bookings by service
-    const bookingsByService = {}
-    confirmedOrCompleted.forEach(booking => {
-      const service = booking.service_name
-      if (!bookingsByService[service]) {
-        bookingsByService[service] = { count: 0, revenue: 0 }
-      }
-      bookingsByService[service].count++
-      bookingsByService[service].revenue += parseFloat(booking.service_price) || 0
-    })
+    const retention = await aggregateRetention(startDate, endDate, { churnDays, previousStartDate: prevStartDate })
 
-    const bookingsByServiceArray = Object.keys(bookingsByService)
-      .map(service => ({
-        service_name: service,
-        count: bookingsByService[service].count,
-        revenue: parseFloat(bookingsByService[service].revenue.toFixed(2))
-      }))
-      .sort((a, b) => b.count - a.count)
-
-    // Bookings by therapist
-    const bookingsByTherapist = {}
-    confirmedOrCompleted.forEach(booking => {
-      const therapist = booking.therapist?.profile?.full_name || 'Unknown'
-      if (!bookingsByTherapist[therapist]) {
-        bookingsByTherapist[therapist] = { count: 0, revenue: 0 }
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          ...retention.summary,
+          churnDays,
+          previousPeriod: retention.previousPeriod
+        },
+        cohorts: retention.cohorts,
+        churned: retention.churned
       }
-      bookingsByTherapist[therapist].count++
-      bookingsByTherapist[therapist].revenue += parseFloat(booking.service_price) || 0
     })
 
-    const bookingsByTherapistArray = Object.keys(bookingsByTherapist)
-      .map(therapist => ({
-        therapist_name: therapist,
-        count: bookingsByTherapist[therapist].count,
-        revenue: parseFloat(bookingsByTherapist[therapist].revenue.toFixed(2))
-      }))
-      .sort((a, b) => b.count - a.count)
-
-    // Peak hours analysis (day of week + hour)
-    const peakHours = {}
-    confirmedOrCompleted.forEach(booking => {
-      const bookingDateTime = new Date(`${booking.booking_date}T${booking.start_time}`)
-      const day = bookingDateTime.getDay() // 0-6 (Sunday-Saturday)
-      const hour = parseInt(booking.start_time.split(':')[0], 10) // Extract hour from HH:MM
-
-      const key = `${day}-${hour}`
-      peakHours[key] = (peakHours[key] || 0) + 1
-    })
+  } catch (error) {
+    console.error('Retention analytics error:', error)
+    return errorResponse(res, 500, 'Failed to generate retention analytics')
+  }
+}
 
-    const peakHoursArray = Object.keys(peakHours)
-      .map(key => {
-        const [day, hour] = key.split('-').map(Number)
-        return { day, hour, count: peakHours[key] }
-      })
-      .sort((a, b) => b.count - a.count)
+/**
+ * Get booking lead-time and cancellation-pattern analytics (Admin only)
+ *
+ * Query params:
+ * - start_date (YYYY-MM-DD, default: 30 days ago)
+ * - end_date (YYYY-MM-DD, default: today)
+ *
+ * Returns how far ahead customers book and cancel, cancellation rates by
+ * service, therapist, weekday and lead-time bucket, and how many pending
+ * holds expire unpaid. The current RESERVATION_TIMEOUT_MINUTES and
+ * MIN_CANCEL_HOURS (the reschedule window) are included so the numbers
+ * can be read against them.
+ */
+export const getBookingPatternAnalytics = async (req, res) => {
+  try {
+    const period = resolvePeriod(req.query)
+    if (period.error) {
+      return errorResponse(res, 400, period.error)
+    }
+
+    const { startDate, endDate, prevStartDate, prevEndDate } = period
+
+    const current = await aggregateBookingPatterns(startDate, endDate)
+    const previous = await aggregateBookingPatterns(prevStartDate, prevEndDate)
 
     res.json({
       success: true,
       data: {
         summary: {
-          totalRevenue: parseFloat(totalRevenue.toFixed(2)),
-          totalBookings,
-          completedBookings,
-          cancelledBookings,
-          cancellationRate: parseFloat(cancellationRate.toFixed(2)),
-          newCustomers,
-          previousPeriod: {
-            totalRevenue: parseFloat(prevTotalRevenue.toFixed(2)),
-            totalBookings: prevTotalBookings
-          }
+          ...current.summary,
+          previousPeriod: previous.summary
+        },
+        settings: {
+          reservationTimeoutMinutes: parseIntSafe(process.env.RESERVATION_TIMEOUT_MINUTES, 5, 1, 60),
+          minCancelHours: parseIntSafe(process.env.MIN_CANCEL_HOURS, 0, 0, 168)
         },
-        revenueByDay: revenueByDayArray,
-        bookingsByDay: bookingsByDayArray,
-        bookingsByService: bookingsByServiceArray,
-        bookingsByTherapist: bookingsByTherapistArray,
-        peakHours: peakHoursArray
+        leadTime: current.leadTime,
+        cancellationLeadTime: current.cancellationLeadTime,
+        cancellationRates: current.cancellationRates,
+        holds: current.holds
       }
     })
 
   } catch (error) {
-    console.error('Dashboard analytics error:', error)
-    return errorResponse(res, 500, 'Failed to generate analytics')
+    console.error('Booking pattern analytics error:', error)
+    return errorResponse(res, 500, 'Failed to generate booking pattern analytics')
   }
 }
@@ -0,0 +1,197 @@
+import supabase from '../config/supabase.js'
+import { isValidUUID, isValidTimeFormat } from '../utils/validation.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+import { getTimeDuration } from '../utils/dateTime.js'
+
+const MIN_SLOT_MINUTES = 15
+const MAX_SLOT_MINUTES = 240
+
+/**
+ * Resolve which therapist a request targets
+ * Therapists act on themselves (req.therapist); admins pass :id
+ */
+function resolveTherapistId(req) {
+  return req.therapist ? req.therapist.id : req.params.id
+}
+
+/**
+ * Validate a weekly availability template
+ *
+ * Each entry: { day_of_week (0-6, 0 = Sunday), start_time, end_time, slot_minutes? }
+ * Windows on the same day must not overlap.
+ * Returns an error message, or null if valid.
+ */
+function validateTemplate(entries) {
+  if (!Array.isArray(entries)) {
+    return 'availability must be an array'
+  }
+
+  for (const [i, entry] of entries.entries()) {
+    const { day_of_week, start_time, end_time, slot_minutes = 60 } = entry || {}
+
+    if (!Number.isInteger(day_of_week) || day_of_week < 0 || day_of_week > 6) {
+      return `Entry ${i}: day_of_week must be an integer from 0 (Sunday) to 6 (Saturday)`
+    }
+    if (!isValidTimeFormat(start_time) || !isValidTimeFormat(end_time)) {
+      return `Entry ${i}: start_time and end_time must be HH:MM`
+    }
+    if (getTimeDuration(start_time, end_time) <= 0) {
+      return `Entry ${i}: end_time must be after start_time`
+    }
+    if (!Number.isInteger(slot_minutes) || slot_minutes < MIN_SLOT_MINUTES || slot_minutes > MAX_SLOT_MINUTES) {
+      return `Entry ${i}: slot_minutes must be between ${MIN_SLOT_MINUTES} and ${MAX_SLOT_MINUTES}`
+    }
+    if (slot_minutes > getTimeDuration(start_time, end_time)) {
+      return `Entry ${i}: slot_minutes is longer than the availability window`
+    }
+  }
+
+  // Overlap check per day (sorted by start time)
+  const byDay = {}
+  entries.forEach(e => {
+    if (!byDay[e.day_of_week]) byDay[e.day_of_week] = []
+    byDay[e.day_of_week].push(e)
+  })
+
+  for (const day of Object.keys(byDay)) {
+    const windows = byDay[day].sort((a, b) => a.start_time.localeCompare(b.start_time))
+    for (let i = 1; i < windows.length; i++) {
+      if (windows[i].start_time < windows[i - 1].end_time) {
+        return `Overlapping availability windows on day_of_week ${day}`
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Get a therapist's weekly availability template
+ *
+ * GET /api/therapists/me/availability (Therapist)
+ * GET /api/therapists/:id/availability (Admin)
+ */
+export const getAvailability = async (req, res) => {
+  try {
+    const therapistId = resolveTherapistId(req)
+
+    if (!isValidUUID(therapistId)) {
+      return errorResponse(res, 400, 'Invalid UUID format for therapist ID')
+    }
+
+    const { data: availability, error } = await supabase
+      .from('therapist_availability')
+      .select('id, day_of_week, start_time, end_time, slot_minutes')
+      .eq('therapist_id', therapistId)
+      .order('day_of_week')
+      .order('start_time')
+
+    if (error) {
+      console.error('Fetch availability error:', error)
+      return errorResponse(res, 500, 'Failed to fetch availability')
+    }
+
+    return successResponse(res, availability)
+
+  } catch (error) {
+    console.error('Get availability error:', error)
+    return errorResponse(res, 500, 'Failed to fetch availability')
+  }
+}
+
+/**
+ * Replace a therapist's weekly availability template
+ *
+ * PUT /api/therapists/me/availability (Therapist)
+ * PUT /api/therapists/:id/availability (Admin)
+ *
+ * Body: { availability: [{ day_of_week, start_time, end_time, slot_minutes }] }
+ *
+ * Only affects future slot generation. Slots that were already generated
+ * (and any bookings on them) are left as they are.
+ */
+export const replaceAvailability = async (req, res) => {
+  try {
+    const therapistId = resolveTherapistId(req)
+    const { availability } = req.body
+
+    if (!isValidUUID(therapistId)) {
+      return errorResponse(res, 400, 'Invalid UUID format for therapist ID')
+    }
+
+    const validationError = validateTemplate(availability)
+    if (validationError) {
+      return errorResponse(res, 400, validationError)
+    }
+
+    if (!req.therapist) {
+      const { data: therapist } = await supabase
+        .from('therapists')
+        .select('id')
+        .eq('id', therapistId)
+        .maybeSingle()
+
+      if (!therapist) {
+        return errorResponse(res, 404, 'Therapist not found')
+      }
+    }
+
+    // Snapshot the current template so it can be restored if the insert fails
+    const { data: previous, error: fetchError } = await supabase
+      .from('therapist_availability')
+      .select('therapist_id, day_of_week, start_time, end_time, slot_minutes')
+      .eq('therapist_id', therapistId)
+
+    if (fetchError) {
+      console.error('Fetch availability error:', fetchError)
+      return errorResponse(res, 500, 'Failed to update availability')
+    }
+
+    const { error: deleteError } = await supabase
+      .from('therapist_availability')
+      .delete()
+      .eq('therapist_id', therapistId)
+
+    if (deleteError) {
+      console.error('Delete availability error:', deleteError)
+      return errorResponse(res, 500, 'Failed to update availability')
+    }
+
+    if (availability.length === 0) {
+      return successResponse(res, [], 'Availability cleared')
+    }
+
+    const { data: inserted, error: insertError } = await supabase
+      .from('therapist_availability')
+      .insert(availability.map(entry => ({
+        therapist_id: therapistId,
+        day_of_week: entry.day_of_week,
+        start_time: entry.start_time,
+        end_time: entry.end_time,
+        slot_minutes: entry.slot_minutes ?? 60
+      })))
+      .select('id, day_of_week, start_time, end_time, slot_minutes')
+
+    if (insertError) {
+      // Rollback: restore the previous template
+      if (previous.length > 0) {
+        const { error: rollbackError } = await supabase
+          .from('therapist_availability')
+          .insert(previous)
+
+        if (rollbackError) {
+          console.error('Rollback failed for availability of therapist:', therapistId, rollbackError)
+        }
+      }
+
+      console.error('Insert availability error:', insertError)
+      return errorResponse(res, 500, 'Failed to update availability')
+    }
+
+    return successResponse(res, inserted, 'Availability updated. New slots will be generated on the next run.')
+
+  } catch (error) {
+    console.error('Replace availability error:', error)
+    return errorResponse(res, 500, 'Failed to update availability')
+  }
+}
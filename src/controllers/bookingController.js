@@ -1,23 +1,117 @@
 import supabase from '../config/supabase.js'
-import { addMinutes, getTimeDuration } from '../utils/dateTime.js'
+import { addMinutes, getTimeDuration, formatDate, zonedTimeToUtc } from '../utils/dateTime.js'
 import { isValidUUID, isValidDateFormat, parseIntSafe } from '../utils/validation.js'
-import { errorResponse } from '../utils/response.js'
-import { sendBookingConfirmation, sendBookingCancellation } from '../services/notificationService.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+import { parseListParams, applyPage, buildPage, iterateRows } from '../utils/pagination.js'
+import { createExportWriter, EXPORT_FORMATS } from '../utils/export.js'
+import { sendBookingConfirmation, sendBookingCancellation, sendBookingRescheduled } from '../services/notificationService.js'
+import {
+  getBookingWithDetails,
+  reserveTimeSlot,
+  cancelBooking,
+  findRescheduleSlot,
+  rescheduleBooking,
+  markBookingPaid,
+  markBookingPaidWithCredit,
+  quoteRefund,
+  refundCancelledBooking,
+  setBookingOutcome
+} from '../services/bookingService.js'
+import { BOOKING_STATUSES } from '../services/bookingStatus.js'
+import { recordBookingEvent, actorFromRequest } from '../services/bookingEvents.js'
+import { hoursUntilAppointment } from '../services/cancellationPolicy.js'
+import { getPaymentProvider, toMinorUnits, voidPaymentIntent } from '../services/payments/index.js'
+import { getTimeOffBlocks, isBlockedByTimeOff, isSlotBlocked } from '../services/timeOffService.js'
+import { findApplicablePromoCode, setBookingPromoCode } from '../services/promoCodeService.js'
+import { creditIneligibility } from '../services/creditService.js'
+import { getActiveMembership, memberPricing, getBookingHorizon, findMembershipCredit } from '../services/membershipService.js'
+
+// Sort keys for the booking lists (id is appended as the tiebreaker)
+const BOOKING_SORT_KEYS = {
+  booking_date: ['booking_date', 'start_time'],
+  created_at: ['created_at'],
+  service_price: ['service_price']
+}
+
+// Columns and joins the booking lists can project with ?fields=
+const BOOKING_LIST_FIELDS = {
+  '*': '*',
+  ...Object.fromEntries([
+    'id', 'customer_id', 'therapist_id', 'service_id', 'time_slot_id',
+    'booking_date', 'start_time', 'end_time', 'status',
+    'service_name', 'service_price', 'service_duration',
+    'payment_status', 'payment_amount', 'promo_code', 'discount_amount', 'member_discount_amount', 'membership_id',
+    'payment_method', 'refund_amount', 'refund_status',
+    'reschedule_count', 'reservation_expires_at', 'cancelled_at', 'notes', 'created_at',
+    'location_id'
+  ].map(column => [column, column])),
+  customer: `customer:profiles!bookings_customer_id_fkey(
+    id,
+    full_name,
+    email,
+    phone
+  )`,
+  therapist: `therapist:therapists!bookings_therapist_id_fkey(
+    id,
+    specialization,
+    user:profiles!therapists_user_id_fkey(
+      full_name,
+      email
+    )
+  )`,
+  location: `location:locations!bookings_location_id_fkey(
+    id,
+    name
+  )`
+}
+
+// Booking plus its location's timezone, for the time-based policy checks
+// (appointment times are wall-clock times at the booking's location)
+const BOOKING_POLICY_SELECT = '*, location:locations!bookings_location_id_fkey(timezone)'
+
+// Spreadsheet columns for exportBookings
+const BOOKING_EXPORT_COLUMNS = [
+  { key: 'id', header: 'Booking ID' },
+  { key: 'booking_date', header: 'Date' },
+  { key: 'start_time', header: 'Start' },
+  { key: 'end_time', header: 'End' },
+  { key: 'status', header: 'Status' },
+  { key: 'service_name', header: 'Service' },
+  { key: 'service_duration', header: 'Duration (min)' },
+  { key: 'service_price', header: 'Price' },
+  { key: 'customer_name', header: 'Customer' },
+  { key: 'customer_email', header: 'Customer Email' },
+  { key: 'therapist_name', header: 'Therapist' },
+  { key: 'location_name', header: 'Location' },
+  { key: 'promo_code', header: 'Promo Code' },
+  { key: 'discount_amount', header: 'Discount' },
+  { key: 'member_discount_amount', header: 'Member Discount' },
+  { key: 'payment_method', header: 'Paid With' },
+  { key: 'payment_status', header: 'Payment Status' },
+  { key: 'payment_amount', header: 'Amount Paid' },
+  { key: 'refund_amount', header: 'Refund' },
+  { key: 'cancellation_fee', header: 'Cancellation Fee' },
+  { key: 'created_at', header: 'Created At' }
+]
+
 /**
  * Create a PENDING reservation (5-minute hold)
  * 
  * Business Logic:
- * 1. Verify time slot exists and is available
- * 2. Verify slot can accommodate service duration
- * 3. Fetch service details (for snapshot)
- * 4. Create PENDING booking with expiry time
- * 5. Mark time slot as temporarily unavailable
+ * 1. Verify time slot exists, is available and has not started (location-local time)
+ * 2. Verify slot can accommodate service duration and the service is offered at the slot's location
+ * 3. Fetch service details (for snapshot) and check the promo code, if any
+ * 4. Take the slot and create the PENDING booking with expiry time
+ *    (members get their tier's discount and a longer booking window)
+ * 5. Apply the promo code (discount_amount, payment_amount after discount)
  * 
- * This is an atomic operation - if anything fails, nothing changes
+ * Step 4 is a single database transaction (reserve_time_slot) - if anything
+ * fails, nothing changes, and a slot can never hold two bookings. If the
+ * promo code hit its usage limit in the meantime, the hold is released.
  */
 export const createReservation = async (req, res) => {
   try {
-    const { service_id, therapist_id, time_slot_id, notes } = req.body
+    const { service_id, therapist_id, time_slot_id, notes, promo_code } = req.body
     const customer_id = req.profile.id
 
     // Validation
@@ -30,85 +124,137 @@ export const createReservation = async (req, res) => {
       return errorResponse(res, 400, 'Invalid UUID format for service_id, therapist_id, or time_slot_id')
     }
 
-    // 1. Fetch time slot and service in parallel
-    const [slotResult, serviceResult] = await Promise.all([
+    // 1. Fetch time slot, service and therapist in parallel
+    const [slotResult, serviceResult, therapistResult] = await Promise.all([
       supabase
         .from('time_slots')
-        .select('*')
+        .select('*, location:locations!time_slots_location_id_fkey(timezone, is_active)')
         .eq('id', time_slot_id)
         .eq('therapist_id', therapist_id)
         .eq('is_available', true)
         .single(),
       supabase
         .from('services')
-        .select('id, name, price, duration')
+        .select('id, name, price, duration, location_id')
         .eq('id', service_id)
         .eq('is_active', true)
+        .single(),
+      supabase
+        .from('therapists')
+        .select('id')
+        .eq('id', therapist_id)
+        .eq('is_active', true)
         .single()
     ])
 
     const { data: timeSlot, error: slotError } = slotResult
     const { data: service, error: serviceError } = serviceResult
+    const { data: therapist, error: therapistError } = therapistResult
 
     if (slotError || !timeSlot) {
       return errorResponse(res, 400, 'Time slot not available or does not exist')
     }
 
+    if (hoursUntilAppointment({ booking_date: timeSlot.slot_date, start_time: timeSlot.start_time, location: timeSlot.location }) <= 0) {
+      return errorResponse(res, 400, 'Time slot is in the past')
+    }
+
+    if (timeSlot.location?.is_active === false) {
+      return errorResponse(res, 400, 'Time slot not available - location is closed')
+    }
+
     if (serviceError || !service) {
       return errorResponse(res, 400, 'Service not found or inactive')
     }
 
+    if (service.location_id && service.location_id !== timeSlot.location_id) {
+      return errorResponse(res, 400, 'This service is not offered at the time slot\'s location')
+    }
+
+    if (therapistError || !therapist) {
+      return errorResponse(res, 400, 'Therapist not found or inactive')
+    }
+
+    if (await isSlotBlocked(timeSlot)) {
+      return errorResponse(res, 400, 'Time slot not available - therapist is on time off')
+    }
+
+    const membership = await getActiveMembership(customer_id)
+    const horizon = getBookingHorizon(membership)
+    if (horizon && timeSlot.slot_date > horizon) {
+      return errorResponse(res, 400, `This time slot is not open for booking yet. You can book up to ${horizon}.`)
+    }
+
+    let promo = null
+    if (promo_code != null) {
+      const promoResult = await findApplicablePromoCode(promo_code, service_id)
+      if (promoResult.error) {
+        return errorResponse(res, 400, promoResult.error)
+      }
+      promo = promoResult.promo
+    }
+
     // 2. Calculate reservation expiry (5 minutes from now in production)
     const timeoutMinutes = parseIntSafe(process.env.RESERVATION_TIMEOUT_MINUTES, 5, 1, 60)
     const expiresAt = addMinutes(timeoutMinutes)
 
-    // 4. Create PENDING booking (snapshot service details)
-    const { data: booking, error: bookingError } = await supabase
-      .from('bookings')
-      .insert({
-        customer_id,
-        service_id,
-        therapist_id,
-        time_slot_id,
-        booking_date: timeSlot.slot_date,
-        start_time: timeSlot.start_time,
-        end_time: timeSlot.end_time,
-        service_name: service.name,
-        service_price: service.price,
-        service_duration: service.duration,
-        status: 'pending',
-        reservation_expires_at: expiresAt,
-        payment_status: 'pending',
-        payment_amount: service.price,
-        notes: notes || null
-      })
-      .select()
-      .single()
+    // 3. Take the slot and create the PENDING booking in one transaction
+    //    (snapshot service details; losing a race to another customer is a 409)
+    const { data: reservedBooking, error: reserveError, conflict } = await reserveTimeSlot(time_slot_id, {
+      customer_id,
+      service_id,
+      therapist_id,
+      service_name: service.name,
+      service_price: service.price,
+      service_duration: service.duration,
+      reservation_expires_at: expiresAt,
+      ...memberPricing(membership, service.price),
+      notes: notes || null
+    })
 
-    if (bookingError) {
-      console.error('Booking creation error:', bookingError)
-      return errorResponse(res, 500, 'Failed to create reservation')
+    if (reserveError) {
+      return errorResponse(res, conflict ? 409 : 500, conflict
+        ? 'Time slot was just booked by someone else. Please choose another time.'
+        : reserveError)
     }
 
-    // 5. Mark time slot as temporarily unavailable
-    const { error: updateError } = await supabase
-      .from('time_slots')
-      .update({ is_available: false })
-      .eq('id', time_slot_id)
+    // 4. Apply the promo code (usage limits are checked under a lock here)
+    let booking = reservedBooking
+    if (promo) {
+      const { data: discountedBooking, error: promoError, conflict: promoConflict } = await setBookingPromoCode(reservedBooking, promo)
+
+      if (promoError) {
+        // Release the hold rather than leave a full-price booking the customer didn't ask for
+        const { data: releasedBooking } = await cancelBooking(reservedBooking)
+        await recordBookingEvent({ type: 'created', actor: actorFromRequest(req), after: reservedBooking })
+        if (releasedBooking) {
+          await recordBookingEvent({
+            type: 'cancelled',
+            actor: actorFromRequest(req),
+            before: reservedBooking,
+            after: releasedBooking,
+            reason: `Promo code could not be applied: ${promoError}`
+          })
+        }
+        return errorResponse(res, promoConflict ? 409 : 500, promoError)
+      }
 
-    if (updateError) {
-      // Rollback: delete the booking we just created
-      await supabase.from('bookings').delete().eq('id', booking.id)
-      return errorResponse(res, 500, 'Failed to reserve time slot')
+      booking = discountedBooking
     }
 
+    await recordBookingEvent({ type: 'created', actor: actorFromRequest(req), after: booking })
+
+    // Members with an included session left can confirm without checkout
+    const membershipCredit = await findMembershipCredit(membership, booking)
+
     // Success! Return booking with expiry info
     res.status(201).json({
       success: true,
       data: {
         booking,
         expires_at: expiresAt,
-        expires_in_seconds: timeoutMinutes * 60
+        expires_in_seconds: timeoutMinutes * 60,
+        membership_credit_available: Boolean(membershipCredit)
       },
       message: `Reservation created. Complete booking within ${timeoutMinutes} minutes.`
     })
@@ -122,16 +268,219 @@ export const createReservation = async (req, res) => {
   }
 }
 
+/**
+ * Apply or remove the promo code on a customer's PENDING reservation
+ * Shared by applyPromoCode and removePromoCode (code = null)
+ */
+async function changePromoCode(req, res, code) {
+  const { id } = req.params
+  const customer_id = req.profile.id
+
+  if (!isValidUUID(id)) {
+    return errorResponse(res, 400, 'Invalid UUID format for booking ID')
+  }
+
+  // 1. Fetch the booking — ownership check via customer_id
+  const { data: booking, error: fetchError } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('id', id)
+    .eq('customer_id', customer_id)
+    .single()
+
+  if (fetchError || !booking) {
+    return errorResponse(res, 404, 'Booking not found')
+  }
+
+  // 2. Only unexpired pending holds can change price
+  if (booking.status !== 'pending') {
+    return errorResponse(res, 400, `Cannot change the promo code on a booking with status: ${booking.status}`)
+  }
+
+  if (new Date(booking.reservation_expires_at) < new Date()) {
+    return errorResponse(res, 400, 'Reservation has expired. Please create a new booking.')
+  }
+
+  if (code === null && !booking.promo_code_id) {
+    return errorResponse(res, 400, 'No promo code is applied to this booking')
+  }
+
+  // 3. A payment already under way was for the current amount
+  if (booking.payment_intent_id) {
+    const intent = await getPaymentProvider(booking.payment_provider)
+      .retrievePaymentIntent(booking.payment_intent_id)
+
+    if (intent.status === 'succeeded' || intent.status === 'processing') {
+      return errorResponse(res, 409, 'Payment for this booking is already in progress')
+    }
+  }
+
+  // 4. Check the code, then apply it (or remove it) with the usage limits locked
+  let promo = null
+  if (code !== null) {
+    const promoResult = await findApplicablePromoCode(code, booking.service_id)
+    if (promoResult.error) {
+      return errorResponse(res, 400, promoResult.error)
+    }
+    promo = promoResult.promo
+  }
+
+  const { data: updatedBooking, error, conflict } = await setBookingPromoCode(booking, promo)
+
+  if (error) {
+    return errorResponse(res, conflict ? 409 : 500, error)
+  }
+
+  await recordBookingEvent({
+    type: promo ? 'promo_code_applied' : 'promo_code_removed',
+    actor: actorFromRequest(req),
+    before: booking,
+    after: updatedBooking
+  })
+
+  const message = promo
+    ? `Promo code ${promo.code} applied.`
+    : 'Promo code removed.'
+
+  return successResponse(res, updatedBooking, booking.payment_intent_id
+    ? `${message} Start checkout again to pay the new amount.`
+    : message)
+}
+
+/**
+ * Apply a promo code to a PENDING reservation (Customer only)
+ *
+ * POST /api/bookings/:id/promo-code  { promo_code }
+ *
+ * Replaces any code already applied. payment_amount becomes the service
+ * price minus the discount; an unpaid checkout is voided and must be
+ * started again for the new amount.
+ */
+export const applyPromoCode = async (req, res) => {
+  try {
+    const { promo_code } = req.body
+
+    if (promo_code == null) {
+      return errorResponse(res, 400, 'Missing required field: promo_code')
+    }
+
+    return await changePromoCode(req, res, promo_code)
+  } catch (error) {
+    console.error('Apply promo code error:', error)
+    return errorResponse(res, 500, 'Failed to apply promo code')
+  }
+}
+
+/**
+ * Remove the promo code from a PENDING reservation (Customer only)
+ *
+ * DELETE /api/bookings/:id/promo-code
+ */
+export const removePromoCode = async (req, res) => {
+  try {
+    return await changePromoCode(req, res, null)
+  } catch (error) {
+    console.error('Remove promo code error:', error)
+    return errorResponse(res, 500, 'Failed to remove promo code')
+  }
+}
+
+// Audit reasons for confirmWithCredit, by credit account kind
+const CREDIT_PAYMENT_REASONS = {
+  package: 'Paid with package session',
+  gift_card: 'Paid with gift card',
+  membership: 'Paid with membership session'
+}
+
+/**
+ * Confirm a PENDING reservation by paying from a credit account
+ * Used by confirmReservation when credit_account_id is given
+ */
+async function confirmWithCredit(req, res, booking, creditAccountId) {
+  if (!isValidUUID(creditAccountId)) {
+    return errorResponse(res, 400, 'Invalid UUID format for credit_account_id')
+  }
+
+  if (new Date(booking.reservation_expires_at) < new Date()) {
+    return errorResponse(res, 400, 'Reservation has expired. Please create a new booking.')
+  }
+
+  if (toMinorUnits(booking.payment_amount) <= 0) {
+    return errorResponse(res, 400, 'Nothing to pay for this booking. Confirm it without credit.')
+  }
+
+  // A card payment already under way can't be replaced
+  if (booking.payment_intent_id) {
+    const intent = await getPaymentProvider(booking.payment_provider)
+      .retrievePaymentIntent(booking.payment_intent_id)
+
+    if (intent.status === 'succeeded' || intent.status === 'processing') {
+      return errorResponse(res, 409, 'Payment for this booking is already in progress')
+    }
+  }
+
+  const { data: account } = await supabase
+    .from('credit_accounts')
+    .select('id, kind, customer_id, service_ids, balance, expires_at, status')
+    .eq('id', creditAccountId)
+    .maybeSingle()
+
+  const ineligible = creditIneligibility(account, booking)
+  if (ineligible) {
+    return errorResponse(res, 400, ineligible)
+  }
+
+  if (booking.payment_intent_id) {
+    await voidPaymentIntent(booking)
+  }
+
+  const { data: confirmedBooking, error, conflict } = await markBookingPaidWithCredit(booking, account, actorFromRequest(req))
+
+  if (error) {
+    return errorResponse(res, conflict ? 409 : 500, error)
+  }
+
+  await recordBookingEvent({
+    type: 'confirmed',
+    actor: actorFromRequest(req),
+    before: booking,
+    after: confirmedBooking,
+    reason: CREDIT_PAYMENT_REASONS[account.kind]
+  })
+
+  // Send confirmation emails (non-blocking)
+  getBookingWithDetails(booking.id)
+    .then(bookingDetails => {
+      if (bookingDetails) {
+        sendBookingConfirmation(bookingDetails)
+      }
+    })
+    .catch(err => {
+      console.error('[CONFIRM] Email send error (non-critical):', err)
+    })
+
+  return successResponse(res, confirmedBooking, 'Booking confirmed successfully!')
+}
+
 /**
  * Confirm a PENDING reservation (after payment)
  *
- * This will be used in Phase 2 when we add payment integration
- * For now, customers can confirm immediately (simulated payment)
+ * Normally the payment webhook confirms the booking. This endpoint lets the
+ * client confirm right after checkout: it asks the payment provider whether
+ * the intent succeeded and only then confirms. Free bookings
+ * (payment_amount of 0) are confirmed without a payment step.
+ *
+ * Body (optional):
+ * - credit_account_id: pay from one of the customer's packages (one
+ *   session) or gift cards (the amount due) instead
+ * - use_membership_credit: false to keep a member's included sessions;
+ *   otherwise members with a session left use it automatically
  */
 export const confirmReservation = async (req, res) => {
   try {
     const { id } = req.params
     const customer_id = req.profile.id
+    const credit_account_id = req.body?.credit_account_id
 
     // 1. Fetch the booking
     const { data: booking, error: fetchError } = await supabase
@@ -145,33 +494,79 @@ export const confirmReservation = async (req, res) => {
       return errorResponse(res, 404, 'Booking not found')
     }
 
+    // Already confirmed by the payment webhook
+    if (booking.status === 'confirmed' && booking.payment_status === 'paid') {
+      return res.json({
+        success: true,
+        data: booking,
+        message: 'Booking already confirmed.'
+      })
+    }
+
     // 2. Verify booking is still pending
     if (booking.status !== 'pending') {
       return errorResponse(res, 400, `Cannot confirm booking with status: ${booking.status}`)
     }
 
-    // 3. Check if reservation has expired
-    if (new Date(booking.reservation_expires_at) < new Date()) {
+    if (credit_account_id != null) {
+      return await confirmWithCredit(req, res, booking, credit_account_id)
+    }
+
+    // 3. Verify payment with the provider (unless nothing is owed)
+    const requiresPayment = toMinorUnits(booking.payment_amount) > 0
+    let paymentSucceeded = false
+
+    if (requiresPayment && booking.payment_intent_id) {
+      const intent = await getPaymentProvider(booking.payment_provider)
+        .retrievePaymentIntent(booking.payment_intent_id)
+      paymentSucceeded = intent.status === 'succeeded'
+    }
+
+    if (requiresPayment && !paymentSucceeded && req.body?.use_membership_credit !== false) {
+      const membershipCredit = await findMembershipCredit(await getActiveMembership(customer_id), booking)
+      if (membershipCredit) {
+        return await confirmWithCredit(req, res, booking, membershipCredit.id)
+      }
+    }
+
+    // 4. Check if reservation has expired (a completed payment still counts)
+    if (!paymentSucceeded && new Date(booking.reservation_expires_at) < new Date()) {
       return errorResponse(res, 400, 'Reservation has expired. Please create a new booking.')
     }
 
-    // 4. Update booking status to confirmed
-    const { data: confirmedBooking, error: updateError } = await supabase
-      .from('bookings')
-      .update({
-        status: 'confirmed',
-        payment_status: 'paid', // Simulated for now
-        reservation_expires_at: null // No longer needs expiry
-      })
-      .eq('id', id)
-      .select()
-      .single()
+    if (requiresPayment && !booking.payment_intent_id) {
+      return errorResponse(res, 402, 'Payment required. Start checkout before confirming.')
+    }
+
+    if (requiresPayment && !paymentSucceeded) {
+      return errorResponse(res, 402, 'Payment has not been completed yet')
+    }
+
+    // 5. Update booking status to confirmed (only if still pending)
+    const { data: confirmedBooking, error: updateError } = await markBookingPaid(id)
 
     if (updateError) {
-      return errorResponse(res, 500, 'Failed to confirm booking')
+      return errorResponse(res, 500, updateError)
+    }
+
+    if (!confirmedBooking) {
+      // The webhook confirmed it between our read and write
+      return res.json({
+        success: true,
+        data: (await getBookingWithDetails(id)) || booking,
+        message: 'Booking already confirmed.'
+      })
     }
 
-    // 5. Send confirmation emails (non-blocking)
+    await recordBookingEvent({
+      type: 'confirmed',
+      actor: actorFromRequest(req),
+      before: booking,
+      after: confirmedBooking,
+      reason: requiresPayment ? 'Payment verified with provider' : 'No payment required'
+    })
+
+    // 6. Send confirmation emails (non-blocking)
     getBookingWithDetails(id)
       .then(bookingDetails => {
         if (bookingDetails) {
@@ -195,53 +590,61 @@ export const confirmReservation = async (req, res) => {
 }
 
 /**
- * Get customer's booking history
- * Includes upcoming, past, and cancelled bookings
+ * Get customer's booking history (paginated)
+ *
+ * Query params (all optional):
+ * - group: upcoming | pending | past | no_show | cancelled
+ * - limit, cursor, sort (booking_date | created_at), order (asc | desc)
+ * - fields: comma-separated booking columns, plus "therapist" for the join
  */
 export const getMyBookings = async (req, res) => {
   try {
     const customer_id = req.profile.id
+    const { group } = req.query
+
+    const validGroups = ['upcoming', 'pending', 'past', 'no_show', 'cancelled']
+    if (group && !validGroups.includes(group)) {
+      return errorResponse(res, 400, `Invalid group. Must be one of: ${validGroups.join(', ')}`)
+    }
+
+    const params = parseListParams(req.query, {
+      sortKeys: BOOKING_SORT_KEYS,
+      defaultSort: 'booking_date',
+      fields: BOOKING_LIST_FIELDS,
+      defaultFields: ['*', 'therapist']
+    })
+
+    if (params.error) {
+      return errorResponse(res, 400, params.error)
+    }
 
-    const { data: bookings, error } = await supabase
+    let query = supabase
       .from('bookings')
-      .select(`
-        *,
-        therapist:therapists!bookings_therapist_id_fkey(
-          id,
-          specialization,
-          user:profiles!therapists_user_id_fkey(
-            full_name,
-            email
-          )
-        )
-      `)
+      .select(params.select)
       .eq('customer_id', customer_id)
-      .order('booking_date', { ascending: false })
-      .order('start_time', { ascending: false })
+
+    // Same buckets the booking history tabs show. The past group's or()
+    // goes through applyPage, which combines it with the cursor's
+    const today = formatDate(new Date())
+    if (group === 'upcoming') query = query.eq('status', 'confirmed').gte('booking_date', today)
+    if (group === 'pending') query = query.eq('status', 'pending')
+    if (group === 'no_show') query = query.eq('status', 'no_show')
+    if (group === 'cancelled') query = query.eq('status', 'cancelled')
+    const or = group === 'past' ? `status.eq.completed,and(status.eq.confirmed,booking_date.lt.${today})` : null
+
+    const { data: bookings, error } = await applyPage(query, { ...params, or })
 
     if (error) {
       console.error('Fetch bookings error:', error)
       return errorResponse(res, 500, 'Failed to fetch bookings')
     }
 
-    // Group bookings by status in a single pass
-    const today = new Date()
-    today.setHours(0, 0, 0, 0)
-    const grouped = bookings.reduce((acc, b) => {
-      const bookingDate = new Date(b.booking_date)
-      if (b.status === 'cancelled') acc.cancelled.push(b)
-      else if (b.status === 'pending') acc.pending.push(b)
-      else if (b.status === 'confirmed' && bookingDate >= today) acc.upcoming.push(b)
-      else if (['completed', 'confirmed'].includes(b.status)) acc.past.push(b)
-      return acc
-    }, { upcoming: [], pending: [], past: [], cancelled: [] })
+    const { items, pagination } = buildPage(bookings, params)
 
     res.json({
       success: true,
-      data: {
-        all: bookings,
-        grouped
-      }
+      data: items,
+      pagination
     })
 
   } catch (error) {
@@ -253,10 +656,13 @@ export const getMyBookings = async (req, res) => {
 /**
  * Get available time slots for a service
  * Filters slots that can accommodate the service duration
+ *
+ * Query params: service_id, start_date, end_date (optional),
+ * location_id (optional — only slots at this branch)
  */
 export const getAvailableSlots = async (req, res) => {
   try {
-    const { service_id, start_date, end_date } = req.query
+    const { service_id, start_date, end_date, location_id } = req.query
 
     if (!service_id || !start_date) {
       return errorResponse(res, 400, 'Missing required parameters: service_id, start_date')
@@ -267,6 +673,10 @@ export const getAvailableSlots = async (req, res) => {
       return errorResponse(res, 400, 'Invalid UUID format for service_id')
     }
 
+    if (location_id && !isValidUUID(location_id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for location_id')
+    }
+
     // Validate date formats
     if (!isValidDateFormat(start_date)) {
       return errorResponse(res, 400, 'Invalid date format for start_date (expected YYYY-MM-DD)')
@@ -279,7 +689,7 @@ export const getAvailableSlots = async (req, res) => {
     // Fetch service to get duration
     const { data: service } = await supabase
       .from('services')
-      .select('duration')
+      .select('duration, location_id')
       .eq('id', service_id)
       .single()
 
@@ -298,9 +708,16 @@ export const getAvailableSlots = async (req, res) => {
         therapist:therapists!time_slots_therapist_id_fkey(
           id,
           specialization,
+          is_active,
           user:profiles!therapists_user_id_fkey(
             full_name
           )
+        ),
+        location:locations!time_slots_location_id_fkey(
+          id,
+          name,
+          timezone,
+          is_active
         )
       `)
       .eq('is_available', true)
@@ -310,6 +727,22 @@ export const getAvailableSlots = async (req, res) => {
       query = query.lte('slot_date', end_date)
     }
 
+    // Customers only see dates inside their booking window (longer for members)
+    const horizon = req.profile.role === 'customer'
+      ? getBookingHorizon(await getActiveMembership(req.profile.id))
+      : null
+    if (horizon) {
+      query = query.lte('slot_date', horizon)
+    }
+
+    // Branch-specific services are only bookable at their own branch
+    if (service.location_id && location_id && service.location_id !== location_id) {
+      return res.json({ success: true, data: [] })
+    }
+    if (service.location_id || location_id) {
+      query = query.eq('location_id', service.location_id || location_id)
+    }
+
     const { data: slots, error } = await query.order('slot_date').order('start_time')
 
     if (error) {
@@ -317,8 +750,25 @@ export const getAvailableSlots = async (req, res) => {
       return errorResponse(res, 500, 'Failed to fetch time slots')
     }
 
-    // Filter slots that can accommodate service duration
+    // Fetch time off overlapping the range so blocked slots can be hidden
+    const { data: timeOff, error: timeOffError } = await getTimeOffBlocks({
+      startDate: start_date,
+      endDate: end_date
+    })
+
+    if (timeOffError) {
+      console.error('Fetch time off error:', timeOffError)
+      return errorResponse(res, 500, 'Failed to fetch time slots')
+    }
+
+    // Filter slots that can accommodate service duration (skip deactivated therapists,
+    // closed locations, time off and slots that have already started in location-local time)
+    const now = new Date()
     const validSlots = slots.filter(slot => {
+      if (slot.therapist?.is_active === false) return false
+      if (slot.location?.is_active === false) return false
+      if (zonedTimeToUtc(slot.slot_date, slot.start_time, slot.location?.timezone) <= now) return false
+      if (isBlockedByTimeOff(slot.therapist_id, slot.slot_date, slot.start_time, slot.end_time, timeOff)) return false
       const slotDuration = getTimeDuration(slot.start_time, slot.end_time)
       return slotDuration >= service.duration
     })
@@ -334,18 +784,65 @@ export const getAvailableSlots = async (req, res) => {
   }
 }
 
+/**
+ * Preview the refund for cancelling a booking now (Customer only)
+ *
+ * Lets the client show "You'll get $X back" before the customer confirms
+ */
+export const getCancellationQuote = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for booking ID')
+    }
+
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select(BOOKING_POLICY_SELECT)
+      .eq('id', id)
+      .eq('customer_id', req.profile.id)
+      .single()
+
+    if (fetchError || !booking) {
+      return errorResponse(res, 404, 'Booking not found')
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return errorResponse(res, 400, `Cannot cancel booking with status: ${booking.status}`)
+    }
+
+    if (booking.status === 'confirmed' && hoursUntilAppointment(booking) <= 0) {
+      return errorResponse(res, 400, 'Cannot cancel an appointment that has already started')
+    }
+
+    const refund = await quoteRefund(booking)
+
+    res.json({
+      success: true,
+      data: {
+        ...refund,
+        amount_paid: booking.payment_status === 'paid' ? parseFloat(booking.payment_amount) : 0
+      }
+    })
+
+  } catch (error) {
+    console.error('Cancellation quote error:', error)
+    return errorResponse(res, 500, 'Failed to calculate refund')
+  }
+}
+
 /**
  * Cancel a booking (PENDING or CONFIRMED)
  *
  * Business Logic:
  * 1. Verify booking exists and belongs to this customer
- * 2. Verify booking is in a cancellable state (pending or confirmed)
- * 3. Enforce cancellation policy (configurable hours before appointment)
- * 4. Update booking status to cancelled
- * 5. Free the time slot back to available
- *
- * This is an atomic operation - if the slot update fails, the booking
- * status is rolled back (same pattern as createReservation)
+ * 2. Verify booking is in a cancellable state (pending, or confirmed and
+ *    not yet started)
+ * 3. Work out the refund from the service's cancellation policy
+ * 4. Cancel the booking and free the time slot in one transaction
+ *    (cancel_booking), only if nothing else changed the booking first
+ * 5. Issue the refund and record it on the booking
  */
 export const cancelReservation = async (req, res) => {
   try {
@@ -355,7 +852,7 @@ export const cancelReservation = async (req, res) => {
     // 1. Fetch the booking — ownership check via customer_id
     const { data: booking, error: fetchError } = await supabase
       .from('bookings')
-      .select('*')
+      .select(BOOKING_POLICY_SELECT)
       .eq('id', id)
       .eq('customer_id', customer_id)
       .single()
@@ -364,62 +861,38 @@ export const cancelReservation = async (req, res) => {
       return errorResponse(res, 404, 'Booking not found')
     }
 
-    // 2. Guard: only pending or confirmed bookings can be cancelled
+    // 2. Guard: only pending or confirmed bookings can be cancelled, and a
+    // confirmed appointment only until it starts
     if (!['pending', 'confirmed'].includes(booking.status)) {
       return errorResponse(res, 400, `Cannot cancel booking with status: ${booking.status}`)
     }
 
-    // 3. Cancellation policy: check minimum hours before appointment
-    const minCancelHours = parseIntSafe(process.env.MIN_CANCEL_HOURS, 0, 0, 168)
-    if (minCancelHours > 0 && booking.status === 'confirmed') {
-      const appointmentTime = new Date(`${booking.booking_date}T${booking.start_time}`)
-      const hoursUntilAppointment = (appointmentTime - new Date()) / (1000 * 60 * 60)
-
-      if (hoursUntilAppointment < minCancelHours) {
-        return errorResponse(res, 400, `Cancellations must be made at least ${minCancelHours} hours before the appointment`)
-      }
+    if (booking.status === 'confirmed' && hoursUntilAppointment(booking) <= 0) {
+      return errorResponse(res, 400, 'Cannot cancel an appointment that has already started')
     }
 
-    // 4. Update booking status to cancelled
-    const { data: cancelledBooking, error: updateError } = await supabase
-      .from('bookings')
-      .update({
-        status: 'cancelled',
-        reservation_expires_at: null
-      })
-      .eq('id', id)
-      .select()
-      .single()
+    // 3. Work out the refund before anything changes. Late cancellations
+    // are allowed; the policy decides how much of the payment comes back
+    const refund = await quoteRefund(booking)
 
-    if (updateError) {
-      return errorResponse(res, 500, 'Failed to cancel booking')
-    }
+    // 4. Cancel booking and free the time slot (single transaction)
+    const { data: cancelledBooking, error: cancelError, conflict } = await cancelBooking(booking)
 
-    // 5. Free the time slot back to available
-    const { error: slotError } = await supabase
-      .from('time_slots')
-      .update({ is_available: true })
-      .eq('id', booking.time_slot_id)
+    if (cancelError) {
+      return errorResponse(res, conflict ? 409 : 500, cancelError)
+    }
 
-    if (slotError) {
-      // Rollback: restore booking to its previous state (both fields)
-      const { error: rollbackError } = await supabase
-        .from('bookings')
-        .update({
-          status: booking.status,
-          reservation_expires_at: booking.reservation_expires_at
-        })
-        .eq('id', id)
+    // 5. Issue and record the refund (failures are recorded, not fatal)
+    const { data: refundedBooking } = await refundCancelledBooking(booking, refund)
 
-      if (rollbackError) {
-        console.error('Rollback failed for booking:', id, rollbackError)
-      }
+    await recordBookingEvent({
+      type: 'cancelled',
+      actor: actorFromRequest(req),
+      before: booking,
+      after: { ...cancelledBooking, ...refundedBooking },
+      reason: req.body?.reason || null
+    })
 
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to release time slot'
-      })
-    }
     // Send cancellation emails (non-blocking)
     getBookingWithDetails(id)
       .then(bookingDetails => {
@@ -433,8 +906,10 @@ export const cancelReservation = async (req, res) => {
 
     res.json({
       success: true,
-      data: cancelledBooking,
-      message: 'Booking cancelled successfully. The time slot has been released.'
+      data: refundedBooking || cancelledBooking,
+      message: refund.refund_amount > 0
+        ? `Booking cancelled successfully. A refund of $${refund.refund_amount.toFixed(2)} has been issued.`
+        : 'Booking cancelled successfully. The time slot has been released.'
     })
 
   } catch (error) {
@@ -443,99 +918,223 @@ export const cancelReservation = async (req, res) => {
   }
 }
 
-// Add these three functions to your bookingController.js (Document 7 version)
-// Place them at the bottom of the file, after cancelReservation
-
 /**
- * Get all bookings (Admin only)
- * 
- * Query params (all optional):
- * - status: filter by booking status
- * - therapist_id: filter by therapist
- * - customer_id: filter by customer  
- * - start_date: filter bookings from this date onwards
- * - end_date: filter bookings up to this date
+ * Reschedule own booking (Customer only)
+ *
+ * Business Logic:
+ * 1. Verify booking exists and belongs to this customer
+ * 2. Verify booking is in a reschedulable state (pending or confirmed)
+ * 3. Enforce the reschedule window (MIN_CANCEL_HOURS) and the
+ *    reschedule cap (MAX_CUSTOMER_RESCHEDULES)
+ * 4. Verify the new slot (same therapist, available, long enough, in the future)
+ * 5. Swap slots the same way adminRescheduleBooking does
+ * 6. Email customer and therapist
+ *
+ * The booking keeps its slot until the swap succeeds, so the customer
+ * never loses their appointment while moving it.
  */
-export const getAllBookings = async (req, res) => {
+export const rescheduleReservation = async (req, res) => {
   try {
-    const { status, therapist_id, customer_id, start_date, end_date } = req.query
+    const { id } = req.params
+    const { new_time_slot_id } = req.body
+    const customer_id = req.profile.id
 
-    // Validate UUIDs if provided
-    if (therapist_id && !isValidUUID(therapist_id)) {
-      return errorResponse(res, 400, 'Invalid UUID format for therapist_id')
-    }
-    if (customer_id && !isValidUUID(customer_id)) {
-      return errorResponse(res, 400, 'Invalid UUID format for customer_id')
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for booking ID')
     }
 
-    // Validate date formats if provided
-    if (start_date && !isValidDateFormat(start_date)) {
-      return errorResponse(res, 400, 'Invalid date format for start_date (expected YYYY-MM-DD)')
+    if (!new_time_slot_id) {
+      return errorResponse(res, 400, 'Missing required field: new_time_slot_id')
     }
-    if (end_date && !isValidDateFormat(end_date)) {
-      return errorResponse(res, 400, 'Invalid date format for end_date (expected YYYY-MM-DD)')
+
+    if (!isValidUUID(new_time_slot_id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for new_time_slot_id')
+    }
+
+    // 1. Fetch the booking — ownership check via customer_id
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select(BOOKING_POLICY_SELECT)
+      .eq('id', id)
+      .eq('customer_id', customer_id)
+      .single()
+
+    if (fetchError || !booking) {
+      return errorResponse(res, 404, 'Booking not found')
+    }
+
+    // 2. Guard: only pending or confirmed bookings can be rescheduled
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return errorResponse(res, 400, `Cannot reschedule booking with status: ${booking.status}`)
+    }
+
+    // 3. Policy: no moves inside MIN_CANCEL_HOURS, plus a cap on moves
+    const minCancelHours = parseIntSafe(process.env.MIN_CANCEL_HOURS, 0, 0, 168)
+    if (minCancelHours > 0 && booking.status === 'confirmed' && hoursUntilAppointment(booking) < minCancelHours) {
+      return errorResponse(res, 400, `Bookings can only be rescheduled at least ${minCancelHours} hours before the appointment`)
+    }
+
+    const maxReschedules = parseIntSafe(process.env.MAX_CUSTOMER_RESCHEDULES, 2, 0, 20)
+    const rescheduleCount = booking.reschedule_count || 0
+    if (rescheduleCount >= maxReschedules) {
+      return errorResponse(res, 400, `This booking has already been rescheduled the maximum of ${maxReschedules} time(s). Please contact us to make further changes.`)
+    }
+
+    // 4. Fetch and verify new time slot
+    const { data: newSlot, error: slotError } = await findRescheduleSlot(booking, new_time_slot_id)
+
+    if (slotError) {
+      return errorResponse(res, 400, slotError)
+    }
+
+    if (hoursUntilAppointment({ booking_date: newSlot.slot_date, start_time: newSlot.start_time, location: booking.location }) <= 0) {
+      return errorResponse(res, 400, 'New time slot is in the past')
+    }
+
+    const horizon = getBookingHorizon(await getActiveMembership(req.profile.id))
+    if (horizon && newSlot.slot_date > horizon) {
+      return errorResponse(res, 400, `This time slot is not open for booking yet. You can book up to ${horizon}.`)
+    }
+
+    // 5. Atomic swap: update booking, free old slot, reserve new slot
+    const { data: rescheduledBooking, error: rescheduleError, conflict } = await rescheduleBooking(
+      booking,
+      newSlot,
+      '*',
+      { countReschedule: true }
+    )
+
+    if (rescheduleError) {
+      return errorResponse(res, conflict ? 409 : 500, rescheduleError)
+    }
+
+    await recordBookingEvent({
+      type: 'rescheduled',
+      actor: actorFromRequest(req),
+      before: booking,
+      after: rescheduledBooking,
+      reason: req.body?.reason || null
+    })
+
+    // 6. Send rescheduled emails (non-blocking)
+    getBookingWithDetails(id)
+      .then(bookingDetails => {
+        if (bookingDetails) {
+          sendBookingRescheduled(bookingDetails, booking)
+        }
+      })
+      .catch(err => {
+        console.error('[RESCHEDULE] Email send error (non-critical):', err)
+      })
+
+    res.json({
+      success: true,
+      data: rescheduledBooking,
+      message: `Booking rescheduled successfully. ${Math.max(0, maxReschedules - rescheduleCount - 1)} reschedule(s) remaining.`
+    })
+
+  } catch (error) {
+    console.error('Reschedule reservation error:', error)
+    return errorResponse(res, 500, 'Failed to reschedule booking')
+  }
+}
+
+// Add these three functions to your bookingController.js (Document 7 version)
+// Place them at the bottom of the file, after cancelReservation
+
+/**
+ * Validate the admin booking list filters (shared by list and stats)
+ * Returns an error message, or null when valid
+ */
+function validateBookingFilters({ status, therapist_id, customer_id, location_id, start_date, end_date }) {
+  // Validate UUIDs if provided
+  if (therapist_id && !isValidUUID(therapist_id)) {
+    return 'Invalid UUID format for therapist_id'
+  }
+  if (customer_id && !isValidUUID(customer_id)) {
+    return 'Invalid UUID format for customer_id'
+  }
+  if (location_id && !isValidUUID(location_id)) {
+    return 'Invalid UUID format for location_id'
+  }
+
+  // Validate date formats if provided
+  if (start_date && !isValidDateFormat(start_date)) {
+    return 'Invalid date format for start_date (expected YYYY-MM-DD)'
+  }
+  if (end_date && !isValidDateFormat(end_date)) {
+    return 'Invalid date format for end_date (expected YYYY-MM-DD)'
+  }
+
+  if (status && !BOOKING_STATUSES.includes(status)) {
+    return `Invalid status. Must be one of: ${BOOKING_STATUSES.join(', ')}`
+  }
+
+  return null
+}
+
+/**
+ * Get all bookings (Admin only, paginated)
+ * 
+ * Query params (all optional):
+ * - status: filter by booking status
+ * - therapist_id: filter by therapist
+ * - customer_id: filter by customer  
+ * - location_id: filter by location (branch)
+ * - start_date: filter bookings from this date onwards
+ * - end_date: filter bookings up to this date
+ * - limit, cursor, sort (booking_date | created_at | service_price), order (asc | desc)
+ * - fields: comma-separated booking columns, plus "customer" / "therapist" / "location" for the joins
+ *
+ * Totals for the same filters come from getBookingStats.
+ */
+export const getAllBookings = async (req, res) => {
+  try {
+    const { status, therapist_id, customer_id, location_id, start_date, end_date } = req.query
+
+    const filterError = validateBookingFilters(req.query)
+    if (filterError) {
+      return errorResponse(res, 400, filterError)
     }
 
-    const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed']
-    if (status && !validStatuses.includes(status)) {
-      return errorResponse(res, 400, `Invalid status. Must be one of: ${validStatuses.join(', ')}`)
+    const params = parseListParams(req.query, {
+      sortKeys: BOOKING_SORT_KEYS,
+      defaultSort: 'booking_date',
+      fields: BOOKING_LIST_FIELDS,
+      defaultFields: ['*', 'customer', 'therapist']
+    })
+
+    if (params.error) {
+      return errorResponse(res, 400, params.error)
     }
 
     // Build query
     let query = supabase
       .from('bookings')
-      .select(`
-        *,
-        customer:profiles!bookings_customer_id_fkey(
-          id,
-          full_name,
-          email,
-          phone
-        ),
-        therapist:therapists!bookings_therapist_id_fkey(
-          id,
-          specialization,
-          user:profiles!therapists_user_id_fkey(
-            full_name,
-            email
-          )
-        )
-      `)
+      .select(params.select)
 
     // Apply filters
     if (status) query = query.eq('status', status)
     if (therapist_id) query = query.eq('therapist_id', therapist_id)
     if (customer_id) query = query.eq('customer_id', customer_id)
+    if (location_id) query = query.eq('location_id', location_id)
     if (start_date) query = query.gte('booking_date', start_date)
     if (end_date) query = query.lte('booking_date', end_date)
 
-    // Execute query with ordering
-    const { data: bookings, error } = await query
-      .order('booking_date', { ascending: false })
-      .order('start_time', { ascending: false })
+    // Execute query with ordering, cursor and page size
+    const { data: bookings, error } = await applyPage(query, params)
 
     if (error) {
       console.error('Fetch all bookings error:', error)
       return errorResponse(res, 500, 'Failed to fetch bookings')
     }
 
-    // Calculate stats in a single pass
-    const stats = bookings.reduce((acc, b) => {
-      acc.total++
-      acc.by_status[b.status] = (acc.by_status[b.status] || 0) + 1
-      if (['confirmed', 'completed'].includes(b.status)) {
-        acc.total_revenue += parseFloat(b.service_price) || 0
-      }
-      return acc
-    }, {
-      total: 0,
-      by_status: { pending: 0, confirmed: 0, completed: 0, cancelled: 0 },
-      total_revenue: 0
-    })
+    const { items, pagination } = buildPage(bookings, params)
 
     res.json({
       success: true,
-      data: { bookings, stats }
+      data: items,
+      pagination
     })
 
   } catch (error) {
@@ -544,11 +1143,140 @@ export const getAllBookings = async (req, res) => {
   }
 }
 
+/**
+ * Get booking totals (Admin only)
+ *
+ * Same filters as getAllBookings. Counts and revenue are aggregated in the
+ * database (booking_stats) instead of over the full list. total_revenue is
+ * what customers paid after discounts; gross_revenue is at list price.
+ */
+export const getBookingStats = async (req, res) => {
+  try {
+    const { status, therapist_id, customer_id, location_id, start_date, end_date } = req.query
+
+    const filterError = validateBookingFilters(req.query)
+    if (filterError) {
+      return errorResponse(res, 400, filterError)
+    }
+
+    const { data: stats, error } = await supabase.rpc('booking_stats', {
+      p_status: status || null,
+      p_therapist_id: therapist_id || null,
+      p_customer_id: customer_id || null,
+      p_start_date: start_date || null,
+      p_end_date: end_date || null,
+      p_location_id: location_id || null
+    })
+
+    if (error) {
+      console.error('Fetch booking stats error:', error)
+      return errorResponse(res, 500, 'Failed to fetch booking stats')
+    }
+
+    res.json({
+      success: true,
+      data: {
+        total: stats.total,
+        by_status: {
+          ...Object.fromEntries(BOOKING_STATUSES.map(s => [s, 0])),
+          ...stats.by_status
+        },
+        total_revenue: parseFloat(Number(stats.total_revenue).toFixed(2)),
+        gross_revenue: parseFloat(Number(stats.gross_revenue).toFixed(2))
+      }
+    })
+
+  } catch (error) {
+    console.error('Get booking stats error:', error)
+    return errorResponse(res, 500, 'Failed to fetch booking stats')
+  }
+}
+
+/**
+ * Export bookings as CSV or XLSX (Admin only)
+ *
+ * Query params: format (csv | xlsx, default csv) plus the same filters as
+ * getAllBookings. Rows are read in keyset batches and streamed to the
+ * response, so large date ranges never load fully into memory.
+ */
+export const exportBookings = async (req, res) => {
+  try {
+    const { status, therapist_id, customer_id, location_id, start_date, end_date } = req.query
+    const format = req.query.format || 'csv'
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return errorResponse(res, 400, `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`)
+    }
+
+    const filterError = validateBookingFilters(req.query)
+    if (filterError) {
+      return errorResponse(res, 400, filterError)
+    }
+
+    const buildQuery = () => {
+      let query = supabase
+        .from('bookings')
+        .select(`
+          *,
+          customer:profiles!bookings_customer_id_fkey(full_name, email),
+          therapist:therapists!bookings_therapist_id_fkey(
+            user:profiles!therapists_user_id_fkey(full_name)
+          ),
+          location:locations!bookings_location_id_fkey(name)
+        `)
+
+      if (status) query = query.eq('status', status)
+      if (therapist_id) query = query.eq('therapist_id', therapist_id)
+      if (customer_id) query = query.eq('customer_id', customer_id)
+      if (location_id) query = query.eq('location_id', location_id)
+      if (start_date) query = query.gte('booking_date', start_date)
+      if (end_date) query = query.lte('booking_date', end_date)
+
+      return query
+    }
+
+    const rows = iterateRows(buildQuery, { columns: ['booking_date', 'start_time'] })
+
+    // Read the first batch before sending headers so query errors still get a JSON 500
+    const first = await rows.next()
+
+    const writer = createExportWriter(res, {
+      format,
+      filename: 'bookings',
+      sheetName: 'Bookings',
+      columns: BOOKING_EXPORT_COLUMNS
+    })
+
+    try {
+      for (let next = first; !next.done; next = await rows.next()) {
+        const b = next.value
+        await writer.writeRow({
+          ...b,
+          customer_name: b.customer?.full_name,
+          customer_email: b.customer?.email,
+          therapist_name: b.therapist?.user?.full_name,
+          location_name: b.location?.name
+        })
+      }
+      await writer.end()
+    } catch (streamError) {
+      // Headers are already sent — all we can do is abort the download
+      console.error('Export bookings stream error:', streamError)
+      res.destroy(streamError)
+    }
+
+  } catch (error) {
+    console.error('Export bookings error:', error)
+    return errorResponse(res, 500, 'Failed to export bookings')
+  }
+}
+
 /**
  * Admin cancel any booking (override)
  * 
  * Same logic as cancelReservation but without ownership check
  * Admin can cancel any booking regardless of customer
+ * Spa-initiated cancellations always refund the full amount paid
  */
 export const adminCancelBooking = async (req, res) => {
   try {
@@ -575,15 +1303,8 @@ export const adminCancelBooking = async (req, res) => {
       return errorResponse(res, 400, `Cannot cancel booking with status: ${booking.status}`)
     }
 
-    // 3. Update booking status to cancelled
-    const { data: cancelledBooking, error: updateError } = await supabase
-      .from('bookings')
-      .update({
-        status: 'cancelled',
-        reservation_expires_at: null
-      })
-      .eq('id', id)
-      .select(`
+    // 3-4. Cancel booking and free the time slot (single transaction)
+    const { data: cancelledBooking, error: cancelError, conflict } = await cancelBooking(booking, `
         *,
         customer:profiles!bookings_customer_id_fkey(
           id,
@@ -599,35 +1320,21 @@ export const adminCancelBooking = async (req, res) => {
           )
         )
       `)
-      .single()
 
-    if (updateError) {
-      console.error('Admin cancel update error:', updateError)
-      return errorResponse(res, 500, 'Failed to cancel booking')
+    if (cancelError) {
+      return errorResponse(res, conflict ? 409 : 500, cancelError)
     }
 
-    // 4. Free the time slot back to available
-    const { error: slotError } = await supabase
-      .from('time_slots')
-      .update({ is_available: true })
-      .eq('id', booking.time_slot_id)
-
-    if (slotError) {
-      // Rollback: restore booking to its previous state
-      const { error: rollbackError } = await supabase
-        .from('bookings')
-        .update({
-          status: booking.status,
-          reservation_expires_at: booking.reservation_expires_at
-        })
-        .eq('id', id)
-
-      if (rollbackError) {
-        console.error('Rollback failed for booking:', id, rollbackError)
-      }
+    // 5. Full refund for admin cancellations
+    const { data: refundedBooking } = await refundCancelledBooking(booking, await quoteRefund(booking, { fullRefund: true }))
 
-      return errorResponse(res, 500, 'Failed to release time slot')
-    }
+    await recordBookingEvent({
+      type: 'cancelled',
+      actor: actorFromRequest(req),
+      before: booking,
+      after: { ...cancelledBooking, ...refundedBooking },
+      reason: req.body?.reason || 'Cancelled by admin'
+    })
 
     // Send cancellation emails (non-blocking)
     getBookingWithDetails(id)
@@ -642,7 +1349,7 @@ export const adminCancelBooking = async (req, res) => {
 
     res.json({
       success: true,
-      data: cancelledBooking,
+      data: { ...cancelledBooking, ...refundedBooking },
       message: `Booking cancelled by admin. Customer ${cancelledBooking.customer?.full_name} has been notified.`
     })
 
@@ -660,7 +1367,7 @@ export const adminCancelBooking = async (req, res) => {
  * 2. Verify booking is in a reschedulable state (pending or confirmed)
  * 3. Verify new time slot exists, is available, and matches service requirements
  * 4. Atomic swap: update booking, free old slot, reserve new slot
- * 5. Rollback on failure
+ * 5. Return 409 if another request got there first, otherwise email customer and therapist
  */
 export const adminRescheduleBooking = async (req, res) => {
   try {
@@ -697,36 +1404,14 @@ export const adminRescheduleBooking = async (req, res) => {
     }
 
     // 3. Fetch and verify new time slot
-    const { data: newSlot, error: slotError } = await supabase
-      .from('time_slots')
-      .select('*')
-      .eq('id', new_time_slot_id)
-      .eq('therapist_id', booking.therapist_id) // Must be same therapist
-      .eq('is_available', true)
-      .single()
-
-    if (slotError || !newSlot) {
-      return errorResponse(res, 400, 'New time slot not available or does not exist')
-    }
+    const { data: newSlot, error: slotError } = await findRescheduleSlot(booking, new_time_slot_id)
 
-    // Verify slot can accommodate service duration using utility function
-    const slotDuration = getTimeDuration(newSlot.start_time, newSlot.end_time)
-    
-    if (slotDuration < booking.service_duration) {
-      return errorResponse(res, 400, 'New time slot is too short for this service')
+    if (slotError) {
+      return errorResponse(res, 400, slotError)
     }
 
-    // 4. Atomic swap: Update booking first
-    const { data: rescheduledBooking, error: updateError } = await supabase
-      .from('bookings')
-      .update({
-        time_slot_id: new_time_slot_id,
-        booking_date: newSlot.slot_date,
-        start_time: newSlot.start_time,
-        end_time: newSlot.end_time
-      })
-      .eq('id', id)
-      .select(`
+    // 4. Atomic swap: update booking, free old slot, reserve new slot
+    const { data: rescheduledBooking, error: rescheduleError, conflict } = await rescheduleBooking(booking, newSlot, `
         *,
         customer:profiles!bookings_customer_id_fkey(
           id,
@@ -742,101 +1427,204 @@ export const adminRescheduleBooking = async (req, res) => {
           )
         )
       `)
-      .single()
 
-    if (updateError) {
-      console.error('Reschedule update error:', updateError)
-      return errorResponse(res, 500, 'Failed to reschedule booking')
+    if (rescheduleError) {
+      return errorResponse(res, conflict ? 409 : 500, rescheduleError)
     }
 
-    // 5. Free old time slot
-    const { error: freeOldSlotError } = await supabase
-      .from('time_slots')
-      .update({ is_available: true })
-      .eq('id', booking.time_slot_id)
+    await recordBookingEvent({
+      type: 'rescheduled',
+      actor: actorFromRequest(req),
+      before: booking,
+      after: rescheduledBooking,
+      reason: req.body?.reason || 'Rescheduled by admin'
+    })
 
-    if (freeOldSlotError) {
-      // Rollback: restore booking to old slot
-      const { error: rollbackError } = await supabase
-        .from('bookings')
-        .update({
-          time_slot_id: booking.time_slot_id,
-          booking_date: booking.booking_date,
-          start_time: booking.start_time,
-          end_time: booking.end_time
-        })
-        .eq('id', id)
+    // 5. Send rescheduled emails (non-blocking)
+    getBookingWithDetails(id)
+      .then(bookingDetails => {
+        if (bookingDetails) {
+          sendBookingRescheduled(bookingDetails, booking)
+        }
+      })
+      .catch(err => {
+        console.error('[ADMIN-RESCHEDULE] Email send error (non-critical):', err)
+      })
 
-      if (rollbackError) {
-        console.error('Rollback failed for booking:', id, rollbackError)
-      }
+    res.json({
+      success: true,
+      data: rescheduledBooking,
+      message: `Booking rescheduled successfully. Customer ${rescheduledBooking.customer?.full_name} has been notified.`
+    })
 
-      return errorResponse(res, 500, 'Failed to free old time slot')
-    }
+  } catch (error) {
+    console.error('Admin reschedule booking error:', error)
+    return errorResponse(res, 500, 'Failed to reschedule booking')
+  }
+}
 
-    // 6. Reserve new time slot
-    const { error: reserveNewSlotError } = await supabase
-      .from('time_slots')
-      .update({ is_available: false })
-      .eq('id', new_time_slot_id)
+/**
+ * Record an appointment outcome (shared by completeBooking / markNoShow)
+ *
+ * Business Logic:
+ * 1. Fetch the booking (therapists can only update their own bookings)
+ * 2. Appointment must have started - outcomes can't be recorded in advance
+ * 3. Enforce the status state machine and apply the change conditionally
+ */
+async function recordOutcome(req, res, status) {
+  const { id } = req.params
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : ''
+
+  if (!isValidUUID(id)) {
+    return errorResponse(res, 400, 'Invalid UUID format for booking ID')
+  }
+
+  if (status === 'no_show' && !reason) {
+    return errorResponse(res, 400, 'Missing required field: reason')
+  }
+
+  if (reason.length > 500) {
+    return errorResponse(res, 400, 'Reason must be 500 characters or fewer')
+  }
+
+  // 1. Fetch the booking
+  let query = supabase
+    .from('bookings')
+    .select(BOOKING_POLICY_SELECT)
+    .eq('id', id)
+
+  if (req.therapist) query = query.eq('therapist_id', req.therapist.id)
+
+  const { data: booking, error: fetchError } = await query.single()
+
+  if (fetchError || !booking) {
+    return errorResponse(res, 404, 'Booking not found')
+  }
+
+  // 2. Only appointments that have started
+  if (hoursUntilAppointment(booking) > 0) {
+    return errorResponse(res, 400, 'Cannot record the outcome of an appointment that has not started yet')
+  }
+
+  // 3. State machine + conditional update
+  const { data: updatedBooking, error, conflict } = await setBookingOutcome(booking, status, {
+    reason: reason || null,
+    changedBy: req.profile.id
+  })
+
+  if (error) {
+    return errorResponse(res, conflict ? 409 : 400, error)
+  }
+
+  await recordBookingEvent({
+    type: status,
+    actor: actorFromRequest(req),
+    before: booking,
+    after: updatedBooking,
+    reason: reason || null
+  })
+
+  return res.json({
+    success: true,
+    data: updatedBooking,
+    message: status === 'no_show' ? 'Booking marked as no-show' : 'Booking marked as completed'
+  })
+}
+
+/**
+ * Mark a booking as completed (Therapist for own bookings, Admin for any)
+ *
+ * Body: reason (optional)
+ */
+export const completeBooking = async (req, res) => {
+  try {
+    return await recordOutcome(req, res, 'completed')
+  } catch (error) {
+    console.error('Complete booking error:', error)
+    return errorResponse(res, 500, 'Failed to update booking status')
+  }
+}
+
+/**
+ * Mark a booking as a no-show (Therapist for own bookings, Admin for any)
+ *
+ * Body: reason (required)
+ */
+export const markNoShow = async (req, res) => {
+  try {
+    return await recordOutcome(req, res, 'no_show')
+  } catch (error) {
+    console.error('Mark no-show error:', error)
+    return errorResponse(res, 500, 'Failed to update booking status')
+  }
+}
+
+/**
+ * Get a booking's audit timeline (Admin only)
+ *
+ * Returns the booking (null if it was deleted, e.g. an expired
+ * reservation) and its booking_events oldest first, with actor names.
+ */
+export const getBookingHistory = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for booking ID')
+    }
 
-    if (reserveNewSlotError) {
-      // Rollback: restore booking + re-reserve old slot
-      await supabase
+    const [bookingResult, eventsResult] = await Promise.all([
+      supabase
         .from('bookings')
-        .update({
-          time_slot_id: booking.time_slot_id,
-          booking_date: booking.booking_date,
-          start_time: booking.start_time,
-          end_time: booking.end_time
-        })
+        .select('*')
         .eq('id', id)
+        .maybeSingle(),
+      supabase
+        .from('booking_events')
+        .select('*')
+        .eq('booking_id', id)
+        .order('created_at', { ascending: true })
+    ])
 
-      await supabase
-        .from('time_slots')
-        .update({ is_available: false })
-        .eq('id', booking.time_slot_id)
+    const { data: booking, error: bookingError } = bookingResult
+    const { data: events, error: eventsError } = eventsResult
 
-      return errorResponse(res, 500, 'Failed to reserve new time slot')
+    if (bookingError || eventsError) {
+      console.error('Fetch booking history error:', bookingError || eventsError)
+      return errorResponse(res, 500, 'Failed to fetch booking history')
+    }
+
+    if (!booking && events.length === 0) {
+      return errorResponse(res, 404, 'Booking not found')
+    }
+
+    // actor_id is kept as plain data (no foreign key), so look actors up
+    // separately; removed profiles come back as null
+    const actorIds = [...new Set(events.map(e => e.actor_id).filter(Boolean))]
+    let actors = new Map()
+    if (actorIds.length > 0) {
+      const { data: profiles, error: actorsError } = await supabase
+        .from('profiles')
+        .select('id, full_name, email')
+        .in('id', actorIds)
+
+      if (actorsError) {
+        console.error('Fetch booking history actors error:', actorsError)
+        return errorResponse(res, 500, 'Failed to fetch booking history')
+      }
+      actors = new Map(profiles.map(p => [p.id, p]))
     }
 
     res.json({
       success: true,
-      data: rescheduledBooking,
-      message: `Booking rescheduled successfully. Customer ${rescheduledBooking.customer?.full_name} has been notified.`
+      data: {
+        booking,
+        events: events.map(e => ({ ...e, actor: actors.get(e.actor_id) || null }))
+      }
     })
 
   } catch (error) {
-    console.error('Admin reschedule booking error:', error)
-    return errorResponse(res, 500, 'Failed to reschedule booking')
+    console.error('Get booking history error:', error)
+    return errorResponse(res, 500, 'Failed to fetch booking history')
   }
 }
-
-/**
- * Fetch full booking details with customer and therapist info for notifications
- */
-async function getBookingWithDetails(bookingId) {
-  const { data, error } = await supabase
-    .from('bookings')
-    .select(`
-      *,
-      customer:profiles!bookings_customer_id_fkey(email, full_name),
-      therapist:therapists!bookings_therapist_id_fkey(
-        user_id,
-        profile:profiles!therapists_user_id_fkey(email, full_name)
-      )
-    `)
-    .eq('id', bookingId)
-    .single();
-
-  if (error || !data) return null;
-
-  // Flatten for easier template access
-  return {
-    ...data,
-    customer_email: data.customer?.email,
-    customer_name: data.customer?.full_name,
-    therapist_email: data.therapist?.profile?.email,
-    therapist_name: data.therapist?.profile?.full_name,
-  };
-}
\ No newline at end of file
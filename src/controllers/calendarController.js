@@ -0,0 +1,193 @@
+import crypto from 'crypto'
+import supabase from '../config/supabase.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+import { addDaysToDate, formatDate } from '../utils/dateTime.js'
+import { bookingEvent, buildCalendar } from '../utils/ical.js'
+import { BOOKING_LOCATION_SELECT, flattenBookingLocation } from '../services/locationService.js'
+
+// Feeds include recent history so just-finished appointments don't vanish
+const FEED_PAST_DAYS = 30
+
+/**
+ * Build the public feed URL for a token
+ */
+function feedUrl(req, token) {
+  const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`
+  return `${baseUrl}/api/calendar/feed/${token}.ics`
+}
+
+/**
+ * Issue a new feed token for a profile, revoking any active one
+ */
+async function issueFeedToken(profileId) {
+  const { error: revokeError } = await supabase
+    .from('calendar_feed_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('profile_id', profileId)
+    .is('revoked_at', null)
+
+  if (revokeError) {
+    return { data: null, error: revokeError }
+  }
+
+  return supabase
+    .from('calendar_feed_tokens')
+    .insert({
+      profile_id: profileId,
+      token: crypto.randomBytes(24).toString('base64url')
+    })
+    .select('token, created_at')
+    .single()
+}
+
+/**
+ * Get (or create) the logged-in user's calendar feed URL
+ * Available to customers and therapists
+ */
+export const getFeedUrl = async (req, res) => {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('calendar_feed_tokens')
+      .select('token, created_at')
+      .eq('profile_id', req.profile.id)
+      .is('revoked_at', null)
+      .maybeSingle()
+
+    if (fetchError) {
+      console.error('Fetch feed token error:', fetchError)
+      return errorResponse(res, 500, 'Failed to get calendar feed')
+    }
+
+    let feedToken = existing
+    if (!feedToken) {
+      const { data, error } = await issueFeedToken(req.profile.id)
+      if (error) {
+        console.error('Create feed token error:', error)
+        return errorResponse(res, 500, 'Failed to create calendar feed')
+      }
+      feedToken = data
+    }
+
+    return successResponse(res, {
+      url: feedUrl(req, feedToken.token),
+      created_at: feedToken.created_at
+    })
+
+  } catch (error) {
+    console.error('Get feed URL error:', error)
+    return errorResponse(res, 500, 'Failed to get calendar feed')
+  }
+}
+
+/**
+ * Replace the feed URL (e.g. after it was shared by mistake)
+ * The old URL stops working immediately
+ */
+export const rotateFeedUrl = async (req, res) => {
+  try {
+    const { data: feedToken, error } = await issueFeedToken(req.profile.id)
+
+    if (error) {
+      console.error('Rotate feed token error:', error)
+      return errorResponse(res, 500, 'Failed to rotate calendar feed')
+    }
+
+    return successResponse(res, {
+      url: feedUrl(req, feedToken.token),
+      created_at: feedToken.created_at
+    }, 'Calendar feed URL rotated. Update your calendar subscription.')
+
+  } catch (error) {
+    console.error('Rotate feed URL error:', error)
+    return errorResponse(res, 500, 'Failed to rotate calendar feed')
+  }
+}
+
+/**
+ * Public iCal feed (token in the URL is the credential)
+ *
+ * GET /api/calendar/feed/:token.ics
+ *
+ * Therapists get their appointments; customers get their own bookings.
+ * Only confirmed bookings from the last 30 days onwards are included.
+ */
+export const getFeed = async (req, res) => {
+  try {
+    const { token } = req.params
+
+    const { data: feedToken } = await supabase
+      .from('calendar_feed_tokens')
+      .select(`
+        profile_id,
+        profile:profiles!calendar_feed_tokens_profile_id_fkey(id, role, full_name)
+      `)
+      .eq('token', token)
+      .is('revoked_at', null)
+      .maybeSingle()
+
+    if (!feedToken?.profile) {
+      return errorResponse(res, 404, 'Calendar feed not found')
+    }
+
+    const { profile } = feedToken
+    const fromDate = addDaysToDate(formatDate(new Date()), -FEED_PAST_DAYS)
+
+    let query = supabase
+      .from('bookings')
+      .select(`
+        *,
+        customer:profiles!bookings_customer_id_fkey(full_name),
+        therapist:therapists!bookings_therapist_id_fkey(
+          id,
+          user:profiles!therapists_user_id_fkey(full_name)
+        ),
+        ${BOOKING_LOCATION_SELECT}
+      `)
+      .eq('status', 'confirmed')
+      .gte('booking_date', fromDate)
+
+    if (profile.role === 'therapist') {
+      const { data: therapist } = await supabase
+        .from('therapists')
+        .select('id')
+        .eq('user_id', profile.id)
+        .maybeSingle()
+
+      if (!therapist) {
+        return errorResponse(res, 404, 'Calendar feed not found')
+      }
+      query = query.eq('therapist_id', therapist.id)
+    } else if (profile.role === 'customer') {
+      query = query.eq('customer_id', profile.id)
+    } else {
+      return errorResponse(res, 404, 'Calendar feed not found')
+    }
+
+    const { data: bookings, error } = await query
+      .order('booking_date')
+      .order('start_time')
+
+    if (error) {
+      console.error('Fetch feed bookings error:', error)
+      return errorResponse(res, 500, 'Failed to build calendar feed')
+    }
+
+    const audience = profile.role === 'therapist' ? 'therapist' : 'customer'
+    const events = bookings.map(b => bookingEvent({
+      ...b,
+      customer_name: b.customer?.full_name,
+      therapist_name: b.therapist?.user?.full_name,
+      ...flattenBookingLocation(b)
+    }, { audience }))
+
+    const calendarName = `${process.env.SPA_NAME || 'Serenity Spa'} - ${profile.full_name || 'Appointments'}`
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8')
+    res.set('Cache-Control', 'private, max-age=300')
+    res.send(buildCalendar(events, { method: 'PUBLISH', name: calendarName }))
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error)
+    return errorResponse(res, 500, 'Failed to build calendar feed')
+  }
+}
@@ -0,0 +1,697 @@
+import supabase from '../config/supabase.js'
+import { isValidUUID } from '../utils/validation.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+import { parseListParams, applyPage, buildPage } from '../utils/pagination.js'
+import { getPaymentProvider, toMinorUnits } from '../services/payments/index.js'
+import { actorFromRequest } from '../services/bookingEvents.js'
+import {
+  CREDIT_ACCOUNT_FIELDS,
+  SESSION_CREDIT_KINDS,
+  activateCreditAccount,
+  adjustCreditBalance,
+  describeCreditAccount,
+  generateGiftCardCode,
+  getCreditLedger,
+  normalizeGiftCardCode
+} from '../services/creditService.js'
+
+const CREDIT_KINDS = ['package', 'gift_card', 'membership']
+// Membership sessions are granted by the renewal job, not issued by hand
+const ISSUABLE_KINDS = ['package', 'gift_card']
+const CREDIT_STATUSES = ['pending', 'active', 'void']
+const GIFT_CARD_MIN_AMOUNT = 10
+const GIFT_CARD_MAX_AMOUNT = 1000
+const MAX_REASON_LENGTH = 500
+
+// Sort keys and projectable columns for the admin account list
+const CREDIT_SORT_KEYS = {
+  created_at: ['created_at'],
+  balance: ['balance']
+}
+
+const CREDIT_LIST_FIELDS = {
+  '*': CREDIT_ACCOUNT_FIELDS,
+  ...Object.fromEntries(CREDIT_ACCOUNT_FIELDS.split(', ').map(column => [column, column])),
+  customer: `customer:profiles!credit_accounts_customer_id_fkey(
+    id,
+    full_name,
+    email
+  )`
+}
+
+/**
+ * Validate a money amount (gift card value)
+ * Returns an error message, or null if valid
+ */
+function validateGiftCardAmount(amount) {
+  const value = Number(amount)
+  if (amount === null || amount === '' || !Number.isFinite(value) || value < GIFT_CARD_MIN_AMOUNT || value > GIFT_CARD_MAX_AMOUNT) {
+    return `amount must be a number between ${GIFT_CARD_MIN_AMOUNT} and ${GIFT_CARD_MAX_AMOUNT}`
+  }
+  if (Math.abs(Math.round(value * 100) - value * 100) > 1e-6) {
+    return 'amount must have at most 2 decimal places'
+  }
+  return null
+}
+
+/**
+ * Create a pending purchase and start checkout for it
+ *
+ * Free purchases are activated straight away. Otherwise the account stays
+ * pending until the payment succeeds (confirmCreditPurchase or the
+ * payment webhook activates it).
+ */
+async function startCreditPurchase(req, res, row) {
+  const { data: account, error: insertError } = await supabase
+    .from('credit_accounts')
+    .insert({ ...row, purchased_by: req.profile.id, status: 'pending' })
+    .select(CREDIT_ACCOUNT_FIELDS)
+    .single()
+
+  if (insertError) {
+    console.error('Credit purchase creation error:', insertError)
+    return errorResponse(res, 500, 'Failed to start purchase')
+  }
+
+  const amount = toMinorUnits(account.purchase_price)
+
+  if (amount <= 0) {
+    const { data: activated, error } = await activateCreditAccount(account.id, 'purchase', actorFromRequest(req), 'Free package')
+    if (error) {
+      return errorResponse(res, 500, error)
+    }
+    return successResponse(res, { account: describeCreditAccount(activated) }, 'Package added to your account', 201)
+  }
+
+  const currency = process.env.PAYMENT_CURRENCY || 'usd'
+  const provider = getPaymentProvider()
+  const intent = await provider.createPaymentIntent({
+    amount,
+    currency,
+    creditAccountId: account.id,
+    customerEmail: req.user.email
+  })
+
+  const { error: updateError } = await supabase
+    .from('credit_accounts')
+    .update({ payment_provider: provider.name, payment_intent_id: intent.id })
+    .eq('id', account.id)
+
+  if (updateError) {
+    console.error('Credit checkout update error:', updateError)
+    await provider.cancelPaymentIntent(intent.id).catch(err => {
+      console.error('Failed to cancel orphaned payment intent:', intent.id, err.message)
+    })
+    return errorResponse(res, 500, 'Failed to start purchase')
+  }
+
+  return successResponse(res, {
+    account: describeCreditAccount(account),
+    provider: provider.name,
+    payment_intent_id: intent.id,
+    client_secret: intent.clientSecret,
+    amount,
+    currency
+  }, 'Checkout started. Confirm the purchase once payment completes.', 201)
+}
+
+/**
+ * Buy a session package (Customer only)
+ *
+ * POST /api/credits/packages/:id/purchase
+ *
+ * The purchase snapshots the package's sessions, eligible services and
+ * validity; expiry is counted from when the payment is confirmed.
+ */
+export const purchasePackage = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for package ID')
+    }
+
+    const { data: pkg, error } = await supabase
+      .from('credit_packages')
+      .select('id, name, session_count, price, service_ids, validity_days')
+      .eq('id', id)
+      .eq('is_active', true)
+      .single()
+
+    if (error || !pkg) {
+      return errorResponse(res, 404, 'Package not found')
+    }
+
+    return await startCreditPurchase(req, res, {
+      kind: 'package',
+      customer_id: req.profile.id,
+      package_id: pkg.id,
+      name: pkg.name,
+      service_ids: pkg.service_ids,
+      initial_balance: pkg.session_count,
+      validity_days: pkg.validity_days,
+      purchase_price: pkg.price
+    })
+
+  } catch (error) {
+    console.error('Purchase package error:', error)
+    return errorResponse(res, 500, 'Failed to start purchase')
+  }
+}
+
+/**
+ * Buy a gift card (Customer only)
+ *
+ * POST /api/credits/gift-cards/purchase
+ * Body: amount
+ *
+ * The card has no owner until someone claims its code (the buyer can
+ * claim it too). The code is shown to the buyer once payment completes.
+ */
+export const purchaseGiftCard = async (req, res) => {
+  try {
+    const { amount } = req.body
+
+    const amountError = validateGiftCardAmount(amount)
+    if (amountError) {
+      return errorResponse(res, 400, amountError)
+    }
+
+    return await startCreditPurchase(req, res, {
+      kind: 'gift_card',
+      customer_id: null,
+      name: 'Gift card',
+      code: generateGiftCardCode(),
+      initial_balance: Number(amount),
+      purchase_price: Number(amount)
+    })
+
+  } catch (error) {
+    console.error('Purchase gift card error:', error)
+    return errorResponse(res, 500, 'Failed to start purchase')
+  }
+}
+
+/**
+ * Confirm a package / gift card purchase after payment (Customer only)
+ *
+ * POST /api/credits/:id/confirm
+ *
+ * Asks the payment provider whether the intent succeeded and activates
+ * the credit. The payment webhook does the same, so either may get there
+ * first.
+ */
+export const confirmCreditPurchase = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for credit account ID')
+    }
+
+    const { data: account, error: fetchError } = await supabase
+      .from('credit_accounts')
+      .select(`${CREDIT_ACCOUNT_FIELDS}, payment_provider, payment_intent_id`)
+      .eq('id', id)
+      .eq('purchased_by', req.profile.id)
+      .single()
+
+    if (fetchError || !account) {
+      return errorResponse(res, 404, 'Purchase not found')
+    }
+
+    if (account.status === 'active') {
+      return successResponse(res, describeCreditAccount(account), 'Purchase already confirmed.')
+    }
+
+    if (account.status !== 'pending' || !account.payment_intent_id) {
+      return errorResponse(res, 400, `Cannot confirm a purchase with status: ${account.status}`)
+    }
+
+    const intent = await getPaymentProvider(account.payment_provider)
+      .retrievePaymentIntent(account.payment_intent_id)
+
+    if (intent.status !== 'succeeded') {
+      return errorResponse(res, 402, 'Payment has not been completed yet')
+    }
+
+    const { data: activated, error, conflict } = await activateCreditAccount(
+      account.id, 'purchase', actorFromRequest(req), 'Payment verified with provider'
+    )
+
+    if (conflict) {
+      // The webhook activated it between our read and write
+      const { data: current } = await supabase
+        .from('credit_accounts')
+        .select(CREDIT_ACCOUNT_FIELDS)
+        .eq('id', id)
+        .single()
+      return successResponse(res, describeCreditAccount(current || account), 'Purchase already confirmed.')
+    }
+
+    if (error) {
+      return errorResponse(res, 500, error)
+    }
+
+    return successResponse(res, describeCreditAccount(activated), 'Purchase confirmed successfully!')
+
+  } catch (error) {
+    console.error('Confirm credit purchase error:', error)
+    return errorResponse(res, 500, 'Failed to confirm purchase')
+  }
+}
+
+/**
+ * Claim a gift card into your account (Customer only)
+ *
+ * POST /api/credits/gift-cards/claim
+ * Body: code
+ */
+export const claimGiftCard = async (req, res) => {
+  try {
+    const code = normalizeGiftCardCode(req.body.code)
+
+    if (!code) {
+      return errorResponse(res, 400, 'Missing required field: code')
+    }
+
+    const { data: card, error: fetchError } = await supabase
+      .from('credit_accounts')
+      .select('id, customer_id')
+      .eq('kind', 'gift_card')
+      .eq('code', code)
+      .eq('status', 'active')
+      .maybeSingle()
+
+    if (fetchError) {
+      console.error('Fetch gift card error:', fetchError)
+      return errorResponse(res, 500, 'Failed to claim gift card')
+    }
+
+    if (card?.customer_id === req.profile.id) {
+      return errorResponse(res, 400, 'This gift card is already in your account')
+    }
+
+    // Claimed by someone else looks the same as an unknown code
+    if (!card || card.customer_id) {
+      return errorResponse(res, 404, 'Gift card not found')
+    }
+
+    // Only while still unclaimed, so two people can't both claim it
+    const { data: claimed, error } = await supabase
+      .from('credit_accounts')
+      .update({ customer_id: req.profile.id })
+      .eq('id', card.id)
+      .is('customer_id', null)
+      .select(CREDIT_ACCOUNT_FIELDS)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Claim gift card error:', error)
+      return errorResponse(res, 500, 'Failed to claim gift card')
+    }
+
+    if (!claimed) {
+      return errorResponse(res, 404, 'Gift card not found')
+    }
+
+    return successResponse(res, describeCreditAccount(claimed), 'Gift card added to your account')
+
+  } catch (error) {
+    console.error('Claim gift card error:', error)
+    return errorResponse(res, 500, 'Failed to claim gift card')
+  }
+}
+
+/**
+ * List the customer's credit: packages and gift cards they own, and
+ * purchases they made (Customer only)
+ *
+ * GET /api/credits
+ */
+export const getMyCredits = async (req, res) => {
+  try {
+    const customer_id = req.profile.id
+
+    const { data: accounts, error } = await supabase
+      .from('credit_accounts')
+      .select(CREDIT_ACCOUNT_FIELDS)
+      .or(`customer_id.eq.${customer_id},purchased_by.eq.${customer_id}`)
+      .in('status', ['pending', 'active'])
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      console.error('Fetch credits error:', error)
+      return errorResponse(res, 500, 'Failed to fetch credits')
+    }
+
+    // Unpaid gift cards don't reveal their code yet
+    return successResponse(res, accounts.map(account => describeCreditAccount(
+      account.status === 'pending' ? { ...account, code: null } : account
+    )))
+
+  } catch (error) {
+    console.error('Get credits error:', error)
+    return errorResponse(res, 500, 'Failed to fetch credits')
+  }
+}
+
+/**
+ * Get one of the customer's credit accounts with its ledger (Customer only)
+ *
+ * GET /api/credits/:id
+ * The ledger is only shown to the owner, not to the buyer of a gift card
+ * someone else claimed.
+ */
+export const getMyCreditAccount = async (req, res) => {
+  try {
+    const { id } = req.params
+    const customer_id = req.profile.id
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for credit account ID')
+    }
+
+    const { data: account, error } = await supabase
+      .from('credit_accounts')
+      .select(CREDIT_ACCOUNT_FIELDS)
+      .eq('id', id)
+      .or(`customer_id.eq.${customer_id},purchased_by.eq.${customer_id}`)
+      .single()
+
+    if (error || !account) {
+      return errorResponse(res, 404, 'Credit account not found')
+    }
+
+    const isOwner = account.customer_id === customer_id
+    const ledger = isOwner ? await getCreditLedger(account.id) : null
+
+    return successResponse(res, {
+      ...describeCreditAccount(account.status === 'pending' ? { ...account, code: null } : account),
+      ledger
+    })
+
+  } catch (error) {
+    console.error('Get credit account error:', error)
+    return errorResponse(res, 500, 'Failed to fetch credit account')
+  }
+}
+
+/**
+ * List credit accounts (Admin only, paginated)
+ *
+ * Query params (all optional):
+ * - customer_id, kind (package | gift_card | membership), status (pending | active | void)
+ * - limit, cursor, sort (created_at | balance), order (asc | desc)
+ * - fields: comma-separated account columns, plus "customer" for the join
+ */
+export const getAllCreditAccounts = async (req, res) => {
+  try {
+    const { customer_id, kind, status } = req.query
+
+    if (customer_id && !isValidUUID(customer_id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for customer_id')
+    }
+    if (kind && !CREDIT_KINDS.includes(kind)) {
+      return errorResponse(res, 400, `Invalid kind. Must be one of: ${CREDIT_KINDS.join(', ')}`)
+    }
+    if (status && !CREDIT_STATUSES.includes(status)) {
+      return errorResponse(res, 400, `Invalid status. Must be one of: ${CREDIT_STATUSES.join(', ')}`)
+    }
+
+    const params = parseListParams(req.query, {
+      sortKeys: CREDIT_SORT_KEYS,
+      defaultSort: 'created_at',
+      fields: CREDIT_LIST_FIELDS,
+      defaultFields: ['*', 'customer']
+    })
+
+    if (params.error) {
+      return errorResponse(res, 400, params.error)
+    }
+
+    let query = supabase
+      .from('credit_accounts')
+      .select(params.select)
+
+    if (customer_id) query = query.eq('customer_id', customer_id)
+    if (kind) query = query.eq('kind', kind)
+    if (status) query = query.eq('status', status)
+
+    const { data: accounts, error } = await applyPage(query, params)
+
+    if (error) {
+      console.error('Fetch credit accounts error:', error)
+      return errorResponse(res, 500, 'Failed to fetch credit accounts')
+    }
+
+    const { items, pagination } = buildPage(accounts, params)
+
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    })
+
+  } catch (error) {
+    console.error('Get credit accounts error:', error)
+    return errorResponse(res, 500, 'Failed to fetch credit accounts')
+  }
+}
+
+/**
+ * Get a credit account with its customer and full ledger (Admin only)
+ */
+export const getCreditAccountById = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for credit account ID')
+    }
+
+    const { data: account, error } = await supabase
+      .from('credit_accounts')
+      .select(`${CREDIT_ACCOUNT_FIELDS}, ${CREDIT_LIST_FIELDS.customer}`)
+      .eq('id', id)
+      .single()
+
+    if (error || !account) {
+      return errorResponse(res, 404, 'Credit account not found')
+    }
+
+    return successResponse(res, {
+      ...describeCreditAccount(account),
+      ledger: await getCreditLedger(account.id)
+    })
+
+  } catch (error) {
+    console.error('Get credit account error:', error)
+    return errorResponse(res, 500, 'Failed to fetch credit account')
+  }
+}
+
+/**
+ * Build the account row for an admin issue from the request body
+ * Returns { error } or { row }
+ */
+async function buildIssuedAccount({ kind, customer_id, package_id, session_count, amount, service_ids, validity_days, name }) {
+  if (!ISSUABLE_KINDS.includes(kind)) {
+    return { error: `kind must be one of: ${ISSUABLE_KINDS.join(', ')}` }
+  }
+
+  if (customer_id != null) {
+    if (!isValidUUID(customer_id)) {
+      return { error: 'Invalid UUID format for customer_id' }
+    }
+    const { data: customer } = await supabase
+      .from('profiles')
+      .select('id')
+      .eq('id', customer_id)
+      .eq('role', 'customer')
+      .maybeSingle()
+    if (!customer) {
+      return { error: 'Customer not found' }
+    }
+  } else if (kind === 'package') {
+    return { error: 'customer_id is required for packages' }
+  }
+
+  if (service_ids != null && (!Array.isArray(service_ids) || service_ids.some(id => !isValidUUID(id)))) {
+    return { error: 'service_ids must be an array of service UUIDs (or null for every service)' }
+  }
+
+  if (validity_days != null && (!Number.isInteger(validity_days) || validity_days < 1)) {
+    return { error: 'validity_days must be a positive whole number (or null for no expiry)' }
+  }
+
+  if (kind === 'gift_card') {
+    const amountError = validateGiftCardAmount(amount)
+    if (amountError) return { error: amountError }
+
+    return {
+      row: {
+        kind,
+        customer_id: customer_id ?? null,
+        name: 'Gift card',
+        code: generateGiftCardCode(),
+        initial_balance: Number(amount),
+        validity_days: validity_days ?? null
+      }
+    }
+  }
+
+  // Package: from the catalog, or a one-off number of sessions
+  if (package_id != null) {
+    if (!isValidUUID(package_id)) {
+      return { error: 'Invalid UUID format for package_id' }
+    }
+    const { data: pkg } = await supabase
+      .from('credit_packages')
+      .select('id, name, session_count, service_ids, validity_days')
+      .eq('id', package_id)
+      .maybeSingle()
+    if (!pkg) {
+      return { error: 'Package not found' }
+    }
+
+    return {
+      row: {
+        kind,
+        customer_id,
+        package_id: pkg.id,
+        name: pkg.name,
+        service_ids: service_ids !== undefined ? (service_ids?.length > 0 ? service_ids : null) : pkg.service_ids,
+        initial_balance: session_count ?? pkg.session_count,
+        validity_days: validity_days !== undefined ? validity_days : pkg.validity_days
+      }
+    }
+  }
+
+  if (!Number.isInteger(session_count) || session_count < 1) {
+    return { error: 'session_count must be a positive whole number (or give package_id)' }
+  }
+
+  return {
+    row: {
+      kind,
+      customer_id,
+      name: typeof name === 'string' && name.trim() ? name.trim() : 'Complimentary sessions',
+      service_ids: service_ids?.length > 0 ? service_ids : null,
+      initial_balance: session_count,
+      validity_days: validity_days ?? null
+    }
+  }
+}
+
+/**
+ * Issue a package or gift card without payment (Admin only)
+ *
+ * Body:
+ * - kind: package | gift_card
+ * - customer_id: owner (required for packages; omit for an unclaimed gift card)
+ * - package: package_id and/or session_count (name for one-off sessions)
+ * - gift card: amount
+ * - optional: service_ids, validity_days, reason (recorded in the ledger)
+ */
+export const issueCredit = async (req, res) => {
+  try {
+    const { reason } = req.body
+
+    if (reason != null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+      return errorResponse(res, 400, `reason must be a string of at most ${MAX_REASON_LENGTH} characters`)
+    }
+
+    if (req.body.session_count != null && (!Number.isInteger(req.body.session_count) || req.body.session_count < 1)) {
+      return errorResponse(res, 400, 'session_count must be a positive whole number')
+    }
+
+    const { error: inputError, row } = await buildIssuedAccount(req.body)
+    if (inputError) {
+      return errorResponse(res, 400, inputError)
+    }
+
+    const { data: account, error: insertError } = await supabase
+      .from('credit_accounts')
+      .insert({ ...row, purchased_by: null, purchase_price: 0, status: 'pending' })
+      .select('id')
+      .single()
+
+    if (insertError) {
+      console.error('Issue credit error:', insertError)
+      return errorResponse(res, 500, 'Failed to issue credit')
+    }
+
+    const { data: issued, error } = await activateCreditAccount(account.id, 'issue', actorFromRequest(req), reason?.trim() || null)
+
+    if (error) {
+      return errorResponse(res, 500, error)
+    }
+
+    return successResponse(res, describeCreditAccount(issued), 'Credit issued successfully', 201)
+
+  } catch (error) {
+    console.error('Issue credit error:', error)
+    return errorResponse(res, 500, 'Failed to issue credit')
+  }
+}
+
+/**
+ * Adjust an active account's balance (Admin only)
+ *
+ * Body:
+ * - change: amount to add (positive) or remove (negative); whole sessions
+ *   for packages. The balance can't go below zero.
+ * - reason (required): recorded in the ledger
+ */
+export const adjustCredit = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { change, reason } = req.body
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for credit account ID')
+    }
+
+    if (typeof reason !== 'string' || reason.trim().length === 0 || reason.length > MAX_REASON_LENGTH) {
+      return errorResponse(res, 400, `reason is required (at most ${MAX_REASON_LENGTH} characters)`)
+    }
+
+    const { data: account, error: fetchError } = await supabase
+      .from('credit_accounts')
+      .select('id, kind, status')
+      .eq('id', id)
+      .single()
+
+    if (fetchError || !account) {
+      return errorResponse(res, 404, 'Credit account not found')
+    }
+
+    const numericChange = Number(change)
+    const wholeSessions = SESSION_CREDIT_KINDS.includes(account.kind)
+    if (change === null || change === '' || !Number.isFinite(numericChange) || numericChange === 0) {
+      return errorResponse(res, 400, 'change must be a non-zero number')
+    }
+    if (wholeSessions && !Number.isInteger(numericChange)) {
+      return errorResponse(res, 400, 'change must be a whole number of sessions')
+    }
+    if (Math.abs(Math.round(numericChange * 100) - numericChange * 100) > 1e-6) {
+      return errorResponse(res, 400, 'change must have at most 2 decimal places')
+    }
+
+    const { data: entry, error, conflict } = await adjustCreditBalance(account.id, numericChange, 'adjust', {
+      actor: actorFromRequest(req),
+      reason: reason.trim()
+    })
+
+    if (error) {
+      return errorResponse(res, conflict ? 409 : 500, error)
+    }
+
+    return successResponse(res, entry, 'Balance adjusted successfully')
+
+  } catch (error) {
+    console.error('Adjust credit error:', error)
+    return errorResponse(res, 500, 'Failed to adjust balance')
+  }
+}
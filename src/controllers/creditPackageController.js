@@ -0,0 +1,283 @@
+import supabase from '../config/supabase.js'
+import { isValidUUID } from '../utils/validation.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+
+const PACKAGE_FIELDS = 'id, name, description, session_count, price, service_ids, validity_days, is_active'
+const MAX_NAME_LENGTH = 100
+const MAX_DESCRIPTION_LENGTH = 500
+const MAX_PRICE = 50000
+const MAX_SESSIONS = 100
+const MAX_VALIDITY_DAYS = 1825
+
+/**
+ * Validate package fields from a create/update payload
+ *
+ * Returns an error message, or null if valid.
+ * With partial = true, only the fields present are checked (used by update).
+ */
+function validatePackageInput({ name, description, session_count, price, service_ids, validity_days }, partial = false) {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return 'Package name is required'
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      return `Package name must be at most ${MAX_NAME_LENGTH} characters`
+    }
+  }
+
+  if (description != null) {
+    if (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      return `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`
+    }
+  }
+
+  if (!partial || session_count !== undefined) {
+    if (!Number.isInteger(session_count) || session_count < 1 || session_count > MAX_SESSIONS) {
+      return `session_count must be a whole number between 1 and ${MAX_SESSIONS}`
+    }
+  }
+
+  if (!partial || price !== undefined) {
+    const numericPrice = Number(price)
+    if (price === null || price === '' || !Number.isFinite(numericPrice) || numericPrice < 0 || numericPrice > MAX_PRICE) {
+      return `Price must be a number between 0 and ${MAX_PRICE}`
+    }
+    if (Math.abs(Math.round(numericPrice * 100) - numericPrice * 100) > 1e-6) {
+      return 'Price must have at most 2 decimal places'
+    }
+  }
+
+  if (service_ids != null) {
+    if (!Array.isArray(service_ids) || service_ids.some(id => !isValidUUID(id))) {
+      return 'service_ids must be an array of service UUIDs (or null for every service)'
+    }
+  }
+
+  if (validity_days != null) {
+    if (!Number.isInteger(validity_days) || validity_days < 1 || validity_days > MAX_VALIDITY_DAYS) {
+      return `validity_days must be a whole number between 1 and ${MAX_VALIDITY_DAYS} (or null for no expiry)`
+    }
+  }
+
+  return null
+}
+
+/**
+ * List active packages (any signed-in user)
+ */
+export const getPackages = async (req, res) => {
+  try {
+    const { data: packages, error } = await supabase
+      .from('credit_packages')
+      .select(PACKAGE_FIELDS)
+      .eq('is_active', true)
+      .order('price')
+
+    if (error) {
+      console.error('Fetch packages error:', error)
+      return errorResponse(res, 500, 'Failed to fetch packages')
+    }
+
+    return successResponse(res, packages)
+
+  } catch (error) {
+    console.error('Get packages error:', error)
+    return errorResponse(res, 500, 'Failed to fetch packages')
+  }
+}
+
+/**
+ * List all packages including archived ones (Admin only)
+ */
+export const getAllPackages = async (req, res) => {
+  try {
+    const { data: packages, error } = await supabase
+      .from('credit_packages')
+      .select(PACKAGE_FIELDS)
+      .order('is_active', { ascending: false })
+      .order('name')
+
+    if (error) {
+      console.error('Fetch all packages error:', error)
+      return errorResponse(res, 500, 'Failed to fetch packages')
+    }
+
+    return successResponse(res, packages)
+
+  } catch (error) {
+    console.error('Get all packages error:', error)
+    return errorResponse(res, 500, 'Failed to fetch packages')
+  }
+}
+
+/**
+ * Create a package (Admin only)
+ *
+ * Body: name, session_count, price, and optionally description,
+ * service_ids (omit for every service), validity_days (omit for no expiry)
+ * New packages are on sale immediately.
+ */
+export const createPackage = async (req, res) => {
+  try {
+    const { name, description, session_count, price, service_ids, validity_days } = req.body
+
+    const validationError = validatePackageInput(req.body)
+    if (validationError) {
+      return errorResponse(res, 400, validationError)
+    }
+
+    const { data: pkg, error } = await supabase
+      .from('credit_packages')
+      .insert({
+        name: name.trim(),
+        description: description?.trim() || null,
+        session_count,
+        price: Number(price),
+        service_ids: service_ids?.length > 0 ? [...new Set(service_ids)] : null,
+        validity_days: validity_days ?? null,
+        is_active: true
+      })
+      .select(PACKAGE_FIELDS)
+      .single()
+
+    if (error) {
+      console.error('Package creation error:', error)
+      if (error.code === '23505') {
+        return errorResponse(res, 409, 'A package with this name already exists')
+      }
+      return errorResponse(res, 500, 'Failed to create package')
+    }
+
+    return successResponse(res, pkg, 'Package created successfully', 201)
+
+  } catch (error) {
+    console.error('Create package error:', error)
+    return errorResponse(res, 500, 'Failed to create package')
+  }
+}
+
+/**
+ * Update a package (Admin only)
+ *
+ * Body (all optional): any field accepted by createPackage
+ * Packages already bought are unaffected — each purchase snapshots the
+ * session count, eligible services and validity.
+ */
+export const updatePackage = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { name, description, session_count, price, service_ids, validity_days } = req.body
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for package ID')
+    }
+
+    const validationError = validatePackageInput(req.body, true)
+    if (validationError) {
+      return errorResponse(res, 400, validationError)
+    }
+
+    const updates = {}
+    if (name !== undefined) updates.name = name.trim()
+    if (description !== undefined) updates.description = description?.trim() || null
+    if (session_count !== undefined) updates.session_count = session_count
+    if (price !== undefined) updates.price = Number(price)
+    if (service_ids !== undefined) updates.service_ids = service_ids?.length > 0 ? [...new Set(service_ids)] : null
+    if (validity_days !== undefined) updates.validity_days = validity_days
+
+    if (Object.keys(updates).length === 0) {
+      return errorResponse(res, 400, 'No fields to update. Provide name, description, session_count, price, service_ids or validity_days')
+    }
+
+    const { data: pkg, error } = await supabase
+      .from('credit_packages')
+      .update(updates)
+      .eq('id', id)
+      .select(PACKAGE_FIELDS)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Package update error:', error)
+      if (error.code === '23505') {
+        return errorResponse(res, 409, 'A package with this name already exists')
+      }
+      return errorResponse(res, 500, 'Failed to update package')
+    }
+
+    if (!pkg) {
+      return errorResponse(res, 404, 'Package not found')
+    }
+
+    return successResponse(res, pkg, 'Package updated successfully')
+
+  } catch (error) {
+    console.error('Update package error:', error)
+    return errorResponse(res, 500, 'Failed to update package')
+  }
+}
+
+/**
+ * Toggle a package's is_active flag
+ * Shared by archivePackage and restorePackage
+ */
+async function setPackageActive(req, res, isActive) {
+  const { id } = req.params
+
+  if (!isValidUUID(id)) {
+    return errorResponse(res, 400, 'Invalid UUID format for package ID')
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('credit_packages')
+    .select('id, is_active')
+    .eq('id', id)
+    .single()
+
+  if (fetchError || !existing) {
+    return errorResponse(res, 404, 'Package not found')
+  }
+
+  if (existing.is_active === isActive) {
+    return errorResponse(res, 400, `Package is already ${isActive ? 'active' : 'archived'}`)
+  }
+
+  const { data: pkg, error } = await supabase
+    .from('credit_packages')
+    .update({ is_active: isActive })
+    .eq('id', id)
+    .select(PACKAGE_FIELDS)
+    .single()
+
+  if (error) {
+    console.error('Package status update error:', error)
+    return errorResponse(res, 500, `Failed to ${isActive ? 'restore' : 'archive'} package`)
+  }
+
+  return successResponse(res, pkg, `Package ${isActive ? 'restored' : 'archived'} successfully`)
+}
+
+/**
+ * Archive a package (Admin only)
+ *
+ * Takes the package off sale. Sessions already bought stay usable.
+ */
+export const archivePackage = async (req, res) => {
+  try {
+    return await setPackageActive(req, res, false)
+  } catch (error) {
+    console.error('Archive package error:', error)
+    return errorResponse(res, 500, 'Failed to archive package')
+  }
+}
+
+/**
+ * Restore an archived package (Admin only)
+ */
+export const restorePackage = async (req, res) => {
+  try {
+    return await setPackageActive(req, res, true)
+  } catch (error) {
+    console.error('Restore package error:', error)
+    return errorResponse(res, 500, 'Failed to restore package')
+  }
+}
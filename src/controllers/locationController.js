@@ -0,0 +1,341 @@
+import supabase from '../config/supabase.js'
+import { isValidUUID, isValidTimeFormat, isValidTimeZone } from '../utils/validation.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+
+const LOCATION_FIELDS = 'id, name, address_line1, address_line2, city, postal_code, country, phone, timezone, opening_hours, is_active'
+const MAX_NAME_LENGTH = 100
+const MAX_TEXT_LENGTH = 200
+
+// Free-text fields that may be set on create/update
+const TEXT_FIELDS = ['name', 'address_line1', 'address_line2', 'city', 'postal_code', 'country', 'phone']
+const REQUIRED_FIELDS = ['name', 'address_line1', 'city', 'timezone']
+
+/**
+ * Validate opening hours: [{ day_of_week, open, close }], at most one
+ * entry per day, open before close. Days without an entry are closed.
+ * Returns an error message, or null if valid
+ */
+function validateOpeningHours(openingHours) {
+  if (!Array.isArray(openingHours)) {
+    return 'opening_hours must be an array of { day_of_week, open, close }'
+  }
+
+  const seen = new Set()
+  for (const entry of openingHours) {
+    if (!entry || !Number.isInteger(entry.day_of_week) || entry.day_of_week < 0 || entry.day_of_week > 6) {
+      return 'opening_hours day_of_week must be an integer from 0 (Sunday) to 6 (Saturday)'
+    }
+    if (seen.has(entry.day_of_week)) {
+      return `opening_hours has more than one entry for day ${entry.day_of_week}`
+    }
+    seen.add(entry.day_of_week)
+
+    if (!isValidTimeFormat(entry.open) || !isValidTimeFormat(entry.close)) {
+      return 'opening_hours open and close must be times in HH:MM format'
+    }
+    if (entry.open >= entry.close) {
+      return 'opening_hours open must be before close'
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validate location fields from a create/update payload
+ *
+ * Returns an error message, or null if valid.
+ * With partial = true, only the fields present are checked (used by update).
+ */
+function validateLocationInput(body, partial = false) {
+  for (const field of REQUIRED_FIELDS) {
+    if (!partial && (body[field] === undefined || body[field] === null)) {
+      return `Missing required field: ${field}`
+    }
+  }
+
+  for (const field of TEXT_FIELDS) {
+    const value = body[field]
+    if (value === undefined || value === null) continue
+
+    if (typeof value !== 'string') {
+      return `${field} must be a string`
+    }
+    if (REQUIRED_FIELDS.includes(field) && value.trim().length === 0) {
+      return `${field} cannot be empty`
+    }
+    const maxLength = field === 'name' ? MAX_NAME_LENGTH : MAX_TEXT_LENGTH
+    if (value.trim().length > maxLength) {
+      return `${field} must be at most ${maxLength} characters`
+    }
+  }
+
+  if (partial) {
+    for (const field of REQUIRED_FIELDS) {
+      if (body[field] === null) return `${field} cannot be empty`
+    }
+  }
+
+  if (body.timezone !== undefined && !isValidTimeZone(body.timezone)) {
+    return 'timezone must be a valid IANA timezone (e.g. "Europe/London")'
+  }
+
+  if (body.opening_hours !== undefined) {
+    const hoursError = validateOpeningHours(body.opening_hours)
+    if (hoursError) return hoursError
+  }
+
+  return null
+}
+
+/**
+ * Build the column values for an insert/update from a validated payload
+ */
+function buildLocationRow(body) {
+  const row = {}
+  for (const field of TEXT_FIELDS) {
+    if (body[field] !== undefined) {
+      row[field] = typeof body[field] === 'string' ? body[field].trim() || null : null
+    }
+  }
+  if (body.timezone !== undefined) row.timezone = body.timezone
+  if (body.opening_hours !== undefined) {
+    row.opening_hours = body.opening_hours
+      .map(({ day_of_week, open, close }) => ({ day_of_week, open: open.slice(0, 5), close: close.slice(0, 5) }))
+      .sort((a, b) => a.day_of_week - b.day_of_week)
+  }
+  return row
+}
+
+/**
+ * List active locations (public)
+ * Used by booking UIs to let customers pick a branch
+ */
+export const getLocations = async (req, res) => {
+  try {
+    const { data: locations, error } = await supabase
+      .from('locations')
+      .select(LOCATION_FIELDS)
+      .eq('is_active', true)
+      .order('name')
+
+    if (error) {
+      console.error('Fetch locations error:', error)
+      return errorResponse(res, 500, 'Failed to fetch locations')
+    }
+
+    return successResponse(res, locations)
+
+  } catch (error) {
+    console.error('Get locations error:', error)
+    return errorResponse(res, 500, 'Failed to fetch locations')
+  }
+}
+
+/**
+ * Get a single active location (public)
+ */
+export const getLocationById = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for location ID')
+    }
+
+    const { data: location, error } = await supabase
+      .from('locations')
+      .select(LOCATION_FIELDS)
+      .eq('id', id)
+      .eq('is_active', true)
+      .single()
+
+    if (error || !location) {
+      return errorResponse(res, 404, 'Location not found')
+    }
+
+    return successResponse(res, location)
+
+  } catch (error) {
+    console.error('Get location error:', error)
+    return errorResponse(res, 500, 'Failed to fetch location')
+  }
+}
+
+/**
+ * List all locations including archived ones (Admin only)
+ */
+export const getAllLocations = async (req, res) => {
+  try {
+    const { data: locations, error } = await supabase
+      .from('locations')
+      .select(LOCATION_FIELDS)
+      .order('is_active', { ascending: false })
+      .order('name')
+
+    if (error) {
+      console.error('Fetch all locations error:', error)
+      return errorResponse(res, 500, 'Failed to fetch locations')
+    }
+
+    return successResponse(res, locations)
+
+  } catch (error) {
+    console.error('Get all locations error:', error)
+    return errorResponse(res, 500, 'Failed to fetch locations')
+  }
+}
+
+/**
+ * Create a location (Admin only)
+ *
+ * Body: name, address_line1, city, timezone (IANA), and optionally
+ * address_line2, postal_code, country, phone, opening_hours
+ * New locations are active immediately.
+ */
+export const createLocation = async (req, res) => {
+  try {
+    const validationError = validateLocationInput(req.body)
+    if (validationError) {
+      return errorResponse(res, 400, validationError)
+    }
+
+    const { data: location, error } = await supabase
+      .from('locations')
+      .insert({ ...buildLocationRow(req.body), is_active: true })
+      .select(LOCATION_FIELDS)
+      .single()
+
+    if (error) {
+      console.error('Location creation error:', error)
+      if (error.code === '23505') {
+        return errorResponse(res, 409, 'A location with this name already exists')
+      }
+      return errorResponse(res, 500, 'Failed to create location')
+    }
+
+    return successResponse(res, location, 'Location created successfully', 201)
+
+  } catch (error) {
+    console.error('Create location error:', error)
+    return errorResponse(res, 500, 'Failed to create location')
+  }
+}
+
+/**
+ * Update a location (Admin only)
+ *
+ * Body (all optional): any field accepted by createLocation
+ * Changing opening_hours only affects slots generated afterwards.
+ */
+export const updateLocation = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for location ID')
+    }
+
+    const validationError = validateLocationInput(req.body, true)
+    if (validationError) {
+      return errorResponse(res, 400, validationError)
+    }
+
+    const updates = buildLocationRow(req.body)
+    if (Object.keys(updates).length === 0) {
+      return errorResponse(res, 400, `No fields to update. Provide any of: ${[...TEXT_FIELDS, 'timezone', 'opening_hours'].join(', ')}`)
+    }
+
+    const { data: location, error } = await supabase
+      .from('locations')
+      .update(updates)
+      .eq('id', id)
+      .select(LOCATION_FIELDS)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Location update error:', error)
+      if (error.code === '23505') {
+        return errorResponse(res, 409, 'A location with this name already exists')
+      }
+      return errorResponse(res, 500, 'Failed to update location')
+    }
+
+    if (!location) {
+      return errorResponse(res, 404, 'Location not found')
+    }
+
+    return successResponse(res, location, 'Location updated successfully')
+
+  } catch (error) {
+    console.error('Update location error:', error)
+    return errorResponse(res, 500, 'Failed to update location')
+  }
+}
+
+/**
+ * Toggle a location's is_active flag
+ * Shared by archiveLocation and restoreLocation
+ */
+async function setLocationActive(req, res, isActive) {
+  const { id } = req.params
+
+  if (!isValidUUID(id)) {
+    return errorResponse(res, 400, 'Invalid UUID format for location ID')
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('locations')
+    .select('id, is_active')
+    .eq('id', id)
+    .single()
+
+  if (fetchError || !existing) {
+    return errorResponse(res, 404, 'Location not found')
+  }
+
+  if (existing.is_active === isActive) {
+    return errorResponse(res, 400, `Location is already ${isActive ? 'active' : 'archived'}`)
+  }
+
+  const { data: location, error } = await supabase
+    .from('locations')
+    .update({ is_active: isActive })
+    .eq('id', id)
+    .select(LOCATION_FIELDS)
+    .single()
+
+  if (error) {
+    console.error('Location status update error:', error)
+    return errorResponse(res, 500, `Failed to ${isActive ? 'restore' : 'archive'} location`)
+  }
+
+  return successResponse(res, location, `Location ${isActive ? 'restored' : 'archived'} successfully`)
+}
+
+/**
+ * Archive a location (Admin only)
+ *
+ * Hides the branch from the public list. Existing slots and bookings are
+ * unaffected; deactivate or move its therapists to stop new bookings.
+ */
+export const archiveLocation = async (req, res) => {
+  try {
+    return await setLocationActive(req, res, false)
+  } catch (error) {
+    console.error('Archive location error:', error)
+    return errorResponse(res, 500, 'Failed to archive location')
+  }
+}
+
+/**
+ * Restore an archived location (Admin only)
+ */
+export const restoreLocation = async (req, res) => {
+  try {
+    return await setLocationActive(req, res, true)
+  } catch (error) {
+    console.error('Restore location error:', error)
+    return errorResponse(res, 500, 'Failed to restore location')
+  }
+}
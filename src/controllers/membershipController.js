@@ -0,0 +1,615 @@
+import supabase from '../config/supabase.js'
+import { isValidUUID } from '../utils/validation.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+import { parseListParams, applyPage, buildPage } from '../utils/pagination.js'
+import { getPaymentProvider, toMinorUnits } from '../services/payments/index.js'
+import { CREDIT_ACCOUNT_FIELDS, describeCreditAccount } from '../services/creditService.js'
+import { MEMBERSHIP_FIELDS, TIER_FIELDS, startMembershipPeriod } from '../services/membershipService.js'
+
+const MEMBERSHIP_STATUSES = ['pending', 'active', 'past_due', 'cancelled']
+
+// Sort keys and projectable columns for the admin membership list
+const MEMBERSHIP_SORT_KEYS = {
+  created_at: ['created_at'],
+  current_period_end: ['current_period_end']
+}
+
+const MEMBERSHIP_LIST_FIELDS = {
+  '*': MEMBERSHIP_FIELDS,
+  ...Object.fromEntries(MEMBERSHIP_FIELDS.split(', ').map(column => [column, column])),
+  tier: 'tier:membership_tiers!memberships_tier_id_fkey(id, name)',
+  customer: `customer:profiles!memberships_customer_id_fkey(
+    id,
+    full_name,
+    email
+  )`
+}
+
+/**
+ * The customer's pending, active or past-due membership with its tier, or null
+ */
+async function getLiveMembership(customerId, select = `${MEMBERSHIP_FIELDS}, payment_provider, payment_intent_id, payment_customer_id`) {
+  const { data, error } = await supabase
+    .from('memberships')
+    .select(`${select}, tier:membership_tiers!memberships_tier_id_fkey(${TIER_FIELDS})`)
+    .eq('customer_id', customerId)
+    .in('status', ['pending', 'active', 'past_due'])
+    .maybeSingle()
+
+  if (error) throw error
+
+  return data
+}
+
+/**
+ * Membership as shown to its customer: tier plus this period's included
+ * sessions (null before the first period or for tiers without sessions)
+ */
+async function describeMembership(membership) {
+  const { payment_provider, payment_intent_id, payment_customer_id, ...rest } = membership
+  let credits = null
+
+  if (membership.credit_account_id) {
+    const { data: account } = await supabase
+      .from('credit_accounts')
+      .select(CREDIT_ACCOUNT_FIELDS)
+      .eq('id', membership.credit_account_id)
+      .maybeSingle()
+    credits = account ? describeCreditAccount(account) : null
+  }
+
+  return { ...rest, credits }
+}
+
+/**
+ * The member's customer at the payment provider, created on the first
+ * checkout (or when the provider has changed since). Checkouts save their
+ * payment method to it and the renewal job charges it.
+ */
+async function paymentCustomerFor(provider, membership, req) {
+  if (membership.payment_customer_id && membership.payment_provider === provider.name) {
+    return membership.payment_customer_id
+  }
+
+  const customer = await provider.createCustomer({
+    email: req.user.email,
+    name: req.profile.full_name,
+    profileId: req.profile.id
+  })
+  return customer.id
+}
+
+/**
+ * Drop a membership awaiting payment: an unpaid sign-up (so the customer
+ * can start a new one) or an unpaid renewal. A payment that still lands
+ * afterwards is refunded by the payment webhook.
+ */
+async function cancelUnpaidMembership(membership) {
+  if (membership.payment_intent_id) {
+    await getPaymentProvider(membership.payment_provider)
+      .cancelPaymentIntent(membership.payment_intent_id)
+      .catch(err => {
+        console.error('Failed to cancel membership payment intent:', membership.payment_intent_id, err.message)
+      })
+  }
+
+  await supabase
+    .from('memberships')
+    .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+    .eq('id', membership.id)
+    .eq('status', membership.status)
+}
+
+/**
+ * Get the customer's membership (Customer only)
+ *
+ * GET /api/memberships/me
+ * Returns null when the customer isn't a member.
+ */
+export const getMyMembership = async (req, res) => {
+  try {
+    const membership = await getLiveMembership(req.profile.id)
+
+    return successResponse(res, membership ? await describeMembership(membership) : null)
+
+  } catch (error) {
+    console.error('Get membership error:', error)
+    return errorResponse(res, 500, 'Failed to fetch membership')
+  }
+}
+
+/**
+ * Sign up for a membership (Customer only)
+ *
+ * POST /api/memberships
+ * Body: tier_id
+ *
+ * Business Logic:
+ * 1. Check the tier is open for sign-up and the customer isn't a member
+ * 2. Drop any earlier unpaid sign-up
+ * 3. Create the PENDING membership with the tier's fee as its monthly fee
+ * 4. Free tiers start straight away; otherwise start checkout for the
+ *    first month (confirmMembership or the payment webhook starts it)
+ *
+ * The checkout saves the payment method for the renewal job to charge
+ * each following month.
+ */
+export const createMembership = async (req, res) => {
+  try {
+    const { tier_id } = req.body
+    const customer_id = req.profile.id
+
+    if (!tier_id) {
+      return errorResponse(res, 400, 'Missing required field: tier_id')
+    }
+
+    if (!isValidUUID(tier_id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for tier_id')
+    }
+
+    const { data: tier, error: tierError } = await supabase
+      .from('membership_tiers')
+      .select(TIER_FIELDS)
+      .eq('id', tier_id)
+      .eq('is_active', true)
+      .single()
+
+    if (tierError || !tier) {
+      return errorResponse(res, 404, 'Membership tier not found')
+    }
+
+    const existing = await getLiveMembership(customer_id)
+    if (existing?.status === 'active') {
+      return errorResponse(res, 409, 'You already have a membership. Cancel it before switching tiers.')
+    }
+    if (existing?.status === 'past_due') {
+      return errorResponse(res, 409, 'Your membership renewal is unpaid. Renew or cancel it before switching tiers.')
+    }
+    if (existing) {
+      await cancelUnpaidMembership(existing)
+    }
+
+    const { data: membership, error: insertError } = await supabase
+      .from('memberships')
+      .insert({
+        customer_id,
+        tier_id: tier.id,
+        status: 'pending',
+        monthly_fee: tier.monthly_fee
+      })
+      .select(MEMBERSHIP_FIELDS)
+      .single()
+
+    if (insertError) {
+      // Unique index: one pending/active membership per customer
+      if (insertError.code === '23505') {
+        return errorResponse(res, 409, 'A membership sign-up is already in progress')
+      }
+      console.error('Membership creation error:', insertError)
+      return errorResponse(res, 500, 'Failed to start membership')
+    }
+
+    const amount = toMinorUnits(membership.monthly_fee)
+
+    if (amount <= 0) {
+      const { data: started, error } = await startMembershipPeriod(membership.id, 'pending')
+      if (error) {
+        return errorResponse(res, 500, error)
+      }
+      return successResponse(res, {
+        membership: await describeMembership({ ...started, tier })
+      }, 'Membership started', 201)
+    }
+
+    const currency = process.env.PAYMENT_CURRENCY || 'usd'
+    const provider = getPaymentProvider()
+    const paymentCustomerId = await paymentCustomerFor(provider, membership, req)
+    const intent = await provider.createPaymentIntent({
+      amount,
+      currency,
+      membershipId: membership.id,
+      paymentCustomerId,
+      customerEmail: req.user.email
+    })
+
+    const { error: updateError } = await supabase
+      .from('memberships')
+      .update({ payment_provider: provider.name, payment_intent_id: intent.id, payment_customer_id: paymentCustomerId })
+      .eq('id', membership.id)
+
+    if (updateError) {
+      console.error('Membership checkout update error:', updateError)
+      await provider.cancelPaymentIntent(intent.id).catch(err => {
+        console.error('Failed to cancel orphaned payment intent:', intent.id, err.message)
+      })
+      return errorResponse(res, 500, 'Failed to start membership')
+    }
+
+    return successResponse(res, {
+      membership: { ...membership, tier, credits: null },
+      provider: provider.name,
+      payment_intent_id: intent.id,
+      client_secret: intent.clientSecret,
+      amount,
+      currency
+    }, 'Checkout started. Confirm the membership once payment completes.', 201)
+
+  } catch (error) {
+    console.error('Create membership error:', error)
+    return errorResponse(res, 500, 'Failed to start membership')
+  }
+}
+
+/**
+ * Confirm a membership sign-up or renewal after payment (Customer only)
+ *
+ * POST /api/memberships/me/confirm
+ *
+ * Asks the payment provider whether the first month (or the renewal) was
+ * paid and starts the period. The payment webhook does the same, so
+ * either may get there first.
+ */
+export const confirmMembership = async (req, res) => {
+  try {
+    const membership = await getLiveMembership(req.profile.id)
+
+    if (!membership) {
+      return errorResponse(res, 404, 'Membership not found')
+    }
+
+    if (membership.status === 'active') {
+      return successResponse(res, await describeMembership(membership), 'Membership already active.')
+    }
+
+    if (!membership.payment_intent_id) {
+      return errorResponse(res, 400, 'Membership has no payment to confirm')
+    }
+
+    const intent = await getPaymentProvider(membership.payment_provider)
+      .retrievePaymentIntent(membership.payment_intent_id)
+
+    if (intent.status !== 'succeeded') {
+      return errorResponse(res, 402, 'Payment has not been completed yet')
+    }
+
+    const { data: started, error, conflict } = await startMembershipPeriod(
+      membership.id, membership.status, membership.current_period_end
+    )
+
+    if (conflict) {
+      // The webhook started it between our read and write
+      const current = await getLiveMembership(req.profile.id)
+      return successResponse(res, await describeMembership(current || membership), 'Membership already active.')
+    }
+
+    if (error) {
+      return errorResponse(res, 500, error)
+    }
+
+    return successResponse(res, await describeMembership({ ...started, tier: membership.tier }),
+      membership.status === 'past_due' ? 'Membership renewed successfully!' : 'Membership started successfully!')
+
+  } catch (error) {
+    console.error('Confirm membership error:', error)
+    return errorResponse(res, 500, 'Failed to confirm membership')
+  }
+}
+
+/**
+ * Pay for an overdue renewal (Customer only)
+ *
+ * POST /api/memberships/me/renew
+ *
+ * Business Logic:
+ * 1. Check the membership is past due (the renewal job moves it there
+ *    when it can't charge the saved payment method)
+ * 2. Reuse a renewal checkout that is still awaiting payment
+ * 3. Otherwise start a new checkout for the monthly fee, saving the
+ *    payment method it is paid with for the following renewals
+ *
+ * The next period starts once payment completes (confirmMembership or
+ * the payment webhook). Member benefits are paused until then.
+ */
+export const renewMyMembership = async (req, res) => {
+  try {
+    const membership = await getLiveMembership(req.profile.id)
+
+    if (!membership) {
+      return errorResponse(res, 404, 'Membership not found')
+    }
+
+    if (membership.status !== 'past_due') {
+      return errorResponse(res, 400, 'Membership has no renewal due')
+    }
+
+    const amount = toMinorUnits(membership.monthly_fee)
+    const currency = process.env.PAYMENT_CURRENCY || 'usd'
+
+    if (membership.payment_intent_id) {
+      const existing = await getPaymentProvider(membership.payment_provider)
+        .retrievePaymentIntent(membership.payment_intent_id)
+
+      if (existing.status === 'succeeded' || existing.status === 'processing') {
+        return errorResponse(res, 409, 'Renewal payment is already in progress. Confirm the membership once it completes.')
+      }
+
+      if (existing.status === 'requires_payment') {
+        return successResponse(res, {
+          provider: membership.payment_provider,
+          payment_intent_id: existing.id,
+          client_secret: existing.clientSecret,
+          amount,
+          currency
+        }, 'Checkout already started. Confirm the membership once payment completes.')
+      }
+    }
+
+    const provider = getPaymentProvider()
+    const paymentCustomerId = await paymentCustomerFor(provider, membership, req)
+    const intent = await provider.createPaymentIntent({
+      amount,
+      currency,
+      membershipId: membership.id,
+      paymentCustomerId,
+      customerEmail: req.user.email
+    })
+
+    const { data: updated, error: updateError } = await supabase
+      .from('memberships')
+      .update({ payment_provider: provider.name, payment_intent_id: intent.id, payment_customer_id: paymentCustomerId })
+      .eq('id', membership.id)
+      .eq('status', 'past_due')
+      .select('id')
+      .maybeSingle()
+
+    if (updateError || !updated) {
+      await provider.cancelPaymentIntent(intent.id).catch(err => {
+        console.error('Failed to cancel orphaned payment intent:', intent.id, err.message)
+      })
+
+      if (updateError) {
+        console.error('Membership renewal checkout update error:', updateError)
+        return errorResponse(res, 500, 'Failed to start renewal')
+      }
+      return errorResponse(res, 409, 'Membership was changed by another request')
+    }
+
+    return successResponse(res, {
+      provider: provider.name,
+      payment_intent_id: intent.id,
+      client_secret: intent.clientSecret,
+      amount,
+      currency
+    }, 'Checkout started. Confirm the membership once payment completes.', 201)
+
+  } catch (error) {
+    console.error('Renew membership error:', error)
+    return errorResponse(res, 500, 'Failed to start renewal')
+  }
+}
+
+/**
+ * Cancel the customer's membership (Customer only)
+ *
+ * POST /api/memberships/me/cancel
+ *
+ * An active membership runs until the end of the paid period (the renewal
+ * job ends it then); an unpaid sign-up or renewal is dropped straight away.
+ */
+export const cancelMyMembership = async (req, res) => {
+  try {
+    const membership = await getLiveMembership(req.profile.id)
+
+    if (!membership) {
+      return errorResponse(res, 404, 'Membership not found')
+    }
+
+    if (membership.status === 'pending') {
+      await cancelUnpaidMembership(membership)
+      return successResponse(res, null, 'Membership sign-up cancelled')
+    }
+
+    if (membership.status === 'past_due') {
+      await cancelUnpaidMembership(membership)
+      return successResponse(res, null, 'Membership cancelled')
+    }
+
+    if (membership.cancel_at_period_end) {
+      return errorResponse(res, 400, 'Membership is already set to end with the current period')
+    }
+
+    const { data: updated, error } = await supabase
+      .from('memberships')
+      .update({ cancel_at_period_end: true })
+      .eq('id', membership.id)
+      .eq('status', 'active')
+      .select(MEMBERSHIP_FIELDS)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Membership cancel error:', error)
+      return errorResponse(res, 500, 'Failed to cancel membership')
+    }
+
+    if (!updated) {
+      return errorResponse(res, 409, 'Membership was changed by another request')
+    }
+
+    return successResponse(res, await describeMembership({ ...updated, tier: membership.tier }),
+      `Membership will end on ${updated.current_period_end}`)
+
+  } catch (error) {
+    console.error('Cancel membership error:', error)
+    return errorResponse(res, 500, 'Failed to cancel membership')
+  }
+}
+
+/**
+ * Keep a membership that was set to end with the current period (Customer only)
+ *
+ * POST /api/memberships/me/resume
+ */
+export const resumeMyMembership = async (req, res) => {
+  try {
+    const membership = await getLiveMembership(req.profile.id)
+
+    if (!membership || membership.status !== 'active') {
+      return errorResponse(res, 404, 'Membership not found')
+    }
+
+    if (!membership.cancel_at_period_end) {
+      return errorResponse(res, 400, 'Membership is not set to end')
+    }
+
+    const { data: updated, error } = await supabase
+      .from('memberships')
+      .update({ cancel_at_period_end: false })
+      .eq('id', membership.id)
+      .eq('status', 'active')
+      .select(MEMBERSHIP_FIELDS)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Membership resume error:', error)
+      return errorResponse(res, 500, 'Failed to resume membership')
+    }
+
+    if (!updated) {
+      return errorResponse(res, 409, 'Membership was changed by another request')
+    }
+
+    return successResponse(res, await describeMembership({ ...updated, tier: membership.tier }), 'Membership will renew')
+
+  } catch (error) {
+    console.error('Resume membership error:', error)
+    return errorResponse(res, 500, 'Failed to resume membership')
+  }
+}
+
+/**
+ * List memberships (Admin only, paginated)
+ *
+ * Query params (all optional):
+ * - customer_id, tier_id, status (pending | active | past_due | cancelled)
+ * - limit, cursor, sort (created_at | current_period_end), order (asc | desc)
+ * - fields: comma-separated membership columns, plus "tier" and "customer"
+ *   for the joins
+ */
+export const getAllMemberships = async (req, res) => {
+  try {
+    const { customer_id, tier_id, status } = req.query
+
+    if (customer_id && !isValidUUID(customer_id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for customer_id')
+    }
+    if (tier_id && !isValidUUID(tier_id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for tier_id')
+    }
+    if (status && !MEMBERSHIP_STATUSES.includes(status)) {
+      return errorResponse(res, 400, `Invalid status. Must be one of: ${MEMBERSHIP_STATUSES.join(', ')}`)
+    }
+
+    const params = parseListParams(req.query, {
+      sortKeys: MEMBERSHIP_SORT_KEYS,
+      defaultSort: 'created_at',
+      fields: MEMBERSHIP_LIST_FIELDS,
+      defaultFields: ['*', 'tier', 'customer']
+    })
+
+    if (params.error) {
+      return errorResponse(res, 400, params.error)
+    }
+
+    let query = supabase
+      .from('memberships')
+      .select(params.select)
+
+    if (customer_id) query = query.eq('customer_id', customer_id)
+    if (tier_id) query = query.eq('tier_id', tier_id)
+    if (status) query = query.eq('status', status)
+
+    const { data: memberships, error } = await applyPage(query, params)
+
+    if (error) {
+      console.error('Fetch memberships error:', error)
+      return errorResponse(res, 500, 'Failed to fetch memberships')
+    }
+
+    const { items, pagination } = buildPage(memberships, params)
+
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    })
+
+  } catch (error) {
+    console.error('Get memberships error:', error)
+    return errorResponse(res, 500, 'Failed to fetch memberships')
+  }
+}
+
+/**
+ * End a membership now (Admin only)
+ *
+ * POST /api/memberships/admin/:id/cancel
+ *
+ * The member discount and priority window stop immediately. Sessions
+ * already granted for the current period stay usable until they expire.
+ */
+export const adminCancelMembership = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for membership ID')
+    }
+
+    const { data: membership, error: fetchError } = await supabase
+      .from('memberships')
+      .select(`${MEMBERSHIP_FIELDS}, payment_provider, payment_intent_id`)
+      .eq('id', id)
+      .single()
+
+    if (fetchError || !membership) {
+      return errorResponse(res, 404, 'Membership not found')
+    }
+
+    if (membership.status === 'cancelled') {
+      return errorResponse(res, 400, 'Membership is already cancelled')
+    }
+
+    if (membership.status === 'pending') {
+      await cancelUnpaidMembership(membership)
+      return successResponse(res, null, 'Membership sign-up cancelled')
+    }
+
+    if (membership.status === 'past_due') {
+      await cancelUnpaidMembership(membership)
+      return successResponse(res, null, 'Membership cancelled')
+    }
+
+    const { data: cancelled, error } = await supabase
+      .from('memberships')
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'active')
+      .select(MEMBERSHIP_FIELDS)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Admin membership cancel error:', error)
+      return errorResponse(res, 500, 'Failed to cancel membership')
+    }
+
+    if (!cancelled) {
+      return errorResponse(res, 409, 'Membership was changed by another request')
+    }
+
+    return successResponse(res, cancelled, 'Membership cancelled')
+
+  } catch (error) {
+    console.error('Admin cancel membership error:', error)
+    return errorResponse(res, 500, 'Failed to cancel membership')
+  }
+}
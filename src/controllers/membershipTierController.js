@@ -0,0 +1,300 @@
+import supabase from '../config/supabase.js'
+import { isValidUUID } from '../utils/validation.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+import { TIER_FIELDS } from '../services/membershipService.js'
+
+const MAX_NAME_LENGTH = 100
+const MAX_DESCRIPTION_LENGTH = 500
+const MAX_MONTHLY_FEE = 10000
+const MAX_INCLUDED_SESSIONS = 100
+const MAX_PRIORITY_DAYS = 365
+
+/**
+ * Whether a number has at most 2 decimal places
+ */
+function hasTwoDecimals(value) {
+  return Math.abs(Math.round(value * 100) - value * 100) <= 1e-6
+}
+
+/**
+ * Validate tier fields from a create/update payload
+ *
+ * Returns an error message, or null if valid.
+ * With partial = true, only the fields present are checked (used by update).
+ */
+function validateTierInput({ name, description, monthly_fee, included_sessions, service_ids, discount_percent, priority_booking_days }, partial = false) {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return 'Tier name is required'
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      return `Tier name must be at most ${MAX_NAME_LENGTH} characters`
+    }
+  }
+
+  if (description != null) {
+    if (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      return `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`
+    }
+  }
+
+  if (!partial || monthly_fee !== undefined) {
+    const fee = Number(monthly_fee)
+    if (monthly_fee === null || monthly_fee === '' || !Number.isFinite(fee) || fee < 0 || fee > MAX_MONTHLY_FEE) {
+      return `monthly_fee must be a number between 0 and ${MAX_MONTHLY_FEE}`
+    }
+    if (!hasTwoDecimals(fee)) {
+      return 'monthly_fee must have at most 2 decimal places'
+    }
+  }
+
+  if (included_sessions != null) {
+    if (!Number.isInteger(included_sessions) || included_sessions < 0 || included_sessions > MAX_INCLUDED_SESSIONS) {
+      return `included_sessions must be a whole number between 0 and ${MAX_INCLUDED_SESSIONS}`
+    }
+  }
+
+  if (service_ids != null) {
+    if (!Array.isArray(service_ids) || service_ids.some(id => !isValidUUID(id))) {
+      return 'service_ids must be an array of service UUIDs (or null for every service)'
+    }
+  }
+
+  if (discount_percent != null) {
+    const percent = Number(discount_percent)
+    if (discount_percent === '' || !Number.isFinite(percent) || percent < 0 || percent > 100 || !hasTwoDecimals(percent)) {
+      return 'discount_percent must be a number between 0 and 100 with at most 2 decimal places'
+    }
+  }
+
+  if (priority_booking_days != null) {
+    if (!Number.isInteger(priority_booking_days) || priority_booking_days < 0 || priority_booking_days > MAX_PRIORITY_DAYS) {
+      return `priority_booking_days must be a whole number between 0 and ${MAX_PRIORITY_DAYS}`
+    }
+  }
+
+  return null
+}
+
+/**
+ * List active membership tiers (any signed-in user)
+ */
+export const getTiers = async (req, res) => {
+  try {
+    const { data: tiers, error } = await supabase
+      .from('membership_tiers')
+      .select(TIER_FIELDS)
+      .eq('is_active', true)
+      .order('monthly_fee')
+
+    if (error) {
+      console.error('Fetch membership tiers error:', error)
+      return errorResponse(res, 500, 'Failed to fetch membership tiers')
+    }
+
+    return successResponse(res, tiers)
+
+  } catch (error) {
+    console.error('Get membership tiers error:', error)
+    return errorResponse(res, 500, 'Failed to fetch membership tiers')
+  }
+}
+
+/**
+ * List all membership tiers including archived ones (Admin only)
+ */
+export const getAllTiers = async (req, res) => {
+  try {
+    const { data: tiers, error } = await supabase
+      .from('membership_tiers')
+      .select(TIER_FIELDS)
+      .order('is_active', { ascending: false })
+      .order('name')
+
+    if (error) {
+      console.error('Fetch all membership tiers error:', error)
+      return errorResponse(res, 500, 'Failed to fetch membership tiers')
+    }
+
+    return successResponse(res, tiers)
+
+  } catch (error) {
+    console.error('Get all membership tiers error:', error)
+    return errorResponse(res, 500, 'Failed to fetch membership tiers')
+  }
+}
+
+/**
+ * Create a membership tier (Admin only)
+ *
+ * Body: name, monthly_fee, and optionally description, included_sessions,
+ * service_ids (omit for every service), discount_percent,
+ * priority_booking_days
+ * New tiers are open for sign-up immediately.
+ */
+export const createTier = async (req, res) => {
+  try {
+    const { name, description, monthly_fee, included_sessions, service_ids, discount_percent, priority_booking_days } = req.body
+
+    const validationError = validateTierInput(req.body)
+    if (validationError) {
+      return errorResponse(res, 400, validationError)
+    }
+
+    const { data: tier, error } = await supabase
+      .from('membership_tiers')
+      .insert({
+        name: name.trim(),
+        description: description?.trim() || null,
+        monthly_fee: Number(monthly_fee),
+        included_sessions: included_sessions ?? 0,
+        service_ids: service_ids?.length > 0 ? [...new Set(service_ids)] : null,
+        discount_percent: Number(discount_percent ?? 0),
+        priority_booking_days: priority_booking_days ?? 0,
+        is_active: true
+      })
+      .select(TIER_FIELDS)
+      .single()
+
+    if (error) {
+      console.error('Membership tier creation error:', error)
+      if (error.code === '23505') {
+        return errorResponse(res, 409, 'A membership tier with this name already exists')
+      }
+      return errorResponse(res, 500, 'Failed to create membership tier')
+    }
+
+    return successResponse(res, tier, 'Membership tier created successfully', 201)
+
+  } catch (error) {
+    console.error('Create membership tier error:', error)
+    return errorResponse(res, 500, 'Failed to create membership tier')
+  }
+}
+
+/**
+ * Update a membership tier (Admin only)
+ *
+ * Body (all optional): any field accepted by createTier
+ * Existing members keep the monthly fee they signed up at; the other
+ * benefits apply from their next booking (sessions from their next period).
+ */
+export const updateTier = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { name, description, monthly_fee, included_sessions, service_ids, discount_percent, priority_booking_days } = req.body
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for tier ID')
+    }
+
+    const validationError = validateTierInput(req.body, true)
+    if (validationError) {
+      return errorResponse(res, 400, validationError)
+    }
+
+    const updates = {}
+    if (name !== undefined) updates.name = name.trim()
+    if (description !== undefined) updates.description = description?.trim() || null
+    if (monthly_fee !== undefined) updates.monthly_fee = Number(monthly_fee)
+    if (included_sessions !== undefined) updates.included_sessions = included_sessions ?? 0
+    if (service_ids !== undefined) updates.service_ids = service_ids?.length > 0 ? [...new Set(service_ids)] : null
+    if (discount_percent !== undefined) updates.discount_percent = Number(discount_percent ?? 0)
+    if (priority_booking_days !== undefined) updates.priority_booking_days = priority_booking_days ?? 0
+
+    if (Object.keys(updates).length === 0) {
+      return errorResponse(res, 400, 'No fields to update. Provide name, description, monthly_fee, included_sessions, service_ids, discount_percent or priority_booking_days')
+    }
+
+    const { data: tier, error } = await supabase
+      .from('membership_tiers')
+      .update(updates)
+      .eq('id', id)
+      .select(TIER_FIELDS)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Membership tier update error:', error)
+      if (error.code === '23505') {
+        return errorResponse(res, 409, 'A membership tier with this name already exists')
+      }
+      return errorResponse(res, 500, 'Failed to update membership tier')
+    }
+
+    if (!tier) {
+      return errorResponse(res, 404, 'Membership tier not found')
+    }
+
+    return successResponse(res, tier, 'Membership tier updated successfully')
+
+  } catch (error) {
+    console.error('Update membership tier error:', error)
+    return errorResponse(res, 500, 'Failed to update membership tier')
+  }
+}
+
+/**
+ * Toggle a tier's is_active flag
+ * Shared by archiveTier and restoreTier
+ */
+async function setTierActive(req, res, isActive) {
+  const { id } = req.params
+
+  if (!isValidUUID(id)) {
+    return errorResponse(res, 400, 'Invalid UUID format for tier ID')
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('membership_tiers')
+    .select('id, is_active')
+    .eq('id', id)
+    .single()
+
+  if (fetchError || !existing) {
+    return errorResponse(res, 404, 'Membership tier not found')
+  }
+
+  if (existing.is_active === isActive) {
+    return errorResponse(res, 400, `Membership tier is already ${isActive ? 'active' : 'archived'}`)
+  }
+
+  const { data: tier, error } = await supabase
+    .from('membership_tiers')
+    .update({ is_active: isActive })
+    .eq('id', id)
+    .select(TIER_FIELDS)
+    .single()
+
+  if (error) {
+    console.error('Membership tier status update error:', error)
+    return errorResponse(res, 500, `Failed to ${isActive ? 'restore' : 'archive'} membership tier`)
+  }
+
+  return successResponse(res, tier, `Membership tier ${isActive ? 'restored' : 'archived'} successfully`)
+}
+
+/**
+ * Archive a membership tier (Admin only)
+ *
+ * Closes the tier to new sign-ups. Existing members keep renewing.
+ */
+export const archiveTier = async (req, res) => {
+  try {
+    return await setTierActive(req, res, false)
+  } catch (error) {
+    console.error('Archive membership tier error:', error)
+    return errorResponse(res, 500, 'Failed to archive membership tier')
+  }
+}
+
+/**
+ * Restore an archived membership tier (Admin only)
+ */
+export const restoreTier = async (req, res) => {
+  try {
+    return await setTierActive(req, res, true)
+  } catch (error) {
+    console.error('Restore membership tier error:', error)
+    return errorResponse(res, 500, 'Failed to restore membership tier')
+  }
+}
@@ -0,0 +1,456 @@
+import supabase from '../config/supabase.js'
+import { isValidUUID } from '../utils/validation.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+import { getPaymentProvider, toMinorUnits } from '../services/payments/index.js'
+import { getBookingWithDetails, markBookingPaid } from '../services/bookingService.js'
+import { recordBookingEvent, SYSTEM_ACTOR } from '../services/bookingEvents.js'
+import { sendBookingConfirmation } from '../services/notificationService.js'
+import { activateCreditAccount } from '../services/creditService.js'
+import { startMembershipPeriod } from '../services/membershipService.js'
+
+/**
+ * Start checkout for a PENDING reservation (Customer only)
+ *
+ * POST /api/bookings/:id/checkout
+ *
+ * Creates a payment intent for the booking's payment_amount and returns
+ * the client secret for the frontend payment form. Calling it again while
+ * the intent is still open returns the same intent.
+ */
+export const createCheckout = async (req, res) => {
+  try {
+    const { id } = req.params
+    const customer_id = req.profile.id
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for booking ID')
+    }
+
+    // 1. Fetch the booking — ownership check via customer_id
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', id)
+      .eq('customer_id', customer_id)
+      .single()
+
+    if (fetchError || !booking) {
+      return errorResponse(res, 404, 'Booking not found')
+    }
+
+    // 2. Only unexpired pending holds can be paid for
+    if (booking.status !== 'pending') {
+      return errorResponse(res, 400, `Cannot pay for booking with status: ${booking.status}`)
+    }
+
+    if (new Date(booking.reservation_expires_at) < new Date()) {
+      return errorResponse(res, 400, 'Reservation has expired. Please create a new booking.')
+    }
+
+    const amount = toMinorUnits(booking.payment_amount)
+    if (amount <= 0) {
+      return errorResponse(res, 400, 'Nothing to pay for this booking. Confirm it directly.')
+    }
+
+    const currency = process.env.PAYMENT_CURRENCY || 'usd'
+
+    // 3. Reuse an open intent from a previous checkout attempt
+    if (booking.payment_intent_id) {
+      const existingProvider = getPaymentProvider(booking.payment_provider)
+      const existing = await existingProvider.retrievePaymentIntent(booking.payment_intent_id)
+
+      if (existing.status === 'succeeded' || existing.status === 'processing') {
+        return errorResponse(res, 409, 'Payment for this booking is already in progress')
+      }
+
+      if (existing.status === 'requires_payment') {
+        return successResponse(res, {
+          provider: existingProvider.name,
+          payment_intent_id: existing.id,
+          client_secret: existing.clientSecret,
+          amount,
+          currency,
+          expires_at: booking.reservation_expires_at
+        }, 'Checkout already started. Complete payment before the reservation expires.')
+      }
+    }
+
+    // 4. Create a new payment intent
+    const provider = getPaymentProvider()
+    const intent = await provider.createPaymentIntent({
+      amount,
+      currency,
+      bookingId: booking.id,
+      customerEmail: req.user.email
+    })
+
+    const { error: updateError } = await supabase
+      .from('bookings')
+      .update({
+        payment_provider: provider.name,
+        payment_intent_id: intent.id,
+        payment_status: 'pending'
+      })
+      .eq('id', id)
+      .eq('status', 'pending')
+
+    if (updateError) {
+      console.error('Checkout update error:', updateError)
+      await provider.cancelPaymentIntent(intent.id).catch(err => {
+        console.error('Failed to cancel orphaned payment intent:', intent.id, err.message)
+      })
+      return errorResponse(res, 500, 'Failed to start checkout')
+    }
+
+    return successResponse(res, {
+      provider: provider.name,
+      payment_intent_id: intent.id,
+      client_secret: intent.clientSecret,
+      amount,
+      currency,
+      expires_at: booking.reservation_expires_at
+    }, 'Checkout started. Complete payment before the reservation expires.', 201)
+
+  } catch (error) {
+    console.error('Create checkout error:', error)
+    return errorResponse(res, 500, 'Failed to start checkout')
+  }
+}
+
+/**
+ * Apply a verified webhook event to a package / gift card purchase
+ * Returns false when the intent isn't for a credit purchase
+ */
+async function applyCreditPurchaseEvent(providerName, event) {
+  const { data: account, error } = await supabase
+    .from('credit_accounts')
+    .select('id, status')
+    .eq('payment_provider', providerName)
+    .eq('payment_intent_id', event.intentId)
+    .maybeSingle()
+
+  if (error) {
+    throw error
+  }
+
+  if (!account) {
+    return false
+  }
+
+  if (event.type === 'payment_succeeded' && account.status === 'pending') {
+    const { error: activateError, conflict } = await activateCreditAccount(
+      account.id, 'purchase', SYSTEM_ACTOR, `Payment succeeded (${providerName} webhook)`
+    )
+
+    // conflict: the customer's confirm call activated it first
+    if (activateError && !conflict) {
+      throw new Error(activateError)
+    }
+  } else if (event.type === 'payment_canceled') {
+    await supabase
+      .from('credit_accounts')
+      .update({ status: 'void' })
+      .eq('id', account.id)
+      .eq('status', 'pending')
+  }
+
+  return true
+}
+
+/**
+ * Apply a verified webhook event to a membership's first month or renewal
+ * (a checkout, or the renewal job's charge that was still processing)
+ * Returns false when the intent isn't for a membership
+ */
+async function applyMembershipEvent(providerName, event) {
+  const { data: membership, error } = await supabase
+    .from('memberships')
+    .select('id, status, current_period_end')
+    .eq('payment_provider', providerName)
+    .eq('payment_intent_id', event.intentId)
+    .maybeSingle()
+
+  if (error) {
+    throw error
+  }
+
+  if (!membership) {
+    return false
+  }
+
+  if (event.type === 'payment_succeeded' && ['pending', 'past_due', 'active'].includes(membership.status)) {
+    const { error: startError, conflict } = await startMembershipPeriod(
+      membership.id, membership.status, membership.current_period_end
+    )
+
+    // conflict: the customer's confirm call or the renewal job started it first
+    if (startError && !conflict) {
+      throw new Error(startError)
+    }
+  } else if (event.type === 'payment_succeeded' && membership.status === 'cancelled') {
+    // Dropped while the payment was on its way (a redelivered event for a
+    // payment that did start a period is left alone)
+    const { data: periods, error: periodsError } = await supabase
+      .from('membership_periods')
+      .select('id')
+      .eq('payment_intent_id', event.intentId)
+      .limit(1)
+
+    if (periodsError) {
+      throw periodsError
+    }
+
+    if (periods.length === 0) {
+      await refundStrayPayment(providerName, event.intentId, `membership ${membership.id} was cancelled`)
+    }
+  } else if (event.type === 'payment_canceled') {
+    // An unpaid sign-up ends; an unpaid renewal stays past due so the
+    // member can start a new checkout
+    await supabase
+      .from('memberships')
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+      .eq('id', membership.id)
+      .eq('status', 'pending')
+  }
+
+  return true
+}
+
+/**
+ * Refund a payment that arrived after its booking was cancelled or removed
+ * (e.g. the customer finished paying just as the hold expired)
+ *
+ * Never throws: a failed refund is logged for staff to handle, since a
+ * webhook retry could refund twice.
+ */
+async function refundStrayPayment(providerName, intentId, reason) {
+  try {
+    const provider = getPaymentProvider(providerName)
+    const intent = await provider.retrievePaymentIntent(intentId)
+
+    if (intent.status !== 'succeeded' || !(intent.amount > 0)) {
+      return
+    }
+
+    const refund = await provider.refundPayment(intentId, intent.amount)
+    console.warn(`[PAYMENT] Refunded payment ${intentId} (${reason}): ${refund.status}`)
+  } catch (error) {
+    console.error(`[PAYMENT] Failed to refund payment ${intentId} (${reason}) - refund it manually:`, error.message)
+  }
+}
+
+/**
+ * Whether a payment intent once belonged to a booking that has since
+ * dropped it: an expired hold the cleanup job removed, or a checkout
+ * replaced after a promo code or credit payment (the audit trail keeps
+ * the old intent id)
+ */
+async function isDroppedBookingIntent(intentId) {
+  const { data: events, error } = await supabase
+    .from('booking_events')
+    .select('id')
+    .eq('before->>payment_intent_id', intentId)
+    .limit(1)
+
+  if (error) {
+    throw error
+  }
+
+  return events.length > 0
+}
+
+/**
+ * Apply a verified webhook event to its booking
+ * (or to the package / gift card purchase or membership it paid for)
+ */
+async function applyPaymentEvent(providerName, event) {
+  if (event.type === 'ignored' || !event.intentId) {
+    return
+  }
+
+  const { data: booking, error } = await supabase
+    .from('bookings')
+    .select('id, status, payment_status')
+    .eq('payment_provider', providerName)
+    .eq('payment_intent_id', event.intentId)
+    .maybeSingle()
+
+  if (error) {
+    throw error
+  }
+
+  if (!booking) {
+    if (await applyCreditPurchaseEvent(providerName, event) || await applyMembershipEvent(providerName, event)) {
+      return
+    }
+
+    if (event.type === 'payment_succeeded' && await isDroppedBookingIntent(event.intentId)) {
+      await refundStrayPayment(providerName, event.intentId, 'no booking holds this payment any more')
+      return
+    }
+
+    console.warn(`[PAYMENT] No booking for payment intent ${event.intentId}`)
+    return
+  }
+
+  if (event.type === 'payment_succeeded') {
+    const { data: confirmedBooking, error: confirmError } = await markBookingPaid(booking.id)
+
+    if (confirmError) {
+      throw new Error(confirmError)
+    }
+
+    if (!confirmedBooking) {
+      // A booking cancelled before it was paid can't take the payment
+      if (booking.status === 'cancelled' && booking.payment_status !== 'paid') {
+        await refundStrayPayment(providerName, event.intentId, `booking ${booking.id} was cancelled`)
+        return
+      }
+      console.warn(`[PAYMENT] Payment succeeded for booking ${booking.id} with status ${booking.status}`)
+      return
+    }
+
+    await recordBookingEvent({
+      type: 'confirmed',
+      actor: SYSTEM_ACTOR,
+      before: booking,
+      after: confirmedBooking,
+      reason: `Payment succeeded (${providerName} webhook)`
+    })
+
+    // Send confirmation emails (non-blocking)
+    getBookingWithDetails(booking.id)
+      .then(bookingDetails => {
+        if (bookingDetails) {
+          sendBookingConfirmation(bookingDetails)
+        }
+      })
+      .catch(err => {
+        console.error('[PAYMENT] Email send error (non-critical):', err)
+      })
+    return
+  }
+
+  if (event.type === 'payment_failed' || event.type === 'payment_canceled') {
+    const { data: updatedBooking } = await supabase
+      .from('bookings')
+      .update({ payment_status: event.type === 'payment_failed' ? 'failed' : 'voided' })
+      .eq('id', booking.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle()
+
+    if (updatedBooking) {
+      await recordBookingEvent({
+        type: 'payment_updated',
+        actor: SYSTEM_ACTOR,
+        before: booking,
+        after: updatedBooking,
+        reason: event.type === 'payment_failed' ? 'Payment failed' : 'Payment canceled'
+      })
+    }
+  }
+}
+
+/**
+ * Verify and process a provider webhook
+ * Shared by the public webhook route and the fake provider simulator
+ */
+async function processWebhook(provider, rawBody, headers) {
+  const event = provider.parseWebhook(rawBody, headers)
+  await applyPaymentEvent(provider.name, event)
+  return event
+}
+
+/**
+ * Payment provider webhook (public, signature-verified)
+ *
+ * POST /api/payments/webhook
+ * Must receive the raw request body for signature verification.
+ */
+export const handleWebhook = async (req, res) => {
+  const provider = getPaymentProvider()
+
+  let event
+  try {
+    event = provider.parseWebhook(req.body, req.headers)
+  } catch (error) {
+    console.warn('[PAYMENT] Rejected webhook:', error.message)
+    return errorResponse(res, 400, 'Invalid webhook signature')
+  }
+
+  try {
+    await applyPaymentEvent(provider.name, event)
+    res.json({ received: true })
+  } catch (error) {
+    // Non-2xx makes the provider retry delivery
+    console.error('[PAYMENT] Webhook processing error:', error)
+    return errorResponse(res, 500, 'Failed to process webhook')
+  }
+}
+
+/**
+ * Simulate completing a payment with the fake provider (non-production only)
+ *
+ * POST /api/payments/fake/:intentId/complete
+ * Body: outcome — 'succeeded' (default) or 'failed'
+ */
+export const simulateFakePayment = async (req, res) => {
+  try {
+    const provider = getPaymentProvider()
+
+    if (provider.name !== 'fake' || process.env.NODE_ENV === 'production') {
+      return errorResponse(res, 404, 'Not found')
+    }
+
+    const { intentId } = req.params
+    const outcome = req.body?.outcome === 'failed' ? 'failed' : 'succeeded'
+
+    // Only the booking's customer (or the purchaser of a package / gift card,
+    // or the member) may simulate its payment
+    const [{ data: booking }, { data: creditAccount }, { data: membership }] = await Promise.all([
+      supabase
+        .from('bookings')
+        .select('id')
+        .eq('payment_intent_id', intentId)
+        .eq('customer_id', req.profile.id)
+        .maybeSingle(),
+      supabase
+        .from('credit_accounts')
+        .select('id')
+        .eq('payment_intent_id', intentId)
+        .eq('purchased_by', req.profile.id)
+        .maybeSingle(),
+      supabase
+        .from('memberships')
+        .select('id')
+        .eq('payment_intent_id', intentId)
+        .eq('customer_id', req.profile.id)
+        .maybeSingle()
+    ])
+
+    if (!booking && !creditAccount && !membership) {
+      return errorResponse(res, 404, 'Payment intent not found')
+    }
+
+    let webhook
+    try {
+      webhook = provider.simulatePayment(intentId, outcome)
+    } catch (error) {
+      return errorResponse(res, 400, error.message)
+    }
+
+    const event = await processWebhook(provider, webhook.rawBody, webhook.headers)
+
+    return successResponse(res, {
+      ...(booking && { booking_id: booking.id }),
+      ...(creditAccount && { credit_account_id: creditAccount.id }),
+      ...(membership && { membership_id: membership.id }),
+      event: event.type
+    }, `Simulated payment ${outcome}`)
+
+  } catch (error) {
+    console.error('Simulate fake payment error:', error)
+    return errorResponse(res, 500, 'Failed to simulate payment')
+  }
+}
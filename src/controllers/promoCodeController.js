@@ -0,0 +1,371 @@
+import supabase from '../config/supabase.js'
+import { isValidUUID, isValidDateFormat } from '../utils/validation.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+import { PROMO_CODE_FIELDS, normalizePromoCode, getPromoCodeUsage } from '../services/promoCodeService.js'
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/
+const DISCOUNT_TYPES = ['percentage', 'fixed']
+const MAX_FIXED_DISCOUNT = 10000
+const MAX_DESCRIPTION_LENGTH = 200
+
+// Fields that may be set on create/update
+const PROMO_CODE_INPUT_FIELDS = [
+  'code', 'description', 'discount_type', 'discount_value', 'valid_from', 'valid_until',
+  'max_uses', 'max_uses_per_customer', 'service_ids'
+]
+
+/**
+ * Validate a complete promo code (create payload, or existing row merged
+ * with an update payload)
+ * Returns an error message, or null if valid
+ */
+function validatePromoCodeInput(promo) {
+  const code = normalizePromoCode(promo.code)
+  if (!CODE_PATTERN.test(code)) {
+    return 'code must be 3-32 characters: letters, digits, "-" or "_"'
+  }
+
+  if (promo.description != null) {
+    if (typeof promo.description !== 'string') {
+      return 'description must be a string'
+    }
+    if (promo.description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      return `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`
+    }
+  }
+
+  if (!DISCOUNT_TYPES.includes(promo.discount_type)) {
+    return `discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}`
+  }
+
+  const value = Number(promo.discount_value)
+  const maxValue = promo.discount_type === 'percentage' ? 100 : MAX_FIXED_DISCOUNT
+  if (promo.discount_value === null || promo.discount_value === '' || !Number.isFinite(value) || value <= 0 || value > maxValue) {
+    return `discount_value must be a number greater than 0 and at most ${maxValue}`
+  }
+  if (Math.abs(Math.round(value * 100) - value * 100) > 1e-6) {
+    return 'discount_value must have at most 2 decimal places'
+  }
+
+  for (const field of ['valid_from', 'valid_until']) {
+    if (promo[field] != null && !isValidDateFormat(promo[field])) {
+      return `${field} must be a date in YYYY-MM-DD format`
+    }
+  }
+  if (promo.valid_from && promo.valid_until && promo.valid_from > promo.valid_until) {
+    return 'valid_from must be on or before valid_until'
+  }
+
+  for (const field of ['max_uses', 'max_uses_per_customer']) {
+    if (promo[field] != null && (!Number.isInteger(promo[field]) || promo[field] < 1)) {
+      return `${field} must be a positive whole number (or null for no limit)`
+    }
+  }
+
+  if (promo.service_ids != null) {
+    if (!Array.isArray(promo.service_ids) || promo.service_ids.some(id => !isValidUUID(id))) {
+      return 'service_ids must be an array of service UUIDs (or null for every service)'
+    }
+  }
+
+  return null
+}
+
+/**
+ * Check that every listed service exists
+ * Returns an error message, or null
+ */
+async function verifyServiceIds(serviceIds) {
+  if (!serviceIds || serviceIds.length === 0) return null
+
+  const uniqueIds = [...new Set(serviceIds)]
+  const { data: services, error } = await supabase
+    .from('services')
+    .select('id')
+    .in('id', uniqueIds)
+
+  if (error) {
+    console.error('Fetch promo code services error:', error)
+    return 'Failed to verify service_ids'
+  }
+
+  const found = new Set((services || []).map(s => s.id))
+  const missing = uniqueIds.filter(id => !found.has(id))
+  return missing.length > 0 ? `Service not found: ${missing.join(', ')}` : null
+}
+
+/**
+ * Build the column values for an insert/update from a validated payload
+ */
+function buildPromoCodeRow(body) {
+  const row = {}
+  if (body.code !== undefined) row.code = normalizePromoCode(body.code)
+  if (body.description !== undefined) row.description = body.description?.trim() || null
+  if (body.discount_type !== undefined) row.discount_type = body.discount_type
+  if (body.discount_value !== undefined) row.discount_value = Number(body.discount_value)
+  for (const field of ['valid_from', 'valid_until', 'max_uses', 'max_uses_per_customer']) {
+    if (body[field] !== undefined) row[field] = body[field]
+  }
+  if (body.service_ids !== undefined) {
+    row.service_ids = body.service_ids?.length > 0 ? [...new Set(body.service_ids)] : null
+  }
+  return row
+}
+
+/**
+ * Attach redemption counts and discount totals to promo codes
+ */
+async function withUsage(promoCodes) {
+  const usage = await getPromoCodeUsage(promoCodes.map(p => p.id))
+  return promoCodes.map(promo => ({
+    ...promo,
+    uses: usage[promo.id]?.uses || 0,
+    discount_total: usage[promo.id]?.discount_total || 0
+  }))
+}
+
+/**
+ * List all promo codes with their usage (Admin only)
+ *
+ * Query params:
+ * - status (optional): active | inactive
+ */
+export const getPromoCodes = async (req, res) => {
+  try {
+    const { status } = req.query
+
+    if (status && !['active', 'inactive'].includes(status)) {
+      return errorResponse(res, 400, 'Invalid status. Must be active or inactive')
+    }
+
+    let query = supabase
+      .from('promo_codes')
+      .select(PROMO_CODE_FIELDS)
+      .order('is_active', { ascending: false })
+      .order('created_at', { ascending: false })
+
+    if (status) query = query.eq('is_active', status === 'active')
+
+    const { data: promoCodes, error } = await query
+
+    if (error) {
+      console.error('Fetch promo codes error:', error)
+      return errorResponse(res, 500, 'Failed to fetch promo codes')
+    }
+
+    return successResponse(res, await withUsage(promoCodes))
+
+  } catch (error) {
+    console.error('Get promo codes error:', error)
+    return errorResponse(res, 500, 'Failed to fetch promo codes')
+  }
+}
+
+/**
+ * Get a single promo code with its usage (Admin only)
+ */
+export const getPromoCodeById = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for promo code ID')
+    }
+
+    const { data: promo, error } = await supabase
+      .from('promo_codes')
+      .select(PROMO_CODE_FIELDS)
+      .eq('id', id)
+      .single()
+
+    if (error || !promo) {
+      return errorResponse(res, 404, 'Promo code not found')
+    }
+
+    const [promoWithUsage] = await withUsage([promo])
+    return successResponse(res, promoWithUsage)
+
+  } catch (error) {
+    console.error('Get promo code error:', error)
+    return errorResponse(res, 500, 'Failed to fetch promo code')
+  }
+}
+
+/**
+ * Create a promo code (Admin only)
+ *
+ * Body: code, discount_type (percentage | fixed), discount_value, and
+ * optionally description, valid_from / valid_until (YYYY-MM-DD, inclusive),
+ * max_uses, max_uses_per_customer, service_ids (omit for every service)
+ * Codes are case-insensitive. New codes are active immediately.
+ */
+export const createPromoCode = async (req, res) => {
+  try {
+    const validationError = validatePromoCodeInput(req.body)
+    if (validationError) {
+      return errorResponse(res, 400, validationError)
+    }
+
+    const servicesError = await verifyServiceIds(req.body.service_ids)
+    if (servicesError) {
+      return errorResponse(res, 400, servicesError)
+    }
+
+    const { data: promo, error } = await supabase
+      .from('promo_codes')
+      .insert({ ...buildPromoCodeRow(req.body), is_active: true })
+      .select(PROMO_CODE_FIELDS)
+      .single()
+
+    if (error) {
+      console.error('Promo code creation error:', error)
+      if (error.code === '23505') {
+        return errorResponse(res, 409, 'A promo code with this code already exists')
+      }
+      return errorResponse(res, 500, 'Failed to create promo code')
+    }
+
+    return successResponse(res, { ...promo, uses: 0, discount_total: 0 }, 'Promo code created successfully', 201)
+
+  } catch (error) {
+    console.error('Create promo code error:', error)
+    return errorResponse(res, 500, 'Failed to create promo code')
+  }
+}
+
+/**
+ * Update a promo code (Admin only)
+ *
+ * Body (all optional): any field accepted by createPromoCode
+ * Bookings that already used the code keep their discount snapshot.
+ */
+export const updatePromoCode = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for promo code ID')
+    }
+
+    const updates = buildPromoCodeRow(req.body)
+    if (Object.keys(updates).length === 0) {
+      return errorResponse(res, 400, `No fields to update. Provide any of: ${PROMO_CODE_INPUT_FIELDS.join(', ')}`)
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('promo_codes')
+      .select(PROMO_CODE_FIELDS)
+      .eq('id', id)
+      .single()
+
+    if (fetchError || !existing) {
+      return errorResponse(res, 404, 'Promo code not found')
+    }
+
+    // Validate the result, so cross-field rules (dates, percentage cap) hold
+    const validationError = validatePromoCodeInput({ ...existing, ...req.body })
+    if (validationError) {
+      return errorResponse(res, 400, validationError)
+    }
+
+    if (req.body.service_ids !== undefined) {
+      const servicesError = await verifyServiceIds(req.body.service_ids)
+      if (servicesError) {
+        return errorResponse(res, 400, servicesError)
+      }
+    }
+
+    const { data: promo, error } = await supabase
+      .from('promo_codes')
+      .update(updates)
+      .eq('id', id)
+      .select(PROMO_CODE_FIELDS)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Promo code update error:', error)
+      if (error.code === '23505') {
+        return errorResponse(res, 409, 'A promo code with this code already exists')
+      }
+      return errorResponse(res, 500, 'Failed to update promo code')
+    }
+
+    if (!promo) {
+      return errorResponse(res, 404, 'Promo code not found')
+    }
+
+    const [promoWithUsage] = await withUsage([promo])
+    return successResponse(res, promoWithUsage, 'Promo code updated successfully')
+
+  } catch (error) {
+    console.error('Update promo code error:', error)
+    return errorResponse(res, 500, 'Failed to update promo code')
+  }
+}
+
+/**
+ * Toggle a promo code's is_active flag
+ * Shared by archivePromoCode and restorePromoCode
+ */
+async function setPromoCodeActive(req, res, isActive) {
+  const { id } = req.params
+
+  if (!isValidUUID(id)) {
+    return errorResponse(res, 400, 'Invalid UUID format for promo code ID')
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('promo_codes')
+    .select('id, is_active')
+    .eq('id', id)
+    .single()
+
+  if (fetchError || !existing) {
+    return errorResponse(res, 404, 'Promo code not found')
+  }
+
+  if (existing.is_active === isActive) {
+    return errorResponse(res, 400, `Promo code is already ${isActive ? 'active' : 'archived'}`)
+  }
+
+  const { data: promo, error } = await supabase
+    .from('promo_codes')
+    .update({ is_active: isActive })
+    .eq('id', id)
+    .select(PROMO_CODE_FIELDS)
+    .single()
+
+  if (error) {
+    console.error('Promo code status update error:', error)
+    return errorResponse(res, 500, `Failed to ${isActive ? 'restore' : 'archive'} promo code`)
+  }
+
+  return successResponse(res, promo, `Promo code ${isActive ? 'restored' : 'archived'} successfully`)
+}
+
+/**
+ * Archive a promo code (Admin only)
+ *
+ * The code can no longer be applied. Bookings that already used it keep
+ * their discount.
+ */
+export const archivePromoCode = async (req, res) => {
+  try {
+    return await setPromoCodeActive(req, res, false)
+  } catch (error) {
+    console.error('Archive promo code error:', error)
+    return errorResponse(res, 500, 'Failed to archive promo code')
+  }
+}
+
+/**
+ * Restore an archived promo code (Admin only)
+ */
+export const restorePromoCode = async (req, res) => {
+  try {
+    return await setPromoCodeActive(req, res, true)
+  } catch (error) {
+    console.error('Restore promo code error:', error)
+    return errorResponse(res, 500, 'Failed to restore promo code')
+  }
+}
@@ -0,0 +1,332 @@
+import supabase from '../config/supabase.js'
+import { isValidUUID } from '../utils/validation.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+import { validatePolicy } from '../services/cancellationPolicy.js'
+import { resolveLocationId } from '../services/locationService.js'
+
+const SERVICE_FIELDS = 'id, name, price, duration, is_active, cancellation_policy, location_id'
+const MAX_NAME_LENGTH = 100
+const MAX_PRICE = 10000
+const MIN_DURATION = 5
+const MAX_DURATION = 480
+
+/**
+ * Validate service fields from a create/update payload
+ *
+ * Returns an error message, or null if valid.
+ * With partial = true, only the fields present are checked (used by update).
+ */
+function validateServiceInput({ name, price, duration, cancellation_policy }, partial = false) {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return 'Service name is required'
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      return `Service name must be at most ${MAX_NAME_LENGTH} characters`
+    }
+  }
+
+  if (!partial || price !== undefined) {
+    const numericPrice = Number(price)
+    if (price === null || price === '' || !Number.isFinite(numericPrice) || numericPrice < 0 || numericPrice > MAX_PRICE) {
+      return `Price must be a number between 0 and ${MAX_PRICE}`
+    }
+    if (Math.abs(Math.round(numericPrice * 100) - numericPrice * 100) > 1e-6) {
+      return 'Price must have at most 2 decimal places'
+    }
+  }
+
+  if (!partial || duration !== undefined) {
+    const numericDuration = Number(duration)
+    if (!Number.isInteger(numericDuration) || numericDuration < MIN_DURATION || numericDuration > MAX_DURATION) {
+      return `Duration must be a whole number of minutes between ${MIN_DURATION} and ${MAX_DURATION}`
+    }
+  }
+
+  // null means "use the default policy"
+  if (cancellation_policy != null) {
+    const policyError = validatePolicy(cancellation_policy)
+    if (policyError) return policyError
+  }
+
+  return null
+}
+
+/**
+ * List active services (public)
+ *
+ * Query params:
+ * - location_id (optional): only services offered at this branch
+ *   (its own services plus those offered everywhere)
+ */
+export const getServices = async (req, res) => {
+  try {
+    const { location_id } = req.query
+
+    if (location_id && !isValidUUID(location_id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for location_id')
+    }
+
+    let query = supabase
+      .from('services')
+      .select(SERVICE_FIELDS)
+      .eq('is_active', true)
+
+    if (location_id) {
+      query = query.or(`location_id.is.null,location_id.eq.${location_id}`)
+    }
+
+    const { data: services, error } = await query.order('name')
+
+    if (error) {
+      console.error('Fetch services error:', error)
+      return errorResponse(res, 500, 'Failed to fetch services')
+    }
+
+    return successResponse(res, services)
+
+  } catch (error) {
+    console.error('Get services error:', error)
+    return errorResponse(res, 500, 'Failed to fetch services')
+  }
+}
+
+/**
+ * Get a single active service (public)
+ */
+export const getServiceById = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for service ID')
+    }
+
+    const { data: service, error } = await supabase
+      .from('services')
+      .select(SERVICE_FIELDS)
+      .eq('id', id)
+      .eq('is_active', true)
+      .single()
+
+    if (error || !service) {
+      return errorResponse(res, 404, 'Service not found')
+    }
+
+    return successResponse(res, service)
+
+  } catch (error) {
+    console.error('Get service error:', error)
+    return errorResponse(res, 500, 'Failed to fetch service')
+  }
+}
+
+/**
+ * List all services including archived ones (Admin only)
+ */
+export const getAllServices = async (req, res) => {
+  try {
+    const { data: services, error } = await supabase
+      .from('services')
+      .select(SERVICE_FIELDS)
+      .order('is_active', { ascending: false })
+      .order('name')
+
+    if (error) {
+      console.error('Fetch all services error:', error)
+      return errorResponse(res, 500, 'Failed to fetch services')
+    }
+
+    return successResponse(res, services)
+
+  } catch (error) {
+    console.error('Get all services error:', error)
+    return errorResponse(res, 500, 'Failed to fetch services')
+  }
+}
+
+/**
+ * Create a new service (Admin only)
+ *
+ * Body: name, price, duration (minutes), cancellation_policy (optional),
+ * location_id (optional — omit to offer the service at every branch)
+ * New services are active immediately.
+ */
+export const createService = async (req, res) => {
+  try {
+    const { name, price, duration, cancellation_policy, location_id } = req.body
+
+    const validationError = validateServiceInput({ name, price, duration, cancellation_policy })
+    if (validationError) {
+      return errorResponse(res, 400, validationError)
+    }
+
+    if (location_id != null) {
+      const { error: locationError } = await resolveLocationId(location_id)
+      if (locationError) {
+        return errorResponse(res, 400, locationError)
+      }
+    }
+
+    const { data: service, error } = await supabase
+      .from('services')
+      .insert({
+        name: name.trim(),
+        price: Number(price),
+        duration: Number(duration),
+        cancellation_policy: cancellation_policy ?? null,
+        location_id: location_id ?? null,
+        is_active: true
+      })
+      .select(SERVICE_FIELDS)
+      .single()
+
+    if (error) {
+      console.error('Service creation error:', error)
+      if (error.code === '23505') {
+        return errorResponse(res, 409, 'A service with this name already exists')
+      }
+      return errorResponse(res, 500, 'Failed to create service')
+    }
+
+    return successResponse(res, service, 'Service created successfully', 201)
+
+  } catch (error) {
+    console.error('Create service error:', error)
+    return errorResponse(res, 500, 'Failed to create service')
+  }
+}
+
+/**
+ * Update a service (Admin only)
+ *
+ * Body (all optional): name, price, duration, cancellation_policy,
+ * location_id (null = every branch)
+ * Existing bookings are unaffected — createReservation snapshots
+ * the service name, price and duration onto each booking.
+ */
+export const updateService = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { name, price, duration, cancellation_policy, location_id } = req.body
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for service ID')
+    }
+
+    if (name === undefined && price === undefined && duration === undefined && cancellation_policy === undefined && location_id === undefined) {
+      return errorResponse(res, 400, 'No fields to update. Provide name, price, duration, cancellation_policy or location_id')
+    }
+
+    const validationError = validateServiceInput({ name, price, duration, cancellation_policy }, true)
+    if (validationError) {
+      return errorResponse(res, 400, validationError)
+    }
+
+    if (location_id !== undefined) {
+      const { error: locationError } = await resolveLocationId(location_id)
+      if (locationError) {
+        return errorResponse(res, 400, locationError)
+      }
+    }
+
+    const updates = {}
+    if (name !== undefined) updates.name = name.trim()
+    if (price !== undefined) updates.price = Number(price)
+    if (duration !== undefined) updates.duration = Number(duration)
+    if (cancellation_policy !== undefined) updates.cancellation_policy = cancellation_policy
+    if (location_id !== undefined) updates.location_id = location_id
+
+    const { data: service, error } = await supabase
+      .from('services')
+      .update(updates)
+      .eq('id', id)
+      .select(SERVICE_FIELDS)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Service update error:', error)
+      if (error.code === '23505') {
+        return errorResponse(res, 409, 'A service with this name already exists')
+      }
+      return errorResponse(res, 500, 'Failed to update service')
+    }
+
+    if (!service) {
+      return errorResponse(res, 404, 'Service not found')
+    }
+
+    return successResponse(res, service, 'Service updated successfully')
+
+  } catch (error) {
+    console.error('Update service error:', error)
+    return errorResponse(res, 500, 'Failed to update service')
+  }
+}
+
+/**
+ * Toggle a service's is_active flag
+ * Shared by archiveService and restoreService
+ */
+async function setServiceActive(req, res, isActive) {
+  const { id } = req.params
+
+  if (!isValidUUID(id)) {
+    return errorResponse(res, 400, 'Invalid UUID format for service ID')
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('services')
+    .select('id, is_active')
+    .eq('id', id)
+    .single()
+
+  if (fetchError || !existing) {
+    return errorResponse(res, 404, 'Service not found')
+  }
+
+  if (existing.is_active === isActive) {
+    return errorResponse(res, 400, `Service is already ${isActive ? 'active' : 'archived'}`)
+  }
+
+  const { data: service, error } = await supabase
+    .from('services')
+    .update({ is_active: isActive })
+    .eq('id', id)
+    .select(SERVICE_FIELDS)
+    .single()
+
+  if (error) {
+    console.error('Service status update error:', error)
+    return errorResponse(res, 500, `Failed to ${isActive ? 'restore' : 'archive'} service`)
+  }
+
+  return successResponse(res, service, `Service ${isActive ? 'restored' : 'archived'} successfully`)
+}
+
+/**
+ * Archive a service (Admin only)
+ *
+ * Hides the service from the public catalog and blocks new reservations.
+ * Existing bookings keep their snapshot of name, price and duration.
+ */
+export const archiveService = async (req, res) => {
+  try {
+    return await setServiceActive(req, res, false)
+  } catch (error) {
+    console.error('Archive service error:', error)
+    return errorResponse(res, 500, 'Failed to archive service')
+  }
+}
+
+/**
+ * Restore an archived service (Admin only)
+ */
+export const restoreService = async (req, res) => {
+  try {
+    return await setServiceActive(req, res, true)
+  } catch (error) {
+    console.error('Restore service error:', error)
+    return errorResponse(res, 500, 'Failed to restore service')
+  }
+}
@@ -0,0 +1,510 @@
+import supabase from '../config/supabase.js'
+import { isValidUUID, isValidDateFormat } from '../utils/validation.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+import { formatDate } from '../utils/dateTime.js'
+import { resolveLocationId } from '../services/locationService.js'
+
+const MAX_SPECIALIZATION_LENGTH = 100
+
+const THERAPIST_SELECT = `
+  id,
+  user_id,
+  specialization,
+  is_active,
+  location_id,
+  location:locations!therapists_location_id_fkey(
+    name
+  ),
+  user:profiles!therapists_user_id_fkey(
+    full_name,
+    email,
+    phone
+  )
+`
+
+/**
+ * Validate specialization text
+ * Returns an error message, or null if valid
+ */
+function validateSpecialization(specialization) {
+  if (typeof specialization !== 'string' || specialization.trim().length === 0) {
+    return 'Specialization must be a non-empty string'
+  }
+  if (specialization.trim().length > MAX_SPECIALIZATION_LENGTH) {
+    return `Specialization must be at most ${MAX_SPECIALIZATION_LENGTH} characters`
+  }
+  return null
+}
+
+/**
+ * List active therapists (public)
+ * Used by booking UIs to show who offers appointments
+ *
+ * Query params:
+ * - location_id (optional): only therapists at this branch
+ */
+export const getTherapists = async (req, res) => {
+  try {
+    const { location_id } = req.query
+
+    if (location_id && !isValidUUID(location_id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for location_id')
+    }
+
+    let query = supabase
+      .from('therapists')
+      .select(`
+        id,
+        specialization,
+        location_id,
+        user:profiles!therapists_user_id_fkey(
+          full_name
+        )
+      `)
+      .eq('is_active', true)
+
+    if (location_id) query = query.eq('location_id', location_id)
+
+    const { data: therapists, error } = await query
+
+    if (error) {
+      console.error('Fetch therapists error:', error)
+      return errorResponse(res, 500, 'Failed to fetch therapists')
+    }
+
+    return successResponse(res, therapists)
+
+  } catch (error) {
+    console.error('Get therapists error:', error)
+    return errorResponse(res, 500, 'Failed to fetch therapists')
+  }
+}
+
+/**
+ * List all therapists including deactivated ones (Admin only)
+ */
+export const getAllTherapists = async (req, res) => {
+  try {
+    const { data: therapists, error } = await supabase
+      .from('therapists')
+      .select(THERAPIST_SELECT)
+      .order('is_active', { ascending: false })
+
+    if (error) {
+      console.error('Fetch all therapists error:', error)
+      return errorResponse(res, 500, 'Failed to fetch therapists')
+    }
+
+    return successResponse(res, therapists)
+
+  } catch (error) {
+    console.error('Get all therapists error:', error)
+    return errorResponse(res, 500, 'Failed to fetch therapists')
+  }
+}
+
+/**
+ * Onboard a therapist (Admin only)
+ *
+ * Body: user_id (existing profile), specialization, location_id (optional)
+ *
+ * Business Logic:
+ * 1. Verify the profile exists and isn't already a therapist or admin
+ * 2. Create the therapists row
+ * 3. Promote the profile role to 'therapist'
+ * 4. Rollback the therapists row if the role update fails
+ */
+export const createTherapist = async (req, res) => {
+  try {
+    const { user_id, specialization, location_id } = req.body
+
+    if (!user_id || specialization === undefined) {
+      return errorResponse(res, 400, 'Missing required fields: user_id, specialization')
+    }
+
+    if (!isValidUUID(user_id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for user_id')
+    }
+
+    const specializationError = validateSpecialization(specialization)
+    if (specializationError) {
+      return errorResponse(res, 400, specializationError)
+    }
+
+    if (location_id != null) {
+      const { error: locationError } = await resolveLocationId(location_id)
+      if (locationError) {
+        return errorResponse(res, 400, locationError)
+      }
+    }
+
+    // 1. Verify profile
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('id, role, full_name')
+      .eq('id', user_id)
+      .single()
+
+    if (profileError || !profile) {
+      return errorResponse(res, 404, 'User profile not found')
+    }
+
+    if (profile.role === 'admin') {
+      return errorResponse(res, 400, 'Admin accounts cannot be onboarded as therapists')
+    }
+
+    const { data: existing } = await supabase
+      .from('therapists')
+      .select('id')
+      .eq('user_id', user_id)
+      .maybeSingle()
+
+    if (existing) {
+      return errorResponse(res, 409, 'This user is already a therapist')
+    }
+
+    // 2. Create therapist record
+    const { data: therapist, error: insertError } = await supabase
+      .from('therapists')
+      .insert({
+        user_id,
+        specialization: specialization.trim(),
+        location_id: location_id ?? null,
+        is_active: true
+      })
+      .select('id')
+      .single()
+
+    if (insertError) {
+      console.error('Therapist creation error:', insertError)
+      return errorResponse(res, 500, 'Failed to create therapist')
+    }
+
+    // 3. Promote role
+    const { error: roleError } = await supabase
+      .from('profiles')
+      .update({ role: 'therapist' })
+      .eq('id', user_id)
+
+    if (roleError) {
+      // Rollback: remove the therapist record we just created
+      await supabase.from('therapists').delete().eq('id', therapist.id)
+      return errorResponse(res, 500, 'Failed to assign therapist role')
+    }
+
+    const { data: created } = await supabase
+      .from('therapists')
+      .select(THERAPIST_SELECT)
+      .eq('id', therapist.id)
+      .single()
+
+    return successResponse(res, created, `${profile.full_name || 'User'} onboarded as a therapist`, 201)
+
+  } catch (error) {
+    console.error('Create therapist error:', error)
+    return errorResponse(res, 500, 'Failed to create therapist')
+  }
+}
+
+/**
+ * Edit a therapist (Admin only)
+ *
+ * Body (all optional): specialization, full_name, phone, location_id
+ * specialization and location_id live on therapists; name and phone on
+ * the linked profile. Moving a therapist to another branch also moves
+ * their slots from today onwards; it is refused (409) while they have
+ * upcoming pending or confirmed bookings, which must be rescheduled or
+ * cancelled first so customers are told where their appointment is.
+ */
+export const updateTherapist = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { specialization, full_name, phone, location_id } = req.body
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for therapist ID')
+    }
+
+    if (specialization === undefined && full_name === undefined && phone === undefined && location_id === undefined) {
+      return errorResponse(res, 400, 'No fields to update. Provide specialization, full_name, phone or location_id')
+    }
+
+    if (specialization !== undefined) {
+      const specializationError = validateSpecialization(specialization)
+      if (specializationError) {
+        return errorResponse(res, 400, specializationError)
+      }
+    }
+
+    if (full_name !== undefined && (typeof full_name !== 'string' || full_name.trim().length === 0)) {
+      return errorResponse(res, 400, 'full_name must be a non-empty string')
+    }
+
+    if (phone !== undefined && phone !== null && typeof phone !== 'string') {
+      return errorResponse(res, 400, 'phone must be a string')
+    }
+
+    if (location_id !== undefined) {
+      const { error: locationError } = await resolveLocationId(location_id)
+      if (locationError) {
+        return errorResponse(res, 400, locationError)
+      }
+    }
+
+    const { data: therapist, error: fetchError } = await supabase
+      .from('therapists')
+      .select('id, user_id, location_id')
+      .eq('id', id)
+      .single()
+
+    if (fetchError || !therapist) {
+      return errorResponse(res, 404, 'Therapist not found')
+    }
+
+    const changesLocation = location_id !== undefined && location_id !== therapist.location_id
+    const today = formatDate(new Date())
+
+    if (changesLocation) {
+      const { count, error: countError } = await supabase
+        .from('bookings')
+        .select('id', { count: 'exact', head: true })
+        .eq('therapist_id', id)
+        .in('status', ['pending', 'confirmed'])
+        .gte('booking_date', today)
+
+      if (countError) {
+        console.error('Therapist upcoming bookings check error:', countError)
+        return errorResponse(res, 500, 'Failed to update therapist')
+      }
+
+      if (count > 0) {
+        return errorResponse(res, 409, `Therapist has ${count} upcoming booking(s) at their current location. Reschedule or cancel them before changing location.`)
+      }
+    }
+
+    if (specialization !== undefined || location_id !== undefined) {
+      const therapistUpdates = {}
+      if (specialization !== undefined) therapistUpdates.specialization = specialization.trim()
+      if (location_id !== undefined) therapistUpdates.location_id = location_id
+
+      const { error } = await supabase
+        .from('therapists')
+        .update(therapistUpdates)
+        .eq('id', id)
+
+      if (error) {
+        console.error('Therapist update error:', error)
+        return errorResponse(res, 500, 'Failed to update therapist')
+      }
+    }
+
+    // Branch change: upcoming slots follow the therapist
+    if (changesLocation) {
+      const { error: slotsError } = await supabase
+        .from('time_slots')
+        .update({ location_id })
+        .eq('therapist_id', id)
+        .gte('slot_date', today)
+
+      if (slotsError) {
+        console.error('Therapist location move error:', slotsError)
+        return errorResponse(res, 500, 'Therapist updated, but moving their schedule to the new location failed')
+      }
+    }
+
+    if (full_name !== undefined || phone !== undefined) {
+      const profileUpdates = {}
+      if (full_name !== undefined) profileUpdates.full_name = full_name.trim()
+      if (phone !== undefined) profileUpdates.phone = phone
+
+      const { error } = await supabase
+        .from('profiles')
+        .update(profileUpdates)
+        .eq('id', therapist.user_id)
+
+      if (error) {
+        console.error('Therapist profile update error:', error)
+        return errorResponse(res, 500, 'Failed to update therapist profile')
+      }
+    }
+
+    const { data: updated } = await supabase
+      .from('therapists')
+      .select(THERAPIST_SELECT)
+      .eq('id', id)
+      .single()
+
+    return successResponse(res, updated, 'Therapist updated successfully')
+
+  } catch (error) {
+    console.error('Update therapist error:', error)
+    return errorResponse(res, 500, 'Failed to update therapist')
+  }
+}
+
+/**
+ * Toggle a therapist's is_active flag
+ * Shared by deactivateTherapist and activateTherapist
+ */
+async function setTherapistActive(req, res, isActive) {
+  const { id } = req.params
+
+  if (!isValidUUID(id)) {
+    return errorResponse(res, 400, 'Invalid UUID format for therapist ID')
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('therapists')
+    .select('id, is_active')
+    .eq('id', id)
+    .single()
+
+  if (fetchError || !existing) {
+    return errorResponse(res, 404, 'Therapist not found')
+  }
+
+  if (existing.is_active === isActive) {
+    return errorResponse(res, 400, `Therapist is already ${isActive ? 'active' : 'deactivated'}`)
+  }
+
+  const { data: therapist, error } = await supabase
+    .from('therapists')
+    .update({ is_active: isActive })
+    .eq('id', id)
+    .select(THERAPIST_SELECT)
+    .single()
+
+  if (error) {
+    console.error('Therapist status update error:', error)
+    return errorResponse(res, 500, `Failed to ${isActive ? 'activate' : 'deactivate'} therapist`)
+  }
+
+  return successResponse(res, therapist, `Therapist ${isActive ? 'activated' : 'deactivated'} successfully`)
+}
+
+/**
+ * Deactivate a therapist (Admin only)
+ *
+ * Their slots stop appearing in available-slots and can't be reserved.
+ * Existing bookings are left in place for the admin to cancel or reschedule.
+ */
+export const deactivateTherapist = async (req, res) => {
+  try {
+    return await setTherapistActive(req, res, false)
+  } catch (error) {
+    console.error('Deactivate therapist error:', error)
+    return errorResponse(res, 500, 'Failed to deactivate therapist')
+  }
+}
+
+/**
+ * Re-activate a therapist (Admin only)
+ */
+export const activateTherapist = async (req, res) => {
+  try {
+    return await setTherapistActive(req, res, true)
+  } catch (error) {
+    console.error('Activate therapist error:', error)
+    return errorResponse(res, 500, 'Failed to activate therapist')
+  }
+}
+
+/**
+ * Get the logged-in therapist's own record (Therapist only)
+ */
+export const getMyTherapistProfile = async (req, res) => {
+  try {
+    const { data: therapist, error } = await supabase
+      .from('therapists')
+      .select(THERAPIST_SELECT)
+      .eq('id', req.therapist.id)
+      .single()
+
+    if (error || !therapist) {
+      return errorResponse(res, 404, 'Therapist not found')
+    }
+
+    return successResponse(res, therapist)
+
+  } catch (error) {
+    console.error('Get my therapist profile error:', error)
+    return errorResponse(res, 500, 'Failed to fetch therapist profile')
+  }
+}
+
+/**
+ * Get the logged-in therapist's upcoming schedule (Therapist only)
+ *
+ * Query params (all optional):
+ * - start_date: first day to include (default: today)
+ * - end_date: last day to include
+ *
+ * Returns pending, confirmed, completed and no-show bookings with the
+ * customer's name and notes, so past appointments can still be marked
+ */
+export const getMySchedule = async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query
+
+    if (start_date && !isValidDateFormat(start_date)) {
+      return errorResponse(res, 400, 'Invalid date format for start_date (expected YYYY-MM-DD)')
+    }
+    if (end_date && !isValidDateFormat(end_date)) {
+      return errorResponse(res, 400, 'Invalid date format for end_date (expected YYYY-MM-DD)')
+    }
+
+    const startDate = start_date || formatDate(new Date())
+
+    let query = supabase
+      .from('bookings')
+      .select(`
+        id,
+        booking_date,
+        start_time,
+        end_time,
+        status,
+        service_name,
+        service_duration,
+        notes,
+        customer:profiles!bookings_customer_id_fkey(
+          id,
+          full_name,
+          phone
+        ),
+        therapist:therapists!bookings_therapist_id_fkey(
+          id,
+          specialization,
+          user:profiles!therapists_user_id_fkey(
+            full_name
+          )
+        )
+      `)
+      .eq('therapist_id', req.therapist.id)
+      .in('status', ['pending', 'confirmed', 'completed', 'no_show'])
+      .gte('booking_date', startDate)
+
+    if (end_date) query = query.lte('booking_date', end_date)
+
+    const { data: bookings, error } = await query
+      .order('booking_date', { ascending: true })
+      .order('start_time', { ascending: true })
+
+    if (error) {
+      console.error('Fetch therapist schedule error:', error)
+      return errorResponse(res, 500, 'Failed to fetch schedule')
+    }
+
+    // Group by day for calendar-style display
+    const byDate = bookings.reduce((acc, b) => {
+      if (!acc[b.booking_date]) acc[b.booking_date] = []
+      acc[b.booking_date].push(b)
+      return acc
+    }, {})
+
+    return successResponse(res, { bookings, by_date: byDate })
+
+  } catch (error) {
+    console.error('Get my schedule error:', error)
+    return errorResponse(res, 500, 'Failed to fetch schedule')
+  }
+}
@@ -0,0 +1,440 @@
+import supabase from '../config/supabase.js'
+import { isValidUUID, isValidDateFormat, isValidTimeFormat } from '../utils/validation.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+import { formatDate } from '../utils/dateTime.js'
+import { findConflictingBookings } from '../services/timeOffService.js'
+import {
+  getBookingWithDetails,
+  cancelBooking,
+  findRescheduleSlot,
+  rescheduleBooking,
+  quoteRefund,
+  refundCancelledBooking
+} from '../services/bookingService.js'
+import { recordBookingEvent, actorFromRequest } from '../services/bookingEvents.js'
+import { sendBookingCancellation, sendBookingRescheduled } from '../services/notificationService.js'
+
+const VALID_TYPES = ['vacation', 'sick', 'personal', 'other']
+const TIME_OFF_FIELDS = 'id, therapist_id, type, start_date, end_date, start_time, end_time, reason, created_by, created_at'
+
+/**
+ * Resolve which therapist a request targets
+ * Therapists act on themselves (req.therapist); admins pass :id
+ */
+function resolveTherapistId(req) {
+  return req.therapist ? req.therapist.id : req.params.id
+}
+
+/**
+ * Validate a time-off payload
+ * Returns an error message, or null if valid
+ */
+function validateTimeOff({ type, start_date, end_date, start_time, end_time }) {
+  if (!start_date || !end_date) {
+    return 'Missing required fields: start_date, end_date'
+  }
+  if (!isValidDateFormat(start_date) || !isValidDateFormat(end_date)) {
+    return 'Invalid date format for start_date or end_date (expected YYYY-MM-DD)'
+  }
+  if (type !== undefined && !VALID_TYPES.includes(type)) {
+    return `Invalid type. Must be one of: ${VALID_TYPES.join(', ')}`
+  }
+  if (start_time != null && !isValidTimeFormat(start_time)) {
+    return 'Invalid time format for start_time (expected HH:MM)'
+  }
+  if (end_time != null && !isValidTimeFormat(end_time)) {
+    return 'Invalid time format for end_time (expected HH:MM)'
+  }
+
+  const start = `${start_date}T${start_time || '00:00'}`
+  const end = `${end_date}T${end_time || '24:00'}`
+  if (start >= end) {
+    return 'Time off must end after it starts'
+  }
+
+  return null
+}
+
+/**
+ * Fetch a time-off block by ID
+ */
+async function fetchTimeOff(timeOffId) {
+  return supabase
+    .from('therapist_time_off')
+    .select(TIME_OFF_FIELDS)
+    .eq('id', timeOffId)
+    .single()
+}
+
+/**
+ * List a therapist's time off
+ *
+ * GET /api/therapists/me/time-off (Therapist)
+ * GET /api/therapists/:id/time-off (Admin)
+ *
+ * Query params:
+ * - include_past: 'true' to include blocks that have already ended
+ */
+export const getTimeOff = async (req, res) => {
+  try {
+    const therapistId = resolveTherapistId(req)
+
+    if (!isValidUUID(therapistId)) {
+      return errorResponse(res, 400, 'Invalid UUID format for therapist ID')
+    }
+
+    let query = supabase
+      .from('therapist_time_off')
+      .select(TIME_OFF_FIELDS)
+      .eq('therapist_id', therapistId)
+
+    if (req.query.include_past !== 'true') {
+      query = query.gte('end_date', formatDate(new Date()))
+    }
+
+    const { data: timeOff, error } = await query.order('start_date')
+
+    if (error) {
+      console.error('Fetch time off error:', error)
+      return errorResponse(res, 500, 'Failed to fetch time off')
+    }
+
+    return successResponse(res, timeOff)
+
+  } catch (error) {
+    console.error('Get time off error:', error)
+    return errorResponse(res, 500, 'Failed to fetch time off')
+  }
+}
+
+/**
+ * Log time off for a therapist
+ *
+ * POST /api/therapists/me/time-off (Therapist)
+ * POST /api/therapists/:id/time-off (Admin)
+ *
+ * Body: type, start_date, end_date, start_time?, end_time?, reason?
+ * Omit the times for whole days; set them for partial-day blocks.
+ *
+ * Affected slots are hidden from available-slots immediately. Existing
+ * bookings inside the block are returned as conflicts for an admin to
+ * cancel or move.
+ */
+export const createTimeOff = async (req, res) => {
+  try {
+    const therapistId = resolveTherapistId(req)
+    const { type, start_date, end_date, start_time, end_time, reason } = req.body
+
+    if (!isValidUUID(therapistId)) {
+      return errorResponse(res, 400, 'Invalid UUID format for therapist ID')
+    }
+
+    const validationError = validateTimeOff({ type, start_date, end_date, start_time, end_time })
+    if (validationError) {
+      return errorResponse(res, 400, validationError)
+    }
+
+    if (!req.therapist) {
+      const { data: therapist } = await supabase
+        .from('therapists')
+        .select('id')
+        .eq('id', therapistId)
+        .maybeSingle()
+
+      if (!therapist) {
+        return errorResponse(res, 404, 'Therapist not found')
+      }
+    }
+
+    const { data: timeOff, error: insertError } = await supabase
+      .from('therapist_time_off')
+      .insert({
+        therapist_id: therapistId,
+        type: type || 'other',
+        start_date,
+        end_date,
+        start_time: start_time || null,
+        end_time: end_time || null,
+        reason: reason || null,
+        created_by: req.profile.id
+      })
+      .select(TIME_OFF_FIELDS)
+      .single()
+
+    if (insertError) {
+      console.error('Time off creation error:', insertError)
+      return errorResponse(res, 500, 'Failed to create time off')
+    }
+
+    const { data: conflicts, error: conflictError } = await findConflictingBookings(timeOff)
+
+    if (conflictError) {
+      console.error('Time off conflict check error:', conflictError)
+    }
+
+    const conflictCount = conflicts?.length || 0
+
+    return successResponse(
+      res,
+      { time_off: timeOff, conflicts: conflicts || [] },
+      conflictCount > 0
+        ? `Time off recorded. ${conflictCount} existing booking(s) fall inside this block and need to be cancelled or moved.`
+        : 'Time off recorded.',
+      201
+    )
+
+  } catch (error) {
+    console.error('Create time off error:', error)
+    return errorResponse(res, 500, 'Failed to create time off')
+  }
+}
+
+/**
+ * Delete a time-off block
+ *
+ * DELETE /api/therapists/me/time-off/:timeOffId (Therapist, own blocks only)
+ * DELETE /api/therapists/time-off/:timeOffId (Admin)
+ */
+export const deleteTimeOff = async (req, res) => {
+  try {
+    const { timeOffId } = req.params
+
+    if (!isValidUUID(timeOffId)) {
+      return errorResponse(res, 400, 'Invalid UUID format for time off ID')
+    }
+
+    const { data: timeOff, error: fetchError } = await fetchTimeOff(timeOffId)
+
+    if (fetchError || !timeOff || (req.therapist && timeOff.therapist_id !== req.therapist.id)) {
+      return errorResponse(res, 404, 'Time off not found')
+    }
+
+    const { error } = await supabase
+      .from('therapist_time_off')
+      .delete()
+      .eq('id', timeOffId)
+
+    if (error) {
+      console.error('Time off delete error:', error)
+      return errorResponse(res, 500, 'Failed to delete time off')
+    }
+
+    return successResponse(res, timeOff, 'Time off removed. Affected slots are bookable again.')
+
+  } catch (error) {
+    console.error('Delete time off error:', error)
+    return errorResponse(res, 500, 'Failed to delete time off')
+  }
+}
+
+/**
+ * Conflict report for a time-off block (Admin only)
+ * Lists pending/confirmed bookings that fall inside the block
+ */
+export const getTimeOffConflicts = async (req, res) => {
+  try {
+    const { timeOffId } = req.params
+
+    if (!isValidUUID(timeOffId)) {
+      return errorResponse(res, 400, 'Invalid UUID format for time off ID')
+    }
+
+    const { data: timeOff, error: fetchError } = await fetchTimeOff(timeOffId)
+
+    if (fetchError || !timeOff) {
+      return errorResponse(res, 404, 'Time off not found')
+    }
+
+    const { data: conflicts, error } = await findConflictingBookings(timeOff)
+
+    if (error) {
+      console.error('Time off conflict check error:', error)
+      return errorResponse(res, 500, 'Failed to check conflicts')
+    }
+
+    return successResponse(res, { time_off: timeOff, conflicts })
+
+  } catch (error) {
+    console.error('Get time off conflicts error:', error)
+    return errorResponse(res, 500, 'Failed to check conflicts')
+  }
+}
+
+/**
+ * Bulk-cancel bookings that conflict with a time-off block (Admin only)
+ *
+ * Body (optional): booking_ids — subset of conflicts to cancel (default: all)
+ * Uses the same cancel path as adminCancelBooking, including the full
+ * refund and customer emails.
+ */
+export const cancelTimeOffConflicts = async (req, res) => {
+  try {
+    const { timeOffId } = req.params
+    const { booking_ids } = req.body || {}
+
+    if (!isValidUUID(timeOffId)) {
+      return errorResponse(res, 400, 'Invalid UUID format for time off ID')
+    }
+
+    if (booking_ids !== undefined && (!Array.isArray(booking_ids) || !booking_ids.every(isValidUUID))) {
+      return errorResponse(res, 400, 'booking_ids must be an array of UUIDs')
+    }
+
+    const { data: timeOff, error: fetchError } = await fetchTimeOff(timeOffId)
+
+    if (fetchError || !timeOff) {
+      return errorResponse(res, 404, 'Time off not found')
+    }
+
+    const { data: conflicts, error: conflictError } = await findConflictingBookings(timeOff)
+
+    if (conflictError) {
+      console.error('Time off conflict check error:', conflictError)
+      return errorResponse(res, 500, 'Failed to check conflicts')
+    }
+
+    const targets = booking_ids
+      ? conflicts.filter(b => booking_ids.includes(b.id))
+      : conflicts
+
+    const cancelled = []
+    const failed = []
+
+    for (const booking of targets) {
+      const { error } = await cancelBooking(booking)
+
+      if (error) {
+        failed.push({ booking_id: booking.id, error })
+        continue
+      }
+
+      const { data: refundedBooking } = await refundCancelledBooking(booking, await quoteRefund(booking, { fullRefund: true }))
+
+      await recordBookingEvent({
+        type: 'cancelled',
+        actor: actorFromRequest(req),
+        before: booking,
+        after: { status: 'cancelled', ...refundedBooking },
+        reason: 'Therapist time off'
+      })
+
+      cancelled.push(booking.id)
+
+      // Send cancellation emails (non-blocking)
+      getBookingWithDetails(booking.id)
+        .then(bookingDetails => {
+          if (bookingDetails) {
+            sendBookingCancellation(bookingDetails, 'admin')
+          }
+        })
+        .catch(err => {
+          console.error('[TIME-OFF-CANCEL] Email send error (non-critical):', err)
+        })
+    }
+
+    return successResponse(
+      res,
+      { cancelled, failed },
+      `${cancelled.length} booking(s) cancelled${failed.length ? `, ${failed.length} failed` : ''}`
+    )
+
+  } catch (error) {
+    console.error('Cancel time off conflicts error:', error)
+    return errorResponse(res, 500, 'Failed to cancel conflicting bookings')
+  }
+}
+
+/**
+ * Move bookings that conflict with a time-off block (Admin only)
+ *
+ * Body: moves — [{ booking_id, new_time_slot_id }]
+ * Uses the same slot checks, swap and emails as adminRescheduleBooking.
+ */
+export const rescheduleTimeOffConflicts = async (req, res) => {
+  try {
+    const { timeOffId } = req.params
+    const { moves } = req.body || {}
+
+    if (!isValidUUID(timeOffId)) {
+      return errorResponse(res, 400, 'Invalid UUID format for time off ID')
+    }
+
+    if (!Array.isArray(moves) || moves.length === 0) {
+      return errorResponse(res, 400, 'Missing required field: moves (array of { booking_id, new_time_slot_id })')
+    }
+
+    if (!moves.every(m => isValidUUID(m?.booking_id) && isValidUUID(m?.new_time_slot_id))) {
+      return errorResponse(res, 400, 'Each move needs a valid booking_id and new_time_slot_id')
+    }
+
+    const { data: timeOff, error: fetchError } = await fetchTimeOff(timeOffId)
+
+    if (fetchError || !timeOff) {
+      return errorResponse(res, 404, 'Time off not found')
+    }
+
+    const { data: conflicts, error: conflictError } = await findConflictingBookings(timeOff)
+
+    if (conflictError) {
+      console.error('Time off conflict check error:', conflictError)
+      return errorResponse(res, 500, 'Failed to check conflicts')
+    }
+
+    const moved = []
+    const failed = []
+
+    for (const { booking_id, new_time_slot_id } of moves) {
+      const booking = conflicts.find(b => b.id === booking_id)
+
+      if (!booking) {
+        failed.push({ booking_id, error: 'Booking is not a conflict of this time off' })
+        continue
+      }
+
+      const { data: newSlot, error: slotError } = await findRescheduleSlot(booking, new_time_slot_id)
+
+      if (slotError) {
+        failed.push({ booking_id, error: slotError })
+        continue
+      }
+
+      const { data: rescheduled, error } = await rescheduleBooking(booking, newSlot)
+
+      if (error) {
+        failed.push({ booking_id, error })
+        continue
+      }
+
+      await recordBookingEvent({
+        type: 'rescheduled',
+        actor: actorFromRequest(req),
+        before: booking,
+        after: rescheduled,
+        reason: 'Therapist time off'
+      })
+
+      moved.push(rescheduled)
+
+      // Send rescheduled emails (non-blocking)
+      getBookingWithDetails(booking.id)
+        .then(bookingDetails => {
+          if (bookingDetails) {
+            sendBookingRescheduled(bookingDetails, booking)
+          }
+        })
+        .catch(err => {
+          console.error('[TIME-OFF-RESCHEDULE] Email send error (non-critical):', err)
+        })
+    }
+
+    return successResponse(
+      res,
+      { moved, failed },
+      `${moved.length} booking(s) moved${failed.length ? `, ${failed.length} failed` : ''}`
+    )
+
+  } catch (error) {
+    console.error('Reschedule time off conflicts error:', error)
+    return errorResponse(res, 500, 'Failed to move conflicting bookings')
+  }
+}
@@ -0,0 +1,308 @@
+import supabase from '../config/supabase.js'
+import { isValidUUID, isValidDateFormat, parseIntSafe } from '../utils/validation.js'
+import { errorResponse, successResponse } from '../utils/response.js'
+import { formatDate } from '../utils/dateTime.js'
+import { cancelBooking } from '../services/bookingService.js'
+import { resolveOffer } from '../services/waitlistService.js'
+import { recordBookingEvent, actorFromRequest } from '../services/bookingEvents.js'
+
+const MAX_RANGE_DAYS = 60
+
+const WAITLIST_SELECT = `
+  *,
+  service:services!waitlist_entries_service_id_fkey(id, name, duration),
+  therapist:therapists!waitlist_entries_therapist_id_fkey(
+    id,
+    user:profiles!therapists_user_id_fkey(full_name)
+  )
+`
+
+/**
+ * Fetch a customer's own waitlist entry
+ */
+async function fetchOwnEntry(id, customerId) {
+  return supabase
+    .from('waitlist_entries')
+    .select('*')
+    .eq('id', id)
+    .eq('customer_id', customerId)
+    .single()
+}
+
+/**
+ * Cancel the hold booking behind an offered entry
+ * Freeing the slot passes the offer to the next customer in line
+ */
+async function releaseOfferHold(req, entry, reason) {
+  const { data: hold } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('waitlist_entry_id', entry.id)
+    .eq('status', 'pending')
+    .maybeSingle()
+
+  if (!hold) return { error: null }
+
+  const result = await cancelBooking(hold)
+
+  if (!result.error) {
+    await recordBookingEvent({ type: 'cancelled', actor: actorFromRequest(req), before: hold, after: result.data, reason })
+  }
+
+  return result
+}
+
+/**
+ * Join the waitlist (Customer only)
+ *
+ * Body: service_id, start_date, end_date, therapist_id (optional)
+ */
+export const joinWaitlist = async (req, res) => {
+  try {
+    const { service_id, therapist_id, start_date, end_date } = req.body
+    const customer_id = req.profile.id
+
+    if (!service_id || !start_date || !end_date) {
+      return errorResponse(res, 400, 'Missing required fields: service_id, start_date, end_date')
+    }
+
+    if (!isValidUUID(service_id) || (therapist_id && !isValidUUID(therapist_id))) {
+      return errorResponse(res, 400, 'Invalid UUID format for service_id or therapist_id')
+    }
+
+    if (!isValidDateFormat(start_date) || !isValidDateFormat(end_date)) {
+      return errorResponse(res, 400, 'Invalid date format for start_date or end_date (expected YYYY-MM-DD)')
+    }
+
+    if (start_date > end_date) {
+      return errorResponse(res, 400, 'end_date must be on or after start_date')
+    }
+
+    if (end_date < formatDate(new Date())) {
+      return errorResponse(res, 400, 'Date range is in the past')
+    }
+
+    const rangeDays = (new Date(end_date) - new Date(start_date)) / (1000 * 60 * 60 * 24)
+    if (rangeDays > MAX_RANGE_DAYS) {
+      return errorResponse(res, 400, `Date range can be at most ${MAX_RANGE_DAYS} days`)
+    }
+
+    const { data: service } = await supabase
+      .from('services')
+      .select('id')
+      .eq('id', service_id)
+      .eq('is_active', true)
+      .maybeSingle()
+
+    if (!service) {
+      return errorResponse(res, 400, 'Service not found or inactive')
+    }
+
+    if (therapist_id) {
+      const { data: therapist } = await supabase
+        .from('therapists')
+        .select('id')
+        .eq('id', therapist_id)
+        .eq('is_active', true)
+        .maybeSingle()
+
+      if (!therapist) {
+        return errorResponse(res, 400, 'Therapist not found or inactive')
+      }
+    }
+
+    // Limit open entries per customer
+    const maxEntries = parseIntSafe(process.env.MAX_WAITLIST_ENTRIES, 5, 1, 50)
+    const { count, error: countError } = await supabase
+      .from('waitlist_entries')
+      .select('id', { count: 'exact', head: true })
+      .eq('customer_id', customer_id)
+      .in('status', ['waiting', 'offered'])
+
+    if (countError) {
+      console.error('Waitlist count error:', countError)
+      return errorResponse(res, 500, 'Failed to join waitlist')
+    }
+
+    if (count >= maxEntries) {
+      return errorResponse(res, 400, `You can have at most ${maxEntries} open waitlist requests`)
+    }
+
+    const { data: entry, error } = await supabase
+      .from('waitlist_entries')
+      .insert({
+        customer_id,
+        service_id,
+        therapist_id: therapist_id || null,
+        start_date,
+        end_date,
+        status: 'waiting'
+      })
+      .select(WAITLIST_SELECT)
+      .single()
+
+    if (error) {
+      console.error('Waitlist join error:', error)
+      return errorResponse(res, 500, 'Failed to join waitlist')
+    }
+
+    return successResponse(res, entry, 'You\'re on the waitlist. We\'ll email you if a matching time opens up.', 201)
+
+  } catch (error) {
+    console.error('Join waitlist error:', error)
+    return errorResponse(res, 500, 'Failed to join waitlist')
+  }
+}
+
+/**
+ * List own waitlist entries (Customer only)
+ */
+export const getMyWaitlist = async (req, res) => {
+  try {
+    const { data: entries, error } = await supabase
+      .from('waitlist_entries')
+      .select(WAITLIST_SELECT)
+      .eq('customer_id', req.profile.id)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      console.error('Fetch waitlist error:', error)
+      return errorResponse(res, 500, 'Failed to fetch waitlist')
+    }
+
+    return successResponse(res, entries)
+
+  } catch (error) {
+    console.error('Get my waitlist error:', error)
+    return errorResponse(res, 500, 'Failed to fetch waitlist')
+  }
+}
+
+/**
+ * Leave the waitlist (Customer only)
+ * An active offer is released to the next customer
+ */
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for waitlist entry ID')
+    }
+
+    const { data: entry, error: fetchError } = await fetchOwnEntry(id, req.profile.id)
+
+    if (fetchError || !entry) {
+      return errorResponse(res, 404, 'Waitlist entry not found')
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return errorResponse(res, 400, `Cannot leave waitlist entry with status: ${entry.status}`)
+    }
+
+    if (entry.status === 'offered') {
+      const { error: releaseError } = await releaseOfferHold(req, entry, 'Customer left the waitlist')
+      if (releaseError) {
+        return errorResponse(res, 500, releaseError)
+      }
+    }
+
+    const { data: cancelled, error } = await supabase
+      .from('waitlist_entries')
+      .update({ status: 'cancelled' })
+      .eq('id', id)
+      .select()
+      .single()
+
+    if (error) {
+      console.error('Leave waitlist error:', error)
+      return errorResponse(res, 500, 'Failed to leave waitlist')
+    }
+
+    return successResponse(res, cancelled, 'You have left the waitlist')
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error)
+    return errorResponse(res, 500, 'Failed to leave waitlist')
+  }
+}
+
+/**
+ * Decline an offered slot (Customer only)
+ * The hold is released and the slot is offered to the next customer
+ */
+export const declineOffer = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!isValidUUID(id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for waitlist entry ID')
+    }
+
+    const { data: entry, error: fetchError } = await fetchOwnEntry(id, req.profile.id)
+
+    if (fetchError || !entry) {
+      return errorResponse(res, 404, 'Waitlist entry not found')
+    }
+
+    if (entry.status !== 'offered') {
+      return errorResponse(res, 400, 'There is no open offer for this waitlist entry')
+    }
+
+    const { error: releaseError } = await releaseOfferHold(req, entry, 'Waitlist offer declined')
+    if (releaseError) {
+      return errorResponse(res, 500, releaseError)
+    }
+
+    await resolveOffer(entry.id, 'expired')
+
+    return successResponse(res, { id: entry.id, status: 'expired' }, 'Offer declined. The slot has been passed on.')
+
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error)
+    return errorResponse(res, 500, 'Failed to decline offer')
+  }
+}
+
+/**
+ * List all waitlist entries (Admin only)
+ *
+ * Query params (optional): status, service_id
+ */
+export const getAllWaitlist = async (req, res) => {
+  try {
+    const { status, service_id } = req.query
+
+    const validStatuses = ['waiting', 'offered', 'claimed', 'expired', 'cancelled']
+    if (status && !validStatuses.includes(status)) {
+      return errorResponse(res, 400, `Invalid status. Must be one of: ${validStatuses.join(', ')}`)
+    }
+
+    if (service_id && !isValidUUID(service_id)) {
+      return errorResponse(res, 400, 'Invalid UUID format for service_id')
+    }
+
+    let query = supabase
+      .from('waitlist_entries')
+      .select(`
+        ${WAITLIST_SELECT},
+        customer:profiles!waitlist_entries_customer_id_fkey(id, full_name, email)
+      `)
+
+    if (status) query = query.eq('status', status)
+    if (service_id) query = query.eq('service_id', service_id)
+
+    const { data: entries, error } = await query.order('created_at', { ascending: true })
+
+    if (error) {
+      console.error('Fetch all waitlist error:', error)
+      return errorResponse(res, 500, 'Failed to fetch waitlist')
+    }
+
+    return successResponse(res, entries)
+
+  } catch (error) {
+    console.error('Get all waitlist error:', error)
+    return errorResponse(res, 500, 'Failed to fetch waitlist')
+  }
+}
@@ -1,12 +1,19 @@
 import supabase from '../config/supabase.js'
+import { voidPaymentIntent } from '../services/payments/index.js'
+import { offerFreedSlots, resolveOffer } from '../services/waitlistService.js'
+import { recordBookingEvents, SYSTEM_ACTOR } from '../services/bookingEvents.js'
 
 /**
  * Background Job: Cleanup Expired Reservations
  * 
  * Runs periodically to:
  * 1. Find PENDING bookings that have expired
- * 2. Delete expired bookings
- * 3. Free up the associated time slots
+ * 2. Void any payment intent still open for them (bookings whose intent
+ *    could not be voided are kept for the next run)
+ * 3. Delete the ones still expired and pending (recording an 'expired'
+ *    audit event for each)
+ * 4. Free up the associated time slots
+ * 5. Offer the freed slots to the waitlist
  * 
  * This prevents time slots from being locked indefinitely
  * when customers abandon the booking process
@@ -23,7 +30,7 @@ export async function cleanupExpiredReservations() {
     // Step 1: Find expired PENDING bookings
     const { data: expiredBookings, error: fetchError } = await supabase
       .from('bookings')
-      .select('id, time_slot_id, service_name, booking_date')
+      .select('*') // full row: the audit event keeps the snapshot after deletion
       .eq('status', 'pending')
       .lt('reservation_expires_at', now) // expired (less than now)
       .not('reservation_expires_at', 'is', null) // has expiry time
@@ -40,22 +47,60 @@ export async function cleanupExpiredReservations() {
 
     console.log(`🧹 Found ${expiredBookings.length} expired reservation(s) to clean up`)
 
-    // Step 2: Get all time slot IDs to free
-    const timeSlotIds = expiredBookings.map(b => b.time_slot_id).filter(Boolean)
+    // Step 2: Void open payment intents. Only bookings whose intent is
+    // confirmed canceled are removed: a payment that went through keeps its
+    // booking (the webhook will confirm it), and so does one the provider
+    // couldn't be reached about (retried on the next run).
+    const keptIds = new Set()
+    for (const booking of expiredBookings) {
+      if (!booking.payment_intent_id) continue
 
-    // Step 3: Delete expired bookings by ID (avoids race condition with re-querying)
-    const expiredIds = expiredBookings.map(b => b.id)
-    const { error: deleteError } = await supabase
+      const intentStatus = await voidPaymentIntent(booking)
+      if (intentStatus !== 'canceled') {
+        console.log(`   - Skipping booking ${booking.id.substring(0, 8)}... (payment ${intentStatus || 'status unknown'})`)
+        keptIds.add(booking.id)
+      }
+    }
+
+    const candidates = expiredBookings.filter(b => !keptIds.has(b.id))
+
+    if (candidates.length === 0) {
+      return 0
+    }
+
+    // Step 3: Delete expired bookings by ID, only while they are still
+    // expired holds: one paid and confirmed since the read above is kept
+    const { data: deleted, error: deleteError } = await supabase
       .from('bookings')
       .delete()
-      .in('id', expiredIds)
+      .in('id', candidates.map(b => b.id))
+      .eq('status', 'pending')
+      .lt('reservation_expires_at', now)
+      .select('id')
 
     if (deleteError) {
       console.error('Error deleting expired bookings:', deleteError)
       return 0
     }
 
-    // Step 4: Free up time slots (mark as available again)
+    const deletedIds = new Set(deleted.map(b => b.id))
+    const bookingsToRemove = candidates.filter(b => deletedIds.has(b.id))
+
+    if (bookingsToRemove.length === 0) {
+      return 0
+    }
+
+    await recordBookingEvents(bookingsToRemove.map(booking => ({
+      type: 'expired',
+      actor: SYSTEM_ACTOR,
+      before: booking,
+      after: null,
+      reason: booking.waitlist_entry_id ? 'Waitlist offer not claimed in time' : 'Reservation expired before payment'
+    })))
+
+    // Step 4: Free up the deleted bookings' time slots (mark as available again)
+    const timeSlotIds = bookingsToRemove.map(b => b.time_slot_id).filter(Boolean)
+
     if (timeSlotIds.length > 0) {
       const { error: updateError } = await supabase
         .from('time_slots')
@@ -70,12 +115,22 @@ export async function cleanupExpiredReservations() {
       }
     }
 
+    // Step 5: Close lapsed waitlist offers, then offer the freed slots onward
+    for (const booking of bookingsToRemove) {
+      await resolveOffer(booking.waitlist_entry_id, 'expired')
+    }
+
+    const offered = await offerFreedSlots(timeSlotIds)
+    if (offered > 0) {
+      console.log(`📋 Offered ${offered} freed slot(s) to the waitlist`)
+    }
+
     // Log details for debugging
-    expiredBookings.forEach(booking => {
+    bookingsToRemove.forEach(booking => {
       console.log(`   - Booking ID: ${booking.id.substring(0, 8)}... (${booking.service_name} on ${booking.booking_date})`)
     })
 
-    return expiredBookings.length
+    return bookingsToRemove.length
   } catch (error) {
     console.error('Cleanup job error:', error)
     return 0
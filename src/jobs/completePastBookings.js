@@ -0,0 +1,102 @@
+// src/jobs/completePastBookings.js
+import supabase from '../config/supabase.js'
+import { addDaysToDate, formatDate, zonedTimeToUtc } from '../utils/dateTime.js'
+import { parseIntSafe } from '../utils/validation.js'
+import { iterateRows } from '../utils/pagination.js'
+import { recordBookingEvents, SYSTEM_ACTOR } from '../services/bookingEvents.js'
+
+/**
+ * Background Job: Complete Past Bookings
+ *
+ * Marks confirmed bookings as completed once the appointment has ended.
+ * A grace period (BOOKING_COMPLETION_GRACE_MINUTES, default 120) gives
+ * therapists time to record a no-show first; staff can still switch a
+ * completed booking to no_show afterwards.
+ *
+ * The update is conditional on status = 'confirmed', so bookings that
+ * were cancelled or marked meanwhile are never overwritten.
+ */
+
+export const AUTO_COMPLETE_REASON = 'Automatically completed after the appointment ended'
+
+// About 7.5 KB of ids in the update URL, under common 8 KB request-line limits
+const UPDATE_BATCH_SIZE = 200
+
+/**
+ * Mark one batch of ended bookings completed, recording an event for each
+ * Returns the number completed
+ */
+async function completeBatch(bookings) {
+  const before = new Map(bookings.map(b => [b.id, b]))
+
+  const { data: completed, error } = await supabase
+    .from('bookings')
+    .update({
+      status: 'completed',
+      status_reason: AUTO_COMPLETE_REASON,
+      status_changed_by: null,
+      status_changed_at: new Date().toISOString()
+    })
+    .in('id', [...before.keys()])
+    .eq('status', 'confirmed')
+    .select('id, status, status_reason')
+
+  if (error) throw error
+
+  await recordBookingEvents(completed.map(b => ({
+    type: 'completed',
+    actor: SYSTEM_ACTOR,
+    before: before.get(b.id),
+    after: b,
+    reason: AUTO_COMPLETE_REASON
+  })))
+
+  return completed.length
+}
+
+/**
+ * Main completion function
+ * Returns { success, completed } or { success: false, error, completed }
+ */
+export async function completePastBookings() {
+  const graceMinutes = parseIntSafe(process.env.BOOKING_COMPLETION_GRACE_MINUTES, 120, 0, 1440)
+  const cutoff = new Date(Date.now() - graceMinutes * 60 * 1000)
+  let completedCount = 0
+
+  try {
+    // 1. Confirmed bookings up to tomorrow — locations ahead of the spa's
+    //    timezone may already be there (end times are checked below).
+    //    Read in keyset pages so PostgREST's max-rows cap can't truncate them
+    const buildQuery = () => supabase
+      .from('bookings')
+      .select('id, booking_date, end_time, status, location:locations!bookings_location_id_fkey(timezone)')
+      .eq('status', 'confirmed')
+      .lte('booking_date', addDaysToDate(formatDate(new Date()), 1))
+
+    // 2. Keep only appointments that ended before the grace cutoff and
+    // 3. mark them completed in batches. Completed rows have already been
+    //    read, so dropping out of the query doesn't disturb the paging
+    let batch = []
+
+    for await (const booking of iterateRows(buildQuery, { columns: ['booking_date'] })) {
+      if (zonedTimeToUtc(booking.booking_date, booking.end_time, booking.location?.timezone) > cutoff) continue
+
+      batch.push(booking)
+      if (batch.length === UPDATE_BATCH_SIZE) {
+        completedCount += await completeBatch(batch)
+        batch = []
+      }
+    }
+
+    if (batch.length > 0) {
+      completedCount += await completeBatch(batch)
+    }
+
+    console.log(`[COMPLETION JOB] Marked ${completedCount} booking(s) as completed`)
+    return { success: true, completed: completedCount }
+
+  } catch (error) {
+    console.error('[COMPLETION JOB] Error completing bookings:', error)
+    return { success: false, error: error.message, completed: completedCount }
+  }
+}
@@ -0,0 +1,170 @@
+// src/jobs/generateTimeSlots.js
+import supabase from '../config/supabase.js'
+import { addDaysToDate, getDayOfWeek, addMinutesToTime, getTimeDuration, formatDate } from '../utils/dateTime.js'
+import { parseIntSafe } from '../utils/validation.js'
+import { iterateRows } from '../utils/pagination.js'
+import { isWithinOpeningHours } from '../services/locationService.js'
+
+/**
+ * Background Job: Generate Time Slots
+ *
+ * Expands each active therapist's weekly availability template into
+ * time_slots rows for a rolling window (default: the next 28 days).
+ *
+ * Idempotent: rows are inserted with ON CONFLICT DO NOTHING on
+ * (therapist_id, slot_date, start_time), so re-running never creates
+ * duplicates and never modifies an existing slot — booked or not.
+ * Candidates that overlap an existing slot (e.g. after slot_minutes
+ * changed from 60 to 30) or another candidate are skipped, so a therapist
+ * can never be booked twice for the same time.
+ *
+ * Slots take the therapist's location and are only created inside that
+ * location's opening hours.
+ */
+
+const INSERT_BATCH_SIZE = 500
+
+/**
+ * Build slot rows for one template entry across a date window
+ */
+function buildSlotsForTemplate(template, dates) {
+  const rows = []
+  const windowMinutes = getTimeDuration(template.start_time, template.end_time)
+  const location = template.therapist?.location
+
+  for (const date of dates) {
+    if (getDayOfWeek(date) !== template.day_of_week) continue
+
+    for (let offset = 0; offset + template.slot_minutes <= windowMinutes; offset += template.slot_minutes) {
+      const startTime = addMinutesToTime(template.start_time.slice(0, 5), offset)
+      const endTime = addMinutesToTime(template.start_time.slice(0, 5), offset + template.slot_minutes)
+
+      if (!isWithinOpeningHours(location?.opening_hours, template.day_of_week, startTime, endTime)) continue
+
+      rows.push({
+        therapist_id: template.therapist_id,
+        location_id: template.therapist?.location_id ?? null,
+        slot_date: date,
+        start_time: startTime,
+        end_time: endTime,
+        is_available: true
+      })
+    }
+  }
+
+  return rows
+}
+
+/**
+ * Existing slots in the window, as { "therapist_id|slot_date": [{ start, end }] }
+ * (HH:MM strings, which compare in time order)
+ */
+async function fetchTakenTimes(therapistIds, fromDate, toDate) {
+  const taken = new Map()
+
+  const buildQuery = () => supabase
+    .from('time_slots')
+    .select('id, therapist_id, slot_date, start_time, end_time')
+    .in('therapist_id', therapistIds)
+    .gte('slot_date', fromDate)
+    .lte('slot_date', toDate)
+
+  for await (const slot of iterateRows(buildQuery, { columns: ['slot_date'] })) {
+    const key = `${slot.therapist_id}|${slot.slot_date}`
+    if (!taken.has(key)) taken.set(key, [])
+    taken.get(key).push({ start: slot.start_time.slice(0, 5), end: slot.end_time.slice(0, 5) })
+  }
+
+  return taken
+}
+
+/**
+ * Drop candidate rows that overlap an existing slot or an earlier candidate
+ * for the same therapist and date
+ */
+function withoutOverlaps(rows, taken) {
+  return rows.filter(row => {
+    const key = `${row.therapist_id}|${row.slot_date}`
+    const times = taken.get(key) || []
+    if (times.some(t => row.start_time < t.end && t.start < row.end_time)) return false
+    times.push({ start: row.start_time, end: row.end_time })
+    taken.set(key, times)
+    return true
+  })
+}
+
+/**
+ * Main generation function
+ * Returns { success, created } or { success: false, error }
+ */
+export async function generateTimeSlots(daysAhead) {
+  const windowDays = daysAhead ?? parseIntSafe(process.env.SLOT_GENERATION_DAYS, 28, 1, 180)
+
+  try {
+    const { data: templates, error: fetchError } = await supabase
+      .from('therapist_availability')
+      .select(`
+        therapist_id,
+        day_of_week,
+        start_time,
+        end_time,
+        slot_minutes,
+        therapist:therapists!therapist_availability_therapist_id_fkey(
+          is_active,
+          location_id,
+          location:locations!therapists_location_id_fkey(opening_hours, is_active)
+        )
+      `)
+
+    if (fetchError) {
+      console.error('[SLOT JOB] Error fetching availability templates:', fetchError)
+      return { success: false, error: fetchError.message }
+    }
+
+    // Skip deactivated therapists and therapists at archived locations
+    const activeTemplates = (templates || []).filter(t =>
+      t.therapist?.is_active !== false && t.therapist?.location?.is_active !== false
+    )
+
+    if (activeTemplates.length === 0) {
+      return { success: true, created: 0 }
+    }
+
+    // Window starts tomorrow so today's schedule is never altered mid-day
+    const today = formatDate(new Date())
+    const dates = Array.from({ length: windowDays }, (_, i) => addDaysToDate(today, i + 1))
+
+    const therapistIds = [...new Set(activeTemplates.map(t => t.therapist_id))]
+    const taken = await fetchTakenTimes(therapistIds, dates[0], dates[dates.length - 1])
+    const rows = withoutOverlaps(activeTemplates.flatMap(template => buildSlotsForTemplate(template, dates)), taken)
+
+    let created = 0
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const batch = rows.slice(i, i + INSERT_BATCH_SIZE)
+      const { data: inserted, error: insertError } = await supabase
+        .from('time_slots')
+        .upsert(batch, {
+          onConflict: 'therapist_id,slot_date,start_time',
+          ignoreDuplicates: true
+        })
+        .select('id')
+
+      if (insertError) {
+        console.error('[SLOT JOB] Error inserting time slots:', insertError)
+        return { success: false, error: insertError.message, created }
+      }
+
+      created += inserted?.length || 0
+    }
+
+    if (created > 0) {
+      console.log(`[SLOT JOB] Created ${created} time slot(s) for the next ${windowDays} day(s)`)
+    }
+
+    return { success: true, created }
+
+  } catch (error) {
+    console.error('[SLOT JOB] Unexpected error:', error)
+    return { success: false, error: error.message }
+  }
+}
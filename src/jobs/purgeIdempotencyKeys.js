@@ -0,0 +1,34 @@
+// src/jobs/purgeIdempotencyKeys.js
+import supabase from '../config/supabase.js'
+
+/**
+ * Background Job: Purge Idempotency Keys
+ *
+ * Deletes stored Idempotency-Key responses past their expiry. Expired keys
+ * are already ignored on lookup; this only keeps the table small.
+ * Returns the number of keys removed
+ */
+export async function purgeExpiredIdempotencyKeys() {
+  try {
+    const { data, error } = await supabase
+      .from('idempotency_keys')
+      .delete()
+      .lte('expires_at', new Date().toISOString())
+      .select('id')
+
+    if (error) {
+      console.error('[IDEMPOTENCY JOB] Failed to purge expired keys:', error.message)
+      return 0
+    }
+
+    if (data.length > 0) {
+      console.log(`[IDEMPOTENCY JOB] Purged ${data.length} expired key(s)`)
+    }
+
+    return data.length
+
+  } catch (error) {
+    console.error('[IDEMPOTENCY JOB] Unexpected error:', error)
+    return 0
+  }
+}
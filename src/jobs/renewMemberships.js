@@ -0,0 +1,269 @@
+// src/jobs/renewMemberships.js
+import supabase from '../config/supabase.js'
+import { startMembershipPeriod } from '../services/membershipService.js'
+import { sendMembershipRenewalDue } from '../services/notificationService.js'
+import { getPaymentProvider, toMinorUnits, voidPaymentIntent } from '../services/payments/index.js'
+import { parseIntSafe } from '../utils/validation.js'
+
+/**
+ * Background Job: Renew Memberships
+ *
+ * For every active membership whose period has ended:
+ * - set to cancel at period end → cancelled
+ * - free tier → next period started (included sessions granted)
+ * - otherwise → the monthly fee is charged to the payment method saved
+ *   at sign-up, and the next period starts once the charge succeeds
+ *
+ * A charge still processing is recorded on the membership: the payment
+ * webhook (or a later run) starts the period when it settles. A charge
+ * that fails, or a membership with no saved payment method, goes
+ * past_due and the member is emailed to pay through POST /me/renew.
+ * Past-due memberships get no member benefits, and end after
+ * MEMBERSHIP_RENEWAL_GRACE_DAYS (default 7) unless a payment is underway.
+ *
+ * Each change only applies while the membership still has the status and
+ * period end read here, so overlapping runs can't act on it twice; a
+ * renewal charge is keyed on the membership and period, so they can't
+ * charge it twice either.
+ */
+
+const DUE_FIELDS = `
+  id,
+  status,
+  monthly_fee,
+  current_period_end,
+  cancel_at_period_end,
+  payment_provider,
+  payment_intent_id,
+  payment_customer_id,
+  customer:profiles!memberships_customer_id_fkey(email, full_name),
+  tier:membership_tiers!memberships_tier_id_fkey(name)
+`
+
+/**
+ * Move a paid membership to past_due and ask the member to renew
+ * A failed renewal charge is voided first and cleared from the membership.
+ * Returns true when the membership was moved
+ */
+async function markPastDue(membership, renewBy) {
+  const voidStatus = await voidPaymentIntent(membership)
+  if (membership.payment_intent_id && voidStatus !== 'canceled') {
+    // Paid after all (or the provider can't be reached): left for the
+    // webhook or the next run
+    return false
+  }
+
+  const { data: updated, error } = await supabase
+    .from('memberships')
+    .update({ status: 'past_due', payment_intent_id: null })
+    .eq('id', membership.id)
+    .eq('status', 'active')
+    .eq('cancel_at_period_end', false)
+    .eq('current_period_end', membership.current_period_end)
+    .select('id')
+    .maybeSingle()
+
+  if (error) {
+    console.error(`[MEMBERSHIP JOB] Failed to mark membership ${membership.id} past due:`, error)
+    return false
+  }
+
+  if (!updated) return false
+
+  sendMembershipRenewalDue({
+    ...membership,
+    customer_email: membership.customer?.email,
+    customer_name: membership.customer?.full_name,
+    tier_name: membership.tier?.name || 'Membership'
+  }, renewBy).catch(err => {
+    console.error('[MEMBERSHIP JOB] Renewal email error (non-critical):', err)
+  })
+
+  return true
+}
+
+/**
+ * Charge a paid membership's renewal to its saved payment method, or
+ * look up the charge an earlier run left processing
+ *
+ * The charge is recorded on the membership before anything else, so the
+ * payment webhook can find it. Returns the membership as charged (with
+ * payment_intent_id) and the charge's status, or null when another run
+ * got there first.
+ */
+async function chargeRenewal(membership) {
+  const provider = getPaymentProvider(membership.payment_provider)
+
+  if (membership.payment_intent_id) {
+    const intent = await provider.retrievePaymentIntent(membership.payment_intent_id)
+    return { membership, status: intent.status }
+  }
+
+  const intent = await provider.chargeSavedPaymentMethod({
+    amount: toMinorUnits(membership.monthly_fee),
+    currency: process.env.PAYMENT_CURRENCY || 'usd',
+    membershipId: membership.id,
+    paymentCustomerId: membership.payment_customer_id,
+    idempotencyKey: `membership-renewal-${membership.id}-${new Date(membership.current_period_end).getTime()}`
+  })
+
+  if (!intent.id) {
+    return { membership, status: intent.status }
+  }
+
+  const { data: recorded, error } = await supabase
+    .from('memberships')
+    .update({ payment_intent_id: intent.id })
+    .eq('id', membership.id)
+    .eq('status', 'active')
+    .eq('current_period_end', membership.current_period_end)
+    .is('payment_intent_id', null)
+    .select('id')
+    .maybeSingle()
+
+  if (error) throw error
+  if (!recorded) return null
+
+  return { membership: { ...membership, payment_intent_id: intent.id }, status: intent.status }
+}
+
+/**
+ * Charge a paid membership's renewal and start its next period, or move
+ * it to past_due when it can't be charged
+ * Returns 'renewed', 'past_due' or null (nothing changed yet)
+ */
+async function renewPaidMembership(membership, renewBy) {
+  if (!membership.payment_customer_id) {
+    return await markPastDue(membership, renewBy) ? 'past_due' : null
+  }
+
+  let charged
+  try {
+    charged = await chargeRenewal(membership)
+  } catch (error) {
+    // Tried again on the next run
+    console.error(`[MEMBERSHIP JOB] Failed to charge renewal for membership ${membership.id}:`, error.message)
+    return null
+  }
+
+  // Another run is charging it, or the charge is still processing
+  if (!charged || charged.status === 'processing') {
+    return null
+  }
+
+  if (charged.status !== 'succeeded') {
+    return await markPastDue(charged.membership, renewBy) ? 'past_due' : null
+  }
+
+  const { error, conflict } = await startMembershipPeriod(membership.id, 'active', membership.current_period_end)
+  if (error && !conflict) {
+    console.error(`[MEMBERSHIP JOB] Failed to renew membership ${membership.id}:`, error)
+  }
+  return error ? null : 'renewed'
+}
+
+/**
+ * Main renewal function
+ * Returns { success, renewed, pastDue, cancelled } or { success: false, error }
+ */
+export async function renewMemberships() {
+  try {
+    const now = new Date().toISOString()
+    const graceDays = parseIntSafe(process.env.MEMBERSHIP_RENEWAL_GRACE_DAYS, 7, 0, 60)
+    const graceMs = graceDays * 24 * 60 * 60 * 1000
+
+    // 1. Active and past-due memberships whose current period has ended
+    const { data: due, error: fetchError } = await supabase
+      .from('memberships')
+      .select(DUE_FIELDS)
+      .in('status', ['active', 'past_due'])
+      .lte('current_period_end', now)
+
+    if (fetchError) {
+      console.error('[MEMBERSHIP JOB] Error fetching memberships:', fetchError)
+      return { success: false, error: fetchError.message }
+    }
+
+    if (!due || due.length === 0) {
+      return { success: true, renewed: 0, pastDue: 0, cancelled: 0 }
+    }
+
+    const active = due.filter(m => m.status === 'active')
+
+    // 2. End the ones cancelled by their member
+    const endingIds = active.filter(m => m.cancel_at_period_end).map(m => m.id)
+    let cancelled = 0
+
+    if (endingIds.length > 0) {
+      const { data: ended, error: cancelError } = await supabase
+        .from('memberships')
+        .update({ status: 'cancelled', cancelled_at: now })
+        .in('id', endingIds)
+        .eq('status', 'active')
+        .eq('cancel_at_period_end', true)
+        .select('id')
+
+      if (cancelError) {
+        console.error('[MEMBERSHIP JOB] Error ending memberships:', cancelError)
+        return { success: false, error: cancelError.message }
+      }
+      cancelled = ended.length
+    }
+
+    // 3. Renew the rest: free tiers start their next period, paid ones
+    //    once the saved payment method is charged
+    let renewed = 0
+    let pastDue = 0
+    for (const membership of active.filter(m => !m.cancel_at_period_end)) {
+      if (toMinorUnits(membership.monthly_fee) > 0) {
+        const renewBy = new Date(new Date(membership.current_period_end).getTime() + graceMs).toISOString()
+        const outcome = await renewPaidMembership(membership, renewBy)
+        if (outcome === 'renewed') renewed++
+        if (outcome === 'past_due') pastDue++
+        continue
+      }
+
+      const { error, conflict } = await startMembershipPeriod(membership.id, 'active', membership.current_period_end)
+      if (!error) {
+        renewed++
+      } else if (!conflict) {
+        console.error(`[MEMBERSHIP JOB] Failed to renew membership ${membership.id}:`, error)
+      }
+    }
+
+    // 4. End past-due memberships left unpaid beyond the grace period.
+    //    One whose checkout can't be voided (already paid or processing)
+    //    is left for the payment webhook to renew.
+    const lapsed = due.filter(m =>
+      m.status === 'past_due' && new Date(m.current_period_end).getTime() + graceMs <= Date.now()
+    )
+
+    for (const membership of lapsed) {
+      const voidStatus = await voidPaymentIntent(membership)
+      if (membership.payment_intent_id && voidStatus !== 'canceled') {
+        continue
+      }
+
+      const { data: ended, error: lapseError } = await supabase
+        .from('memberships')
+        .update({ status: 'cancelled', cancelled_at: now })
+        .eq('id', membership.id)
+        .eq('status', 'past_due')
+        .select('id')
+        .maybeSingle()
+
+      if (lapseError) {
+        console.error(`[MEMBERSHIP JOB] Failed to end membership ${membership.id}:`, lapseError)
+      } else if (ended) {
+        cancelled++
+      }
+    }
+
+    console.log(`[MEMBERSHIP JOB] Renewed ${renewed} membership(s), ${pastDue} now past due, ended ${cancelled}`)
+    return { success: true, renewed, pastDue, cancelled }
+
+  } catch (error) {
+    console.error('[MEMBERSHIP JOB] Unexpected error:', error)
+    return { success: false, error: error.message }
+  }
+}
@@ -2,7 +2,13 @@
 import cron from 'node-cron'
 import { cleanupExpiredReservations } from './cleanupExpiredReservations.js'
 import { sendDailyReminders } from './sendReminders.js'
+import { generateTimeSlots } from './generateTimeSlots.js'
+import { completePastBookings } from './completePastBookings.js'
+import { purgeExpiredIdempotencyKeys } from './purgeIdempotencyKeys.js'
+import { sendAnalyticsDigest, DIGEST_FREQUENCIES } from './sendAnalyticsDigest.js'
+import { renewMemberships } from './renewMemberships.js'
 import { parseIntSafe } from '../utils/validation.js'
+import { getBusinessTimeZone } from '../utils/dateTime.js'
 
 /**
  * Scheduler for Background Jobs
@@ -34,7 +40,7 @@ export function startCleanupJob() {
     // Silent if nothing to clean (reduces log noise)
   }, {
     scheduled: true,
-    timezone: process.env.TIMEZONE || "UTC"
+    timezone: getBusinessTimeZone()
   })
 
   // Run immediately on start (optional)
@@ -83,7 +89,162 @@ export function startReminderJob() {
     }
   }, {
     scheduled: true,
-    timezone: process.env.TIMEZONE || "UTC"
+    timezone: getBusinessTimeZone()
+  })
+
+  return job
+}
+
+/**
+ * Start time slot generation job
+ * Runs daily at 2:00 AM (configurable via env)
+ * Expands weekly availability templates into time_slots for a rolling window
+ */
+export function startSlotGenerationJob() {
+  const generationHour = parseIntSafe(process.env.SLOT_GENERATION_HOUR, 2, 0, 23)
+
+  // Format: minute hour day month weekday
+  const cronExpression = `0 ${generationHour} * * *`
+
+  console.log(`🗓️  Starting slot generation job: runs daily at ${generationHour}:00`)
+  console.log(`   Cron expression: ${cronExpression}\n`)
+
+  const job = cron.schedule(cronExpression, async () => {
+    const result = await generateTimeSlots()
+    if (!result.success) {
+      console.error('🗓️  Slot generation failed:', result.error)
+    }
+  }, {
+    scheduled: true,
+    timezone: getBusinessTimeZone()
+  })
+
+  // Run immediately on start so new templates take effect without waiting a day
+  generateTimeSlots()
+    .then(result => {
+      if (result.success) {
+        console.log(`🗓️  Initial slot generation: ${result.created} slot(s) created\n`)
+      }
+    })
+    .catch(error => {
+      console.error('❌ Initial slot generation failed:', error.message)
+    })
+
+  return job
+}
+
+/**
+ * Start booking completion job
+ * Runs every 15 minutes (configurable via env)
+ * Marks confirmed bookings whose appointment has ended as completed
+ */
+export function startCompletionJob() {
+  const intervalMinutes = parseIntSafe(process.env.COMPLETION_JOB_INTERVAL_MINUTES, 15, 5, 60)
+
+  // Format: minute hour day month weekday
+  const cronExpression = `*/${intervalMinutes} * * * *`
+
+  console.log(`✅ Starting completion job: runs every ${intervalMinutes} minutes`)
+  console.log(`   Cron expression: ${cronExpression}\n`)
+
+  const job = cron.schedule(cronExpression, async () => {
+    const result = await completePastBookings()
+    if (!result.success) {
+      console.error('✅ Completion job failed:', result.error)
+    }
+  }, {
+    scheduled: true,
+    timezone: getBusinessTimeZone()
+  })
+
+  return job
+}
+
+/**
+ * Start idempotency key purge job
+ * Runs hourly at minute 30
+ */
+export function startIdempotencyPurgeJob() {
+  // Format: minute hour day month weekday
+  const cronExpression = '30 * * * *'
+
+  console.log('🔑 Starting idempotency key purge job: runs hourly')
+  console.log(`   Cron expression: ${cronExpression}\n`)
+
+  const job = cron.schedule(cronExpression, async () => {
+    await purgeExpiredIdempotencyKeys()
+  }, {
+    scheduled: true,
+    timezone: getBusinessTimeZone()
+  })
+
+  return job
+}
+
+/**
+ * Start membership renewal job
+ * Runs hourly at minute 15
+ * Ends cancelled and lapsed memberships, renews free ones and charges
+ * paid ones to their saved payment method (past due when that fails)
+ */
+export function startMembershipRenewalJob() {
+  // Format: minute hour day month weekday
+  const cronExpression = '15 * * * *'
+
+  console.log('🎟️  Starting membership renewal job: runs hourly')
+  console.log(`   Cron expression: ${cronExpression}\n`)
+
+  const job = cron.schedule(cronExpression, async () => {
+    const result = await renewMemberships()
+    if (!result.success) {
+      console.error('🎟️  Membership renewal failed:', result.error)
+    }
+  }, {
+    scheduled: true,
+    timezone: getBusinessTimeZone()
+  })
+
+  return job
+}
+
+/**
+ * Start analytics digest job
+ * Emails admins a daily or weekly summary (ANALYTICS_DIGEST_FREQUENCY,
+ * default weekly; "off" disables it) at ANALYTICS_DIGEST_HOUR (default 8).
+ * Weekly digests go out on ANALYTICS_DIGEST_WEEKDAY (0 = Sunday, default 1).
+ */
+export function startAnalyticsDigestJob() {
+  const frequency = process.env.ANALYTICS_DIGEST_FREQUENCY || 'weekly'
+
+  if (frequency === 'off') {
+    console.log('📊 Analytics digest job disabled\n')
+    return null
+  }
+
+  if (!DIGEST_FREQUENCIES.includes(frequency)) {
+    console.error(`📊 Invalid ANALYTICS_DIGEST_FREQUENCY "${frequency}" (expected ${DIGEST_FREQUENCIES.join(', ')} or off), digest disabled\n`)
+    return null
+  }
+
+  const digestHour = parseIntSafe(process.env.ANALYTICS_DIGEST_HOUR, 8, 0, 23)
+  const digestWeekday = parseIntSafe(process.env.ANALYTICS_DIGEST_WEEKDAY, 1, 0, 6)
+
+  // Format: minute hour day month weekday
+  const cronExpression = frequency === 'daily'
+    ? `0 ${digestHour} * * *`
+    : `0 ${digestHour} * * ${digestWeekday}`
+
+  console.log(`📊 Starting analytics digest job: ${frequency} at ${digestHour}:00`)
+  console.log(`   Cron expression: ${cronExpression}\n`)
+
+  const job = cron.schedule(cronExpression, async () => {
+    const result = await sendAnalyticsDigest(frequency)
+    if (!result.success) {
+      console.error('📊 Analytics digest failed:', result.error)
+    }
+  }, {
+    scheduled: true,
+    timezone: getBusinessTimeZone()
   })
 
   return job
@@ -106,8 +267,13 @@ export function stopJob(job) {
 export function startAllJobs() {
   const cleanupJob = startCleanupJob()
   const reminderJob = startReminderJob()
+  const slotGenerationJob = startSlotGenerationJob()
+  const completionJob = startCompletionJob()
+  const idempotencyPurgeJob = startIdempotencyPurgeJob()
+  const analyticsDigestJob = startAnalyticsDigestJob()
+  const membershipRenewalJob = startMembershipRenewalJob()
 
-  return { cleanupJob, reminderJob }
+  return { cleanupJob, reminderJob, slotGenerationJob, completionJob, idempotencyPurgeJob, analyticsDigestJob, membershipRenewalJob }
 }
 
 /**
@@ -122,4 +288,24 @@ export function stopAllJobs(jobs) {
     jobs.reminderJob.stop()
     console.log('⏸️  Reminder job stopped')
   }
+  if (jobs.slotGenerationJob) {
+    jobs.slotGenerationJob.stop()
+    console.log('⏸️  Slot generation job stopped')
+  }
+  if (jobs.completionJob) {
+    jobs.completionJob.stop()
+    console.log('⏸️  Completion job stopped')
+  }
+  if (jobs.idempotencyPurgeJob) {
+    jobs.idempotencyPurgeJob.stop()
+    console.log('⏸️  Idempotency purge job stopped')
+  }
+  if (jobs.analyticsDigestJob) {
+    jobs.analyticsDigestJob.stop()
+    console.log('⏸️  Analytics digest job stopped')
+  }
+  if (jobs.membershipRenewalJob) {
+    jobs.membershipRenewalJob.stop()
+    console.log('⏸️  Membership renewal job stopped')
+  }
 }
\ No newline at end of file
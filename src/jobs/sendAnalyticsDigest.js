@@ -0,0 +1,74 @@
+// src/jobs/sendAnalyticsDigest.js
+import supabase from '../config/supabase.js'
+import { aggregateDashboard } from '../services/analyticsService.js'
+import { sendAnalyticsDigestEmails } from '../services/notificationService.js'
+import { addDaysToDate, formatDate } from '../utils/dateTime.js'
+
+// Services / therapists listed in the digest
+const DIGEST_TOP_COUNT = 5
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly']
+
+/**
+ * Digest recipients: ANALYTICS_DIGEST_RECIPIENTS (comma-separated emails)
+ * when set, otherwise every admin profile
+ */
+async function getDigestRecipients() {
+  if (process.env.ANALYTICS_DIGEST_RECIPIENTS) {
+    return process.env.ANALYTICS_DIGEST_RECIPIENTS
+      .split(',')
+      .map(email => email.trim())
+      .filter(Boolean)
+  }
+
+  const { data: admins, error } = await supabase
+    .from('profiles')
+    .select('email')
+    .eq('role', 'admin')
+
+  if (error) throw error
+
+  return [...new Set((admins || []).map(a => a.email).filter(Boolean))]
+}
+
+/**
+ * Email the analytics digest for the last full day or week
+ *
+ * Reports on completed spa-local days: "daily" covers yesterday, "weekly"
+ * the 7 days up to yesterday. Each is compared with the period just before.
+ */
+export async function sendAnalyticsDigest(frequency = 'weekly') {
+  console.log(`[DIGEST JOB] Building ${frequency} analytics digest...`)
+
+  try {
+    const days = frequency === 'daily' ? 1 : 7
+    const endDate = addDaysToDate(formatDate(new Date()), -1)
+    const startDate = addDaysToDate(endDate, -(days - 1))
+    const prevEndDate = addDaysToDate(startDate, -1)
+    const prevStartDate = addDaysToDate(prevEndDate, -(days - 1))
+
+    const recipients = await getDigestRecipients()
+    if (recipients.length === 0) {
+      console.log('[DIGEST JOB] No recipients, skipping')
+      return { success: true, sent: 0 }
+    }
+
+    const dashboard = await aggregateDashboard(startDate, endDate, prevStartDate, prevEndDate)
+
+    const sent = await sendAnalyticsDigestEmails(recipients, {
+      frequency,
+      startDate,
+      endDate,
+      summary: dashboard.summary,
+      topServices: dashboard.bookingsByService.slice(0, DIGEST_TOP_COUNT),
+      topTherapists: dashboard.bookingsByTherapist.slice(0, DIGEST_TOP_COUNT)
+    })
+
+    console.log(`[DIGEST JOB] Completed. Sent ${sent} digest email(s) for ${startDate} to ${endDate}`)
+    return { success: true, sent }
+
+  } catch (err) {
+    console.error('[DIGEST JOB] Unexpected error:', err)
+    return { success: false, error: err.message }
+  }
+}
@@ -1,6 +1,8 @@
 // src/jobs/sendReminders.js
 import supabase from '../config/supabase.js'
 import { sendBookingReminder } from '../services/notificationService.js'
+import { addDaysToDate, formatDate } from '../utils/dateTime.js'
+import { BOOKING_LOCATION_SELECT, flattenBookingLocation } from '../services/locationService.js'
 
 /**
  * Send reminder emails for all confirmed bookings happening tomorrow
@@ -8,10 +10,8 @@ import { sendBookingReminder } from '../services/notificationService.js'
 export async function sendDailyReminders() {
   console.log('[REMINDER JOB] Starting daily reminder check...')
 
-  // Calculate tomorrow's date in YYYY-MM-DD format
-  const tomorrow = new Date()
-  tomorrow.setDate(tomorrow.getDate() + 1)
-  const tomorrowStr = `${tomorrow.getFullYear()}-${String(tomorrow.getMonth() + 1).padStart(2, '0')}-${String(tomorrow.getDate()).padStart(2, '0')}`
+  // Tomorrow in the spa's timezone (YYYY-MM-DD), not the server's
+  const tomorrowStr = addDaysToDate(formatDate(new Date()), 1)
 
   try {
     // Fetch all confirmed bookings for tomorrow with customer/therapist details
@@ -23,7 +23,8 @@ export async function sendDailyReminders() {
         therapist:therapists!bookings_therapist_id_fkey(
           user_id,
           profile:profiles!therapists_user_id_fkey(email, full_name)
-        )
+        ),
+        ${BOOKING_LOCATION_SELECT}
       `)
       .eq('status', 'confirmed')
       .eq('booking_date', tomorrowStr)
@@ -50,6 +51,7 @@ export async function sendDailyReminders() {
           customer_name: booking.customer?.full_name,
           therapist_email: booking.therapist?.profile?.email,
           therapist_name: booking.therapist?.profile?.full_name,
+          ...flattenBookingLocation(booking),
         }
 
         const result = await sendBookingReminder(flatBooking)
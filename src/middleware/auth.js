@@ -96,4 +96,53 @@ export const requireRole = (...allowedRoles) => {
 
     next()
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Therapist Record Middleware
+ *
+ * Usage: requireRole('therapist'), attachTherapist
+ *
+ * Looks up the therapists row for the authenticated user and attaches
+ * it to req.therapist. Inactive therapists are refused.
+ */
+export const attachTherapist = async (req, res, next) => {
+  try {
+    if (!req.profile) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required.'
+      })
+    }
+
+    const { data: therapist, error } = await supabase
+      .from('therapists')
+      .select('*')
+      .eq('user_id', req.profile.id)
+      .single()
+
+    if (error || !therapist) {
+      return res.status(403).json({
+        success: false,
+        error: 'No therapist record found for this account.'
+      })
+    }
+
+    if (therapist.is_active === false) {
+      return res.status(403).json({
+        success: false,
+        error: 'Therapist account is deactivated.'
+      })
+    }
+
+    req.therapist = therapist
+    next()
+
+  } catch (error) {
+    console.error('Attach therapist error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load therapist record.'
+    })
+  }
+}
@@ -0,0 +1,201 @@
+import crypto from 'crypto'
+import supabase from '../config/supabase.js'
+import { parseIntSafe } from '../utils/validation.js'
+
+/**
+ * Idempotency Middleware
+ *
+ * Usage: router.post('/reserve', requireRole('customer'), idempotency, createReservation)
+ *
+ * Honours an optional Idempotency-Key header on mutation routes (must run
+ * after authenticate — keys are scoped per user):
+ * 1. First request with a key claims it (status in_progress) and runs
+ * 2. Its response is stored when it finishes. Transient failures (5xx,
+ *    402, 408, 409, 429) release the key instead so the client can retry
+ * 3. A repeat with the same key and same method, path and body gets the
+ *    stored response back with an Idempotent-Replayed: true header
+ * 4. The same key with a different request is rejected (422); a repeat
+ *    while the first is still running gets 409
+ * 5. A key left in progress for longer than IDEMPOTENCY_LOCK_TIMEOUT_SECONDS
+ *    (default 60) is treated as abandoned and taken over by the next repeat
+ *
+ * Keys expire after IDEMPOTENCY_KEY_TTL_HOURS (default 24).
+ */
+
+const MAX_KEY_LENGTH = 255
+
+// Outcomes that may change on retry (payment declined, slot taken,
+// rate limited), so they are never replayed
+const RELEASED_STATUSES = [402, 408, 409, 429]
+
+function isReleased(status) {
+  return status >= 500 || RELEASED_STATUSES.includes(status)
+}
+
+/**
+ * Whether an in_progress key has been held for longer than the lock timeout
+ */
+function isAbandoned(existing) {
+  const timeoutSeconds = parseIntSafe(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS, 60, 5, 3600)
+  return existing.status === 'in_progress' &&
+    new Date(existing.locked_at) <= new Date(Date.now() - timeoutSeconds * 1000)
+}
+
+/**
+ * JSON with sorted object keys, so key order in the body doesn't matter
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${stableStringify(req.body)}`)
+    .digest('hex')
+}
+
+/**
+ * Try to claim a key; returns { claimed: true } or { existing }
+ */
+async function claimKey(userId, key, req, requestHash) {
+  const ttlHours = parseIntSafe(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 24, 1, 720)
+  const row = {
+    user_id: userId,
+    idempotency_key: key,
+    request_method: req.method,
+    request_path: req.originalUrl,
+    request_hash: requestHash,
+    status: 'in_progress',
+    locked_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString()
+  }
+
+  const { error } = await supabase.from('idempotency_keys').insert(row)
+
+  if (!error) return { claimed: true }
+  if (error.code !== '23505') throw error
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('idempotency_keys')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('idempotency_key', key)
+    .maybeSingle()
+
+  if (fetchError) throw fetchError
+
+  // Expired (or released between our insert and read): reuse the key
+  if (!existing || new Date(existing.expires_at) <= new Date()) {
+    if (existing) {
+      await supabase.from('idempotency_keys').delete().eq('id', existing.id).lte('expires_at', new Date().toISOString())
+    }
+    const { error: retryError } = await supabase.from('idempotency_keys').insert(row)
+    if (!retryError) return { claimed: true }
+    if (retryError.code === '23505') return { existing: { status: 'in_progress', request_hash: requestHash } }
+    throw retryError
+  }
+
+  // Abandoned by a request that never finished: take it over, unless
+  // another retry got there first
+  if (existing.request_hash === requestHash && isAbandoned(existing)) {
+    const { data: taken, error: takeError } = await supabase
+      .from('idempotency_keys')
+      .update({ locked_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .eq('status', 'in_progress')
+      .eq('locked_at', existing.locked_at)
+      .select('id')
+
+    if (takeError) throw takeError
+    if (taken.length > 0) return { claimed: true }
+    return { existing: { status: 'in_progress', request_hash: requestHash } }
+  }
+
+  return { existing }
+}
+
+export const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key')
+
+  if (key === undefined) {
+    return next()
+  }
+
+  try {
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters.`
+      })
+    }
+
+    if (!req.profile) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required.'
+      })
+    }
+
+    const userId = req.profile.id
+    const requestHash = hashRequest(req)
+    const { claimed, existing } = await claimKey(userId, key, req, requestHash)
+
+    if (!claimed) {
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key has already been used for a different request.'
+        })
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed. Retry shortly.'
+        })
+      }
+
+      res.set('Idempotent-Replayed', 'true')
+      return res.status(existing.response_status).json(existing.response_body)
+    }
+
+    // Capture the handler's JSON response; store it before sending so an
+    // immediate retry already sees the completed key
+    const originalJson = res.json.bind(res)
+    res.json = body => {
+      const status = res.statusCode
+      const store = isReleased(status)
+        ? supabase.from('idempotency_keys').delete().eq('user_id', userId).eq('idempotency_key', key)
+        : supabase
+          .from('idempotency_keys')
+          .update({ status: 'completed', response_status: status, response_body: body })
+          .eq('user_id', userId)
+          .eq('idempotency_key', key)
+
+      Promise.resolve(store)
+        .then(({ error }) => {
+          if (error) console.error('[IDEMPOTENCY] Failed to store response:', error.message)
+        })
+        .catch(err => console.error('[IDEMPOTENCY] Failed to store response:', err.message))
+        .finally(() => originalJson(body))
+
+      return res
+    }
+
+    next()
+
+  } catch (error) {
+    console.error('Idempotency middleware error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process Idempotency-Key.'
+    })
+  }
+}
\ No newline at end of file
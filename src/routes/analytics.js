@@ -1,5 +1,5 @@
 import express from 'express'
-import { getDashboardAnalytics } from '../controllers/analyticsController.js'
+import { getDashboardAnalytics, getRetentionAnalytics, getBookingPatternAnalytics, exportAnalytics } from '../controllers/analyticsController.js'
 import { authenticate, requireRole } from '../middleware/auth.js'
 
 const router = express.Router()
@@ -11,4 +11,13 @@ router.use(requireRole('admin'))
 // Dashboard analytics endpoint
 router.get('/dashboard', getDashboardAnalytics)
 
+// Customer retention, cohorts and lifetime value
+router.get('/retention', getRetentionAnalytics)
+
+// Booking lead time, cancellation patterns and hold expiry
+router.get('/booking-patterns', getBookingPatternAnalytics)
+
+// Spreadsheet export of a dashboard breakdown (?report=...&format=csv|xlsx)
+router.get('/export', exportAnalytics)
+
 export default router
@@ -3,13 +3,24 @@ import {
   createReservation,
   confirmReservation,
   cancelReservation,
+  getCancellationQuote,
+  rescheduleReservation,
+  applyPromoCode,
+  removePromoCode,
   getMyBookings,
   getAvailableSlots,
   getAllBookings,
   adminCancelBooking,
-  adminRescheduleBooking
+  adminRescheduleBooking,
+  completeBooking,
+  markNoShow,
+  getBookingHistory,
+  getBookingStats,
+  exportBookings
 } from '../controllers/bookingController.js'
+import { createCheckout } from '../controllers/paymentController.js'
 import { authenticate, requireRole } from '../middleware/auth.js'
+import { idempotency } from '../middleware/idempotency.js'
 import { manualCleanup } from '../jobs/cleanupExpiredReservations.js'
 
 const router = express.Router()
@@ -19,14 +30,24 @@ router.use(authenticate)
 
 // Existing routes...
 router.get('/available-slots', getAvailableSlots)
-router.post('/reserve', requireRole('customer'), createReservation)
-router.post('/:id/confirm', requireRole('customer'), confirmReservation)
-router.post('/:id/cancel', requireRole('customer'), cancelReservation)
+router.post('/reserve', requireRole('customer'), idempotency, createReservation)
+router.post('/:id/promo-code', requireRole('customer'), idempotency, applyPromoCode)
+router.delete('/:id/promo-code', requireRole('customer'), idempotency, removePromoCode)
+router.post('/:id/checkout', requireRole('customer'), idempotency, createCheckout)
+router.post('/:id/confirm', requireRole('customer'), idempotency, confirmReservation)
+router.get('/:id/cancellation-quote', requireRole('customer'), getCancellationQuote)
+router.post('/:id/cancel', requireRole('customer'), idempotency, cancelReservation)
+router.post('/:id/reschedule', requireRole('customer'), idempotency, rescheduleReservation)
 router.get('/my-bookings', requireRole('customer'), getMyBookings)
 // Admin routes
 router.get('/admin/all', requireRole('admin'), getAllBookings)
-router.post('/admin/:id/cancel', requireRole('admin'), adminCancelBooking)
-router.post('/admin/:id/reschedule', requireRole('admin'), adminRescheduleBooking)
+router.get('/admin/stats', requireRole('admin'), getBookingStats)
+router.get('/admin/export', requireRole('admin'), exportBookings)
+router.get('/admin/:id/history', requireRole('admin'), getBookingHistory)
+router.post('/admin/:id/cancel', requireRole('admin'), idempotency, adminCancelBooking)
+router.post('/admin/:id/reschedule', requireRole('admin'), idempotency, adminRescheduleBooking)
+router.post('/admin/:id/complete', requireRole('admin'), idempotency, completeBooking)
+router.post('/admin/:id/no-show', requireRole('admin'), idempotency, markNoShow)
 
 // Manual trigger for reminder emails (admin only, for testing)
 router.post('/trigger-reminders', requireRole('admin'), async (req, res) => {
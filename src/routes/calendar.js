@@ -0,0 +1,14 @@
+import express from 'express'
+import { getFeedUrl, rotateFeedUrl, getFeed } from '../controllers/calendarController.js'
+import { authenticate, requireRole } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// Public feed — calendar apps can't send auth headers, the token is the credential
+router.get('/feed/:token.ics', getFeed)
+
+// Manage own feed URL
+router.get('/feed-url', authenticate, requireRole('customer', 'therapist'), getFeedUrl)
+router.post('/feed-url/rotate', authenticate, requireRole('customer', 'therapist'), rotateFeedUrl)
+
+export default router
@@ -0,0 +1,52 @@
+import express from 'express'
+import {
+  purchasePackage,
+  purchaseGiftCard,
+  confirmCreditPurchase,
+  claimGiftCard,
+  getMyCredits,
+  getMyCreditAccount,
+  getAllCreditAccounts,
+  getCreditAccountById,
+  issueCredit,
+  adjustCredit
+} from '../controllers/creditController.js'
+import {
+  getPackages,
+  getAllPackages,
+  createPackage,
+  updatePackage,
+  archivePackage,
+  restorePackage
+} from '../controllers/creditPackageController.js'
+import { authenticate, requireRole } from '../middleware/auth.js'
+import { idempotency } from '../middleware/idempotency.js'
+
+const router = express.Router()
+
+// All credit routes require authentication
+router.use(authenticate)
+
+// Admin routes (registered before /:id so "admin" isn't treated as an ID)
+router.get('/admin/packages', requireRole('admin'), getAllPackages)
+router.post('/admin/packages', requireRole('admin'), createPackage)
+router.patch('/admin/packages/:id', requireRole('admin'), updatePackage)
+router.post('/admin/packages/:id/archive', requireRole('admin'), archivePackage)
+router.post('/admin/packages/:id/restore', requireRole('admin'), restorePackage)
+router.get('/admin/accounts', requireRole('admin'), getAllCreditAccounts)
+router.post('/admin/accounts', requireRole('admin'), idempotency, issueCredit)
+router.get('/admin/accounts/:id', requireRole('admin'), getCreditAccountById)
+router.post('/admin/accounts/:id/adjust', requireRole('admin'), idempotency, adjustCredit)
+
+// Packages on sale, purchases and gift cards
+router.get('/packages', getPackages)
+router.post('/packages/:id/purchase', requireRole('customer'), idempotency, purchasePackage)
+router.post('/gift-cards/purchase', requireRole('customer'), idempotency, purchaseGiftCard)
+router.post('/gift-cards/claim', requireRole('customer'), idempotency, claimGiftCard)
+
+// The customer's own balances
+router.get('/', requireRole('customer'), getMyCredits)
+router.get('/:id', requireRole('customer'), getMyCreditAccount)
+router.post('/:id/confirm', requireRole('customer'), idempotency, confirmCreditPurchase)
+
+export default router
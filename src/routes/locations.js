@@ -0,0 +1,26 @@
+import express from 'express'
+import {
+  getLocations,
+  getLocationById,
+  getAllLocations,
+  createLocation,
+  updateLocation,
+  archiveLocation,
+  restoreLocation
+} from '../controllers/locationController.js'
+import { authenticate, requireRole } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// Admin routes (registered before /:id so "admin" isn't treated as an ID)
+router.get('/admin/all', authenticate, requireRole('admin'), getAllLocations)
+router.post('/', authenticate, requireRole('admin'), createLocation)
+router.patch('/:id', authenticate, requireRole('admin'), updateLocation)
+router.post('/:id/archive', authenticate, requireRole('admin'), archiveLocation)
+router.post('/:id/restore', authenticate, requireRole('admin'), restoreLocation)
+
+// Public branch list
+router.get('/', getLocations)
+router.get('/:id', getLocationById)
+
+export default router
@@ -0,0 +1,48 @@
+import express from 'express'
+import {
+  getMyMembership,
+  createMembership,
+  confirmMembership,
+  renewMyMembership,
+  cancelMyMembership,
+  resumeMyMembership,
+  getAllMemberships,
+  adminCancelMembership
+} from '../controllers/membershipController.js'
+import {
+  getTiers,
+  getAllTiers,
+  createTier,
+  updateTier,
+  archiveTier,
+  restoreTier
+} from '../controllers/membershipTierController.js'
+import { authenticate, requireRole } from '../middleware/auth.js'
+import { idempotency } from '../middleware/idempotency.js'
+
+const router = express.Router()
+
+// All membership routes require authentication
+router.use(authenticate)
+
+// Admin routes
+router.get('/admin/tiers', requireRole('admin'), getAllTiers)
+router.post('/admin/tiers', requireRole('admin'), createTier)
+router.patch('/admin/tiers/:id', requireRole('admin'), updateTier)
+router.post('/admin/tiers/:id/archive', requireRole('admin'), archiveTier)
+router.post('/admin/tiers/:id/restore', requireRole('admin'), restoreTier)
+router.get('/admin', requireRole('admin'), getAllMemberships)
+router.post('/admin/:id/cancel', requireRole('admin'), adminCancelMembership)
+
+// Tiers open for sign-up
+router.get('/tiers', getTiers)
+
+// The customer's own membership
+router.get('/me', requireRole('customer'), getMyMembership)
+router.post('/', requireRole('customer'), idempotency, createMembership)
+router.post('/me/confirm', requireRole('customer'), idempotency, confirmMembership)
+router.post('/me/renew', requireRole('customer'), idempotency, renewMyMembership)
+router.post('/me/cancel', requireRole('customer'), cancelMyMembership)
+router.post('/me/resume', requireRole('customer'), resumeMyMembership)
+
+export default router
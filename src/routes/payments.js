@@ -0,0 +1,13 @@
+import express from 'express'
+import { handleWebhook, simulateFakePayment } from '../controllers/paymentController.js'
+import { authenticate, requireRole } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// Provider webhook — public, verified by signature over the raw body
+router.post('/webhook', express.raw({ type: 'application/json' }), handleWebhook)
+
+// Fake provider: simulate the customer paying (disabled in production)
+router.post('/fake/:intentId/complete', express.json(), authenticate, requireRole('customer'), simulateFakePayment)
+
+export default router
@@ -0,0 +1,24 @@
+import express from 'express'
+import {
+  getPromoCodes,
+  getPromoCodeById,
+  createPromoCode,
+  updatePromoCode,
+  archivePromoCode,
+  restorePromoCode
+} from '../controllers/promoCodeController.js'
+import { authenticate, requireRole } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// Promo codes are managed by admins; customers apply them through bookings
+router.use(authenticate, requireRole('admin'))
+
+router.get('/', getPromoCodes)
+router.post('/', createPromoCode)
+router.get('/:id', getPromoCodeById)
+router.patch('/:id', updatePromoCode)
+router.post('/:id/archive', archivePromoCode)
+router.post('/:id/restore', restorePromoCode)
+
+export default router
@@ -0,0 +1,26 @@
+import express from 'express'
+import {
+  getServices,
+  getServiceById,
+  getAllServices,
+  createService,
+  updateService,
+  archiveService,
+  restoreService
+} from '../controllers/serviceController.js'
+import { authenticate, requireRole } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// Admin routes (registered before /:id so "admin" isn't treated as an ID)
+router.get('/admin/all', authenticate, requireRole('admin'), getAllServices)
+router.post('/', authenticate, requireRole('admin'), createService)
+router.patch('/:id', authenticate, requireRole('admin'), updateService)
+router.post('/:id/archive', authenticate, requireRole('admin'), archiveService)
+router.post('/:id/restore', authenticate, requireRole('admin'), restoreService)
+
+// Public catalog
+router.get('/', getServices)
+router.get('/:id', getServiceById)
+
+export default router
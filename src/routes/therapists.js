@@ -0,0 +1,75 @@
+import express from 'express'
+import {
+  getTherapists,
+  getAllTherapists,
+  createTherapist,
+  updateTherapist,
+  deactivateTherapist,
+  activateTherapist,
+  getMyTherapistProfile,
+  getMySchedule
+} from '../controllers/therapistController.js'
+import { getAvailability, replaceAvailability } from '../controllers/availabilityController.js'
+import {
+  getTimeOff,
+  createTimeOff,
+  deleteTimeOff,
+  getTimeOffConflicts,
+  cancelTimeOffConflicts,
+  rescheduleTimeOffConflicts
+} from '../controllers/timeOffController.js'
+import { completeBooking, markNoShow } from '../controllers/bookingController.js'
+import { authenticate, requireRole, attachTherapist } from '../middleware/auth.js'
+import { generateTimeSlots } from '../jobs/generateTimeSlots.js'
+
+const router = express.Router()
+
+// Public list of active therapists
+router.get('/', getTherapists)
+
+// Therapist self-service routes
+router.get('/me', authenticate, requireRole('therapist'), attachTherapist, getMyTherapistProfile)
+router.get('/me/schedule', authenticate, requireRole('therapist'), attachTherapist, getMySchedule)
+router.get('/me/availability', authenticate, requireRole('therapist'), attachTherapist, getAvailability)
+router.put('/me/availability', authenticate, requireRole('therapist'), attachTherapist, replaceAvailability)
+router.get('/me/time-off', authenticate, requireRole('therapist'), attachTherapist, getTimeOff)
+router.post('/me/time-off', authenticate, requireRole('therapist'), attachTherapist, createTimeOff)
+router.delete('/me/time-off/:timeOffId', authenticate, requireRole('therapist'), attachTherapist, deleteTimeOff)
+router.post('/me/bookings/:id/complete', authenticate, requireRole('therapist'), attachTherapist, completeBooking)
+router.post('/me/bookings/:id/no-show', authenticate, requireRole('therapist'), attachTherapist, markNoShow)
+
+// Admin routes
+router.get('/admin/all', authenticate, requireRole('admin'), getAllTherapists)
+router.post('/', authenticate, requireRole('admin'), createTherapist)
+router.patch('/:id', authenticate, requireRole('admin'), updateTherapist)
+router.post('/:id/deactivate', authenticate, requireRole('admin'), deactivateTherapist)
+router.post('/:id/activate', authenticate, requireRole('admin'), activateTherapist)
+router.get('/:id/availability', authenticate, requireRole('admin'), getAvailability)
+router.put('/:id/availability', authenticate, requireRole('admin'), replaceAvailability)
+router.get('/:id/time-off', authenticate, requireRole('admin'), getTimeOff)
+router.post('/:id/time-off', authenticate, requireRole('admin'), createTimeOff)
+
+// Admin time-off conflict handling
+router.delete('/time-off/:timeOffId', authenticate, requireRole('admin'), deleteTimeOff)
+router.get('/time-off/:timeOffId/conflicts', authenticate, requireRole('admin'), getTimeOffConflicts)
+router.post('/time-off/:timeOffId/conflicts/cancel', authenticate, requireRole('admin'), cancelTimeOffConflicts)
+router.post('/time-off/:timeOffId/conflicts/reschedule', authenticate, requireRole('admin'), rescheduleTimeOffConflicts)
+
+// Manual trigger for slot generation (admin only)
+router.post('/admin/generate-slots', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await generateTimeSlots()
+    if (!result.success) {
+      return res.status(500).json({ success: false, error: 'Slot generation failed' })
+    }
+    res.json({
+      success: true,
+      message: `Slot generation completed: ${result.created} time slot(s) created`
+    })
+  } catch (error) {
+    console.error('Manual slot generation error:', error)
+    res.status(500).json({ success: false, error: 'Slot generation failed' })
+  }
+})
+
+export default router
@@ -0,0 +1,24 @@
+import express from 'express'
+import {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  declineOffer,
+  getAllWaitlist
+} from '../controllers/waitlistController.js'
+import { authenticate, requireRole } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// All waitlist routes require authentication
+router.use(authenticate)
+
+router.post('/', requireRole('customer'), joinWaitlist)
+router.get('/mine', requireRole('customer'), getMyWaitlist)
+router.delete('/:id', requireRole('customer'), leaveWaitlist)
+router.post('/:id/decline', requireRole('customer'), declineOffer)
+
+// Admin routes
+router.get('/admin/all', requireRole('admin'), getAllWaitlist)
+
+export default router
@@ -5,6 +5,15 @@ import helmet from 'helmet'
 import dotenv from 'dotenv'
 import bookingRoutes from './routes/bookings.js'
 import analyticsRoutes from './routes/analytics.js'
+import serviceRoutes from './routes/services.js'
+import therapistRoutes from './routes/therapists.js'
+import paymentRoutes from './routes/payments.js'
+import calendarRoutes from './routes/calendar.js'
+import waitlistRoutes from './routes/waitlist.js'
+import locationRoutes from './routes/locations.js'
+import promoCodeRoutes from './routes/promoCodes.js'
+import creditRoutes from './routes/credits.js'
+import membershipRoutes from './routes/memberships.js'
 import { errorHandler } from './middleware/errorHandler.js'
 import { startAllJobs, stopAllJobs } from './jobs/scheduler.js'
 
@@ -29,7 +38,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }
 
 // Rate limiting configuration
@@ -44,6 +54,11 @@ const generalLimiter = rateLimit({
 // Middleware
 app.use(helmet())
 app.use(cors(corsOptions))
+
+// Payment webhooks need the raw body for signature checks, so they are
+// mounted before the JSON parser and rate limiter
+app.use('/api/payments', paymentRoutes)
+
 app.use(express.json())
 
 // Health check — before rate limiter so monitoring tools never get 429
@@ -60,6 +75,14 @@ app.use(generalLimiter)
 // Routes
 app.use('/api/bookings', bookingRoutes)
 app.use('/api/analytics', analyticsRoutes)
+app.use('/api/services', serviceRoutes)
+app.use('/api/therapists', therapistRoutes)
+app.use('/api/calendar', calendarRoutes)
+app.use('/api/waitlist', waitlistRoutes)
+app.use('/api/locations', locationRoutes)
+app.use('/api/promo-codes', promoCodeRoutes)
+app.use('/api/credits', creditRoutes)
+app.use('/api/memberships', membershipRoutes)
 
 // Global error handler (must be last)
 app.use(errorHandler)
@@ -71,7 +94,7 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`)
 })
 
-// Start all background jobs (cleanup + reminders)
+// Start all background jobs (cleanup, reminders, slot generation, completion, digest, membership renewal)
 const jobs = startAllJobs()
 
 // Graceful shutdown
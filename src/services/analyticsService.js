@@ -0,0 +1,847 @@
+// src/services/analyticsService.js
+import supabase from '../config/supabase.js'
+import { iterateRows } from '../utils/pagination.js'
+import { addDaysToDate, getDayOfWeek, getTimeDuration, getUtcRangeForDates, zonedTimeToUtc } from '../utils/dateTime.js'
+import { getTimeOffBlocks, isBlockedByTimeOff } from './timeOffService.js'
+
+/**
+ * Analytics aggregations
+ *
+ * aggregateDashboard loads every booking of the two periods it compares,
+ * so its memory grows with the range. The others stream bookings in
+ * keyset batches and keep running totals (one entry per day, service,
+ * therapist or customer), except where they report a median: those keep
+ * one number per booking, visit or hold (lead times, days between visits,
+ * minutes to confirm).
+ */
+
+// Churned customers listed in the retention report (highest value first)
+const CHURNED_LIST_LIMIT = 50
+
+// Lead-time buckets (hours before the appointment), shared by bookings and cancellations
+const LEAD_TIME_BUCKETS = [
+  { label: 'under 2 hours', maxHours: 2 },
+  { label: '2-24 hours', maxHours: 24 },
+  { label: '1-3 days', maxHours: 72 },
+  { label: '3-7 days', maxHours: 168 },
+  { label: '1-2 weeks', maxHours: 336 },
+  { label: '2-4 weeks', maxHours: 672 },
+  { label: '4+ weeks', maxHours: Infinity }
+]
+
+/**
+ * Revenue after member and promo code discounts (service_price is the list price)
+ */
+function netPrice(booking) {
+  return (parseFloat(booking.service_price) || 0)
+    - (parseFloat(booking.member_discount_amount) || 0)
+    - (parseFloat(booking.discount_amount) || 0)
+}
+
+/**
+ * Dashboard summary and breakdowns for a date range
+ *
+ * Used by getDashboardAnalytics and the analytics digest email, so both
+ * report the same numbers. The previous period supplies the comparison
+ * figures in summary.previousPeriod. locationId limits bookings to one
+ * branch (new customers are counted across all branches).
+ * Revenue figures are list prices before discounts; netRevenue is what
+ * customers paid after member discounts and promo codes.
+ */
+export async function aggregateDashboard(startDate, endDate, prevStartDate, prevEndDate, { locationId = null } = {}) {
+  const forLocation = query => (locationId ? query.eq('location_id', locationId) : query)
+
+  // Fetch all bookings in current period
+  const { data: currentBookings, error: currentError } = await forLocation(supabase
+    .from('bookings')
+    .select(`
+      *,
+      customer:profiles!bookings_customer_id_fkey(id, full_name, created_at),
+      therapist:therapists!bookings_therapist_id_fkey(
+        id,
+        profile:profiles!therapists_user_id_fkey(full_name)
+      )
+    `)
+    .gte('booking_date', startDate)
+    .lte('booking_date', endDate))
+
+  if (currentError) throw currentError
+
+  // Fetch previous period bookings for comparison
+  const { data: previousBookings, error: previousError } = await forLocation(supabase
+    .from('bookings')
+    .select('*')
+    .gte('booking_date', prevStartDate)
+    .lte('booking_date', prevEndDate))
+
+  if (previousError) throw previousError
+
+  // Calculate summary metrics
+  const confirmedOrCompleted = currentBookings.filter(b =>
+    ['confirmed', 'completed'].includes(b.status)
+  )
+
+  const totalRevenue = confirmedOrCompleted.reduce((sum, b) =>
+    sum + (parseFloat(b.service_price) || 0), 0
+  )
+  const netRevenue = confirmedOrCompleted.reduce((sum, b) => sum + netPrice(b), 0)
+
+  const totalBookings = currentBookings.length
+  const completedBookings = currentBookings.filter(b => b.status === 'completed').length
+  const cancelledBookings = currentBookings.filter(b => b.status === 'cancelled').length
+  const noShowBookings = currentBookings.filter(b => b.status === 'no_show').length
+  const cancellationRate = totalBookings > 0 ? (cancelledBookings / totalBookings) * 100 : 0
+  // No-show rate is measured against appointments that actually took place or were missed
+  const attendedOrMissed = completedBookings + noShowBookings
+  const noShowRate = attendedOrMissed > 0 ? (noShowBookings / attendedOrMissed) * 100 : 0
+
+  // Count new customers (profiles created in date range, spa-local days)
+  const createdRange = getUtcRangeForDates(startDate, endDate)
+  const { data: newCustomersData, error: customersError } = await supabase
+    .from('profiles')
+    .select('id')
+    .eq('role', 'customer')
+    .gte('created_at', createdRange.from)
+    .lt('created_at', createdRange.to)
+
+  if (customersError) {
+    console.error('Fetch new customers error:', customersError)
+  }
+
+  const newCustomers = newCustomersData?.length || 0
+
+  // Previous period comparison
+  const prevConfirmedOrCompleted = previousBookings.filter(b =>
+    ['confirmed', 'completed'].includes(b.status)
+  )
+  const prevTotalRevenue = prevConfirmedOrCompleted.reduce((sum, b) =>
+    sum + (parseFloat(b.service_price) || 0), 0
+  )
+  const prevNetRevenue = prevConfirmedOrCompleted.reduce((sum, b) => sum + netPrice(b), 0)
+  const prevTotalBookings = previousBookings.length
+  const prevCancelledBookings = previousBookings.filter(b => b.status === 'cancelled').length
+  const prevCancellationRate = prevTotalBookings > 0 ? (prevCancelledBookings / prevTotalBookings) * 100 : 0
+
+  // Revenue by day
+  const revenueByDay = {}
+  confirmedOrCompleted.forEach(booking => {
+    const date = booking.booking_date
+    if (!revenueByDay[date]) {
+      revenueByDay[date] = { revenue: 0, netRevenue: 0 }
+    }
+    revenueByDay[date].revenue += parseFloat(booking.service_price) || 0
+    revenueByDay[date].netRevenue += netPrice(booking)
+  })
+
+  const revenueByDayArray = Object.keys(revenueByDay)
+    .sort()
+    .map(date => ({
+      date,
+      revenue: parseFloat(revenueByDay[date].revenue.toFixed(2)),
+      netRevenue: parseFloat(revenueByDay[date].netRevenue.toFixed(2))
+    }))
+
+  // Bookings by day (all statuses)
+  const bookingsByDay = {}
+  currentBookings.forEach(booking => {
+    const date = booking.booking_date
+    bookingsByDay[date] = (bookingsByDay[date] || 0) + 1
+  })
+
+  const bookingsByDayArray = Object.keys(bookingsByDay)
+    .sort()
+    .map(date => ({
+      date,
+      count: bookingsByDay[date]
+    }))
+
+  // Bookings by service
+  const bookingsByService = {}
+  confirmedOrCompleted.forEach(booking => {
+    const service = booking.service_name
+    if (!bookingsByService[service]) {
+      bookingsByService[service] = { count: 0, revenue: 0, netRevenue: 0 }
+    }
+    bookingsByService[service].count++
+    bookingsByService[service].revenue += parseFloat(booking.service_price) || 0
+    bookingsByService[service].netRevenue += netPrice(booking)
+  })
+
+  const bookingsByServiceArray = Object.keys(bookingsByService)
+    .map(service => ({
+      service_name: service,
+      count: bookingsByService[service].count,
+      revenue: parseFloat(bookingsByService[service].revenue.toFixed(2)),
+      netRevenue: parseFloat(bookingsByService[service].netRevenue.toFixed(2))
+    }))
+    .sort((a, b) => b.count - a.count)
+
+  // Bookings by therapist
+  const bookingsByTherapist = {}
+  confirmedOrCompleted.forEach(booking => {
+    const therapist = booking.therapist?.profile?.full_name || 'Unknown'
+    if (!bookingsByTherapist[therapist]) {
+      bookingsByTherapist[therapist] = { count: 0, revenue: 0, netRevenue: 0 }
+    }
+    bookingsByTherapist[therapist].count++
+    bookingsByTherapist[therapist].revenue += parseFloat(booking.service_price) || 0
+    bookingsByTherapist[therapist].netRevenue += netPrice(booking)
+  })
+
+  const bookingsByTherapistArray = Object.keys(bookingsByTherapist)
+    .map(therapist => ({
+      therapist_name: therapist,
+      count: bookingsByTherapist[therapist].count,
+      revenue: parseFloat(bookingsByTherapist[therapist].revenue.toFixed(2)),
+      netRevenue: parseFloat(bookingsByTherapist[therapist].netRevenue.toFixed(2))
+    }))
+    .sort((a, b) => b.count - a.count)
+
+  // Peak hours analysis (day of week + hour)
+  const peakHours = {}
+  confirmedOrCompleted.forEach(booking => {
+    const day = getDayOfWeek(booking.booking_date) // 0-6 (Sunday-Saturday)
+    const hour = parseInt(booking.start_time.split(':')[0], 10) // Extract hour from HH:MM
+
+    const key = `${day}-${hour}`
+    peakHours[key] = (peakHours[key] || 0) + 1
+  })
+
+  const peakHoursArray = Object.keys(peakHours)
+    .map(key => {
+      const [day, hour] = key.split('-').map(Number)
+      return { day, hour, count: peakHours[key] }
+    })
+    .sort((a, b) => b.count - a.count)
+
+  return {
+    summary: {
+      totalRevenue: parseFloat(totalRevenue.toFixed(2)),
+      totalDiscounts: parseFloat((totalRevenue - netRevenue).toFixed(2)),
+      netRevenue: parseFloat(netRevenue.toFixed(2)),
+      totalBookings,
+      completedBookings,
+      cancelledBookings,
+      cancellationRate: parseFloat(cancellationRate.toFixed(2)),
+      noShowBookings,
+      noShowRate: parseFloat(noShowRate.toFixed(2)),
+      newCustomers,
+      previousPeriod: {
+        totalRevenue: parseFloat(prevTotalRevenue.toFixed(2)),
+        netRevenue: parseFloat(prevNetRevenue.toFixed(2)),
+        totalBookings: prevTotalBookings,
+        cancellationRate: parseFloat(prevCancellationRate.toFixed(2))
+      }
+    },
+    revenueByDay: revenueByDayArray,
+    bookingsByDay: bookingsByDayArray,
+    bookingsByService: bookingsByServiceArray,
+    bookingsByTherapist: bookingsByTherapistArray,
+    peakHours: peakHoursArray
+  }
+}
+
+/**
+ * Revenue breakdowns for confirmed and completed bookings in a date range
+ * Same shapes as the dashboard's revenueByDay / bookingsByService / bookingsByTherapist
+ * (revenue before discounts, netRevenue after)
+ */
+export async function aggregateRevenueBreakdowns(startDate, endDate) {
+  const byDay = new Map()
+  const byService = new Map()
+  const byTherapist = new Map()
+
+  const buildQuery = () => supabase
+    .from('bookings')
+    .select(`
+      id,
+      booking_date,
+      service_name,
+      service_price,
+      member_discount_amount,
+      discount_amount,
+      therapist:therapists!bookings_therapist_id_fkey(
+        profile:profiles!therapists_user_id_fkey(full_name)
+      )
+    `)
+    .in('status', ['confirmed', 'completed'])
+    .gte('booking_date', startDate)
+    .lte('booking_date', endDate)
+
+  const add = (map, key, price, netRevenue) => {
+    const entry = map.get(key) || { count: 0, revenue: 0, netRevenue: 0 }
+    entry.count++
+    entry.revenue += price
+    entry.netRevenue += netRevenue
+    map.set(key, entry)
+  }
+
+  for await (const booking of iterateRows(buildQuery, { columns: ['booking_date'] })) {
+    const price = parseFloat(booking.service_price) || 0
+    const net = netPrice(booking)
+    add(byDay, booking.booking_date, price, net)
+    add(byService, booking.service_name, price, net)
+    add(byTherapist, booking.therapist?.profile?.full_name || 'Unknown', price, net)
+  }
+
+  const round = value => parseFloat(value.toFixed(2))
+
+  return {
+    revenueByDay: [...byDay.keys()]
+      .sort()
+      .map(date => ({ date, count: byDay.get(date).count, revenue: round(byDay.get(date).revenue), netRevenue: round(byDay.get(date).netRevenue) })),
+    bookingsByService: [...byService.entries()]
+      .map(([service_name, { count, revenue, netRevenue }]) => ({ service_name, count, revenue: round(revenue), netRevenue: round(netRevenue) }))
+      .sort((a, b) => b.count - a.count),
+    bookingsByTherapist: [...byTherapist.entries()]
+      .map(([therapist_name, { count, revenue, netRevenue }]) => ({ therapist_name, count, revenue: round(revenue), netRevenue: round(netRevenue) }))
+      .sort((a, b) => b.count - a.count)
+  }
+}
+
+/**
+ * Memberships for a date range
+ *
+ * - active members and monthly recurring revenue (sum of active
+ *   memberships' monthly fees) as of now, overall and per tier
+ * - memberships started and ended in the range (spa-local days)
+ * - confirmed and completed bookings in the range by members vs.
+ *   non-members (a booking counts as a member's if it was made with
+ *   member pricing); locationId limits these to one branch
+ */
+export async function aggregateMemberships(startDate, endDate, { locationId = null } = {}) {
+  const range = getUtcRangeForDates(startDate, endDate)
+
+  const { data: active, error: activeError } = await supabase
+    .from('memberships')
+    .select('id, monthly_fee, tier:membership_tiers!memberships_tier_id_fkey(id, name)')
+    .eq('status', 'active')
+
+  if (activeError) throw activeError
+
+  const { data: started, error: startedError } = await supabase
+    .from('memberships')
+    .select('id')
+    .gte('started_at', range.from)
+    .lt('started_at', range.to)
+
+  if (startedError) throw startedError
+
+  // Only memberships that had started (not dropped sign-ups)
+  const { data: ended, error: endedError } = await supabase
+    .from('memberships')
+    .select('id')
+    .eq('status', 'cancelled')
+    .not('started_at', 'is', null)
+    .gte('cancelled_at', range.from)
+    .lt('cancelled_at', range.to)
+
+  if (endedError) throw endedError
+
+  const byTier = new Map()
+  let monthlyRecurringRevenue = 0
+  for (const membership of active) {
+    const fee = parseFloat(membership.monthly_fee) || 0
+    const name = membership.tier?.name || 'Unknown'
+    const entry = byTier.get(name) || { members: 0, monthlyRecurringRevenue: 0 }
+    entry.members++
+    entry.monthlyRecurringRevenue += fee
+    byTier.set(name, entry)
+    monthlyRecurringRevenue += fee
+  }
+
+  const bookings = {
+    members: { count: 0, revenue: 0, netRevenue: 0 },
+    nonMembers: { count: 0, revenue: 0, netRevenue: 0 }
+  }
+
+  const buildQuery = () => {
+    const query = supabase
+      .from('bookings')
+      .select('id, booking_date, membership_id, service_price, member_discount_amount, discount_amount')
+      .in('status', ['confirmed', 'completed'])
+      .gte('booking_date', startDate)
+      .lte('booking_date', endDate)
+    return locationId ? query.eq('location_id', locationId) : query
+  }
+
+  for await (const booking of iterateRows(buildQuery, { columns: ['booking_date'] })) {
+    const entry = booking.membership_id ? bookings.members : bookings.nonMembers
+    entry.count++
+    entry.revenue += parseFloat(booking.service_price) || 0
+    entry.netRevenue += netPrice(booking)
+  }
+
+  const round = value => parseFloat(value.toFixed(2))
+  const describe = ({ count, revenue, netRevenue }) => ({ count, revenue: round(revenue), netRevenue: round(netRevenue) })
+
+  return {
+    activeMembers: active.length,
+    monthlyRecurringRevenue: round(monthlyRecurringRevenue),
+    newMemberships: started.length,
+    endedMemberships: ended.length,
+    byTier: [...byTier.entries()]
+      .map(([tier_name, { members, monthlyRecurringRevenue }]) => ({ tier_name, members, monthlyRecurringRevenue: round(monthlyRecurringRevenue) }))
+      .sort((a, b) => b.monthlyRecurringRevenue - a.monthlyRecurringRevenue),
+    bookings: {
+      members: describe(bookings.members),
+      nonMembers: describe(bookings.nonMembers)
+    }
+  }
+}
+
+/**
+ * Therapist utilization for a date range
+ *
+ * Capacity is the total length of every time slot in the range, minus
+ * slots covered by time off. Booked minutes are the service durations of
+ * bookings that occupied a slot (confirmed, completed or no-show), minus
+ * bookings inside time off: their slots aren't in the capacity either, so
+ * the rate can't pass 100%.
+ * Utilization = booked minutes / available minutes, per therapist, per
+ * day and per hour of the week (day 0 = Sunday, same keys as peakHours).
+ * locationId limits slots and bookings to one branch.
+ */
+export async function aggregateUtilization(startDate, endDate, { locationId = null } = {}) {
+  const forLocation = query => (locationId ? query.eq('location_id', locationId) : query)
+
+  const { data: blocks, error: blocksError } = await getTimeOffBlocks({ startDate, endDate })
+  if (blocksError) throw blocksError
+
+  const byTherapist = new Map()
+  const byDay = new Map()
+  const byHourOfWeek = new Map()
+  const totals = { available: 0, booked: 0 }
+
+  const add = (map, key, field, minutes) => {
+    const entry = map.get(key) || { available: 0, booked: 0 }
+    entry[field] += minutes
+    map.set(key, entry)
+  }
+
+  const record = (row, date, startTime, field, minutes) => {
+    const hourKey = `${getDayOfWeek(date)}-${parseInt(startTime.split(':')[0], 10)}`
+    totals[field] += minutes
+    add(byTherapist, row.therapist_id, field, minutes)
+    add(byDay, date, field, minutes)
+    add(byHourOfWeek, hourKey, field, minutes)
+  }
+
+  // 1. Capacity from time slots
+  const slotQuery = () => forLocation(supabase
+    .from('time_slots')
+    .select('id, therapist_id, slot_date, start_time, end_time')
+    .gte('slot_date', startDate)
+    .lte('slot_date', endDate))
+
+  for await (const slot of iterateRows(slotQuery, { columns: ['slot_date', 'start_time'] })) {
+    if (isBlockedByTimeOff(slot.therapist_id, slot.slot_date, slot.start_time, slot.end_time, blocks)) continue
+    record(slot, slot.slot_date, slot.start_time, 'available', getTimeDuration(slot.start_time, slot.end_time))
+  }
+
+  // 2. Booked minutes from bookings that held a slot, outside time off like the capacity
+  const bookingQuery = () => forLocation(supabase
+    .from('bookings')
+    .select('id, therapist_id, booking_date, start_time, end_time, service_duration')
+    .in('status', ['confirmed', 'completed', 'no_show'])
+    .gte('booking_date', startDate)
+    .lte('booking_date', endDate))
+
+  for await (const booking of iterateRows(bookingQuery, { columns: ['booking_date', 'start_time'] })) {
+    if (isBlockedByTimeOff(booking.therapist_id, booking.booking_date, booking.start_time, booking.end_time, blocks)) continue
+    record(booking, booking.booking_date, booking.start_time, 'booked', booking.service_duration || 0)
+  }
+
+  // 3. Therapist names for the per-therapist rows
+  const therapistIds = [...byTherapist.keys()]
+  const { data: therapists } = therapistIds.length > 0
+    ? await supabase
+      .from('therapists')
+      .select('id, profile:profiles!therapists_user_id_fkey(full_name)')
+      .in('id', therapistIds)
+    : { data: [] }
+
+  const names = new Map((therapists || []).map(t => [t.id, t.profile?.full_name]))
+
+  const rate = ({ available, booked }) =>
+    available > 0 ? parseFloat(((booked / available) * 100).toFixed(2)) : 0
+
+  const metrics = entry => ({
+    availableMinutes: entry.available,
+    bookedMinutes: entry.booked,
+    idleMinutes: Math.max(0, entry.available - entry.booked),
+    utilizationRate: rate(entry)
+  })
+
+  return {
+    summary: metrics(totals),
+    byTherapist: [...byTherapist.entries()]
+      .map(([therapist_id, entry]) => ({ therapist_id, therapist_name: names.get(therapist_id) || 'Unknown', ...metrics(entry) }))
+      .sort((a, b) => b.utilizationRate - a.utilizationRate),
+    byDay: [...byDay.keys()]
+      .sort()
+      .map(date => ({ date, ...metrics(byDay.get(date)) })),
+    byHourOfWeek: [...byHourOfWeek.entries()]
+      .map(([key, entry]) => {
+        const [day, hour] = key.split('-').map(Number)
+        return { day, hour, ...metrics(entry) }
+      })
+      .sort((a, b) => a.day - b.day || a.hour - b.hour)
+  }
+}
+
+/**
+ * Month key (YYYY-MM) shifted by a number of months
+ */
+function shiftMonth(monthKey, offset) {
+  const [year, month] = monthKey.split('-').map(Number)
+  const total = year * 12 + (month - 1) + offset
+  return `${Math.floor(total / 12)}-${String((total % 12) + 1).padStart(2, '0')}`
+}
+
+function monthsBetween(fromKey, toKey) {
+  const [fromYear, fromMonth] = fromKey.split('-').map(Number)
+  const [toYear, toMonth] = toKey.split('-').map(Number)
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth)
+}
+
+function median(values) {
+  if (values.length === 0) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/**
+ * Retention summary for one period, from the customers' state at its end
+ *
+ * Returns { summary, firstTime, churned } (the lists feed the cohort table
+ * and churned customers of the reported period)
+ */
+function summarizeRetention(customers, { index, from, to, gaps }, churnDays) {
+  const churnCutoff = addDaysToDate(to, -churnDays)
+  const all = [...customers.values()]
+  const active = all.filter(c => c.periodVisits[index] > 0)
+  const firstTime = active.filter(c => c.first >= from)
+  const repeat = active.filter(c => c.periodVisits[index] >= 2)
+  const churned = [...customers.entries()].filter(([, c]) => c.last < churnCutoff)
+  const lifetimeValues = all.map(c => c.value)
+
+  const round = value => parseFloat(value.toFixed(2))
+  const percent = (part, whole) => whole > 0 ? round((part / whole) * 100) : 0
+
+  const summary = {
+    activeCustomers: active.length,
+    firstTimeCustomers: firstTime.length,
+    returningCustomers: active.length - firstTime.length,
+    repeatVisitRate: percent(repeat.length, active.length),
+    avgDaysBetweenVisits: gaps.length > 0 ? round(gaps.reduce((sum, g) => sum + g, 0) / gaps.length) : 0,
+    medianDaysBetweenVisits: round(median(gaps)),
+    churnedCustomers: churned.length,
+    churnRate: percent(churned.length, all.length),
+    averageLifetimeValue: all.length > 0 ? round(lifetimeValues.reduce((sum, v) => sum + v, 0) / all.length) : 0,
+    medianLifetimeValue: round(median(lifetimeValues))
+  }
+
+  return { summary, firstTime, churned }
+}
+
+/**
+ * Customer retention, cohorts and lifetime value for a date range
+ *
+ * A visit is a confirmed or completed booking. Each customer's visits
+ * before the scanned range come totalled from the database
+ * (customer_visit_totals); only the visits inside it are streamed, oldest
+ * first, keeping one small record per customer, so:
+ * - active / first-time / returning customers and the repeat-visit rate
+ *   (2+ visits in the range) cover visits inside the range
+ * - days between visits are measured for visits inside the range
+ * - cohorts group customers by the month of their first visit (inside the
+ *   range) and track the share who visited again in each later month
+ * - churned customers have not visited in churnDays as of endDate
+ * - lifetime value is each customer's total spend up to endDate, after
+ *   member and promo code discounts
+ *
+ * previousStartDate: start of the comparison period ending the day before
+ * startDate. Both periods are summarized in the same pass; its summary is
+ * returned as previousPeriod (null without it).
+ */
+export async function aggregateRetention(startDate, endDate, { churnDays = 90, previousStartDate = null } = {}) {
+  const periods = previousStartDate
+    ? [{ from: previousStartDate, to: addDaysToDate(startDate, -1) }, { from: startDate, to: endDate }]
+    : [{ from: startDate, to: endDate }]
+  periods.forEach((period, index) => Object.assign(period, { index, gaps: [] }))
+  const current = periods[periods.length - 1]
+
+  const customers = new Map()
+  const newCustomer = (first, last = null, visits = 0, value = 0) =>
+    ({ first, last, visits, value, periodVisits: periods.map(() => 0), months: null })
+
+  // 1. Totals from before the scanned range, one row per customer
+  const totalsQuery = () => supabase.rpc('customer_visit_totals', { p_before: periods[0].from })
+
+  for await (const row of iterateRows(totalsQuery, { columns: [] })) {
+    customers.set(row.id, newCustomer(row.first_visit, row.last_visit, row.visits, parseFloat(row.value) || 0))
+  }
+
+  // 2. Visits inside the range. A period is summarized as soon as the
+  //    stream passes its end, while the customers still reflect it
+  const summaries = []
+  let period = periods[0]
+
+  const visitQuery = () => supabase
+    .from('bookings')
+    .select('id, customer_id, booking_date, start_time, service_price, member_discount_amount, discount_amount')
+    .in('status', ['confirmed', 'completed'])
+    .gte('booking_date', periods[0].from)
+    .lte('booking_date', endDate)
+
+  for await (const visit of iterateRows(visitQuery, { columns: ['booking_date', 'start_time'] })) {
+    while (visit.booking_date > period.to) {
+      summaries.push(summarizeRetention(customers, period, churnDays))
+      period = periods[period.index + 1]
+    }
+
+    let customer = customers.get(visit.customer_id)
+    if (!customer) {
+      customer = newCustomer(visit.booking_date)
+      // Cohort members: first visit inside the reported range
+      if (period === current) customer.months = new Set()
+      customers.set(visit.customer_id, customer)
+    }
+
+    customer.periodVisits[period.index]++
+    if (customer.last) {
+      period.gaps.push((new Date(visit.booking_date) - new Date(customer.last)) / (1000 * 60 * 60 * 24))
+    }
+
+    customer.months?.add(visit.booking_date.slice(0, 7))
+    customer.last = visit.booking_date
+    customer.visits++
+    customer.value += netPrice(visit)
+  }
+
+  while (summaries.length < periods.length) {
+    summaries.push(summarizeRetention(customers, periods[summaries.length], churnDays))
+  }
+
+  const { summary, firstTime, churned } = summaries[summaries.length - 1]
+  const previousPeriod = previousStartDate ? summaries[0].summary : null
+
+  const round = value => parseFloat(value.toFixed(2))
+  const percent = (part, whole) => whole > 0 ? round((part / whole) * 100) : 0
+
+  // Cohort retention table: share of each cohort visiting N months after joining
+  const endMonth = endDate.slice(0, 7)
+  const cohortMap = new Map()
+  for (const customer of firstTime) {
+    const cohort = customer.first.slice(0, 7)
+    const entry = cohortMap.get(cohort) || { customers: 0, value: 0, counts: new Array(monthsBetween(cohort, endMonth) + 1).fill(0) }
+    entry.customers++
+    entry.value += customer.value
+    for (const month of customer.months) {
+      entry.counts[monthsBetween(cohort, month)]++
+    }
+    cohortMap.set(cohort, entry)
+  }
+
+  const cohorts = [...cohortMap.keys()].sort().map(cohort => {
+    const entry = cohortMap.get(cohort)
+    return {
+      cohort,
+      customers: entry.customers,
+      averageLifetimeValue: round(entry.value / entry.customers),
+      retention: entry.counts.map((count, offset) => ({
+        month: shiftMonth(cohort, offset),
+        month_offset: offset,
+        customers: count,
+        rate: percent(count, entry.customers)
+      }))
+    }
+  })
+
+  // Highest-value churned customers first, with names for follow-up
+  const topChurned = churned
+    .sort(([, a], [, b]) => b.value - a.value)
+    .slice(0, CHURNED_LIST_LIMIT)
+
+  const { data: profiles } = topChurned.length > 0
+    ? await supabase
+      .from('profiles')
+      .select('id, full_name, email')
+      .in('id', topChurned.map(([id]) => id))
+    : { data: [] }
+
+  const profileById = new Map((profiles || []).map(p => [p.id, p]))
+
+  return {
+    summary,
+    previousPeriod,
+    cohorts,
+    churned: topChurned.map(([id, c]) => ({
+      customer_id: id,
+      full_name: profileById.get(id)?.full_name || null,
+      email: profileById.get(id)?.email || null,
+      last_visit: c.last,
+      days_since_last_visit: Math.round((new Date(endDate) - new Date(c.last)) / (1000 * 60 * 60 * 24)),
+      visits: c.visits,
+      lifetime_value: round(c.value)
+    }))
+  }
+}
+
+function leadTimeBucket(hours) {
+  return LEAD_TIME_BUCKETS.find(bucket => hours < bucket.maxHours).label
+}
+
+/**
+ * Distribution summary for a list of hour values
+ */
+function describeHours(values) {
+  const round = value => parseFloat(value.toFixed(2))
+  const counts = Object.fromEntries(LEAD_TIME_BUCKETS.map(bucket => [bucket.label, 0]))
+  for (const hours of values) counts[leadTimeBucket(hours)]++
+
+  return {
+    count: values.length,
+    averageHours: values.length > 0 ? round(values.reduce((sum, h) => sum + h, 0) / values.length) : 0,
+    medianHours: round(median(values)),
+    buckets: LEAD_TIME_BUCKETS.map(({ label }) => ({
+      bucket: label,
+      count: counts[label],
+      share: values.length > 0 ? round((counts[label] / values.length) * 100) : 0
+    }))
+  }
+}
+
+/**
+ * Booking lead time, cancellation patterns and hold expiry for a date range
+ *
+ * - Lead time: created_at → appointment start, for bookings dated in the range
+ * - Cancellation lead time: cancelled_at → appointment start
+ * - Cancellation rate by service, therapist, weekday and lead-time bucket
+ *   (cancelled / all bookings that got past the pending hold or were cancelled)
+ * - Hold expiry: reservations created in the range vs. holds the cleanup
+ *   job expired, and minutes from reservation to confirmation — read from
+ *   the booking_events audit trail because expired holds are deleted
+ */
+export async function aggregateBookingPatterns(startDate, endDate) {
+  const leadTimes = []
+  const cancelLeadTimes = []
+  const groups = { service: new Map(), therapist: new Map(), weekday: new Map(), leadTime: new Map() }
+
+  const tally = (map, key, cancelled) => {
+    const entry = map.get(key) || { total: 0, cancelled: 0 }
+    entry.total++
+    if (cancelled) entry.cancelled++
+    map.set(key, entry)
+  }
+
+  // 1. Bookings dated in the range (pending holds are still undecided)
+  const bookingQuery = () => supabase
+    .from('bookings')
+    .select('id, booking_date, start_time, created_at, cancelled_at, status, service_name, therapist_id, location:locations!bookings_location_id_fkey(timezone)')
+    .neq('status', 'pending')
+    .gte('booking_date', startDate)
+    .lte('booking_date', endDate)
+
+  for await (const booking of iterateRows(bookingQuery, { columns: ['booking_date', 'start_time'] })) {
+    const appointment = zonedTimeToUtc(booking.booking_date, booking.start_time, booking.location?.timezone)
+    const leadHours = Math.max(0, (appointment - new Date(booking.created_at)) / (1000 * 60 * 60))
+    const cancelled = booking.status === 'cancelled'
+
+    leadTimes.push(leadHours)
+    if (cancelled && booking.cancelled_at) {
+      cancelLeadTimes.push(Math.max(0, (appointment - new Date(booking.cancelled_at)) / (1000 * 60 * 60)))
+    }
+
+    tally(groups.service, booking.service_name, cancelled)
+    tally(groups.therapist, booking.therapist_id, cancelled)
+    tally(groups.weekday, getDayOfWeek(booking.booking_date), cancelled)
+    tally(groups.leadTime, leadTimeBucket(leadHours), cancelled)
+  }
+
+  // 2. Hold outcomes from the audit trail
+  const createdAt = new Map()
+  const confirmMinutes = []
+  let expired = 0
+  let expiredWaitlistHolds = 0
+
+  const eventRange = getUtcRangeForDates(startDate, endDate)
+  const eventQuery = () => supabase
+    .from('booking_events')
+    .select('id, booking_id, event_type, created_at, before')
+    .in('event_type', ['created', 'confirmed', 'expired'])
+    .gte('created_at', eventRange.from)
+    .lt('created_at', eventRange.to)
+
+  for await (const event of iterateRows(eventQuery, { columns: ['created_at'] })) {
+    if (event.event_type === 'created') {
+      createdAt.set(event.booking_id, new Date(event.created_at))
+    } else if (event.event_type === 'confirmed' && createdAt.has(event.booking_id)) {
+      confirmMinutes.push((new Date(event.created_at) - createdAt.get(event.booking_id)) / (1000 * 60))
+    } else if (event.event_type === 'expired') {
+      expired++
+      if (event.before?.waitlist_entry_id) expiredWaitlistHolds++
+    }
+  }
+
+  // 3. Therapist names for the per-therapist rows
+  const therapistIds = [...groups.therapist.keys()].filter(Boolean)
+  const { data: therapists } = therapistIds.length > 0
+    ? await supabase
+      .from('therapists')
+      .select('id, profile:profiles!therapists_user_id_fkey(full_name)')
+      .in('id', therapistIds)
+    : { data: [] }
+
+  const names = new Map((therapists || []).map(t => [t.id, t.profile?.full_name]))
+
+  const round = value => parseFloat(value.toFixed(2))
+  const rates = (map, keyName, label = key => key) => [...map.entries()]
+    .map(([key, { total, cancelled }]) => ({
+      [keyName]: label(key),
+      bookings: total,
+      cancelled,
+      cancellationRate: total > 0 ? round((cancelled / total) * 100) : 0
+    }))
+
+  const bucketOrder = LEAD_TIME_BUCKETS.map(bucket => bucket.label)
+  const cancelledBookings = [...groups.weekday.values()].reduce((sum, entry) => sum + entry.cancelled, 0)
+
+  return {
+    summary: {
+      totalBookings: leadTimes.length,
+      cancelledBookings,
+      cancellationRate: leadTimes.length > 0 ? round((cancelledBookings / leadTimes.length) * 100) : 0,
+      medianLeadTimeHours: round(median(leadTimes)),
+      medianCancellationLeadTimeHours: round(median(cancelLeadTimes)),
+      holdExpiryRate: createdAt.size > 0 ? round((expired / createdAt.size) * 100) : 0
+    },
+    leadTime: describeHours(leadTimes),
+    cancellationLeadTime: describeHours(cancelLeadTimes),
+    cancellationRates: {
+      byService: rates(groups.service, 'service_name').sort((a, b) => b.cancellationRate - a.cancellationRate),
+      byTherapist: rates(groups.therapist, 'therapist_id')
+        .map(row => ({ ...row, therapist_name: names.get(row.therapist_id) || 'Unknown' }))
+        .sort((a, b) => b.cancellationRate - a.cancellationRate),
+      byWeekday: rates(groups.weekday, 'day').sort((a, b) => a.day - b.day),
+      byLeadTime: rates(groups.leadTime, 'bucket')
+        .sort((a, b) => bucketOrder.indexOf(a.bucket) - bucketOrder.indexOf(b.bucket))
+    },
+    holds: {
+      created: createdAt.size,
+      expired,
+      expiredWaitlistHolds,
+      expiryRate: createdAt.size > 0 ? round((expired / createdAt.size) * 100) : 0,
+      minutesToConfirm: {
+        count: confirmMinutes.length,
+        averageMinutes: confirmMinutes.length > 0 ? round(confirmMinutes.reduce((sum, m) => sum + m, 0) / confirmMinutes.length) : 0,
+        medianMinutes: round(median(confirmMinutes)),
+        p90Minutes: confirmMinutes.length > 0
+          ? round([...confirmMinutes].sort((a, b) => a - b)[Math.ceil(confirmMinutes.length * 0.9) - 1])
+          : 0
+      }
+    }
+  }
+}
@@ -0,0 +1,115 @@
+// src/services/bookingEvents.js
+import supabase from '../config/supabase.js'
+
+/**
+ * Booking audit trail
+ *
+ * Every booking mutation appends a row to booking_events with the actor,
+ * their role, the changed fields before and after, and a reason.
+ * Recording never throws — an audit write failure is logged and must not
+ * undo or fail the change it describes.
+ */
+
+// Fields worth tracking in before/after snapshots
+const TRACKED_FIELDS = [
+  'status',
+  'time_slot_id',
+  'booking_date',
+  'start_time',
+  'end_time',
+  'therapist_id',
+  'location_id',
+  'service_id',
+  'service_name',
+  'service_price',
+  'reservation_expires_at',
+  'payment_status',
+  'payment_amount',
+  'promo_code',
+  'discount_amount',
+  'member_discount_amount',
+  'payment_intent_id',
+  'payment_method',
+  'credit_redeemed',
+  'refund_percent',
+  'refund_amount',
+  'cancellation_fee',
+  'refund_status',
+  'reschedule_count',
+  'status_reason',
+  'cancelled_at',
+  'waitlist_entry_id'
+]
+
+export const SYSTEM_ACTOR = { id: null, role: 'system' }
+
+/**
+ * Actor for an authenticated request
+ */
+export function actorFromRequest(req) {
+  return { id: req.profile?.id || null, role: req.profile?.role || 'system' }
+}
+
+function pickTracked(booking) {
+  return Object.fromEntries(
+    TRACKED_FIELDS.filter(field => booking[field] !== undefined).map(field => [field, booking[field]])
+  )
+}
+
+/**
+ * Build before/after for an event: full tracked snapshot for creations and
+ * deletions, only the changed fields for updates
+ */
+function describeChange(before, after) {
+  if (!before) return { before: null, after: after ? pickTracked(after) : null }
+  if (!after) return { before: pickTracked(before), after: null }
+
+  const changed = TRACKED_FIELDS.filter(field =>
+    after[field] !== undefined && String(before[field] ?? '') !== String(after[field] ?? '')
+  )
+
+  return {
+    before: Object.fromEntries(changed.map(field => [field, before[field] ?? null])),
+    after: Object.fromEntries(changed.map(field => [field, after[field]]))
+  }
+}
+
+function toEventRow({ bookingId, type, actor = SYSTEM_ACTOR, before = null, after = null, reason = null }) {
+  return {
+    booking_id: bookingId || after?.id || before?.id,
+    event_type: type,
+    actor_id: actor.id,
+    actor_role: actor.role,
+    ...describeChange(before, after),
+    reason
+  }
+}
+
+/**
+ * Append one event
+ *
+ * event: { type, actor, before, after, reason, bookingId? }
+ * before / after are booking rows (null for creation / deletion)
+ */
+export async function recordBookingEvent(event) {
+  return recordBookingEvents([event])
+}
+
+/**
+ * Append several events in one insert (used by jobs and bulk paths)
+ */
+export async function recordBookingEvents(events) {
+  if (events.length === 0) return
+
+  try {
+    const { error } = await supabase
+      .from('booking_events')
+      .insert(events.map(toEventRow))
+
+    if (error) {
+      console.error('[AUDIT] Failed to record booking events:', error.message)
+    }
+  } catch (error) {
+    console.error('[AUDIT] Failed to record booking events:', error.message)
+  }
+}
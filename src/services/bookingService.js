@@ -0,0 +1,360 @@
+// src/services/bookingService.js
+import supabase from '../config/supabase.js'
+import { getTimeDuration } from '../utils/dateTime.js'
+import { isSlotBlocked } from './timeOffService.js'
+import { getPaymentProvider, toMinorUnits, voidPaymentIntent } from './payments/index.js'
+import { calculateRefund, resolvePolicy } from './cancellationPolicy.js'
+import { offerFreedSlot, resolveOffer } from './waitlistService.js'
+import { transitionError } from './bookingStatus.js'
+import { BOOKING_LOCATION_SELECT, flattenBookingLocation } from './locationService.js'
+import { redeemCreditForBooking, refundBookingCredit, SESSION_CREDIT_KINDS } from './creditService.js'
+
+/**
+ * Booking state changes shared by controllers
+ *
+ * Each function returns { data, error } where error is a client-safe
+ * message, mirroring the Supabase result shape used throughout the app.
+ * Slot-taking changes also return conflict: true when they lost a race
+ * to another request (respond with 409).
+ */
+
+/**
+ * Fetch full booking details with customer and therapist info for notifications
+ */
+export async function getBookingWithDetails(bookingId) {
+  const { data, error } = await supabase
+    .from('bookings')
+    .select(`
+      *,
+      customer:profiles!bookings_customer_id_fkey(email, full_name),
+      therapist:therapists!bookings_therapist_id_fkey(
+        user_id,
+        profile:profiles!therapists_user_id_fkey(email, full_name)
+      ),
+      ${BOOKING_LOCATION_SELECT}
+    `)
+    .eq('id', bookingId)
+    .single();
+
+  if (error || !data) return null;
+
+  // Flatten for easier template access
+  return {
+    ...data,
+    customer_email: data.customer?.email,
+    customer_name: data.customer?.full_name,
+    therapist_email: data.therapist?.profile?.email,
+    therapist_name: data.therapist?.profile?.full_name,
+    ...flattenBookingLocation(data),
+  };
+}
+
+/**
+ * Close any waitlist offer held by this booking and offer its slot onward
+ * Runs in the background; waitlist errors never affect the caller
+ */
+function releaseToWaitlist(booking) {
+  Promise.resolve()
+    .then(() => resolveOffer(booking.waitlist_entry_id, 'expired'))
+    .then(() => offerFreedSlot(booking.time_slot_id))
+    .catch(err => {
+      console.error('[WAITLIST] Failed to offer freed slot (non-critical):', err)
+    })
+}
+
+/**
+ * Lost a race in one of the booking functions (SQLSTATE PT409) or hit the
+ * one-live-booking-per-slot index
+ */
+function isConflict(error) {
+  return error?.code === 'PT409' || error?.code === '23505'
+}
+
+/**
+ * Take an available slot and create a PENDING booking on it
+ *
+ * Runs as one database transaction (reserve_time_slot), so two customers
+ * can never both hold the same slot. booking carries customer_id,
+ * service_id, therapist_id, the service snapshot, reservation_expires_at,
+ * payment_amount and optionally notes / waitlist_entry_id.
+ * conflict is true when someone else got the slot first.
+ */
+export async function reserveTimeSlot(timeSlotId, booking, select = '*') {
+  const { data, error } = await supabase
+    .rpc('reserve_time_slot', { p_time_slot_id: timeSlotId, p_booking: booking })
+    .select(select)
+    .single()
+
+  if (error) {
+    if (isConflict(error)) {
+      return { data: null, error: error.code === 'PT409' ? error.message : 'Time slot is no longer available', conflict: true }
+    }
+    console.error('Reserve time slot error:', error)
+    return { data: null, error: 'Failed to create reservation', conflict: false }
+  }
+
+  return { data, error: null, conflict: false }
+}
+
+/**
+ * Cancel a booking and free its time slot
+ *
+ * Caller is responsible for ownership and status checks. The status change
+ * and slot release run as one transaction (cancel_booking) and only apply
+ * while the booking still has the status the caller saw.
+ */
+export async function cancelBooking(booking, select = '*') {
+  // 1. Cancel booking and free the slot atomically
+  const { data: cancelledBooking, error } = await supabase
+    .rpc('cancel_booking', { p_booking_id: booking.id, p_from_statuses: [booking.status] })
+    .select(select)
+    .single()
+
+  if (error) {
+    if (isConflict(error)) {
+      return { data: null, error: 'Booking was changed by another request. Please refresh and try again.', conflict: true }
+    }
+    console.error('Cancel booking error:', error)
+    return { data: null, error: 'Failed to cancel booking', conflict: false }
+  }
+
+  // 2. Void an unpaid checkout for a pending hold (best effort)
+  if (booking.status === 'pending' && booking.payment_intent_id) {
+    await voidPaymentIntent(booking)
+  }
+
+  // 3. Hand the freed slot to the waitlist (non-blocking)
+  releaseToWaitlist(booking)
+
+  return { data: cancelledBooking, error: null, conflict: false }
+}
+
+/**
+ * Fetch and verify a replacement slot for a booking
+ *
+ * The slot must belong to the same therapist, be available, fit the
+ * booked service duration and not fall inside the therapist's time off.
+ */
+export async function findRescheduleSlot(booking, newTimeSlotId) {
+  const { data: newSlot, error: slotError } = await supabase
+    .from('time_slots')
+    .select('*')
+    .eq('id', newTimeSlotId)
+    .eq('therapist_id', booking.therapist_id) // Must be same therapist
+    .eq('is_available', true)
+    .single()
+
+  if (slotError || !newSlot) {
+    return { data: null, error: 'New time slot not available or does not exist' }
+  }
+
+  // Verify slot can accommodate service duration using utility function
+  const slotDuration = getTimeDuration(newSlot.start_time, newSlot.end_time)
+
+  if (slotDuration < booking.service_duration) {
+    return { data: null, error: 'New time slot is too short for this service' }
+  }
+
+  if (await isSlotBlocked(newSlot)) {
+    return { data: null, error: 'New time slot falls within the therapist\'s time off' }
+  }
+
+  return { data: newSlot, error: null }
+}
+
+/**
+ * Move a booking to a new (already verified) slot
+ *
+ * Runs as one transaction (reschedule_booking): takes the new slot, frees
+ * the old one and updates the booking, or changes nothing.
+ * countReschedule: increment reschedule_count (customer self-service moves)
+ */
+export async function rescheduleBooking(booking, newSlot, select = '*', { countReschedule = false } = {}) {
+  // 1. Swap slots atomically
+  const { data: rescheduledBooking, error } = await supabase
+    .rpc('reschedule_booking', {
+      p_booking_id: booking.id,
+      p_expected_slot_id: booking.time_slot_id,
+      p_new_time_slot_id: newSlot.id,
+      p_count_reschedule: countReschedule
+    })
+    .select(select)
+    .single()
+
+  if (error) {
+    if (isConflict(error)) {
+      return { data: null, error: error.code === 'PT409' ? error.message : 'New time slot is no longer available', conflict: true }
+    }
+    console.error('Reschedule booking error:', error)
+    return { data: null, error: 'Failed to reschedule booking', conflict: false }
+  }
+
+  // 2. Old slot is free now — offer it to the waitlist (non-blocking)
+  releaseToWaitlist({ time_slot_id: booking.time_slot_id })
+
+  return { data: rescheduledBooking, error: null, conflict: false }
+}
+
+/**
+ * Mark a PENDING booking as paid and confirmed
+ *
+ * Conditional on status = 'pending' so the webhook and confirmReservation
+ * can't both confirm (and both send emails). Returns data: null when the
+ * booking was no longer pending.
+ */
+export async function markBookingPaid(bookingId) {
+  const { data: confirmedBooking, error } = await supabase
+    .from('bookings')
+    .update({
+      status: 'confirmed',
+      payment_status: 'paid',
+      reservation_expires_at: null // No longer needs expiry
+    })
+    .eq('id', bookingId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle()
+
+  if (error) {
+    console.error('Mark booking paid error:', error)
+    return { data: null, error: 'Failed to confirm booking' }
+  }
+
+  // Confirming a waitlist hold claims the offer
+  if (confirmedBooking?.waitlist_entry_id) {
+    await resolveOffer(confirmedBooking.waitlist_entry_id, 'claimed')
+  }
+
+  return { data: confirmedBooking, error: null }
+}
+
+/**
+ * Pay for a PENDING booking from a package or gift card and confirm it
+ *
+ * The balance, ledger entry and confirmation change together (see
+ * redeemCreditForBooking). conflict is true when the hold or the balance
+ * changed since the caller checked them.
+ */
+export async function markBookingPaidWithCredit(booking, account, actor) {
+  const result = await redeemCreditForBooking(booking, account, actor)
+
+  // Confirming a waitlist hold claims the offer
+  if (result.data?.waitlist_entry_id) {
+    await resolveOffer(result.data.waitlist_entry_id, 'claimed')
+  }
+
+  return result
+}
+
+/**
+ * Record (and pay out) the refund for a cancelled booking
+ *
+ * refund: result of calculateRefund(). Refunds go back through the
+ * payment provider that took the payment, or to the credit account the
+ * booking was paid from. The outcome is stored on the booking so the
+ * cancellation email and admin views can show it.
+ */
+export async function refundCancelledBooking(booking, refund) {
+  const updates = {
+    refund_percent: refund.refund_percent,
+    refund_amount: refund.refund_amount,
+    cancellation_fee: refund.cancellation_fee,
+    refund_status: 'not_applicable'
+  }
+
+  if (refund.refund_amount > 0 && booking.credit_account_id) {
+    updates.refund_status = await refundBookingCredit(booking, refund)
+    if (updates.refund_status === 'refunded') {
+      updates.refunded_at = new Date().toISOString()
+      updates.payment_status = refund.cancellation_fee > 0 ? 'partially_refunded' : 'refunded'
+    }
+  } else if (refund.refund_amount > 0 && booking.payment_intent_id) {
+    try {
+      const provider = getPaymentProvider(booking.payment_provider || undefined)
+      const result = await provider.refundPayment(booking.payment_intent_id, toMinorUnits(refund.refund_amount))
+
+      updates.refund_id = result.id
+      updates.refund_status = result.status === 'succeeded' ? 'refunded' : result.status
+      if (result.status === 'succeeded') {
+        updates.refunded_at = new Date().toISOString()
+        updates.payment_status = refund.cancellation_fee > 0 ? 'partially_refunded' : 'refunded'
+      }
+    } catch (error) {
+      console.error(`[REFUND] Refund failed for booking ${booking.id}:`, error.message)
+      updates.refund_status = 'failed'
+    }
+  } else if (refund.refund_amount > 0) {
+    // Paid outside the payment provider — refund is settled manually
+    updates.refund_status = 'pending'
+  }
+
+  const { data, error } = await supabase
+    .from('bookings')
+    .update(updates)
+    .eq('id', booking.id)
+    .select()
+    .single()
+
+  if (error) {
+    console.error(`[REFUND] Failed to record refund for booking ${booking.id}:`, error)
+    return { data: null, error: 'Failed to record refund' }
+  }
+
+  return { data, error: null }
+}
+
+/**
+ * Quote the refund a cancellation would produce right now
+ * Uses the booked service's cancellation policy (or the default).
+ * A session credit comes back whole or not at all.
+ */
+export async function quoteRefund(booking, { fullRefund = false } = {}) {
+  const { data: service } = await supabase
+    .from('services')
+    .select('cancellation_policy')
+    .eq('id', booking.service_id)
+    .maybeSingle()
+
+  return calculateRefund(booking, resolvePolicy(service?.cancellation_policy), {
+    fullRefund,
+    allOrNothing: SESSION_CREDIT_KINDS.includes(booking.payment_method)
+  })
+}
+
+/**
+ * Record the outcome of an appointment (completed or no-show)
+ *
+ * Enforces the status state machine and only applies while the booking
+ * still has the status the caller saw. changedBy is the acting profile id
+ * (null for the completion job).
+ */
+export async function setBookingOutcome(booking, status, { reason = null, changedBy = null } = {}, select = '*') {
+  const invalid = transitionError(booking.status, status)
+  if (invalid) {
+    return { data: null, error: invalid, conflict: false }
+  }
+
+  const { data: updatedBooking, error } = await supabase
+    .from('bookings')
+    .update({
+      status,
+      status_reason: reason,
+      status_changed_by: changedBy,
+      status_changed_at: new Date().toISOString()
+    })
+    .eq('id', booking.id)
+    .eq('status', booking.status)
+    .select(select)
+    .maybeSingle()
+
+  if (error) {
+    console.error('Set booking outcome error:', error)
+    return { data: null, error: 'Failed to update booking status', conflict: false }
+  }
+
+  if (!updatedBooking) {
+    return { data: null, error: 'Booking was changed by another request. Please refresh and try again.', conflict: true }
+  }
+
+  return { data: updatedBooking, error: null, conflict: false }
+}
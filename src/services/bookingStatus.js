@@ -0,0 +1,39 @@
+// src/services/bookingStatus.js
+
+/**
+ * Booking status state machine
+ *
+ *   pending ──► confirmed ──► completed
+ *      │            │    ╲        ▲
+ *      ▼            ▼     ╲       ▼
+ *  cancelled    cancelled  ──► no_show
+ *
+ * completed and no_show can be swapped by staff to correct a mistake
+ * (e.g. the job completed a booking the customer never showed up for).
+ * cancelled is final.
+ */
+
+export const BOOKING_STATUSES = ['pending', 'confirmed', 'cancelled', 'completed', 'no_show']
+
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['cancelled', 'completed', 'no_show'],
+  completed: ['no_show'],
+  no_show: ['completed'],
+  cancelled: []
+}
+
+/**
+ * Whether a booking may move from one status to another
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to)
+}
+
+/**
+ * Client-safe message for a refused transition, or null when allowed
+ */
+export function transitionError(from, to) {
+  if (canTransition(from, to)) return null
+  return `Cannot change booking status from ${from} to ${to}`
+}
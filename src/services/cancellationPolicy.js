@@ -0,0 +1,127 @@
+// src/services/cancellationPolicy.js
+import { zonedTimeToUtc } from '../utils/dateTime.js'
+
+/**
+ * Cancellation Policy Engine
+ *
+ * A policy is a list of rules ordered by how far ahead of the appointment
+ * the cancellation happens. The first rule whose min_hours_before is met
+ * applies. Each rule gives either:
+ * - refund_percent: share of the amount paid that is refunded, or
+ * - fee_amount: flat fee kept; the rest is refunded
+ *
+ * Services may override the default via services.cancellation_policy.
+ * The default can be set with CANCELLATION_POLICY (JSON array).
+ */
+
+const DEFAULT_POLICY = [
+  { min_hours_before: 48, refund_percent: 100 },
+  { min_hours_before: 12, refund_percent: 50 },
+  { min_hours_before: 0, refund_percent: 0 }
+]
+
+/**
+ * Validate a list of policy rules
+ * Returns an error message, or null if valid
+ */
+export function validatePolicy(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return 'cancellation_policy must be a non-empty array of rules'
+  }
+
+  for (const [i, rule] of rules.entries()) {
+    const { min_hours_before, refund_percent, fee_amount } = rule || {}
+
+    if (typeof min_hours_before !== 'number' || min_hours_before < 0) {
+      return `Rule ${i}: min_hours_before must be a number >= 0`
+    }
+    if ((refund_percent === undefined) === (fee_amount === undefined)) {
+      return `Rule ${i}: set exactly one of refund_percent or fee_amount`
+    }
+    if (refund_percent !== undefined && (typeof refund_percent !== 'number' || refund_percent < 0 || refund_percent > 100)) {
+      return `Rule ${i}: refund_percent must be between 0 and 100`
+    }
+    if (fee_amount !== undefined && (typeof fee_amount !== 'number' || fee_amount < 0)) {
+      return `Rule ${i}: fee_amount must be a number >= 0`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Get the policy that applies to a service
+ * Falls back to CANCELLATION_POLICY, then the built-in default
+ */
+export function resolvePolicy(servicePolicy) {
+  if (servicePolicy && !validatePolicy(servicePolicy)) {
+    return servicePolicy
+  }
+
+  if (process.env.CANCELLATION_POLICY) {
+    try {
+      const envPolicy = JSON.parse(process.env.CANCELLATION_POLICY)
+      if (!validatePolicy(envPolicy)) return envPolicy
+      console.error('[POLICY] Invalid CANCELLATION_POLICY, using default')
+    } catch {
+      console.error('[POLICY] CANCELLATION_POLICY is not valid JSON, using default')
+    }
+  }
+
+  return DEFAULT_POLICY
+}
+
+/**
+ * Hours between now and the booking's start time
+ * booking_date / start_time are read in the booking's location timezone
+ * (booking.location.timezone when loaded), else the spa's TIMEZONE
+ */
+export function hoursUntilAppointment(booking, now = new Date()) {
+  const appointmentTime = zonedTimeToUtc(booking.booking_date, booking.start_time, booking.location?.timezone)
+  return (appointmentTime - now) / (1000 * 60 * 60)
+}
+
+/**
+ * Work out the refund for a cancellation
+ *
+ * Only money actually paid is refundable. Pass fullRefund for
+ * cancellations initiated by the spa (admin), which always refund in full.
+ * Pass allOrNothing for payments that can't be refunded in part (a session
+ * credit): anything short of a full refund refunds nothing.
+ *
+ * Returns { refund_percent, refund_amount, cancellation_fee, hours_before }
+ */
+export function calculateRefund(booking, rules, { fullRefund = false, allOrNothing = false, now = new Date() } = {}) {
+  const hoursBefore = hoursUntilAppointment(booking, now)
+  const amountPaid = booking.payment_status === 'paid' ? (parseFloat(booking.payment_amount) || 0) : 0
+
+  let refundAmount
+  if (fullRefund) {
+    refundAmount = amountPaid
+  } else {
+    const rule = [...rules]
+      .sort((a, b) => b.min_hours_before - a.min_hours_before)
+      .find(r => hoursBefore >= r.min_hours_before)
+
+    if (!rule) {
+      refundAmount = 0
+    } else if (rule.fee_amount !== undefined) {
+      refundAmount = Math.max(0, amountPaid - rule.fee_amount)
+    } else {
+      refundAmount = amountPaid * rule.refund_percent / 100
+    }
+  }
+
+  refundAmount = Math.round(refundAmount * 100) / 100
+
+  if (allOrNothing && refundAmount < amountPaid) {
+    refundAmount = 0
+  }
+
+  return {
+    refund_percent: amountPaid > 0 ? Math.round(refundAmount / amountPaid * 10000) / 100 : 0,
+    refund_amount: refundAmount,
+    cancellation_fee: Math.round((amountPaid - refundAmount) * 100) / 100,
+    hours_before: Math.round(hoursBefore * 10) / 10
+  }
+}
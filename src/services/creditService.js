@@ -0,0 +1,200 @@
+// src/services/creditService.js
+import crypto from 'crypto'
+import supabase from '../config/supabase.js'
+import { SYSTEM_ACTOR } from './bookingEvents.js'
+
+/**
+ * Prepaid credit: session packages, gift cards and membership sessions
+ *
+ * A credit account holds one balance — sessions for packages and
+ * memberships, money for gift cards. Every balance change goes through a database function that
+ * locks the account and writes a credit_ledger entry, so the ledger always
+ * adds up to the balance. Functions return { data, error } with a
+ * client-safe error; conflict: true means the balance or account changed
+ * underneath the caller (respond with 409).
+ */
+
+export const CREDIT_ACCOUNT_FIELDS = 'id, kind, customer_id, purchased_by, package_id, name, code, service_ids, initial_balance, balance, validity_days, expires_at, status, purchase_price, created_at'
+export const CREDIT_LEDGER_FIELDS = 'id, account_id, booking_id, entry_type, change, balance_after, actor_id, actor_role, reason, created_at'
+
+// Account kinds whose balance is counted in sessions (one per booking)
+export const SESSION_CREDIT_KINDS = ['package', 'membership']
+
+// Gift card codes: GC- plus 12 characters without look-alikes (0/O, 1/I)
+const GIFT_CARD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const GIFT_CARD_CODE_LENGTH = 12
+
+export function generateGiftCardCode() {
+  const bytes = crypto.randomBytes(GIFT_CARD_CODE_LENGTH)
+  const chars = [...bytes].map(b => GIFT_CARD_ALPHABET[b % GIFT_CARD_ALPHABET.length]).join('')
+  return `GC-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8)}`
+}
+
+/**
+ * Gift card codes are case-insensitive
+ *
+ * Example: normalizeGiftCardCode(" gc-abcd-efgh-jkmn ") → "GC-ABCD-EFGH-JKMN"
+ */
+export function normalizeGiftCardCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : ''
+}
+
+function isExpired(account, now = new Date()) {
+  return Boolean(account.expires_at) && new Date(account.expires_at) <= now
+}
+
+/**
+ * Account with its unit and whether it can still be used
+ */
+export function describeCreditAccount(account) {
+  return {
+    ...account,
+    unit: SESSION_CREDIT_KINDS.includes(account.kind) ? 'sessions' : 'amount',
+    is_expired: isExpired(account)
+  }
+}
+
+/**
+ * How much of an account's balance paying for a booking takes
+ * One session for session credits, else the amount due
+ */
+export function creditNeededFor(account, booking) {
+  return SESSION_CREDIT_KINDS.includes(account.kind) ? 1 : parseFloat(booking.payment_amount) || 0
+}
+
+/**
+ * Why an account can't pay for a booking, or null if it can
+ */
+export function creditIneligibility(account, booking) {
+  if (!account || account.customer_id !== booking.customer_id || account.status !== 'active') {
+    return 'Credit account not found'
+  }
+  if (isExpired(account)) return 'Credit has expired'
+  if (account.service_ids?.length > 0 && !account.service_ids.includes(booking.service_id)) {
+    return 'This credit cannot be used for this service'
+  }
+  if (parseFloat(account.balance) < creditNeededFor(account, booking)) {
+    return 'Insufficient credit balance'
+  }
+  return null
+}
+
+/**
+ * Turn database function errors into { data, error, conflict }
+ */
+function rpcResult(data, error, label, fallback) {
+  if (error) {
+    if (error.code === 'PT409') {
+      return { data: null, error: error.message, conflict: true }
+    }
+    console.error(`${label} error:`, error)
+    return { data: null, error: fallback, conflict: false }
+  }
+  return { data, error: null, conflict: false }
+}
+
+/**
+ * Make a pending account usable with its full balance
+ * entryType: 'purchase' (payment confirmed) or 'issue' (granted by an admin)
+ */
+export async function activateCreditAccount(accountId, entryType, actor, reason = null) {
+  const { data, error } = await supabase
+    .rpc('activate_credit_account', {
+      p_account_id: accountId,
+      p_entry_type: entryType,
+      p_actor_id: actor.id,
+      p_actor_role: actor.role,
+      p_reason: reason
+    })
+    .select(CREDIT_ACCOUNT_FIELDS)
+    .single()
+
+  return rpcResult(data, error, 'Activate credit account', 'Failed to activate credit')
+}
+
+/**
+ * Add to (positive change) or take from an active account's balance
+ * entryType: 'refund' or 'adjust'. Returns the ledger entry.
+ */
+export async function adjustCreditBalance(accountId, change, entryType, { bookingId = null, actor, reason = null }) {
+  const { data, error } = await supabase
+    .rpc('adjust_credit_balance', {
+      p_account_id: accountId,
+      p_change: change,
+      p_entry_type: entryType,
+      p_booking_id: bookingId,
+      p_actor_id: actor.id,
+      p_actor_role: actor.role,
+      p_reason: reason
+    })
+    .select(CREDIT_LEDGER_FIELDS)
+    .single()
+
+  return rpcResult(data, error, 'Adjust credit balance', 'Failed to update credit balance')
+}
+
+/**
+ * Pay for a PENDING hold from a credit account and confirm it
+ *
+ * Runs as one transaction (redeem_credit_for_booking): the balance is
+ * taken, the ledger entry written and the booking confirmed, or nothing
+ * changes. Caller checks eligibility first (creditIneligibility).
+ */
+export async function redeemCreditForBooking(booking, account, actor, select = '*') {
+  const { data, error } = await supabase
+    .rpc('redeem_credit_for_booking', {
+      p_booking_id: booking.id,
+      p_account_id: account.id,
+      p_amount: creditNeededFor(account, booking),
+      p_actor_id: actor.id,
+      p_actor_role: actor.role
+    })
+    .select(select)
+    .single()
+
+  return rpcResult(data, error, 'Redeem credit', 'Failed to pay with credit')
+}
+
+/**
+ * Return credit for a cancelled booking that was paid from an account
+ *
+ * refund: result of calculateRefund(). Gift cards get the refund amount
+ * back; session credits get the redeemed session back when the refund is
+ * full (calculateRefund never splits a session). Returns the refund_status
+ * to record: 'refunded', 'failed' or 'not_applicable'.
+ */
+export async function refundBookingCredit(booking, refund) {
+  const change = SESSION_CREDIT_KINDS.includes(booking.payment_method)
+    ? (refund.refund_amount > 0 ? parseFloat(booking.credit_redeemed) || 0 : 0)
+    : refund.refund_amount
+
+  if (!(change > 0)) return 'not_applicable'
+
+  const { error } = await adjustCreditBalance(booking.credit_account_id, change, 'refund', {
+    bookingId: booking.id,
+    actor: SYSTEM_ACTOR,
+    reason: `Cancellation refund (${refund.refund_percent}%)`
+  })
+
+  if (error) {
+    console.error(`[REFUND] Credit refund failed for booking ${booking.id}:`, error)
+    return 'failed'
+  }
+
+  return 'refunded'
+}
+
+/**
+ * Ledger entries for an account, oldest first
+ */
+export async function getCreditLedger(accountId) {
+  const { data, error } = await supabase
+    .from('credit_ledger')
+    .select(CREDIT_LEDGER_FIELDS)
+    .eq('account_id', accountId)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+
+  return data
+}
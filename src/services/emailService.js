@@ -8,8 +8,9 @@ const FROM_NAME = process.env.SENDGRID_FROM_NAME || 'Serenity Spa'
 
 /**
  * Send an email using SendGrid
+ * attachments: optional [{ content (base64), filename, type, disposition }]
  */
-export async function sendEmail({ to, subject, html, text }) {
+export async function sendEmail({ to, subject, html, text, attachments }) {
   if (!process.env.SENDGRID_API_KEY) {
     console.log('[EMAIL] SendGrid not configured, skipping email to:', to)
     console.log('[EMAIL] Subject:', subject)
@@ -25,6 +26,7 @@ export async function sendEmail({ to, subject, html, text }) {
     subject,
     html,
     text: text || stripHtml(html),
+    ...(attachments?.length && { attachments }),
   }
 
   try {
@@ -0,0 +1,86 @@
+// src/services/locationService.js
+import supabase from '../config/supabase.js'
+import { isValidUUID } from '../utils/validation.js'
+
+/**
+ * Location (branch) helpers shared by controllers, jobs and notifications
+ *
+ * Therapists belong to one location; time slots and bookings inherit it
+ * from the therapist (set by database triggers). Services with no
+ * location are offered at every branch.
+ */
+
+// Embedded location columns for bookings (emails, calendar invites, policy checks)
+export const BOOKING_LOCATION_SELECT = 'location:locations!bookings_location_id_fkey(name, address_line1, address_line2, city, postal_code, phone, timezone)'
+
+/**
+ * Validate a location_id from a request body or query
+ *
+ * Returns { error } (client-safe message) or { location } — null when
+ * locationId is null (unassign). requireActive rejects archived branches.
+ */
+export async function resolveLocationId(locationId, { requireActive = true } = {}) {
+  if (locationId === null) {
+    return { location: null }
+  }
+
+  if (!isValidUUID(locationId)) {
+    return { error: 'Invalid UUID format for location_id' }
+  }
+
+  const { data: location, error } = await supabase
+    .from('locations')
+    .select('id, name, timezone, opening_hours, is_active')
+    .eq('id', locationId)
+    .maybeSingle()
+
+  if (error) {
+    console.error('Fetch location error:', error)
+    return { error: 'Failed to verify location' }
+  }
+
+  if (!location || (requireActive && !location.is_active)) {
+    return { error: 'Location not found' }
+  }
+
+  return { location }
+}
+
+/**
+ * Single-line postal address for emails and calendar invites
+ *
+ * Example: formatLocationAddress({ address_line1: "1 High St", city: "Bath", postal_code: "BA1 1AA" })
+ *   → "1 High St, Bath BA1 1AA"
+ */
+export function formatLocationAddress(location) {
+  if (!location) return null
+  const cityLine = [location.city, location.postal_code].filter(Boolean).join(' ')
+  return [location.address_line1, location.address_line2, cityLine].filter(Boolean).join(', ')
+}
+
+/**
+ * Flat location fields for templates (location_name, location_address,
+ * location_timezone), from a booking fetched with BOOKING_LOCATION_SELECT
+ */
+export function flattenBookingLocation(booking) {
+  return {
+    location_name: booking.location?.name,
+    location_address: formatLocationAddress(booking.location),
+    location_phone: booking.location?.phone,
+    location_timezone: booking.location?.timezone
+  }
+}
+
+/**
+ * Whether a slot lies inside the location's opening hours
+ * An empty opening_hours list means no restriction; a day with no entry
+ * is closed.
+ *
+ * Example: isWithinOpeningHours([{ day_of_week: 1, open: "09:00", close: "18:00" }], 1, "17:00", "18:00") → true
+ */
+export function isWithinOpeningHours(openingHours, dayOfWeek, startTime, endTime) {
+  if (!openingHours || openingHours.length === 0) return true
+  const day = openingHours.find(entry => entry.day_of_week === dayOfWeek)
+  if (!day) return false
+  return startTime.slice(0, 5) >= day.open && endTime.slice(0, 5) <= day.close
+}
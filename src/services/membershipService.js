@@ -0,0 +1,117 @@
+// src/services/membershipService.js
+import supabase from '../config/supabase.js'
+import { addDaysToDate, formatDate } from '../utils/dateTime.js'
+import { parseIntSafe } from '../utils/validation.js'
+import { creditIneligibility } from './creditService.js'
+
+/**
+ * Membership helpers shared by the booking, membership and payment
+ * controllers and the renewal job
+ *
+ * A member gets:
+ * - a discount on every booking (member_discount_amount on the booking)
+ * - the tier's included sessions each period, as a 'membership' credit
+ *   account that expires with the period and is used automatically at
+ *   confirmReservation
+ * - priority_booking_days beyond the public booking window
+ */
+
+export const TIER_FIELDS = 'id, name, description, monthly_fee, included_sessions, service_ids, discount_percent, priority_booking_days, is_active'
+export const MEMBERSHIP_FIELDS = 'id, customer_id, tier_id, status, monthly_fee, current_period_start, current_period_end, cancel_at_period_end, credit_account_id, started_at, cancelled_at, created_at'
+
+/**
+ * The customer's active membership with its tier, or null
+ * Throws on query errors
+ */
+export async function getActiveMembership(customerId) {
+  const { data, error } = await supabase
+    .from('memberships')
+    .select(`${MEMBERSHIP_FIELDS}, tier:membership_tiers!memberships_tier_id_fkey(${TIER_FIELDS})`)
+    .eq('customer_id', customerId)
+    .eq('status', 'active')
+    .maybeSingle()
+
+  if (error) throw error
+
+  return data
+}
+
+/**
+ * Booking price fields for a customer (member discount applied)
+ *
+ * Example: memberPricing({ id: "m1", tier: { discount_percent: 10 } }, 80)
+ *   → { membership_id: "m1", member_discount_amount: 8, payment_amount: 72 }
+ */
+export function memberPricing(membership, price) {
+  const amount = parseFloat(price) || 0
+  const percent = parseFloat(membership?.tier?.discount_percent) || 0
+  const discount = Math.round(amount * percent) / 100
+
+  return {
+    membership_id: membership?.id ?? null,
+    member_discount_amount: discount,
+    payment_amount: Math.round((amount - discount) * 100) / 100
+  }
+}
+
+/**
+ * Last date a customer may book, or null when there is no booking window
+ *
+ * BOOKING_WINDOW_DAYS (unset = no limit) is the public window; members
+ * can book their tier's priority_booking_days further ahead.
+ */
+export function getBookingHorizon(membership) {
+  if (!process.env.BOOKING_WINDOW_DAYS) return null
+
+  const windowDays = parseIntSafe(process.env.BOOKING_WINDOW_DAYS, 28, 1, 365)
+  const priorityDays = membership?.tier?.priority_booking_days || 0
+  return addDaysToDate(formatDate(new Date()), windowDays + priorityDays)
+}
+
+/**
+ * The member's included-sessions account if it can pay for this booking
+ */
+export async function findMembershipCredit(membership, booking) {
+  if (!membership?.credit_account_id) return null
+
+  const { data: account, error } = await supabase
+    .from('credit_accounts')
+    .select('id, kind, customer_id, service_ids, balance, expires_at, status')
+    .eq('id', membership.credit_account_id)
+    .maybeSingle()
+
+  if (error) throw error
+
+  return creditIneligibility(account, booking) ? null : account
+}
+
+/**
+ * Start a membership period once it is paid for: the first (fromStatus
+ * 'pending'), a paid renewal (fromStatus 'past_due') or a free tier's
+ * next one (fromStatus 'active'). expectedPeriodEnd is the
+ * current_period_end the caller read (null before the first period).
+ *
+ * Runs as one transaction (start_membership_period): grants the included
+ * sessions, records the paid period and moves the membership on.
+ * conflict is true when another request already did it.
+ */
+export async function startMembershipPeriod(membershipId, fromStatus, expectedPeriodEnd = null) {
+  const { data, error } = await supabase
+    .rpc('start_membership_period', {
+      p_membership_id: membershipId,
+      p_from_status: fromStatus,
+      p_expected_period_end: expectedPeriodEnd
+    })
+    .select(MEMBERSHIP_FIELDS)
+    .single()
+
+  if (error) {
+    if (error.code === 'PT409') {
+      return { data: null, error: error.message, conflict: true }
+    }
+    console.error('Start membership period error:', error)
+    return { data: null, error: 'Failed to start membership period', conflict: false }
+  }
+
+  return { data, error: null, conflict: false }
+}
@@ -1,6 +1,8 @@
 // src/services/notificationService.js
+import supabase from '../config/supabase.js'
 import { sendEmail } from './emailService.js'
 import * as templates from '../templates/emailTemplates.js'
+import { bookingIcsAttachment } from '../utils/ical.js'
 
 /**
  * Send booking confirmation emails to customer and therapist
@@ -13,6 +15,7 @@ export async function sendBookingConfirmation(booking) {
       to: booking.customer_email,
       subject: `Booking Confirmed: ${booking.service_name}`,
       html: templates.bookingConfirmation(booking, 'customer'),
+      attachments: [bookingIcsAttachment(booking, { audience: 'customer' })],
     })
   }
 
@@ -21,6 +24,7 @@ export async function sendBookingConfirmation(booking) {
       to: booking.therapist_email,
       subject: `New Booking: ${booking.service_name}`,
       html: templates.bookingConfirmation(booking, 'therapist'),
+      attachments: [bookingIcsAttachment(booking, { audience: 'therapist' })],
     })
   }
 
@@ -39,6 +43,7 @@ export async function sendBookingReminder(booking) {
       to: booking.customer_email,
       subject: `Reminder: ${booking.service_name} Tomorrow`,
       html: templates.bookingReminder(booking, 'customer'),
+      attachments: [bookingIcsAttachment(booking, { audience: 'customer' })],
     })
   }
 
@@ -47,6 +52,7 @@ export async function sendBookingReminder(booking) {
       to: booking.therapist_email,
       subject: `Reminder: Appointment Tomorrow`,
       html: templates.bookingReminder(booking, 'therapist'),
+      attachments: [bookingIcsAttachment(booking, { audience: 'therapist' })],
     })
   }
 
@@ -65,6 +71,7 @@ export async function sendBookingCancellation(booking, cancelledBy = 'customer')
       to: booking.customer_email,
       subject: `Booking Cancelled: ${booking.service_name}`,
       html: templates.bookingCancellation(booking, 'customer', cancelledBy),
+      attachments: [bookingIcsAttachment(booking, { audience: 'customer', cancelled: true })],
     })
   }
 
@@ -73,9 +80,121 @@ export async function sendBookingCancellation(booking, cancelledBy = 'customer')
       to: booking.therapist_email,
       subject: `Booking Cancelled: ${booking.service_name}`,
       html: templates.bookingCancellation(booking, 'therapist', cancelledBy),
+      attachments: [bookingIcsAttachment(booking, { audience: 'therapist', cancelled: true })],
     })
   }
 
   console.log('[NOTIFICATION] Cancellation emails sent:', results)
   return results
-}
\ No newline at end of file
+}
+
+/**
+ * Send rescheduled emails to customer and therapist
+ * previous: the booking's old { booking_date, start_time, end_time }
+ *
+ * Delivery results are written to notification_log so admins can see
+ * whether each party was actually told about the move.
+ */
+export async function sendBookingRescheduled(booking, previous) {
+  const results = { customer: false, therapist: false }
+
+  if (booking.customer_email) {
+    results.customer = await sendEmail({
+      to: booking.customer_email,
+      subject: `Booking Rescheduled: ${booking.service_name}`,
+      html: templates.bookingRescheduled(booking, 'customer', previous),
+      attachments: [bookingIcsAttachment(booking, { audience: 'customer' })],
+    })
+  }
+
+  if (booking.therapist_email) {
+    results.therapist = await sendEmail({
+      to: booking.therapist_email,
+      subject: `Booking Rescheduled: ${booking.service_name}`,
+      html: templates.bookingRescheduled(booking, 'therapist', previous),
+      attachments: [bookingIcsAttachment(booking, { audience: 'therapist' })],
+    })
+  }
+
+  const change = {
+    from: { booking_date: previous.booking_date, start_time: previous.start_time, end_time: previous.end_time },
+    to: { booking_date: booking.booking_date, start_time: booking.start_time, end_time: booking.end_time },
+  }
+
+  await logNotification(booking.id, 'rescheduled', [
+    { recipient_type: 'customer', recipient_email: booking.customer_email, delivered: results.customer, details: change },
+    { recipient_type: 'therapist', recipient_email: booking.therapist_email, delivered: results.therapist, details: change },
+  ])
+
+  console.log('[NOTIFICATION] Rescheduled emails sent:', results)
+  return results
+}
+
+/**
+ * Send a waitlist offer email to the customer holding a freed slot
+ */
+export async function sendWaitlistOffer(booking, expiresAt) {
+  const delivered = await sendEmail({
+    to: booking.customer_email,
+    subject: `A spot opened up: ${booking.service_name}`,
+    html: templates.waitlistOffer(booking, expiresAt),
+  })
+
+  await logNotification(booking.id, 'waitlist_offer', [
+    { recipient_type: 'customer', recipient_email: booking.customer_email, delivered, details: { expires_at: expiresAt } },
+  ])
+
+  console.log('[NOTIFICATION] Waitlist offer email sent:', { customer: delivered })
+  return { customer: delivered }
+}
+
+/**
+ * Tell a member their renewal couldn't be charged and when the membership
+ * ends unpaid
+ */
+export async function sendMembershipRenewalDue(membership, renewBy) {
+  if (!membership.customer_email) return { customer: false }
+
+  const delivered = await sendEmail({
+    to: membership.customer_email,
+    subject: `Renew your ${membership.tier_name} membership`,
+    html: templates.membershipRenewalDue(membership, renewBy),
+  })
+
+  console.log('[NOTIFICATION] Membership renewal email sent:', { customer: delivered })
+  return { customer: delivered }
+}
+
+/**
+ * Send the analytics digest to each admin recipient
+ * Returns the number of emails delivered
+ */
+export async function sendAnalyticsDigestEmails(recipients, digest) {
+  const subject = `${digest.frequency === 'daily' ? 'Daily' : 'Weekly'} spa summary: ${templates.formatPrice(digest.summary.totalRevenue)} revenue, ${digest.summary.totalBookings} bookings`
+  const html = templates.analyticsDigest(digest)
+
+  let delivered = 0
+  for (const to of recipients) {
+    if (await sendEmail({ to, subject, html })) delivered++
+  }
+
+  console.log(`[NOTIFICATION] Analytics digest sent: ${delivered}/${recipients.length}`)
+  return delivered
+}
+
+/**
+ * Record notification delivery results (never throws)
+ */
+async function logNotification(bookingId, type, entries) {
+  try {
+    const { error } = await supabase
+      .from('notification_log')
+      .insert(entries.map(entry => ({ booking_id: bookingId, type, ...entry })))
+
+    if (error) {
+      console.error('[NOTIFICATION] Failed to log delivery:', error.message)
+    }
+  } catch (error) {
+    console.error('[NOTIFICATION] Failed to log delivery:', error.message)
+  }
+}
@@ -0,0 +1,182 @@
+// src/services/payments/fakeProvider.js
+import crypto from 'crypto'
+
+/**
+ * Fake Payment Provider
+ *
+ * Keeps payment intents in memory so the checkout → webhook → confirmed
+ * flow can be exercised offline. Webhooks are signed with an HMAC of the
+ * raw body (header: x-fake-signature) using FAKE_PAYMENT_WEBHOOK_SECRET,
+ * which must be set: anyone who knows the secret can confirm payments.
+ *
+ * Charges to a saved payment method succeed unless a test says otherwise
+ * (simulateSavedPaymentMethod). Intents are lost on restart. The provider
+ * refuses to run when NODE_ENV is production.
+ */
+
+export const name = 'fake'
+
+const intents = new Map()
+// Provider customers and their saved payment method (null until a paid
+// checkout saves one); renewal charges by idempotency key
+const customers = new Map()
+const charges = new Map()
+
+function webhookSecret() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider cannot be used in production')
+  }
+  if (!process.env.FAKE_PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET must be set to use the fake payment provider')
+  }
+  return process.env.FAKE_PAYMENT_WEBHOOK_SECRET
+}
+
+function sign(rawBody) {
+  return crypto.createHmac('sha256', webhookSecret()).update(rawBody).digest('hex')
+}
+
+function getIntent(intentId) {
+  const intent = intents.get(intentId)
+  if (!intent) {
+    throw new Error(`Payment intent not found: ${intentId}`)
+  }
+  return intent
+}
+
+export async function createCustomer() {
+  webhookSecret()
+
+  const customer = { id: `fake_cus_${crypto.randomUUID()}`, paymentMethod: null, nextCharge: 'succeeded' }
+  customers.set(customer.id, customer)
+
+  return { id: customer.id }
+}
+
+export async function createPaymentIntent({ amount, currency, bookingId, creditAccountId, membershipId, paymentCustomerId }) {
+  // Refuse checkout too, not just webhooks, when misconfigured
+  webhookSecret()
+
+  const intent = {
+    id: `fake_pi_${crypto.randomUUID()}`,
+    amount,
+    currency,
+    bookingId,
+    creditAccountId,
+    membershipId,
+    paymentCustomerId,
+    status: 'requires_payment'
+  }
+  intents.set(intent.id, intent)
+
+  return { id: intent.id, clientSecret: `${intent.id}_secret`, status: intent.status }
+}
+
+export async function chargeSavedPaymentMethod({ amount, currency, membershipId, paymentCustomerId, idempotencyKey }) {
+  webhookSecret()
+
+  if (charges.has(idempotencyKey)) {
+    return retrievePaymentIntent(charges.get(idempotencyKey))
+  }
+
+  const customer = customers.get(paymentCustomerId)
+  if (!customer?.paymentMethod) {
+    return { id: null, status: 'failed' }
+  }
+
+  const intent = {
+    id: `fake_pi_${crypto.randomUUID()}`,
+    amount,
+    currency,
+    membershipId,
+    paymentCustomerId,
+    status: customer.nextCharge
+  }
+  intents.set(intent.id, intent)
+  charges.set(idempotencyKey, intent.id)
+
+  return retrievePaymentIntent(intent.id)
+}
+
+export async function retrievePaymentIntent(intentId) {
+  const intent = getIntent(intentId)
+  return { id: intent.id, clientSecret: `${intent.id}_secret`, status: intent.status, amount: intent.amount }
+}
+
+export async function cancelPaymentIntent(intentId) {
+  const intent = getIntent(intentId)
+  if (intent.status === 'requires_payment' || intent.status === 'failed') {
+    intent.status = 'canceled'
+  }
+  return { id: intent.id, status: intent.status }
+}
+
+export async function refundPayment(intentId, amount) {
+  const intent = getIntent(intentId)
+  if (intent.status !== 'succeeded') {
+    throw new Error(`Cannot refund payment intent with status: ${intent.status}`)
+  }
+
+  const refunded = (intent.refunded || 0) + amount
+  if (refunded > intent.amount) {
+    throw new Error('Refund exceeds amount paid')
+  }
+  intent.refunded = refunded
+
+  return { id: `fake_re_${crypto.randomUUID()}`, status: 'succeeded' }
+}
+
+export function parseWebhook(rawBody, headers) {
+  const signature = headers['x-fake-signature']
+  const expected = sign(rawBody)
+
+  if (
+    typeof signature !== 'string' ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new Error('Invalid webhook signature')
+  }
+
+  const event = JSON.parse(rawBody.toString('utf8'))
+  return { type: event.type, intentId: event.intent_id }
+}
+
+/**
+ * Simulate the customer completing (or failing) payment, or a processing
+ * charge settling. A successful payment for a provider customer saves
+ * its payment method.
+ *
+ * Updates the in-memory intent and returns a signed webhook request
+ * ({ rawBody, headers }) exactly as the webhook endpoint expects it.
+ */
+export function simulatePayment(intentId, outcome = 'succeeded') {
+  const intent = getIntent(intentId)
+  if (intent.status !== 'requires_payment' && intent.status !== 'processing') {
+    throw new Error(`Payment intent is already ${intent.status}`)
+  }
+
+  intent.status = outcome === 'succeeded' ? 'succeeded' : 'failed'
+  if (intent.status === 'succeeded' && customers.has(intent.paymentCustomerId)) {
+    customers.get(intent.paymentCustomerId).paymentMethod = `fake_pm_${crypto.randomUUID()}`
+  }
+
+  const rawBody = Buffer.from(JSON.stringify({
+    type: outcome === 'succeeded' ? 'payment_succeeded' : 'payment_failed',
+    intent_id: intent.id
+  }))
+
+  return { rawBody, headers: { 'x-fake-signature': sign(rawBody) } }
+}
+
+/**
+ * Decide how the customer's next saved-method charges end: 'succeeded',
+ * 'processing' (settles by webhook later) or 'failed' (a decline)
+ */
+export function simulateSavedPaymentMethod(customerId, outcome = 'succeeded') {
+  const customer = customers.get(customerId)
+  if (!customer) {
+    throw new Error(`Customer not found: ${customerId}`)
+  }
+  customer.nextCharge = outcome
+}
@@ -0,0 +1,74 @@
+// src/services/payments/index.js
+import * as fakeProvider from './fakeProvider.js'
+import * as stripeProvider from './stripeProvider.js'
+
+/**
+ * Payment Provider Registry
+ *
+ * Every provider exposes the same interface:
+ * - name
+ * - createCustomer({ email, name, profileId }) → { id }
+ * - createPaymentIntent({ amount, currency, bookingId, creditAccountId, membershipId, paymentCustomerId, customerEmail }) → { id, clientSecret, status }
+ *   (bookingId for reservations, creditAccountId for package / gift card purchases,
+ *   membershipId for a membership's first month or a renewal; with
+ *   paymentCustomerId the payment method is saved to that customer for
+ *   later charges)
+ * - chargeSavedPaymentMethod({ amount, currency, membershipId, paymentCustomerId, idempotencyKey }) → { id, status }
+ *   (charges the saved payment method off-session; the same idempotencyKey
+ *   returns the same charge. id is null when nothing is saved.)
+ * - retrievePaymentIntent(intentId) → { id, clientSecret, status, amount }
+ * - cancelPaymentIntent(intentId) → { id, status }
+ * - refundPayment(intentId, amount) → { id, status } (status: succeeded, pending, failed)
+ * - parseWebhook(rawBody, headers) → { type, intentId } (throws on a bad signature)
+ *
+ * Amounts are in the smallest currency unit (cents). Statuses are
+ * normalized to: requires_payment, processing, succeeded, canceled, failed.
+ * Webhook types are normalized to: payment_succeeded, payment_failed,
+ * payment_canceled, ignored.
+ *
+ * Select the provider with PAYMENT_PROVIDER ('fake' or 'stripe'). There is no
+ * default: a missing setting must not silently fall back to the fake provider.
+ */
+
+const providers = {
+  fake: fakeProvider,
+  stripe: stripeProvider
+}
+
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER) {
+  if (!name) {
+    throw new Error(`PAYMENT_PROVIDER is not set (expected one of: ${Object.keys(providers).join(', ')})`)
+  }
+
+  const provider = providers[name]
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`)
+  }
+  return provider
+}
+
+/**
+ * Convert a decimal amount (e.g. 85.5) to cents (8550)
+ */
+export function toMinorUnits(amount) {
+  return Math.round((parseFloat(amount) || 0) * 100)
+}
+
+/**
+ * Cancel a booking's (or membership's) payment intent if it is still open
+ *
+ * Returns the intent's final status ('canceled', 'succeeded', ...), or
+ * null when there is no intent or the provider call failed.
+ */
+export async function voidPaymentIntent(booking) {
+  if (!booking.payment_intent_id) return null
+
+  try {
+    const provider = getPaymentProvider(booking.payment_provider || undefined)
+    const intent = await provider.cancelPaymentIntent(booking.payment_intent_id)
+    return intent.status
+  } catch (error) {
+    console.error(`[PAYMENT] Failed to void payment intent ${booking.payment_intent_id}:`, error.message)
+    return null
+  }
+}
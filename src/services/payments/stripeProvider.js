@@ -0,0 +1,182 @@
+// src/services/payments/stripeProvider.js
+import crypto from 'crypto'
+
+/**
+ * Stripe Payment Provider
+ *
+ * Talks to the Stripe REST API directly (no SDK). Requires
+ * STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET.
+ */
+
+export const name = 'stripe'
+
+const API_BASE = 'https://api.stripe.com/v1'
+const SIGNATURE_TOLERANCE_SECONDS = 300
+
+const STATUS_MAP = {
+  requires_payment_method: 'requires_payment',
+  requires_confirmation: 'requires_payment',
+  requires_action: 'requires_payment',
+  requires_capture: 'processing',
+  processing: 'processing',
+  succeeded: 'succeeded',
+  canceled: 'canceled'
+}
+
+const EVENT_MAP = {
+  'payment_intent.succeeded': 'payment_succeeded',
+  'payment_intent.payment_failed': 'payment_failed',
+  'payment_intent.canceled': 'payment_canceled'
+}
+
+/**
+ * Call the Stripe API
+ * A failed call throws; the error carries the payment intent Stripe
+ * returns with a declined charge (error.paymentIntent).
+ */
+async function stripeRequest(method, path, params, { idempotencyKey } = {}) {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw new Error('Stripe not configured: STRIPE_SECRET_KEY is missing')
+  }
+
+  const response = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+    },
+    body: params ? new URLSearchParams(params).toString() : undefined
+  })
+
+  const body = await response.json()
+  if (!response.ok) {
+    const error = new Error(`Stripe error: ${body.error?.message || response.status}`)
+    error.paymentIntent = body.error?.payment_intent
+    throw error
+  }
+  return body
+}
+
+function normalize(intent) {
+  return { id: intent.id, status: STATUS_MAP[intent.status] || 'failed', amount: intent.amount }
+}
+
+export async function createCustomer({ email, name, profileId }) {
+  const customer = await stripeRequest('POST', '/customers', {
+    ...(email && { email }),
+    ...(name && { name }),
+    ...(profileId && { 'metadata[profile_id]': profileId })
+  })
+
+  return { id: customer.id }
+}
+
+export async function createPaymentIntent({ amount, currency, bookingId, creditAccountId, membershipId, paymentCustomerId, customerEmail }) {
+  const intent = await stripeRequest('POST', '/payment_intents', {
+    amount: String(amount),
+    currency,
+    'automatic_payment_methods[enabled]': 'true',
+    ...(paymentCustomerId && { customer: paymentCustomerId, setup_future_usage: 'off_session' }),
+    ...(bookingId && { 'metadata[booking_id]': bookingId }),
+    ...(creditAccountId && { 'metadata[credit_account_id]': creditAccountId }),
+    ...(membershipId && { 'metadata[membership_id]': membershipId }),
+    ...(customerEmail && { receipt_email: customerEmail })
+  })
+
+  return { ...normalize(intent), clientSecret: intent.client_secret }
+}
+
+/**
+ * Charge the customer's most recently saved payment method without them
+ * present (a renewal paid by hand saves the card it was paid with)
+ */
+export async function chargeSavedPaymentMethod({ amount, currency, membershipId, paymentCustomerId, idempotencyKey }) {
+  const methods = await stripeRequest('GET', `/customers/${paymentCustomerId}/payment_methods?limit=1`)
+  const paymentMethod = methods.data?.[0]
+  if (!paymentMethod) {
+    return { id: null, status: 'failed' }
+  }
+
+  try {
+    const intent = await stripeRequest('POST', '/payment_intents', {
+      amount: String(amount),
+      currency,
+      customer: paymentCustomerId,
+      payment_method: paymentMethod.id,
+      off_session: 'true',
+      confirm: 'true',
+      ...(membershipId && { 'metadata[membership_id]': membershipId })
+    }, { idempotencyKey })
+    return normalize(intent)
+  } catch (error) {
+    // A declined charge still leaves its intent behind
+    if (error.paymentIntent) {
+      return normalize(error.paymentIntent)
+    }
+    throw error
+  }
+}
+
+export async function retrievePaymentIntent(intentId) {
+  const intent = await stripeRequest('GET', `/payment_intents/${intentId}`)
+  return { ...normalize(intent), clientSecret: intent.client_secret }
+}
+
+export async function cancelPaymentIntent(intentId) {
+  const current = await retrievePaymentIntent(intentId)
+  if (current.status === 'succeeded' || current.status === 'canceled') {
+    return current
+  }
+  return normalize(await stripeRequest('POST', `/payment_intents/${intentId}/cancel`))
+}
+
+export async function refundPayment(intentId, amount) {
+  const refund = await stripeRequest('POST', '/refunds', {
+    payment_intent: intentId,
+    amount: String(amount)
+  })
+
+  const status = refund.status === 'succeeded'
+    ? 'succeeded'
+    : ['pending', 'requires_action'].includes(refund.status) ? 'pending' : 'failed'
+
+  return { id: refund.id, status }
+}
+
+/**
+ * Verify the Stripe-Signature header (t=timestamp,v1=signature)
+ */
+export function parseWebhook(rawBody, headers) {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET
+  const header = headers['stripe-signature']
+
+  if (!secret || typeof header !== 'string') {
+    throw new Error('Invalid webhook signature')
+  }
+
+  const parts = Object.fromEntries(header.split(',').map(part => part.split('=')))
+  const timestamp = parseInt(parts.t, 10)
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${parts.t}.${rawBody.toString('utf8')}`)
+    .digest('hex')
+
+  const signature = parts.v1 || ''
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new Error('Invalid webhook signature')
+  }
+
+  if (isNaN(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Webhook timestamp outside tolerance')
+  }
+
+  const event = JSON.parse(rawBody.toString('utf8'))
+  return {
+    type: EVENT_MAP[event.type] || 'ignored',
+    intentId: event.data?.object?.id
+  }
+}
@@ -0,0 +1,139 @@
+// src/services/promoCodeService.js
+import supabase from '../config/supabase.js'
+import { formatDate } from '../utils/dateTime.js'
+import { voidPaymentIntent } from './payments/index.js'
+
+/**
+ * Promo code helpers shared by the booking and promo code controllers
+ *
+ * Eligibility (active, dates, services) is checked here; usage limits are
+ * checked under a lock by set_booking_promo_code when the code is applied.
+ * Bookings keep a snapshot: promo_code, discount_amount and payment_amount
+ * (the price after discount). service_price stays the list price.
+ */
+
+export const PROMO_CODE_FIELDS = 'id, code, description, discount_type, discount_value, valid_from, valid_until, max_uses, max_uses_per_customer, service_ids, is_active, created_at'
+
+/**
+ * Codes are case-insensitive and stored upper-case
+ *
+ * Example: normalizePromoCode("  summer10 ") → "SUMMER10"
+ */
+export function normalizePromoCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : ''
+}
+
+/**
+ * Discount a promo code gives on a price, never more than the price itself
+ *
+ * Example: calculateDiscount({ discount_type: "percentage", discount_value: 15 }, 80) → 12
+ */
+export function calculateDiscount(promo, price) {
+  const amount = Number(price) || 0
+  const discount = promo.discount_type === 'percentage'
+    ? amount * Number(promo.discount_value) / 100
+    : Number(promo.discount_value)
+  return Math.round(Math.min(discount, amount) * 100) / 100
+}
+
+/**
+ * Why a promo code can't be used for a service today, or null if it can
+ * Validity dates are spa-local calendar days, inclusive
+ */
+export function promoCodeIneligibility(promo, serviceId, today = formatDate(new Date())) {
+  if (!promo || !promo.is_active) return 'Promo code not found'
+  if (promo.valid_from && today < promo.valid_from) return 'Promo code is not valid yet'
+  if (promo.valid_until && today > promo.valid_until) return 'Promo code has expired'
+  if (promo.service_ids?.length > 0 && !promo.service_ids.includes(serviceId)) {
+    return 'Promo code does not apply to this service'
+  }
+  return null
+}
+
+/**
+ * Look up a code and check it can be used for a service
+ * Returns { error } (client-safe message) or { promo }
+ */
+export async function findApplicablePromoCode(code, serviceId) {
+  const normalized = normalizePromoCode(code)
+  if (!normalized) {
+    return { error: 'promo_code must be a non-empty string' }
+  }
+
+  const { data: promo, error } = await supabase
+    .from('promo_codes')
+    .select(PROMO_CODE_FIELDS)
+    .eq('code', normalized)
+    .maybeSingle()
+
+  if (error) {
+    console.error('Fetch promo code error:', error)
+    return { error: 'Failed to verify promo code' }
+  }
+
+  const ineligible = promoCodeIneligibility(promo, serviceId)
+  if (ineligible) {
+    return { error: ineligible }
+  }
+
+  return { promo }
+}
+
+/**
+ * Apply a promo code to a PENDING booking, or remove it (promo = null)
+ *
+ * Recalculates payment_amount from the booking's service_price (less any
+ * member discount). Any open checkout was for the old amount: the rpc
+ * detaches its intent and, once the change is saved, the intent is voided
+ * so the booking needs a new checkout. A rejected change leaves the
+ * checkout open.
+ *
+ * conflict is true when a usage limit was reached or the booking is no
+ * longer a live hold (respond with 409).
+ */
+export async function setBookingPromoCode(booking, promo, select = '*') {
+  const { data, error } = await supabase
+    .rpc('set_booking_promo_code', {
+      p_booking_id: booking.id,
+      p_promo_code_id: promo?.id ?? null,
+      p_discount_amount: promo ? calculateDiscount(promo, booking.service_price - (parseFloat(booking.member_discount_amount) || 0)) : 0
+    })
+    .select(select)
+    .single()
+
+  if (error) {
+    if (error.code === 'PT409') {
+      return { data: null, error: error.message, conflict: true }
+    }
+    console.error('Set booking promo code error:', error)
+    return { data: null, error: 'Failed to update promo code', conflict: false }
+  }
+
+  if (booking.payment_intent_id) {
+    await voidPaymentIntent(booking)
+  }
+
+  return { data, error: null, conflict: false }
+}
+
+/**
+ * Redemptions per promo code: bookings that hold or used their slot
+ * (live holds, confirmed, completed, no-show), counted in the database
+ * (promo_code_usage)
+ *
+ * Returns { [promo_code_id]: { uses, discount_total } }
+ */
+export async function getPromoCodeUsage(promoCodeIds) {
+  if (promoCodeIds.length === 0) return {}
+
+  const { data: rows, error } = await supabase.rpc('promo_code_usage', {
+    p_promo_code_ids: promoCodeIds
+  })
+
+  if (error) throw error
+
+  return Object.fromEntries((rows || []).map(row => [row.promo_code_id, {
+    uses: row.uses,
+    discount_total: parseFloat(Number(row.discount_total).toFixed(2))
+  }]))
+}
@@ -0,0 +1,130 @@
+// src/services/timeOffService.js
+import supabase from '../config/supabase.js'
+
+/**
+ * Therapist time-off helpers
+ *
+ * Blocks are stored as (start_date, start_time) → (end_date, end_time).
+ * A null start_time means 00:00 and a null end_time means end of day.
+ * Ranges are compared as "YYYY-MM-DDTHH:MM:SS" strings, which sort
+ * chronologically, so no timezone conversion is involved.
+ */
+
+/**
+ * Normalize HH:MM or HH:MM:SS to HH:MM:SS
+ */
+function normalizeTime(time) {
+  return time.length === 5 ? `${time}:00` : time
+}
+
+/**
+ * Start/end keys for a time-off block
+ */
+function blockRange(block) {
+  return {
+    start: `${block.start_date}T${block.start_time ? normalizeTime(block.start_time) : '00:00:00'}`,
+    end: `${block.end_date}T${block.end_time ? normalizeTime(block.end_time) : '24:00:00'}`
+  }
+}
+
+/**
+ * Check whether an appointment window overlaps any of the given blocks
+ *
+ * Example: isBlockedByTimeOff(therapistId, "2026-02-01", "10:00", "11:00", blocks) → true/false
+ */
+export function isBlockedByTimeOff(therapistId, date, startTime, endTime, blocks) {
+  const start = `${date}T${normalizeTime(startTime)}`
+  const end = `${date}T${normalizeTime(endTime)}`
+
+  return blocks.some(block => {
+    if (block.therapist_id !== therapistId) return false
+    const range = blockRange(block)
+    return start < range.end && end > range.start
+  })
+}
+
+/**
+ * Fetch time-off blocks overlapping a date range
+ *
+ * therapistIds: optional array to restrict to specific therapists
+ * endDate: optional (open-ended when omitted)
+ */
+export async function getTimeOffBlocks({ therapistIds, startDate, endDate }) {
+  let query = supabase
+    .from('therapist_time_off')
+    .select('id, therapist_id, start_date, end_date, start_time, end_time')
+    .gte('end_date', startDate)
+
+  if (endDate) query = query.lte('start_date', endDate)
+  if (therapistIds) query = query.in('therapist_id', therapistIds)
+
+  return query
+}
+
+/**
+ * Check a single slot against the therapist's time off
+ * Returns true when the slot falls inside a block
+ */
+export async function isSlotBlocked(slot) {
+  const { data: blocks, error } = await getTimeOffBlocks({
+    therapistIds: [slot.therapist_id],
+    startDate: slot.slot_date,
+    endDate: slot.slot_date
+  })
+
+  if (error) {
+    console.error('Fetch time off error:', error)
+    throw error
+  }
+
+  return isBlockedByTimeOff(slot.therapist_id, slot.slot_date, slot.start_time, slot.end_time, blocks)
+}
+
+/**
+ * Find pending/confirmed bookings that fall inside a time-off block
+ * Used for the admin conflict report
+ */
+export async function findConflictingBookings(block) {
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select(`
+      id,
+      booking_date,
+      start_time,
+      end_time,
+      status,
+      reservation_expires_at,
+      payment_status,
+      payment_amount,
+      payment_provider,
+      payment_intent_id,
+      service_id,
+      service_name,
+      service_duration,
+      therapist_id,
+      time_slot_id,
+      waitlist_entry_id,
+      customer:profiles!bookings_customer_id_fkey(
+        id,
+        full_name,
+        email,
+        phone
+      )
+    `)
+    .eq('therapist_id', block.therapist_id)
+    .in('status', ['pending', 'confirmed'])
+    .gte('booking_date', block.start_date)
+    .lte('booking_date', block.end_date)
+    .order('booking_date')
+    .order('start_time')
+
+  if (error) {
+    return { data: null, error }
+  }
+
+  const conflicts = bookings.filter(b =>
+    isBlockedByTimeOff(b.therapist_id, b.booking_date, b.start_time, b.end_time, [block])
+  )
+
+  return { data: conflicts, error: null }
+}
@@ -0,0 +1,201 @@
+// src/services/waitlistService.js
+import supabase from '../config/supabase.js'
+import { addMinutes, getTimeDuration, zonedTimeToUtc } from '../utils/dateTime.js'
+import { parseIntSafe } from '../utils/validation.js'
+import { isSlotBlocked } from './timeOffService.js'
+import { sendWaitlistOffer } from './notificationService.js'
+import { recordBookingEvent, SYSTEM_ACTOR } from './bookingEvents.js'
+import { getActiveMembership, memberPricing } from './membershipService.js'
+
+/**
+ * Waitlist offers
+ *
+ * When a slot is freed, the longest-waiting matching customer gets an
+ * exclusive hold on it: a PENDING booking with reservation_expires_at set
+ * to the offer deadline. They claim it through the normal checkout/confirm
+ * flow. If the hold lapses, cleanupExpiredReservations deletes it, frees the
+ * slot again and the offer moves on to the next customer in line.
+ */
+
+/**
+ * Offer a freed slot to the next matching waitlist entry
+ * Returns the waitlist entry that received the offer, or null
+ */
+export async function offerFreedSlot(timeSlotId) {
+  const { data: slot, error: slotError } = await supabase
+    .from('time_slots')
+    .select('*, location:locations!time_slots_location_id_fkey(timezone)')
+    .eq('id', timeSlotId)
+    .eq('is_available', true)
+    .maybeSingle()
+
+  if (slotError || !slot) return null
+
+  // Never offer slots that have already started
+  if (zonedTimeToUtc(slot.slot_date, slot.start_time, slot.location?.timezone) <= new Date()) return null
+
+  if (await isSlotBlocked(slot)) return null
+
+  const { data: entries, error: entriesError } = await supabase
+    .from('waitlist_entries')
+    .select(`
+      *,
+      service:services!waitlist_entries_service_id_fkey(id, name, price, duration, is_active)
+    `)
+    .eq('status', 'waiting')
+    .lte('start_date', slot.slot_date)
+    .gte('end_date', slot.slot_date)
+    .or(`therapist_id.is.null,therapist_id.eq.${slot.therapist_id}`)
+    .order('created_at', { ascending: true })
+
+  if (entriesError) {
+    console.error('[WAITLIST] Error fetching waitlist entries:', entriesError)
+    return null
+  }
+
+  const slotDuration = getTimeDuration(slot.start_time, slot.end_time)
+  const candidates = entries.filter(e => e.service?.is_active && e.service.duration <= slotDuration)
+
+  // An entry can leave the queue between the read above and its hold, so
+  // work down the line until someone gets the slot or it is taken
+  for (const entry of candidates) {
+    const offeredEntry = await createOfferHold(entry, slot)
+    if (offeredEntry) return offeredEntry
+
+    if (!(await isSlotStillAvailable(slot.id))) return null
+  }
+
+  return null
+}
+
+/**
+ * Whether nobody has taken the slot (yet)
+ */
+async function isSlotStillAvailable(timeSlotId) {
+  const { data: slot, error } = await supabase
+    .from('time_slots')
+    .select('id')
+    .eq('id', timeSlotId)
+    .eq('is_available', true)
+    .maybeSingle()
+
+  if (error) {
+    console.error('[WAITLIST] Error checking slot availability:', error)
+    return false
+  }
+
+  return Boolean(slot)
+}
+
+/**
+ * Take the slot and create the pending hold booking for an entry
+ * Returns the offered entry, or null when this entry couldn't get the slot
+ */
+async function createOfferHold(entry, slot) {
+  const offerMinutes = parseIntSafe(process.env.WAITLIST_OFFER_MINUTES, 120, 5, 1440)
+  const expiresAt = addMinutes(offerMinutes)
+
+  let membership
+  try {
+    membership = await getActiveMembership(entry.customer_id)
+  } catch (membershipError) {
+    console.error('[WAITLIST] Error fetching membership:', membershipError)
+    return null
+  }
+
+  // Take the slot, create the hold booking and mark the entry offered in
+  // one transaction (same function and snapshot as createReservation).
+  // Fails harmlessly if the slot was just booked or the entry left the queue.
+  const { data: booking, error } = await supabase
+    .rpc('reserve_time_slot', {
+      p_time_slot_id: slot.id,
+      p_booking: {
+        customer_id: entry.customer_id,
+        service_id: entry.service_id,
+        therapist_id: slot.therapist_id,
+        service_name: entry.service.name,
+        service_price: entry.service.price,
+        service_duration: entry.service.duration,
+        reservation_expires_at: expiresAt,
+        ...memberPricing(membership, entry.service.price),
+        waitlist_entry_id: entry.id
+      }
+    })
+    .single()
+
+  if (error) {
+    if (error.code !== 'PT409' && error.code !== '23505') {
+      console.error('[WAITLIST] Hold booking creation error:', error)
+    }
+    return null
+  }
+
+  const offeredEntry = { ...entry, status: 'offered', offered_slot_id: slot.id, offer_expires_at: expiresAt }
+
+  await recordBookingEvent({ type: 'created', actor: SYSTEM_ACTOR, after: booking, reason: 'Waitlist offer hold' })
+
+  console.log(`[WAITLIST] Offered slot ${slot.id.substring(0, 8)}... to entry ${entry.id.substring(0, 8)}... until ${expiresAt}`)
+
+  notifyOffer(booking, expiresAt).catch(err => {
+    console.error('[WAITLIST] Offer email error (non-critical):', err)
+  })
+
+  return offeredEntry
+}
+
+/**
+ * Email the customer about their hold
+ */
+async function notifyOffer(booking, expiresAt) {
+  const [{ data: customer }, { data: therapist }] = await Promise.all([
+    supabase.from('profiles').select('email, full_name').eq('id', booking.customer_id).single(),
+    supabase
+      .from('therapists')
+      .select('profile:profiles!therapists_user_id_fkey(full_name)')
+      .eq('id', booking.therapist_id)
+      .single()
+  ])
+
+  if (!customer?.email) return
+
+  await sendWaitlistOffer({
+    ...booking,
+    customer_email: customer.email,
+    customer_name: customer.full_name,
+    therapist_name: therapist?.profile?.full_name
+  }, expiresAt)
+}
+
+/**
+ * Offer several freed slots in turn (used by jobs and bulk paths)
+ * Errors are logged, never thrown — freeing a slot must not fail because of the waitlist
+ */
+export async function offerFreedSlots(timeSlotIds) {
+  let offered = 0
+  for (const slotId of timeSlotIds) {
+    try {
+      if (await offerFreedSlot(slotId)) offered++
+    } catch (error) {
+      console.error(`[WAITLIST] Failed to offer slot ${slotId}:`, error.message)
+    }
+  }
+  return offered
+}
+
+/**
+ * Update the waitlist entry behind a hold booking, if any
+ * status: 'claimed' when confirmed, 'expired' when the hold lapsed or was declined
+ */
+export async function resolveOffer(waitlistEntryId, status) {
+  if (!waitlistEntryId) return
+
+  const { error } = await supabase
+    .from('waitlist_entries')
+    .update({ status })
+    .eq('id', waitlistEntryId)
+    .eq('status', 'offered')
+
+  if (error) {
+    console.error(`[WAITLIST] Failed to mark entry ${waitlistEntryId} as ${status}:`, error.message)
+  }
+}
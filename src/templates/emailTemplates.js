@@ -1,4 +1,5 @@
 // src/templates/emailTemplates.js
+import { getBusinessTimeZone } from '../utils/dateTime.js'
 
 /**
  * Escape HTML special characters to prevent XSS in email templates
@@ -18,9 +19,11 @@ function escapeHtml(value) {
  */
 function formatDate(dateString) {
   if (!dateString || typeof dateString !== 'string') return 'Unknown date'
-  const date = new Date(dateString + 'T00:00:00'); // Avoid timezone shift
+  // Booking dates are already spa-local: format the calendar date as-is
+  const date = new Date(dateString + 'T00:00:00Z');
   if (isNaN(date.getTime())) return 'Invalid date'
   return date.toLocaleDateString('en-US', {
+    timeZone: 'UTC',
     weekday: 'long',
     year: 'numeric',
     month: 'long',
@@ -41,6 +44,19 @@ function formatTime(timeString) {
   return `${hour12}:${minutes} ${ampm}`;
 }
 
+/**
+ * Format a timestamp in the spa's timezone (e.g., "Jan 15, 2025, 2:30 PM")
+ */
+function formatDateTime(timestamp) {
+  const date = new Date(timestamp)
+  if (isNaN(date.getTime())) return 'Unknown time'
+  return date.toLocaleString('en-US', {
+    timeZone: getBusinessTimeZone(),
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+}
+
 /**
  * Format price (e.g., "$85.00")
  */
@@ -110,6 +126,37 @@ function baseTemplate(content, previewText = '') {
   `.trim();
 }
 
+/**
+ * Branch name and address row (omitted for bookings without a location)
+ */
+function locationRow(booking) {
+  if (!booking.location_name) return '';
+  const address = booking.location_address ? `${booking.location_name}, ${booking.location_address}` : booking.location_name;
+  return detailRow('Location', address);
+}
+
+/**
+ * Member and promo code discounts and amount paid (omitted for bookings
+ * without a discount)
+ */
+function discountRows(booking) {
+  const memberDiscount = parseFloat(booking.member_discount_amount) || 0;
+  const promoDiscount = parseFloat(booking.discount_amount) || 0;
+  if (!(memberDiscount > 0) && !(promoDiscount > 0)) return '';
+  return (memberDiscount > 0 ? detailRow('Member discount', `-${formatPrice(memberDiscount)}`) : '')
+    + (promoDiscount > 0 ? detailRow(`Discount (${escapeHtml(booking.promo_code)})`, `-${formatPrice(promoDiscount)}`) : '')
+    + detailRow('Total', formatPrice(booking.payment_amount));
+}
+
+/**
+ * How a credit-paid booking was paid, for the confirmation email
+ */
+const PAYMENT_METHOD_LABELS = {
+  package: 'Package session',
+  gift_card: 'Gift card',
+  membership: 'Membership session'
+};
+
 /**
  * Booking detail row (reusable)
  */
@@ -150,8 +197,11 @@ function bookingConfirmation(booking, recipientType = 'customer') {
         ${detailRow('Date', formatDate(booking.booking_date))}
         ${detailRow('Time', `${formatTime(booking.start_time)} - ${formatTime(booking.end_time)}`)}
         ${detailRow('Duration', `${booking.service_duration} minutes`)}
+        ${locationRow(booking)}
         ${isCustomer ? detailRow('Therapist', booking.therapist_name || 'Assigned') : detailRow('Customer', booking.customer_name)}
         ${detailRow('Price', formatPrice(booking.service_price))}
+        ${discountRows(booking)}
+        ${isCustomer && booking.payment_method ? detailRow('Paid with', PAYMENT_METHOD_LABELS[booking.payment_method]) : ''}
       </table>
     </div>
     
@@ -193,6 +243,7 @@ function bookingReminder(booking, recipientType = 'customer') {
         ${detailRow('Service', booking.service_name)}
         ${detailRow('Date', formatDate(booking.booking_date))}
         ${detailRow('Time', `${formatTime(booking.start_time)} - ${formatTime(booking.end_time)}`)}
+        ${locationRow(booking)}
         ${isCustomer ? detailRow('Therapist', booking.therapist_name || 'Assigned') : detailRow('Customer', booking.customer_name)}
       </table>
     </div>
@@ -212,6 +263,188 @@ function bookingReminder(booking, recipientType = 'customer') {
   return baseTemplate(content, `Reminder: ${booking.service_name} appointment tomorrow`);
 }
 
+/**
+ * Old vs new appointment comparison (reusable)
+ * Values that changed are highlighted in the "New" column
+ */
+function changeTable(rows) {
+  const body = rows.map(({ label, before, after }) => {
+    const changed = before !== after;
+    return `
+      <tr>
+        <td style="padding: 8px 0; color: #6b7280; font-size: 14px; width: 90px;">${label}</td>
+        <td style="padding: 8px 10px; color: #9ca3af; font-size: 14px;${changed ? ' text-decoration: line-through;' : ''}">${escapeHtml(before)}</td>
+        <td style="padding: 8px 0; color: ${changed ? '#1d4ed8' : '#1f2937'}; font-size: 14px; font-weight: ${changed ? '600' : '500'};">${escapeHtml(after)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0">
+      <tr>
+        <td style="padding: 0 0 8px;"></td>
+        <td style="padding: 0 10px 8px; color: #6b7280; font-size: 12px; text-transform: uppercase; letter-spacing: 0.05em;">Was</td>
+        <td style="padding: 0 0 8px; color: #6b7280; font-size: 12px; text-transform: uppercase; letter-spacing: 0.05em;">Now</td>
+      </tr>
+      ${body}
+    </table>
+  `;
+}
+
+// ============================================
+// RESCHEDULED EMAIL
+// ============================================
+function bookingRescheduled(booking, recipientType = 'customer', previous = {}) {
+  const isCustomer = recipientType === 'customer';
+  const greeting = isCustomer
+    ? `Hi ${escapeHtml(booking.customer_name) || 'there'},`
+    : `Hi ${escapeHtml(booking.therapist_name) || 'there'},`;
+
+  const intro = isCustomer
+    ? 'Your appointment has been moved to a new time.'
+    : 'One of your appointments has been moved to a new time.';
+
+  const content = `
+    <h2 style="margin: 0 0 10px; color: #1f2937; font-size: 22px;">
+      Booking Rescheduled 📅
+    </h2>
+    <p style="margin: 0 0 25px; color: #4b5563; font-size: 16px; line-height: 1.6;">
+      ${greeting}<br>${intro}
+    </p>
+    
+    <!-- Old vs new time -->
+    <div style="background-color: #eff6ff; border: 1px solid #bfdbfe; border-radius: 8px; padding: 20px; margin-bottom: 15px;">
+      ${changeTable([
+        { label: 'Date', before: formatDate(previous.booking_date), after: formatDate(booking.booking_date) },
+        {
+          label: 'Time',
+          before: `${formatTime(previous.start_time)} - ${formatTime(previous.end_time)}`,
+          after: `${formatTime(booking.start_time)} - ${formatTime(booking.end_time)}`
+        },
+      ])}
+    </div>
+    
+    <!-- Booking details card -->
+    <div style="background-color: #faf5ff; border: 1px solid #e9d5ff; border-radius: 8px; padding: 20px; margin-bottom: 25px;">
+      <table role="presentation" width="100%" cellspacing="0" cellpadding="0">
+        ${detailRow('Service', booking.service_name)}
+        ${detailRow('Duration', `${booking.service_duration} minutes`)}
+        ${isCustomer ? detailRow('Therapist', booking.therapist_name || 'Assigned') : detailRow('Customer', booking.customer_name)}
+      </table>
+    </div>
+    
+    <p style="margin: 0; color: #4b5563; font-size: 14px; line-height: 1.6;">
+      ${isCustomer
+        ? 'Please arrive 10 minutes before your new appointment time. If the new time doesn\'t work for you, you can change or cancel it from your dashboard.'
+        : 'Please update your schedule accordingly.'}
+    </p>
+  `;
+
+  return baseTemplate(content, `Your ${booking.service_name} booking has moved to ${formatDate(booking.booking_date)}`);
+}
+
+// ============================================
+// WAITLIST OFFER EMAIL
+// ============================================
+function waitlistOffer(booking, expiresAt) {
+  const content = `
+    <h2 style="margin: 0 0 10px; color: #1f2937; font-size: 22px;">
+      A Spot Opened Up! 🌿
+    </h2>
+    <p style="margin: 0 0 25px; color: #4b5563; font-size: 16px; line-height: 1.6;">
+      Hi ${escapeHtml(booking.customer_name) || 'there'},<br>
+      Good news — a time matching your waitlist request is free, and we're holding it just for you.
+    </p>
+    
+    <!-- Booking details card -->
+    <div style="background-color: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 8px; padding: 20px; margin-bottom: 25px;">
+      <table role="presentation" width="100%" cellspacing="0" cellpadding="0">
+        ${detailRow('Service', booking.service_name)}
+        ${detailRow('Date', formatDate(booking.booking_date))}
+        ${detailRow('Time', `${formatTime(booking.start_time)} - ${formatTime(booking.end_time)}`)}
+        ${detailRow('Therapist', booking.therapist_name || 'Assigned')}
+        ${detailRow('Price', formatPrice(booking.payment_amount))}
+        ${detailRow('Hold expires', formatDateTime(expiresAt))}
+      </table>
+    </div>
+    
+    <p style="margin: 0; color: #4b5563; font-size: 14px; line-height: 1.6;">
+      <strong>Confirm from your dashboard before the hold expires.</strong> If you don't, the spot
+      goes to the next person on the waitlist and your waitlist request will close.
+    </p>
+  `;
+
+  return baseTemplate(content, `A ${booking.service_name} spot is being held for you`);
+}
+
+// ============================================
+// MEMBERSHIP RENEWAL DUE EMAIL
+// ============================================
+function membershipRenewalDue(membership, renewBy) {
+  const content = `
+    <h2 style="margin: 0 0 10px; color: #1f2937; font-size: 22px;">
+      Your Membership Is Due for Renewal
+    </h2>
+    <p style="margin: 0 0 25px; color: #4b5563; font-size: 16px; line-height: 1.6;">
+      Hi ${escapeHtml(membership.customer_name) || 'there'},<br>
+      Your ${escapeHtml(membership.tier_name)} membership period has ended and we couldn't charge
+      your saved payment method for the renewal. Renew it to keep your member pricing, included
+      sessions and priority booking.
+    </p>
+    
+    <!-- Renewal details card -->
+    <div style="background-color: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 8px; padding: 20px; margin-bottom: 25px;">
+      <table role="presentation" width="100%" cellspacing="0" cellpadding="0">
+        ${detailRow('Membership', membership.tier_name)}
+        ${detailRow('Monthly fee', formatPrice(membership.monthly_fee))}
+        ${detailRow('Period ended', formatDateTime(membership.current_period_end))}
+        ${detailRow('Renew by', formatDateTime(renewBy))}
+      </table>
+    </div>
+    
+    <p style="margin: 0; color: #4b5563; font-size: 14px; line-height: 1.6;">
+      <strong>Renew from your dashboard.</strong> Member benefits are paused until the payment
+      goes through. If you don't renew by the date above, your membership will end.
+    </p>
+  `;
+
+  return baseTemplate(content, `Renew your ${membership.tier_name} membership`);
+}
+
+/**
+ * Refund summary for the customer's cancellation email
+ */
+function refundMessage(booking) {
+  const refundAmount = parseFloat(booking.refund_amount) || 0
+  const fee = parseFloat(booking.cancellation_fee) || 0
+
+  if (refundAmount > 0 && booking.credit_account_id && booking.refund_status === 'refunded') {
+    if (booking.payment_method === 'gift_card') {
+      return `<strong>${formatPrice(refundAmount)}</strong> has been returned to your gift card balance.`
+    }
+    return booking.payment_method === 'membership'
+      ? 'Your session has been returned to your membership.'
+      : 'Your session has been returned to your package.'
+  }
+
+  if (refundAmount > 0) {
+    switch (booking.refund_status) {
+      case 'refunded':
+        return `A refund of <strong>${formatPrice(refundAmount)}</strong> has been issued to your original payment method. It can take 5-10 business days to appear.`
+      case 'failed':
+        return `We couldn't process your refund of <strong>${formatPrice(refundAmount)}</strong> automatically. Our team will contact you to complete it.`
+      default:
+        return `A refund of <strong>${formatPrice(refundAmount)}</strong> is being processed.`
+    }
+  }
+
+  if (fee > 0) {
+    return 'Under our cancellation policy, this cancellation is not eligible for a refund.'
+  }
+
+  return ''
+}
+
 // ============================================
 // CANCELLATION EMAIL
 // ============================================
@@ -227,6 +460,8 @@ function bookingCancellation(booking, recipientType = 'customer', cancelledBy =
       ? 'Your booking has been cancelled as requested.'
       : 'The customer has cancelled this booking.';
 
+  const refundNote = isCustomer ? refundMessage(booking) : '';
+
   const content = `
     <h2 style="margin: 0 0 10px; color: #dc2626; font-size: 22px;">
       Booking Cancelled
@@ -243,9 +478,16 @@ function bookingCancellation(booking, recipientType = 'customer', cancelledBy =
         ${detailRow('Time', `${formatTime(booking.start_time)} - ${formatTime(booking.end_time)}`)}
         ${isCustomer ? detailRow('Therapist', booking.therapist_name || 'N/A') : detailRow('Customer', booking.customer_name)}
         ${detailRow('Price', formatPrice(booking.service_price))}
+        ${isCustomer && booking.refund_amount != null ? detailRow('Refund', formatPrice(booking.refund_amount)) : ''}
+        ${isCustomer && parseFloat(booking.cancellation_fee) > 0 ? detailRow('Cancellation fee', formatPrice(booking.cancellation_fee)) : ''}
       </table>
     </div>
     
+    ${refundNote ? `
+    <p style="margin: 0 0 15px; color: #4b5563; font-size: 14px; line-height: 1.6;">
+      ${refundNote}
+    </p>
+    ` : ''}
     ${isCustomer ? `
     <p style="margin: 0; color: #4b5563; font-size: 14px; line-height: 1.6;">
       We're sorry to see this booking cancelled. If you'd like to book another appointment, 
@@ -261,10 +503,100 @@ function bookingCancellation(booking, recipientType = 'customer', cancelledBy =
   return baseTemplate(content, `Booking cancelled: ${booking.service_name}`);
 }
 
+/**
+ * Change vs. the previous period (e.g., "▲ 12.5%"), coloured by direction
+ * invert: a rise is bad news (cancellation rate)
+ */
+function changeBadge(current, previous, { invert = false, points = false } = {}) {
+  if (!points && !previous) return '<span style="color: #9ca3af;">—</span>';
+  const change = points ? current - previous : ((current - previous) / previous) * 100;
+  if (Math.abs(change) < 0.05) return '<span style="color: #6b7280;">no change</span>';
+  const good = invert ? change < 0 : change > 0;
+  const arrow = change > 0 ? '▲' : '▼';
+  const label = points ? `${Math.abs(change).toFixed(1)} pts` : `${Math.abs(change).toFixed(1)}%`;
+  return `<span style="color: ${good ? '#16a34a' : '#dc2626'};">${arrow} ${label}</span>`;
+}
+
+/**
+ * Ranked list (top services / therapists) for the digest
+ */
+function rankingTable(title, rows, nameKey) {
+  if (rows.length === 0) return '';
+  const body = rows.map(row => `
+      <tr>
+        <td style="padding: 6px 0; color: #1f2937; font-size: 14px;">${escapeHtml(row[nameKey])}</td>
+        <td style="padding: 6px 0; color: #6b7280; font-size: 14px; text-align: right;">${row.count} booking${row.count === 1 ? '' : 's'}</td>
+        <td style="padding: 6px 0; color: #1f2937; font-size: 14px; font-weight: 500; text-align: right; width: 100px;">${formatPrice(row.revenue)}</td>
+      </tr>
+  `).join('');
+
+  return `
+    <h3 style="margin: 0 0 10px; color: #1f2937; font-size: 16px;">${title}</h3>
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="margin-bottom: 25px;">
+      ${body}
+    </table>
+  `;
+}
+
+// ============================================
+// ANALYTICS DIGEST EMAIL (admins)
+// ============================================
+function analyticsDigest(digest) {
+  const { frequency, startDate, endDate, summary, topServices, topTherapists } = digest;
+  const previous = summary.previousPeriod;
+  const title = frequency === 'daily' ? 'Daily Summary' : 'Weekly Summary';
+  const range = startDate === endDate
+    ? formatDate(startDate)
+    : `${formatDate(startDate)} – ${formatDate(endDate)}`;
+
+  const metricRow = (label, value, badge) => `
+    <tr>
+      <td style="padding: 8px 0; color: #6b7280; font-size: 14px;">${label}</td>
+      <td style="padding: 8px 0; color: #1f2937; font-size: 16px; font-weight: 600; text-align: right;">${value}</td>
+      <td style="padding: 8px 0; font-size: 13px; text-align: right; width: 110px;">${badge}</td>
+    </tr>
+  `;
+
+  const content = `
+    <h2 style="margin: 0 0 5px; color: #1f2937; font-size: 22px;">
+      ${title} 📊
+    </h2>
+    <p style="margin: 0 0 25px; color: #4b5563; font-size: 16px; line-height: 1.6;">
+      ${escapeHtml(range)}
+    </p>
+    
+    <!-- Headline metrics -->
+    <div style="background-color: #faf5ff; border: 1px solid #e9d5ff; border-radius: 8px; padding: 20px; margin-bottom: 25px;">
+      <table role="presentation" width="100%" cellspacing="0" cellpadding="0">
+        ${metricRow('Revenue', formatPrice(summary.totalRevenue), changeBadge(summary.totalRevenue, previous.totalRevenue))}
+        ${summary.totalDiscounts > 0 ? metricRow('After discounts', formatPrice(summary.netRevenue), changeBadge(summary.netRevenue, previous.netRevenue)) : ''}
+        ${metricRow('Bookings', summary.totalBookings, changeBadge(summary.totalBookings, previous.totalBookings))}
+        ${metricRow('Cancellation rate', `${summary.cancellationRate.toFixed(1)}%`, changeBadge(summary.cancellationRate, previous.cancellationRate, { invert: true, points: true }))}
+        ${metricRow('No-show rate', `${summary.noShowRate.toFixed(1)}%`, '')}
+        ${metricRow('New customers', summary.newCustomers, '')}
+      </table>
+    </div>
+    
+    ${rankingTable('Top services', topServices, 'service_name')}
+    ${rankingTable('Top therapists', topTherapists, 'therapist_name')}
+    
+    <p style="margin: 0; color: #6b7280; font-size: 13px; line-height: 1.6;">
+      Changes compare with the previous ${frequency === 'daily' ? 'day' : '7 days'}.
+      Open the admin dashboard for the full breakdown.
+    </p>
+  `;
+
+  return baseTemplate(content, `${title}: ${formatPrice(summary.totalRevenue)} from ${summary.totalBookings} bookings`);
+}
+
 export {
   bookingConfirmation,
   bookingReminder,
   bookingCancellation,
+  bookingRescheduled,
+  waitlistOffer,
+  membershipRenewalDue,
+  analyticsDigest,
   formatDate,
   formatTime,
   formatPrice,
@@ -2,8 +2,36 @@
  * Date and Time Utility Functions
  * 
  * Handles time calculations for booking reservations
+ *
+ * Booking dates and times (booking_date, start_time, slot_date...) are
+ * wall-clock values in the spa's timezone (TIMEZONE, default UTC).
+ * Timestamps (created_at, reservation_expires_at...) are UTC instants.
+ * Convert between the two only through the helpers below, never through
+ * the server's local time.
  */
 
+let warnedTimeZone = null
+
+/**
+ * The spa's configured IANA timezone (TIMEZONE), falling back to UTC
+ * when unset or not recognised
+ *
+ * Example: getBusinessTimeZone() → "Europe/London"
+ */
+export function getBusinessTimeZone() {
+  const timeZone = process.env.TIMEZONE || 'UTC'
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return timeZone
+  } catch {
+    if (warnedTimeZone !== timeZone) {
+      console.error(`[TIMEZONE] Invalid TIMEZONE "${timeZone}", using UTC`)
+      warnedTimeZone = timeZone
+    }
+    return 'UTC'
+  }
+}
+
 /**
  * Add minutes to current date and return ISO string
  * Used for setting reservation expiry times
@@ -44,9 +72,124 @@ export function getTimeDuration(startTime, endTime) {
 
 /**
  * Format date to YYYY-MM-DD (for database DATE columns)
+ * Uses the calendar date in the spa's timezone, so formatDate(new Date())
+ * is the spa's "today" whatever the server clock's zone
  * 
  * Example: formatDate(new Date()) → "2026-01-31"
  */
-export function formatDate(date) {
+export function formatDate(date, timeZone = getBusinessTimeZone()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date)
+
+  const get = type => parts.find(p => p.type === type).value
+  return `${get('year')}-${get('month')}-${get('day')}`
+}
+
+/**
+ * Add days to a YYYY-MM-DD date string
+ * Uses UTC arithmetic so the result never shifts with the server timezone
+ *
+ * Example: addDaysToDate("2026-01-31", 1) → "2026-02-01"
+ */
+export function addDaysToDate(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + days)
   return date.toISOString().split('T')[0]
-}
\ No newline at end of file
+}
+
+/**
+ * Day of week for a YYYY-MM-DD date string (0 = Sunday, 6 = Saturday)
+ *
+ * Example: getDayOfWeek("2026-01-31") → 6
+ */
+export function getDayOfWeek(dateString) {
+  return new Date(`${dateString}T00:00:00Z`).getUTCDay()
+}
+
+/**
+ * Number of days from one YYYY-MM-DD date to another
+ *
+ * Example: daysBetween("2026-01-01", "2026-01-31") → 30
+ */
+export function daysBetween(fromDate, toDate) {
+  return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / (1000 * 60 * 60 * 24))
+}
+
+/**
+ * Add minutes to a time string (HH:MM) and return HH:MM
+ *
+ * Example: addMinutesToTime("09:00", 90) → "10:30"
+ */
+export function addMinutesToTime(timeString, minutes) {
+  const [hour, min] = timeString.split(':').map(Number)
+  const total = hour * 60 + min + minutes
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ *
+ * Example: getTimeZoneOffset(Date.UTC(2026, 0, 15), "America/New_York") → -18000000
+ */
+export function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp))
+
+  const get = type => Number(parts.find(p => p.type === type).value)
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'))
+
+  return asUtc - Math.floor(timestamp / 1000) * 1000
+}
+
+/**
+ * Convert a wall-clock date + time in a timezone to a UTC Date
+ * Defaults to the spa's TIMEZONE setting
+ *
+ * Around DST changes: a time repeated when clocks go back resolves to its
+ * first occurrence; a time skipped when clocks go forward is moved
+ * forward by the gap (02:30 on a 02:00→03:00 night becomes 03:30).
+ *
+ * Example: zonedTimeToUtc("2026-07-01", "10:00", "Europe/London") → 2026-07-01T09:00:00.000Z
+ */
+export function zonedTimeToUtc(dateString, timeString, timeZone = getBusinessTimeZone()) {
+  const [year, month, day] = dateString.split('-').map(Number)
+  const [hour, minute, second = 0] = timeString.split(':').map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second)
+
+  // Offsets in force either side of any change near this time
+  const halfDay = 12 * 60 * 60 * 1000
+  const offsetBefore = getTimeZoneOffset(wallClock - halfDay, timeZone)
+  const offsetAfter = getTimeZoneOffset(wallClock + halfDay, timeZone)
+
+  // A candidate is real when the zone actually uses that offset at that instant
+  const candidates = [wallClock - offsetBefore, wallClock - offsetAfter]
+    .filter(instant => getTimeZoneOffset(instant, timeZone) === wallClock - instant)
+
+  return new Date(candidates.length > 0 ? Math.min(...candidates) : wallClock - offsetBefore)
+}
+
+/**
+ * UTC bounds of whole spa-local days, for filtering timestamp columns
+ * Returns { from, to } as ISO strings; use gte(from) and lt(to)
+ *
+ * Example: getUtcRangeForDates("2026-03-29", "2026-03-29", "Europe/London")
+ *   → { from: "2026-03-29T00:00:00.000Z", to: "2026-03-29T23:00:00.000Z" }
+ */
+export function getUtcRangeForDates(startDate, endDate, timeZone = getBusinessTimeZone()) {
+  return {
+    from: zonedTimeToUtc(startDate, '00:00', timeZone).toISOString(),
+    to: zonedTimeToUtc(addDaysToDate(endDate, 1), '00:00', timeZone).toISOString()
+  }
+}
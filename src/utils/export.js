@@ -0,0 +1,93 @@
+/**
+ * Spreadsheet Export Utility Functions
+ *
+ * Streams rows straight to the HTTP response as CSV or XLSX, so exports
+ * never hold the full result set in memory.
+ *
+ * Usage:
+ *   const writer = createExportWriter(res, { format: 'csv', filename: 'bookings', columns })
+ *   await writer.writeRow(row)
+ *   await writer.end()
+ *
+ * columns: [{ key, header }] — key is read from each row object
+ */
+
+import ExcelJS from 'exceljs'
+import { formatDate } from './dateTime.js'
+
+export const EXPORT_FORMATS = ['csv', 'xlsx']
+
+/**
+ * Escape one CSV cell (RFC 4180). Cells that a spreadsheet would run as a
+ * formula (=, +, -, @) are prefixed with ' to block formula injection.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  let text = String(value)
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Write to the response, waiting for the socket to drain when its buffer is full
+ */
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve()
+  return new Promise(resolve => res.once('drain', resolve))
+}
+
+function createCsvWriter(res, columns) {
+  let started = false
+
+  return {
+    async writeRow(row) {
+      if (!started) {
+        started = true
+        await writeChunk(res, `${columns.map(c => csvCell(c.header)).join(',')}\r\n`)
+      }
+      await writeChunk(res, `${columns.map(c => csvCell(row[c.key])).join(',')}\r\n`)
+    },
+    async end() {
+      if (!started) {
+        res.write(`${columns.map(c => csvCell(c.header)).join(',')}\r\n`)
+      }
+      res.end()
+    }
+  }
+}
+
+function createXlsxWriter(res, columns, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false })
+  const sheet = workbook.addWorksheet(sheetName)
+  sheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: Math.max(12, c.header.length + 2) }))
+
+  return {
+    async writeRow(row) {
+      sheet.addRow(Object.fromEntries(columns.map(c => [c.key, row[c.key] ?? null]))).commit()
+    },
+    async end() {
+      sheet.commit()
+      await workbook.commit()
+    }
+  }
+}
+
+/**
+ * Set download headers and return a row writer for the chosen format
+ * filename is used without extension; the date of export is appended
+ */
+export function createExportWriter(res, { format, filename, columns, sheetName = 'Export' }) {
+  const fullName = `${filename}-${formatDate(new Date())}.${format}`
+
+  res.status(200)
+  res.set('Content-Disposition', `attachment; filename="${fullName}"`)
+  res.set('Cache-Control', 'no-store')
+
+  if (format === 'xlsx') {
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+    return createXlsxWriter(res, columns, sheetName)
+  }
+
+  res.set('Content-Type', 'text/csv; charset=utf-8')
+  return createCsvWriter(res, columns)
+}
@@ -0,0 +1,144 @@
+/**
+ * iCalendar (RFC 5545) Utility Functions
+ *
+ * Builds .ics content for booking emails and calendar feeds
+ */
+import { zonedTimeToUtc } from './dateTime.js'
+
+const PRODUCT_ID = '-//Serenity Spa//Booking System//EN'
+
+/**
+ * Escape TEXT values (RFC 5545 §3.3.11)
+ *
+ * Example: escapeText("Hot stone, 60 min") → "Hot stone\, 60 min"
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Fold lines longer than 75 octets (RFC 5545 §3.1)
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8')
+  if (bytes.length <= 75) return line
+
+  const chunks = []
+  let current = ''
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74 // continuation lines start with a space
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      chunks.push(current)
+      current = ''
+    }
+    current += char
+  }
+  chunks.push(current)
+  return chunks.join('\r\n ')
+}
+
+/**
+ * Format a Date as UTC date-time (YYYYMMDDTHHMMSSZ)
+ *
+ * Example: formatUtc(new Date("2026-01-31T14:30:00Z")) → "20260131T143000Z"
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Stable UID for a booking, so updates and cancellations replace the same event
+ *
+ * Example: bookingUid("123e4567-...") → "booking-123e4567-...@serenity-spa"
+ */
+export function bookingUid(bookingId) {
+  return `booking-${bookingId}@${process.env.ICAL_UID_DOMAIN || 'serenity-spa'}`
+}
+
+/**
+ * SEQUENCE for a booking's event
+ *
+ * bookings.calendar_sequence is bumped by the database whenever the
+ * appointment moves. A cancellation is one revision past the last move.
+ *
+ * Example: bookingSequence({ calendar_sequence: 2 }, true) → 3
+ */
+function bookingSequence(booking, cancelled) {
+  return (booking.calendar_sequence || 0) + (cancelled ? 1 : 0)
+}
+
+/**
+ * Build a VEVENT for a booking
+ *
+ * audience: 'customer' or 'therapist' — controls the summary wording
+ * cancelled: mark the event as cancelled (used with METHOD:CANCEL)
+ */
+export function bookingEvent(booking, { audience = 'customer', cancelled = false } = {}) {
+  const spaName = process.env.SPA_NAME || 'Serenity Spa'
+  const start = zonedTimeToUtc(booking.booking_date, booking.start_time, booking.location_timezone)
+  const end = zonedTimeToUtc(booking.booking_date, booking.end_time, booking.location_timezone)
+
+  const summary = audience === 'therapist'
+    ? `${booking.service_name} - ${booking.customer_name || 'Customer'}`
+    : `${booking.service_name} at ${spaName}`
+
+  const description = audience === 'therapist'
+    ? [booking.notes && `Notes: ${booking.notes}`].filter(Boolean).join('\n')
+    : [booking.therapist_name && `Therapist: ${booking.therapist_name}`, 'Please arrive 10 minutes early.'].filter(Boolean).join('\n')
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${bookingUid(booking.id)}`,
+    `SEQUENCE:${bookingSequence(booking, cancelled)}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    (booking.location_address || process.env.SPA_ADDRESS) && `LOCATION:${escapeText(booking.location_address || process.env.SPA_ADDRESS)}`,
+    process.env.SENDGRID_FROM_EMAIL && `ORGANIZER;CN=${escapeText(spaName)}:mailto:${process.env.SENDGRID_FROM_EMAIL}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  ]
+
+  return lines.filter(Boolean)
+}
+
+/**
+ * Wrap events in a VCALENDAR and serialize with CRLF line endings
+ *
+ * method: 'REQUEST' / 'CANCEL' for email attachments, 'PUBLISH' for feeds
+ */
+export function buildCalendar(events, { method = 'PUBLISH', name } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ]
+
+  return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * Build a single-event .ics email attachment (SendGrid format)
+ */
+export function bookingIcsAttachment(booking, { audience = 'customer', cancelled = false } = {}) {
+  const method = cancelled ? 'CANCEL' : 'REQUEST'
+  const ics = buildCalendar([bookingEvent(booking, { audience, cancelled })], { method })
+
+  return {
+    content: Buffer.from(ics, 'utf8').toString('base64'),
+    filename: cancelled ? 'cancellation.ics' : 'appointment.ics',
+    type: `text/calendar; charset=utf-8; method=${method}`,
+    disposition: 'attachment'
+  }
+}
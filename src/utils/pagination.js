@@ -0,0 +1,204 @@
+/**
+ * Cursor Pagination Utility Functions
+ *
+ * Keyset pagination for list endpoints: rows are ordered by a sort key
+ * plus id as a tiebreaker, and the cursor carries the last row's values.
+ * Unlike offsets, pages stay stable while rows are inserted or removed.
+ *
+ * Query params handled:
+ * - limit: page size (default 25, max 100)
+ * - sort: one of the endpoint's sort keys
+ * - order: asc | desc
+ * - cursor: next_cursor from the previous page
+ * - fields: comma-separated columns / relations to return
+ */
+
+import { parseIntSafe } from './validation.js'
+
+/**
+ * Encode the last row's sort values as an opaque cursor
+ */
+function encodeCursor(sort, order, values) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: values })).toString('base64url')
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    return Array.isArray(decoded?.v) ? decoded : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Quote a value for use inside a PostgREST or() filter
+ */
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+}
+
+/**
+ * Parse and validate list query params
+ *
+ * options:
+ * - sortKeys: { key: [columns...] } — columns to order by for each sort key
+ * - defaultSort / defaultOrder
+ * - fields: { name: selectFragment } — projectable columns and relations
+ * - defaultFields: names returned when ?fields is not given
+ *
+ * Returns { error } or { limit, sort, order, columns, cursorValues, select }
+ */
+export function parseListParams(query, { sortKeys, defaultSort, defaultOrder = 'desc', fields, defaultFields }) {
+  const limit = parseIntSafe(query.limit, 25, 1, 100)
+  const sort = query.sort || defaultSort
+  const order = query.order || defaultOrder
+
+  if (!sortKeys[sort]) {
+    return { error: `Invalid sort. Must be one of: ${Object.keys(sortKeys).join(', ')}` }
+  }
+
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Invalid order. Must be asc or desc' }
+  }
+
+  const columns = [...sortKeys[sort], 'id']
+
+  let cursorValues = null
+  if (query.cursor) {
+    const decoded = decodeCursor(query.cursor)
+    if (!decoded || decoded.v.length !== columns.length) {
+      return { error: 'Invalid cursor' }
+    }
+    if (decoded.s !== sort || decoded.o !== order) {
+      return { error: 'Cursor does not match the requested sort and order' }
+    }
+    cursorValues = decoded.v
+  }
+
+  const requested = query.fields
+    ? query.fields.split(',').map(f => f.trim()).filter(Boolean)
+    : defaultFields
+
+  const unknown = requested.filter(f => !fields[f])
+  if (unknown.length > 0) {
+    return { error: `Invalid fields: ${unknown.join(', ')}. Allowed: ${Object.keys(fields).join(', ')}` }
+  }
+
+  // Sort columns are always selected so the next cursor can be built
+  const selected = requested.includes('*') ? requested : [...new Set([...columns, ...requested])]
+  const select = selected.map(f => fields[f] || f).join(',\n')
+
+  return { limit, sort, order, columns, cursorValues, select }
+}
+
+/**
+ * Condition for rows after `value` in one sort column, or null if none can be
+ *
+ * Nulls sort as Postgres sorts them by default (last ascending, first
+ * descending), so the list indexes still serve the ORDER BY.
+ */
+function afterValue(column, value, ascending) {
+  if (ascending) {
+    return value === null ? null : `or(${column}.gt.${quote(value)},${column}.is.null)`
+  }
+  return value === null ? `${column}.not.is.null` : `${column}.lt.${quote(value)}`
+}
+
+function equalsValue(column, value) {
+  return value === null ? `${column}.is.null` : `${column}.eq.${quote(value)}`
+}
+
+/**
+ * Apply ordering and the cursor position to a query
+ *
+ * `or` is the caller's own or() filter, if any. A query takes only one
+ * or(), so it is combined with the cursor condition here.
+ */
+export function applyKeyset(query, { order, columns, cursorValues, or = null }) {
+  const ascending = order === 'asc'
+  let filter = or
+
+  if (cursorValues) {
+    // (a, b, id) after (x, y, z):  a > x  OR  (a = x AND b > y)  OR  (a = x AND b = y AND id > z)
+    const conditions = []
+    columns.forEach((column, i) => {
+      const comparison = afterValue(column, cursorValues[i], ascending)
+      if (!comparison) return
+      const equalities = columns.slice(0, i).map((prev, j) => equalsValue(prev, cursorValues[j]))
+      conditions.push(equalities.length > 0 ? `and(${[...equalities, comparison].join(',')})` : comparison)
+    })
+    filter = or ? `and(or(${or}),or(${conditions.join(',')}))` : conditions.join(',')
+  }
+
+  if (filter) {
+    query = query.or(filter)
+  }
+
+  for (const column of columns) {
+    query = query.order(column, { ascending })
+  }
+
+  return query
+}
+
+/**
+ * Apply ordering, the cursor position and the page size to a query
+ * Fetches one extra row to tell whether another page exists (`or`: see applyKeyset)
+ */
+export function applyPage(query, { limit, order, columns, cursorValues, or }) {
+  return applyKeyset(query, { order, columns, cursorValues, or }).limit(limit + 1)
+}
+
+/**
+ * Trim the extra row and build the pagination envelope
+ */
+export function buildPage(rows, { limit, sort, order, columns }) {
+  const hasMore = rows.length > limit
+  const items = hasMore ? rows.slice(0, limit) : rows
+  const last = items[items.length - 1]
+
+  return {
+    items,
+    pagination: {
+      limit,
+      sort,
+      order,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(sort, order, columns.map(c => last[c])) : null
+    }
+  }
+}
+
+/**
+ * Iterate over every row of a query in keyset-ordered batches
+ *
+ * buildQuery must return a fresh, filtered query each call (query builders
+ * are single-use) and use no or() filter of its own (see applyKeyset). Only one batch is held in memory at a time. Batches stay
+ * under PostgREST's max-rows cap (1000 by default), which would otherwise
+ * silently truncate them; a short batch means there are no more rows.
+ *
+ * Example:
+ *   for await (const row of iterateRows(() => supabase.from('bookings').select('*'), { columns: ['booking_date'] })) { ... }
+ */
+export async function* iterateRows(buildQuery, { columns, order = 'asc', batchSize = 500 }) {
+  const keyColumns = [...columns, 'id']
+  let cursorValues = null
+
+  while (true) {
+    const { data: rows, error } = await applyKeyset(buildQuery(), {
+      order,
+      columns: keyColumns,
+      cursorValues
+    }).limit(batchSize)
+
+    if (error) throw error
+
+    for (const row of rows) yield row
+
+    if (rows.length < batchSize) return
+
+    const last = rows[rows.length - 1]
+    cursorValues = keyColumns.map(c => last[c])
+  }
+}
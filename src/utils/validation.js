@@ -35,6 +35,17 @@ export function isValidDateFormat(str) {
   )
 }
 
+/**
+ * Validate time format (HH:MM or HH:MM:SS, 24-hour)
+ *
+ * Example: isValidTimeFormat("09:30") → true
+ * Example: isValidTimeFormat("25:00") → false
+ */
+export function isValidTimeFormat(str) {
+  if (typeof str !== 'string') return false
+  return /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(str)
+}
+
 /**
  * Safely parse integer with bounds checking
  *
@@ -47,3 +58,19 @@ export function parseIntSafe(value, defaultVal, min = 0, max = Infinity) {
   if (isNaN(parsed)) return defaultVal
   return Math.max(min, Math.min(max, parsed))
 }
+
+/**
+ * Validate an IANA timezone name
+ *
+ * Example: isValidTimeZone("Europe/London") → true
+ * Example: isValidTimeZone("Mars/Olympus") → false
+ */
+export function isValidTimeZone(str) {
+  if (typeof str !== 'string' || str.length === 0) return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: str })
+    return true
+  } catch {
+    return false
+  }
+}
@@ -0,0 +1,6 @@
+-- Therapist management: allow admins to deactivate therapists without
+-- deleting them (bookings keep their therapist_id foreign key).
+alter table public.therapists
+  add column if not exists is_active boolean not null default true;
+
+create index if not exists therapists_user_id_idx on public.therapists (user_id);
@@ -0,0 +1,23 @@
+-- Recurring weekly availability templates. The slot generation job expands
+-- these into time_slots rows for a rolling window.
+create table if not exists public.therapist_availability (
+  id uuid primary key default gen_random_uuid(),
+  therapist_id uuid not null references public.therapists (id) on delete cascade,
+  day_of_week smallint not null check (day_of_week between 0 and 6), -- 0 = Sunday
+  start_time time not null,
+  end_time time not null,
+  slot_minutes integer not null default 60 check (slot_minutes between 15 and 240),
+  created_at timestamptz not null default now(),
+  check (start_time < end_time)
+);
+
+create index if not exists therapist_availability_therapist_idx
+  on public.therapist_availability (therapist_id);
+
+-- Read and written through the API only (service role bypasses RLS)
+alter table public.therapist_availability enable row level security;
+
+-- Lets the generator insert with ON CONFLICT DO NOTHING so re-runs never
+-- duplicate or modify an existing slot.
+create unique index if not exists time_slots_therapist_date_start_key
+  on public.time_slots (therapist_id, slot_date, start_time);
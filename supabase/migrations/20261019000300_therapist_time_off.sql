@@ -0,0 +1,21 @@
+-- Therapist time off (vacation, sick days, partial-day blocks).
+-- A block runs from (start_date, start_time) to (end_date, end_time);
+-- a null start_time means start of day, a null end_time means end of day.
+create table if not exists public.therapist_time_off (
+  id uuid primary key default gen_random_uuid(),
+  therapist_id uuid not null references public.therapists (id) on delete cascade,
+  type text not null default 'other' check (type in ('vacation', 'sick', 'personal', 'other')),
+  start_date date not null,
+  end_date date not null,
+  start_time time,
+  end_time time,
+  reason text,
+  created_by uuid references public.profiles (id),
+  created_at timestamptz not null default now(),
+  check (start_date <= end_date)
+);
+
+create index if not exists therapist_time_off_range_idx
+  on public.therapist_time_off (therapist_id, start_date, end_date);
+
+alter table public.therapist_time_off enable row level security;
@@ -0,0 +1,9 @@
+-- Payment provider integration: link each booking to its payment intent.
+-- payment_status moves pending → paid (webhook) or failed / voided.
+alter table public.bookings
+  add column if not exists payment_provider text,
+  add column if not exists payment_intent_id text;
+
+create unique index if not exists bookings_payment_intent_id_key
+  on public.bookings (payment_intent_id)
+  where payment_intent_id is not null;
@@ -0,0 +1,13 @@
+-- Cancellation policy engine: optional per-service rules and the refund
+-- outcome recorded on each cancelled booking.
+alter table public.services
+  add column if not exists cancellation_policy jsonb;
+
+alter table public.bookings
+  add column if not exists refund_percent numeric(5, 2),
+  add column if not exists refund_amount numeric(10, 2),
+  add column if not exists cancellation_fee numeric(10, 2),
+  add column if not exists refund_status text
+    check (refund_status in ('not_applicable', 'pending', 'refunded', 'failed')),
+  add column if not exists refund_id text,
+  add column if not exists refunded_at timestamptz;
@@ -0,0 +1,4 @@
+-- Customer self-service rescheduling: track how often a booking was moved
+-- by its customer so MAX_CUSTOMER_RESCHEDULES can be enforced.
+alter table public.bookings
+  add column if not exists reschedule_count integer not null default 0;
@@ -0,0 +1,17 @@
+-- Delivery record for booking notification emails.
+create table if not exists public.notification_log (
+  id uuid primary key default gen_random_uuid(),
+  booking_id uuid references public.bookings (id) on delete cascade,
+  type text not null,            -- e.g. 'rescheduled'
+  recipient_type text not null check (recipient_type in ('customer', 'therapist', 'admin')),
+  recipient_email text,
+  delivered boolean not null,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notification_log_booking_idx
+  on public.notification_log (booking_id, created_at);
+
+-- Written by the API only (service role bypasses RLS)
+alter table public.notification_log enable row level security;
@@ -0,0 +1,40 @@
+-- Secret tokens for subscribable iCal feeds (one active token per profile).
+create table if not exists public.calendar_feed_tokens (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles (id) on delete cascade,
+  token text not null unique,
+  created_at timestamptz not null default now(),
+  revoked_at timestamptz
+);
+
+create unique index if not exists calendar_feed_tokens_active_profile_key
+  on public.calendar_feed_tokens (profile_id)
+  where revoked_at is null;
+
+-- Looked up by token through the API only (service role bypasses RLS)
+alter table public.calendar_feed_tokens enable row level security;
+
+-- iCal SEQUENCE for a booking's event. Emails and the feed both read it,
+-- so a calendar client sees the same revision from either source. Bumped
+-- whenever the appointment time changes, whoever moved it.
+alter table public.bookings
+  add column if not exists calendar_sequence integer not null default 0;
+
+create or replace function public.bump_booking_calendar_sequence()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.booking_date is distinct from old.booking_date
+     or new.start_time is distinct from old.start_time
+     or new.end_time is distinct from old.end_time then
+    new.calendar_sequence := old.calendar_sequence + 1;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists bookings_bump_calendar_sequence on public.bookings;
+create trigger bookings_bump_calendar_sequence
+  before update on public.bookings
+  for each row execute function public.bump_booking_calendar_sequence();
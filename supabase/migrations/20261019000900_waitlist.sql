@@ -0,0 +1,26 @@
+-- Waitlist: customers queue for a service within a date range (optionally a
+-- specific therapist). When a matching slot is freed, the first waiting
+-- customer gets an exclusive hold — a pending booking with an expiry.
+create table if not exists public.waitlist_entries (
+  id uuid primary key default gen_random_uuid(),
+  customer_id uuid not null references public.profiles (id) on delete cascade,
+  service_id uuid not null references public.services (id),
+  therapist_id uuid references public.therapists (id),
+  start_date date not null,
+  end_date date not null,
+  status text not null default 'waiting'
+    check (status in ('waiting', 'offered', 'claimed', 'expired', 'cancelled')),
+  offered_slot_id uuid references public.time_slots (id) on delete set null,
+  offer_expires_at timestamptz,
+  created_at timestamptz not null default now(),
+  check (start_date <= end_date)
+);
+
+create index if not exists waitlist_entries_queue_idx
+  on public.waitlist_entries (status, start_date, end_date, created_at);
+
+-- Read and written through the API only (service role bypasses RLS)
+alter table public.waitlist_entries enable row level security;
+
+alter table public.bookings
+  add column if not exists waitlist_entry_id uuid references public.waitlist_entries (id) on delete set null;
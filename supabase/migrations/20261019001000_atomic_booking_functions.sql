@@ -0,0 +1,168 @@
+-- Atomic booking state changes. Each function runs in a single transaction
+-- and takes the slot with a conditional update, so two requests can never
+-- hold the same slot. Losing a race raises SQLSTATE PT409, which PostgREST
+-- returns as HTTP 409 and the API surfaces as a conflict.
+
+-- Last line of defence: one live booking per slot.
+create unique index if not exists bookings_active_time_slot_key
+  on public.bookings (time_slot_id)
+  where status in ('pending', 'confirmed');
+
+-- Take an available slot and create the PENDING booking on it.
+-- p_booking carries the service snapshot and hold details; the date and
+-- times always come from the locked slot row. A waitlist_entry_id marks the
+-- booking as a waitlist hold and moves that entry to 'offered'.
+create or replace function public.reserve_time_slot(p_time_slot_id uuid, p_booking jsonb)
+returns public.bookings
+language plpgsql
+as $$
+declare
+  v_slot public.time_slots;
+  v_booking public.bookings;
+begin
+  update public.time_slots
+     set is_available = false
+   where id = p_time_slot_id
+     and therapist_id = (p_booking->>'therapist_id')::uuid
+     and is_available = true
+  returning * into v_slot;
+
+  if not found then
+    raise exception 'Time slot is no longer available' using errcode = 'PT409';
+  end if;
+
+  insert into public.bookings (
+    customer_id, service_id, therapist_id, time_slot_id,
+    booking_date, start_time, end_time,
+    service_name, service_price, service_duration,
+    status, reservation_expires_at, payment_status, payment_amount,
+    notes, waitlist_entry_id
+  ) values (
+    (p_booking->>'customer_id')::uuid,
+    (p_booking->>'service_id')::uuid,
+    v_slot.therapist_id,
+    v_slot.id,
+    v_slot.slot_date,
+    v_slot.start_time,
+    v_slot.end_time,
+    p_booking->>'service_name',
+    (p_booking->>'service_price')::numeric,
+    (p_booking->>'service_duration')::integer,
+    'pending',
+    (p_booking->>'reservation_expires_at')::timestamptz,
+    'pending',
+    (p_booking->>'payment_amount')::numeric,
+    p_booking->>'notes',
+    (p_booking->>'waitlist_entry_id')::uuid
+  )
+  returning * into v_booking;
+
+  if v_booking.waitlist_entry_id is not null then
+    update public.waitlist_entries
+       set status = 'offered',
+           offered_slot_id = v_slot.id,
+           offer_expires_at = v_booking.reservation_expires_at
+     where id = v_booking.waitlist_entry_id
+       and status = 'waiting';
+
+    if not found then
+      raise exception 'Waitlist entry is no longer waiting' using errcode = 'PT409';
+    end if;
+  end if;
+
+  return v_booking;
+end;
+$$;
+
+-- Cancel a booking and free its slot. Only succeeds while the booking is
+-- still in one of p_from_statuses, so concurrent cancels can't both run.
+-- status is compared as text so this works whether it is an enum or text.
+create or replace function public.cancel_booking(
+  p_booking_id uuid,
+  p_from_statuses text[] default array['pending', 'confirmed']
+)
+returns public.bookings
+language plpgsql
+as $$
+declare
+  v_booking public.bookings;
+begin
+  update public.bookings
+     set status = 'cancelled',
+         reservation_expires_at = null
+   where id = p_booking_id
+     and status::text = any (p_from_statuses)
+  returning * into v_booking;
+
+  if not found then
+    raise exception 'Booking was changed by another request' using errcode = 'PT409';
+  end if;
+
+  update public.time_slots
+     set is_available = true
+   where id = v_booking.time_slot_id;
+
+  return v_booking;
+end;
+$$;
+
+-- Move a booking to another slot of the same therapist. The booking row is
+-- locked first; p_expected_slot_id guards against a move that happened
+-- after the caller read the booking.
+create or replace function public.reschedule_booking(
+  p_booking_id uuid,
+  p_expected_slot_id uuid,
+  p_new_time_slot_id uuid,
+  p_count_reschedule boolean default false
+)
+returns public.bookings
+language plpgsql
+as $$
+declare
+  v_booking public.bookings;
+  v_slot public.time_slots;
+begin
+  select * into v_booking
+    from public.bookings
+   where id = p_booking_id
+   for update;
+
+  if not found
+     or v_booking.status not in ('pending', 'confirmed')
+     or v_booking.time_slot_id is distinct from p_expected_slot_id then
+    raise exception 'Booking was changed by another request' using errcode = 'PT409';
+  end if;
+
+  update public.time_slots
+     set is_available = false
+   where id = p_new_time_slot_id
+     and therapist_id = v_booking.therapist_id
+     and is_available = true
+  returning * into v_slot;
+
+  if not found then
+    raise exception 'New time slot is no longer available' using errcode = 'PT409';
+  end if;
+
+  update public.time_slots
+     set is_available = true
+   where id = v_booking.time_slot_id;
+
+  update public.bookings
+     set time_slot_id = v_slot.id,
+         booking_date = v_slot.slot_date,
+         start_time = v_slot.start_time,
+         end_time = v_slot.end_time,
+         reschedule_count = reschedule_count + case when p_count_reschedule then 1 else 0 end
+   where id = p_booking_id
+  returning * into v_booking;
+
+  return v_booking;
+end;
+$$;
+
+-- Called by the API with the service role only. Functions are executable by
+-- PUBLIC by default, which would let any client book or cancel directly.
+revoke execute on function public.reserve_time_slot(uuid, jsonb) from public, anon, authenticated;
+revoke execute on function public.cancel_booking(uuid, text[]) from public, anon, authenticated;
+revoke execute on function public.reschedule_booking(uuid, uuid, uuid, boolean) from public, anon, authenticated;
@@ -0,0 +1,32 @@
+-- Booking lifecycle: past bookings end as 'completed' or 'no_show'.
+-- bookings.status may be an enum or a text column with a check constraint
+-- depending on how the project was created; handle both.
+do $$
+declare
+  v_type text;
+begin
+  select udt_name into v_type
+    from information_schema.columns
+   where table_schema = 'public'
+     and table_name = 'bookings'
+     and column_name = 'status';
+
+  if exists (select 1 from pg_type where typname = v_type and typtype = 'e') then
+    execute format('alter type public.%I add value if not exists %L', v_type, 'no_show');
+  else
+    alter table public.bookings drop constraint if exists bookings_status_check;
+    alter table public.bookings
+      add constraint bookings_status_check
+      check (status in ('pending', 'confirmed', 'cancelled', 'completed', 'no_show'));
+  end if;
+end;
+$$;
+
+-- Who moved a booking to its final status, when and why.
+alter table public.bookings
+  add column if not exists status_reason text,
+  add column if not exists status_changed_by uuid references public.profiles (id) on delete set null,
+  add column if not exists status_changed_at timestamptz;
+
+create index if not exists bookings_status_date_idx
+  on public.bookings (status, booking_date);
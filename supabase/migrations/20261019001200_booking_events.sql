@@ -0,0 +1,37 @@
+-- Append-only audit trail of booking changes. booking_id and actor_id
+-- deliberately have no foreign keys: expired reservations are deleted by the
+-- cleanup job, profiles can be removed, and their history must outlive them
+-- unchanged (an ON DELETE action would have to update rows the trigger
+-- below forbids changing).
+create table if not exists public.booking_events (
+  id uuid primary key default gen_random_uuid(),
+  booking_id uuid not null,
+  event_type text not null,      -- e.g. 'created', 'cancelled', 'rescheduled', 'expired'
+  actor_id uuid,
+  actor_role text not null check (actor_role in ('customer', 'therapist', 'admin', 'system')),
+  before jsonb,
+  after jsonb,
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists booking_events_booking_idx
+  on public.booking_events (booking_id, created_at);
+
+-- Rows can be inserted, never changed or removed.
+create or replace function public.booking_events_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'booking_events is append-only';
+end;
+$$;
+
+drop trigger if exists booking_events_append_only on public.booking_events;
+create trigger booking_events_append_only
+  before update or delete on public.booking_events
+  for each row execute function public.booking_events_append_only();
+
+-- Written and read through the API only (service role bypasses RLS)
+alter table public.booking_events enable row level security;
@@ -0,0 +1,28 @@
+-- Stored responses for requests sent with an Idempotency-Key header.
+-- Keys are scoped per user; a retry with the same key and request gets
+-- the stored response instead of running the mutation again.
+create table if not exists public.idempotency_keys (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  idempotency_key text not null,
+  request_method text not null,
+  request_path text not null,
+  request_hash text not null,
+  status text not null default 'in_progress' check (status in ('in_progress', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  -- when the running request claimed the key; a stale in_progress row is
+  -- treated as abandoned and can be taken over by a retry
+  locked_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create unique index if not exists idempotency_keys_user_key
+  on public.idempotency_keys (user_id, idempotency_key);
+
+create index if not exists idempotency_keys_expires_idx
+  on public.idempotency_keys (expires_at);
+
+-- Read and written through the API only (service role bypasses RLS)
+alter table public.idempotency_keys enable row level security;
@@ -0,0 +1,49 @@
+-- Keyset pagination on the booking lists orders by the sort column plus id.
+create index if not exists bookings_date_start_id_idx
+  on public.bookings (booking_date, start_time, id);
+
+create index if not exists bookings_created_id_idx
+  on public.bookings (created_at, id);
+
+create index if not exists bookings_customer_date_idx
+  on public.bookings (customer_id, booking_date, start_time, id);
+
+-- Aggregate stats for the admin booking list, computed in the database
+-- instead of over the full list in the API. Filters match getAllBookings;
+-- null means "no filter".
+create or replace function public.booking_stats(
+  p_status text default null,
+  p_therapist_id uuid default null,
+  p_customer_id uuid default null,
+  p_start_date date default null,
+  p_end_date date default null
+)
+returns jsonb
+language sql
+stable
+as $$
+  with filtered as (
+    select status::text as status, service_price
+      from public.bookings
+     where (p_status is null or status::text = p_status)
+       and (p_therapist_id is null or therapist_id = p_therapist_id)
+       and (p_customer_id is null or customer_id = p_customer_id)
+       and (p_start_date is null or booking_date >= p_start_date)
+       and (p_end_date is null or booking_date <= p_end_date)
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from filtered),
+    'by_status', coalesce(
+      (select jsonb_object_agg(status, n) from (select status, count(*) as n from filtered group by status) s),
+      '{}'::jsonb
+    ),
+    'total_revenue', (
+      select coalesce(sum(service_price), 0)
+        from filtered
+       where status in ('confirmed', 'completed')
+    )
+  );
+$$;
+
+-- Called by the API with the service role only
+revoke execute on function public.booking_stats(text, uuid, uuid, date, date) from public, anon, authenticated;
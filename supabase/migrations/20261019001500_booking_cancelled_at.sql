@@ -0,0 +1,47 @@
+-- When a booking was cancelled, for cancellation lead-time analytics.
+alter table public.bookings
+  add column if not exists cancelled_at timestamptz;
+
+-- Backfill from the audit trail where we have it.
+update public.bookings b
+   set cancelled_at = e.created_at
+  from (
+    select booking_id, max(created_at) as created_at
+      from public.booking_events
+     where event_type = 'cancelled'
+     group by booking_id
+  ) e
+ where b.id = e.booking_id
+   and b.status = 'cancelled'
+   and b.cancelled_at is null;
+
+-- Same as before, now also stamping cancelled_at.
+create or replace function public.cancel_booking(
+  p_booking_id uuid,
+  p_from_statuses text[] default array['pending', 'confirmed']
+)
+returns public.bookings
+language plpgsql
+as $$
+declare
+  v_booking public.bookings;
+begin
+  update public.bookings
+     set status = 'cancelled',
+         reservation_expires_at = null,
+         cancelled_at = now()
+   where id = p_booking_id
+     and status::text = any (p_from_statuses)
+  returning * into v_booking;
+
+  if not found then
+    raise exception 'Booking was changed by another request' using errcode = 'PT409';
+  end if;
+
+  update public.time_slots
+     set is_available = true
+   where id = v_booking.time_slot_id;
+
+  return v_booking;
+end;
+$$;
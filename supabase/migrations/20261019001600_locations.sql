@@ -0,0 +1,139 @@
+-- Locations (branches). Each branch has its own address, weekly opening
+-- hours and IANA timezone; booking dates and times at a branch are
+-- wall-clock times in that timezone.
+create table if not exists public.locations (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  address_line1 text not null,
+  address_line2 text,
+  city text not null,
+  postal_code text,
+  country text,
+  phone text,
+  timezone text not null default 'UTC',
+  -- [{ "day_of_week": 1, "open": "09:00", "close": "18:00" }, ...] (0 = Sunday);
+  -- an empty list means no restriction
+  opening_hours jsonb not null default '[]'::jsonb,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Read and written through the API only (service role bypasses RLS)
+alter table public.locations enable row level security;
+
+-- Therapists work at one branch; services without a location are offered
+-- at every branch.
+alter table public.therapists
+  add column if not exists location_id uuid references public.locations (id);
+
+alter table public.services
+  add column if not exists location_id uuid references public.locations (id);
+
+-- Slots and bookings carry the branch so they can be filtered directly
+alter table public.time_slots
+  add column if not exists location_id uuid references public.locations (id);
+
+alter table public.bookings
+  add column if not exists location_id uuid references public.locations (id);
+
+create index if not exists therapists_location_idx on public.therapists (location_id);
+create index if not exists time_slots_location_date_idx on public.time_slots (location_id, slot_date);
+create index if not exists bookings_location_date_idx on public.bookings (location_id, booking_date);
+
+-- New slots default to their therapist's branch
+create or replace function public.time_slots_set_location()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.location_id is null then
+    select location_id into new.location_id
+      from public.therapists
+     where id = new.therapist_id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists time_slots_set_location on public.time_slots;
+create trigger time_slots_set_location
+  before insert on public.time_slots
+  for each row execute function public.time_slots_set_location();
+
+-- Bookings take the branch of their slot (covers reserve and reschedule)
+create or replace function public.bookings_set_location()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.time_slot_id is not null then
+    select location_id into new.location_id
+      from public.time_slots
+     where id = new.time_slot_id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists bookings_set_location on public.bookings;
+create trigger bookings_set_location
+  before insert or update of time_slot_id on public.bookings
+  for each row execute function public.bookings_set_location();
+
+-- Backfill slots and bookings of therapists that already have a branch
+-- (no-op on first run; safe to re-run)
+update public.time_slots s
+   set location_id = t.location_id
+  from public.therapists t
+ where s.therapist_id = t.id
+   and s.location_id is null
+   and t.location_id is not null;
+
+update public.bookings b
+   set location_id = s.location_id
+  from public.time_slots s
+ where b.time_slot_id = s.id
+   and b.location_id is null
+   and s.location_id is not null;
+
+-- Booking list stats gain the location filter
+drop function if exists public.booking_stats(text, uuid, uuid, date, date);
+
+create or replace function public.booking_stats(
+  p_status text default null,
+  p_therapist_id uuid default null,
+  p_customer_id uuid default null,
+  p_start_date date default null,
+  p_end_date date default null,
+  p_location_id uuid default null
+)
+returns jsonb
+language sql
+stable
+as $$
+  with filtered as (
+    select status::text as status, service_price
+      from public.bookings
+     where (p_status is null or status::text = p_status)
+       and (p_therapist_id is null or therapist_id = p_therapist_id)
+       and (p_customer_id is null or customer_id = p_customer_id)
+       and (p_start_date is null or booking_date >= p_start_date)
+       and (p_end_date is null or booking_date <= p_end_date)
+       and (p_location_id is null or location_id = p_location_id)
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from filtered),
+    'by_status', coalesce(
+      (select jsonb_object_agg(status, n) from (select status, count(*) as n from filtered group by status) s),
+      '{}'::jsonb
+    ),
+    'total_revenue', (
+      select coalesce(sum(service_price), 0)
+        from filtered
+       where status in ('confirmed', 'completed')
+    )
+  );
+$$;
+
+-- Called by the API with the service role only
+revoke execute on function public.booking_stats(text, uuid, uuid, date, date, uuid) from public, anon, authenticated;
@@ -0,0 +1,182 @@
+-- Admin-managed promo codes. A code takes a percentage or a fixed amount
+-- off the service price, within optional validity dates (spa-local,
+-- inclusive) and usage limits, for all services or a listed few.
+create table if not exists public.promo_codes (
+  id uuid primary key default gen_random_uuid(),
+  -- stored upper-case; customers may type it in any case
+  code text not null unique check (code = upper(code)),
+  description text,
+  discount_type text not null check (discount_type in ('percentage', 'fixed')),
+  discount_value numeric(10, 2) not null check (
+    discount_value > 0 and (discount_type <> 'percentage' or discount_value <= 100)
+  ),
+  valid_from date,
+  valid_until date,
+  max_uses integer check (max_uses > 0),
+  max_uses_per_customer integer check (max_uses_per_customer > 0),
+  -- null means every service
+  service_ids uuid[],
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  check (valid_from is null or valid_until is null or valid_from <= valid_until)
+);
+
+-- Read and written through the API only (service role bypasses RLS)
+alter table public.promo_codes enable row level security;
+
+-- Discount snapshot on the booking: service_price stays the list price,
+-- payment_amount is what the customer pays after discount_amount.
+alter table public.bookings
+  add column if not exists promo_code_id uuid references public.promo_codes (id),
+  add column if not exists promo_code text,
+  add column if not exists discount_amount numeric(10, 2) not null default 0;
+
+create index if not exists bookings_promo_code_idx
+  on public.bookings (promo_code_id, customer_id)
+  where promo_code_id is not null;
+
+-- Apply (p_promo_code_id set) or remove (null) a promo code on a live
+-- PENDING hold. The promo row is locked while its usage is counted, so two
+-- customers can't both take the last use. A redemption is any booking that
+-- still holds or used its slot: live holds, confirmed, completed, no-show.
+-- Any open checkout was for the old amount, so the intent is detached
+-- (the caller voids it once this has succeeded).
+create or replace function public.set_booking_promo_code(
+  p_booking_id uuid,
+  p_promo_code_id uuid,
+  p_discount_amount numeric default 0
+)
+returns public.bookings
+language plpgsql
+as $$
+declare
+  v_booking public.bookings;
+  v_promo public.promo_codes;
+  v_uses integer;
+begin
+  select * into v_booking
+    from public.bookings
+   where id = p_booking_id
+     and status::text = 'pending'
+     and reservation_expires_at > now()
+     for update;
+
+  if not found then
+    raise exception 'Booking was changed by another request' using errcode = 'PT409';
+  end if;
+
+  if p_promo_code_id is not null then
+    select * into v_promo
+      from public.promo_codes
+     where id = p_promo_code_id
+       and is_active
+       for update;
+
+    if not found then
+      raise exception 'Promo code is no longer available' using errcode = 'PT409';
+    end if;
+
+    if v_promo.max_uses is not null then
+      select count(*) into v_uses
+        from public.bookings
+       where promo_code_id = v_promo.id
+         and id <> v_booking.id
+         and (status::text in ('confirmed', 'completed', 'no_show')
+              or (status::text = 'pending' and reservation_expires_at > now()));
+
+      if v_uses >= v_promo.max_uses then
+        raise exception 'Promo code has reached its usage limit' using errcode = 'PT409';
+      end if;
+    end if;
+
+    if v_promo.max_uses_per_customer is not null then
+      select count(*) into v_uses
+        from public.bookings
+       where promo_code_id = v_promo.id
+         and customer_id = v_booking.customer_id
+         and id <> v_booking.id
+         and (status::text in ('confirmed', 'completed', 'no_show')
+              or (status::text = 'pending' and reservation_expires_at > now()));
+
+      if v_uses >= v_promo.max_uses_per_customer then
+        raise exception 'You have already used this promo code the maximum number of times' using errcode = 'PT409';
+      end if;
+    end if;
+  end if;
+
+  update public.bookings
+     set promo_code_id = v_promo.id,
+         promo_code = v_promo.code,
+         discount_amount = least(coalesce(p_discount_amount, 0), service_price),
+         payment_amount = service_price - least(coalesce(p_discount_amount, 0), service_price),
+         payment_provider = null,
+         payment_intent_id = null
+   where id = v_booking.id
+  returning * into v_booking;
+
+  return v_booking;
+end;
+$$;
+
+-- Redemptions per promo code, counted the same way as the limits above.
+create or replace function public.promo_code_usage(p_promo_code_ids uuid[])
+returns table (promo_code_id uuid, uses integer, discount_total numeric)
+language sql
+stable
+as $$
+  select promo_code_id,
+         count(*)::integer,
+         coalesce(sum(discount_amount), 0)
+    from public.bookings
+   where promo_code_id = any (p_promo_code_ids)
+     and (status::text in ('confirmed', 'completed', 'no_show')
+          or (status::text = 'pending' and reservation_expires_at > now()))
+   group by promo_code_id;
+$$;
+
+-- Booking list stats: total_revenue is now what customers pay after
+-- discounts (payment_amount); gross_revenue keeps the list-price total.
+create or replace function public.booking_stats(
+  p_status text default null,
+  p_therapist_id uuid default null,
+  p_customer_id uuid default null,
+  p_start_date date default null,
+  p_end_date date default null,
+  p_location_id uuid default null
+)
+returns jsonb
+language sql
+stable
+as $$
+  with filtered as (
+    select status::text as status, service_price, coalesce(payment_amount, service_price) as payment_amount
+      from public.bookings
+     where (p_status is null or status::text = p_status)
+       and (p_therapist_id is null or therapist_id = p_therapist_id)
+       and (p_customer_id is null or customer_id = p_customer_id)
+       and (p_start_date is null or booking_date >= p_start_date)
+       and (p_end_date is null or booking_date <= p_end_date)
+       and (p_location_id is null or location_id = p_location_id)
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from filtered),
+    'by_status', coalesce(
+      (select jsonb_object_agg(status, n) from (select status, count(*) as n from filtered group by status) s),
+      '{}'::jsonb
+    ),
+    'total_revenue', (
+      select coalesce(sum(payment_amount), 0)
+        from filtered
+       where status in ('confirmed', 'completed')
+    ),
+    'gross_revenue', (
+      select coalesce(sum(service_price), 0)
+        from filtered
+       where status in ('confirmed', 'completed')
+    )
+  );
+$$;
+
+-- Called by the API with the service role only
+revoke execute on function public.set_booking_promo_code(uuid, uuid, numeric) from public, anon, authenticated;
+revoke execute on function public.promo_code_usage(uuid[]) from public, anon, authenticated;
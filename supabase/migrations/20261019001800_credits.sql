@@ -0,0 +1,223 @@
+-- Prepaid credit: session packages ("5 massages") and gift cards.
+-- A credit account holds one balance — sessions for packages, money for
+-- gift cards — and every change to it is written to credit_ledger.
+
+-- Package catalog (admin-managed)
+create table if not exists public.credit_packages (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  description text,
+  session_count integer not null check (session_count > 0),
+  price numeric(10, 2) not null check (price >= 0),
+  -- null means every service
+  service_ids uuid[],
+  -- days a purchased package stays usable; null means no expiry
+  validity_days integer check (validity_days > 0),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.credit_accounts (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null check (kind in ('package', 'gift_card')),
+  -- owner; null for a gift card nobody has claimed yet
+  customer_id uuid references public.profiles (id),
+  purchased_by uuid references public.profiles (id),
+  package_id uuid references public.credit_packages (id),
+  name text not null,
+  -- gift card code, shared with the recipient
+  code text unique,
+  service_ids uuid[],
+  initial_balance numeric(10, 2) not null check (initial_balance > 0),
+  balance numeric(10, 2) not null default 0 check (balance >= 0),
+  validity_days integer check (validity_days > 0),
+  expires_at timestamptz,
+  -- pending until the purchase is paid (or the admin issue completes)
+  status text not null default 'pending' check (status in ('pending', 'active', 'void')),
+  purchase_price numeric(10, 2),
+  payment_provider text,
+  payment_intent_id text unique,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists credit_accounts_customer_idx on public.credit_accounts (customer_id, status);
+
+create table if not exists public.credit_ledger (
+  id uuid primary key default gen_random_uuid(),
+  account_id uuid not null references public.credit_accounts (id),
+  booking_id uuid references public.bookings (id) on delete set null,
+  entry_type text not null check (entry_type in ('purchase', 'issue', 'redeem', 'refund', 'adjust')),
+  change numeric(10, 2) not null,
+  balance_after numeric(10, 2) not null,
+  actor_id uuid,
+  actor_role text not null default 'system',
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists credit_ledger_account_idx on public.credit_ledger (account_id, created_at);
+
+-- Read and written through the API only (service role bypasses RLS)
+alter table public.credit_packages enable row level security;
+alter table public.credit_accounts enable row level security;
+alter table public.credit_ledger enable row level security;
+
+-- How a booking was paid when it wasn't through the payment provider:
+-- payment_method 'package' or 'gift_card', the account used and how much
+-- of its balance (sessions or money) was redeemed.
+alter table public.bookings
+  add column if not exists payment_method text,
+  add column if not exists credit_account_id uuid references public.credit_accounts (id),
+  add column if not exists credit_redeemed numeric(10, 2);
+
+-- Make a pending account usable: full balance, expiry counted from now,
+-- and the opening ledger entry ('purchase' or 'issue').
+create or replace function public.activate_credit_account(
+  p_account_id uuid,
+  p_entry_type text,
+  p_actor_id uuid default null,
+  p_actor_role text default 'system',
+  p_reason text default null
+)
+returns public.credit_accounts
+language plpgsql
+as $$
+declare
+  v_account public.credit_accounts;
+begin
+  update public.credit_accounts
+     set status = 'active',
+         balance = initial_balance,
+         expires_at = coalesce(expires_at, now() + make_interval(days => validity_days))
+   where id = p_account_id
+     and status = 'pending'
+  returning * into v_account;
+
+  if not found then
+    raise exception 'Credit account is not pending' using errcode = 'PT409';
+  end if;
+
+  insert into public.credit_ledger (account_id, entry_type, change, balance_after, actor_id, actor_role, reason)
+  values (v_account.id, p_entry_type, v_account.balance, v_account.balance, p_actor_id, p_actor_role, p_reason);
+
+  return v_account;
+end;
+$$;
+
+-- Add to (positive p_change) or take from an active account's balance,
+-- with its ledger entry. The balance can never go below zero.
+create or replace function public.adjust_credit_balance(
+  p_account_id uuid,
+  p_change numeric,
+  p_entry_type text,
+  p_booking_id uuid default null,
+  p_actor_id uuid default null,
+  p_actor_role text default 'system',
+  p_reason text default null
+)
+returns public.credit_ledger
+language plpgsql
+as $$
+declare
+  v_account public.credit_accounts;
+  v_entry public.credit_ledger;
+begin
+  select * into v_account
+    from public.credit_accounts
+   where id = p_account_id
+     and status = 'active'
+     for update;
+
+  if not found then
+    raise exception 'Credit account is not active' using errcode = 'PT409';
+  end if;
+
+  if v_account.balance + p_change < 0 then
+    raise exception 'Insufficient credit balance' using errcode = 'PT409';
+  end if;
+
+  update public.credit_accounts
+     set balance = balance + p_change
+   where id = v_account.id
+  returning * into v_account;
+
+  insert into public.credit_ledger (account_id, booking_id, entry_type, change, balance_after, actor_id, actor_role, reason)
+  values (v_account.id, p_booking_id, p_entry_type, p_change, v_account.balance, p_actor_id, p_actor_role, p_reason)
+  returning * into v_entry;
+
+  return v_entry;
+end;
+$$;
+
+-- Pay for a live PENDING hold from the customer's own credit account and
+-- confirm it, in one transaction. p_amount is in the account's unit.
+create or replace function public.redeem_credit_for_booking(
+  p_booking_id uuid,
+  p_account_id uuid,
+  p_amount numeric,
+  p_actor_id uuid default null,
+  p_actor_role text default 'system'
+)
+returns public.bookings
+language plpgsql
+as $$
+declare
+  v_booking public.bookings;
+  v_account public.credit_accounts;
+begin
+  select * into v_booking
+    from public.bookings
+   where id = p_booking_id
+     and status::text = 'pending'
+     and reservation_expires_at > now()
+     for update;
+
+  if not found then
+    raise exception 'Booking was changed by another request' using errcode = 'PT409';
+  end if;
+
+  select * into v_account
+    from public.credit_accounts
+   where id = p_account_id
+     and customer_id = v_booking.customer_id
+     and status = 'active'
+     and (expires_at is null or expires_at > now())
+     for update;
+
+  if not found then
+    raise exception 'Credit account is not available' using errcode = 'PT409';
+  end if;
+
+  if v_account.balance < p_amount then
+    raise exception 'Insufficient credit balance' using errcode = 'PT409';
+  end if;
+
+  update public.credit_accounts
+     set balance = balance - p_amount
+   where id = v_account.id
+  returning * into v_account;
+
+  insert into public.credit_ledger (account_id, booking_id, entry_type, change, balance_after, actor_id, actor_role, reason)
+  values (v_account.id, v_booking.id, 'redeem', -p_amount, v_account.balance, p_actor_id, p_actor_role,
+          'Booking ' || v_booking.service_name || ' on ' || v_booking.booking_date);
+
+  update public.bookings
+     set status = 'confirmed',
+         payment_status = 'paid',
+         payment_method = v_account.kind,
+         credit_account_id = v_account.id,
+         credit_redeemed = p_amount,
+         payment_provider = null,
+         payment_intent_id = null,
+         reservation_expires_at = null
+   where id = v_booking.id
+  returning * into v_booking;
+
+  return v_booking;
+end;
+$$;
+
+-- Called by the API with the service role only
+revoke execute on function public.activate_credit_account(uuid, text, uuid, text, text) from public, anon, authenticated;
+revoke execute on function public.adjust_credit_balance(uuid, numeric, text, uuid, uuid, text, text) from public, anon, authenticated;
+revoke execute on function public.redeem_credit_for_booking(uuid, uuid, numeric, uuid, text) from public, anon, authenticated;
@@ -0,0 +1,318 @@
+-- Memberships: a monthly fee buys a number of included sessions per
+-- period (granted as a 'membership' credit account that expires with the
+-- period), a discount on every booking and an earlier booking window.
+create table if not exists public.membership_tiers (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  description text,
+  monthly_fee numeric(10, 2) not null check (monthly_fee >= 0),
+  included_sessions integer not null default 0 check (included_sessions >= 0),
+  -- services the included sessions can be used for; null means every service
+  service_ids uuid[],
+  discount_percent numeric(5, 2) not null default 0 check (discount_percent between 0 and 100),
+  -- days members can book beyond the public booking window
+  priority_booking_days integer not null default 0 check (priority_booking_days >= 0),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.memberships (
+  id uuid primary key default gen_random_uuid(),
+  customer_id uuid not null references public.profiles (id),
+  tier_id uuid not null references public.membership_tiers (id),
+  -- pending until the first month is paid; past_due from the end of a
+  -- period until its renewal is paid (no member benefits meanwhile)
+  status text not null default 'pending' check (status in ('pending', 'active', 'past_due', 'cancelled')),
+  monthly_fee numeric(10, 2) not null,
+  current_period_start timestamptz,
+  current_period_end timestamptz,
+  cancel_at_period_end boolean not null default false,
+  -- the current period's included sessions
+  credit_account_id uuid references public.credit_accounts (id),
+  -- checkout for the sign-up or the renewal awaiting payment
+  payment_provider text,
+  payment_intent_id text unique,
+  started_at timestamptz,
+  cancelled_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- One live membership per customer
+create unique index if not exists memberships_one_live_per_customer
+  on public.memberships (customer_id)
+  where status in ('pending', 'active', 'past_due');
+
+create index if not exists memberships_renewal_idx
+  on public.memberships (current_period_end)
+  where status in ('active', 'past_due');
+
+-- Each paid period, for revenue reporting. payment_intent_id is the
+-- payment that started it (null for free tiers).
+create table if not exists public.membership_periods (
+  id uuid primary key default gen_random_uuid(),
+  membership_id uuid not null references public.memberships (id),
+  period_start timestamptz not null,
+  period_end timestamptz not null,
+  fee numeric(10, 2) not null,
+  credit_account_id uuid references public.credit_accounts (id),
+  payment_provider text,
+  payment_intent_id text unique,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists membership_periods_membership_idx on public.membership_periods (membership_id, period_start);
+
+-- Read and written through the API only (service role bypasses RLS)
+alter table public.membership_tiers enable row level security;
+alter table public.memberships enable row level security;
+alter table public.membership_periods enable row level security;
+
+-- Included sessions are credit accounts of kind 'membership', opened with
+-- a 'grant' ledger entry
+alter table public.credit_accounts drop constraint if exists credit_accounts_kind_check;
+alter table public.credit_accounts
+  add constraint credit_accounts_kind_check check (kind in ('package', 'gift_card', 'membership'));
+
+alter table public.credit_ledger drop constraint if exists credit_ledger_entry_type_check;
+alter table public.credit_ledger
+  add constraint credit_ledger_entry_type_check
+  check (entry_type in ('purchase', 'issue', 'grant', 'redeem', 'refund', 'adjust'));
+
+-- Member pricing snapshot on the booking. payment_amount is
+-- service_price - member_discount_amount - discount_amount (promo code).
+alter table public.bookings
+  add column if not exists membership_id uuid references public.memberships (id),
+  add column if not exists member_discount_amount numeric(10, 2) not null default 0;
+
+create index if not exists bookings_membership_idx
+  on public.bookings (membership_id)
+  where membership_id is not null;
+
+-- Same as before, now also storing the member pricing snapshot.
+create or replace function public.reserve_time_slot(p_time_slot_id uuid, p_booking jsonb)
+returns public.bookings
+language plpgsql
+as $$
+declare
+  v_slot public.time_slots;
+  v_booking public.bookings;
+begin
+  update public.time_slots
+     set is_available = false
+   where id = p_time_slot_id
+     and therapist_id = (p_booking->>'therapist_id')::uuid
+     and is_available = true
+  returning * into v_slot;
+
+  if not found then
+    raise exception 'Time slot is no longer available' using errcode = 'PT409';
+  end if;
+
+  insert into public.bookings (
+    customer_id, service_id, therapist_id, time_slot_id,
+    booking_date, start_time, end_time,
+    service_name, service_price, service_duration,
+    status, reservation_expires_at, payment_status, payment_amount,
+    notes, waitlist_entry_id, membership_id, member_discount_amount
+  ) values (
+    (p_booking->>'customer_id')::uuid,
+    (p_booking->>'service_id')::uuid,
+    v_slot.therapist_id,
+    v_slot.id,
+    v_slot.slot_date,
+    v_slot.start_time,
+    v_slot.end_time,
+    p_booking->>'service_name',
+    (p_booking->>'service_price')::numeric,
+    (p_booking->>'service_duration')::integer,
+    'pending',
+    (p_booking->>'reservation_expires_at')::timestamptz,
+    'pending',
+    (p_booking->>'payment_amount')::numeric,
+    p_booking->>'notes',
+    (p_booking->>'waitlist_entry_id')::uuid,
+    (p_booking->>'membership_id')::uuid,
+    coalesce((p_booking->>'member_discount_amount')::numeric, 0)
+  )
+  returning * into v_booking;
+
+  if v_booking.waitlist_entry_id is not null then
+    update public.waitlist_entries
+       set status = 'offered',
+           offered_slot_id = v_slot.id,
+           offer_expires_at = v_booking.reservation_expires_at
+     where id = v_booking.waitlist_entry_id
+       and status = 'waiting';
+
+    if not found then
+      raise exception 'Waitlist entry is no longer waiting' using errcode = 'PT409';
+    end if;
+  end if;
+
+  return v_booking;
+end;
+$$;
+
+-- Same as before, with the promo discount taken off the member price.
+create or replace function public.set_booking_promo_code(
+  p_booking_id uuid,
+  p_promo_code_id uuid,
+  p_discount_amount numeric default 0
+)
+returns public.bookings
+language plpgsql
+as $$
+declare
+  v_booking public.bookings;
+  v_promo public.promo_codes;
+  v_uses integer;
+  v_price numeric;
+begin
+  select * into v_booking
+    from public.bookings
+   where id = p_booking_id
+     and status::text = 'pending'
+     and reservation_expires_at > now()
+     for update;
+
+  if not found then
+    raise exception 'Booking was changed by another request' using errcode = 'PT409';
+  end if;
+
+  if p_promo_code_id is not null then
+    select * into v_promo
+      from public.promo_codes
+     where id = p_promo_code_id
+       and is_active
+       for update;
+
+    if not found then
+      raise exception 'Promo code is no longer available' using errcode = 'PT409';
+    end if;
+
+    if v_promo.max_uses is not null then
+      select count(*) into v_uses
+        from public.bookings
+       where promo_code_id = v_promo.id
+         and id <> v_booking.id
+         and (status::text in ('confirmed', 'completed', 'no_show')
+              or (status::text = 'pending' and reservation_expires_at > now()));
+
+      if v_uses >= v_promo.max_uses then
+        raise exception 'Promo code has reached its usage limit' using errcode = 'PT409';
+      end if;
+    end if;
+
+    if v_promo.max_uses_per_customer is not null then
+      select count(*) into v_uses
+        from public.bookings
+       where promo_code_id = v_promo.id
+         and customer_id = v_booking.customer_id
+         and id <> v_booking.id
+         and (status::text in ('confirmed', 'completed', 'no_show')
+              or (status::text = 'pending' and reservation_expires_at > now()));
+
+      if v_uses >= v_promo.max_uses_per_customer then
+        raise exception 'You have already used this promo code the maximum number of times' using errcode = 'PT409';
+      end if;
+    end if;
+  end if;
+
+  v_price := v_booking.service_price - v_booking.member_discount_amount;
+
+  update public.bookings
+     set promo_code_id = v_promo.id,
+         promo_code = v_promo.code,
+         discount_amount = least(coalesce(p_discount_amount, 0), v_price),
+         payment_amount = v_price - least(coalesce(p_discount_amount, 0), v_price),
+         payment_provider = null,
+         payment_intent_id = null
+   where id = v_booking.id
+  returning * into v_booking;
+
+  return v_booking;
+end;
+$$;
+
+-- Start a membership period once it is paid for: the first (from
+-- 'pending'), a renewal paid late (from 'past_due') or a free tier's next
+-- one (from 'active'). Grants the tier's included sessions until the
+-- period ends, records the period with the payment that bought it and
+-- moves the membership on, in one transaction. Only applies while the
+-- membership still has the status and period end the caller saw.
+-- Free renewals follow on from the previous period (unless it lapsed for
+-- longer than a period); paid periods start when the payment lands.
+create or replace function public.start_membership_period(
+  p_membership_id uuid,
+  p_from_status text,
+  p_expected_period_end timestamptz default null
+)
+returns public.memberships
+language plpgsql
+as $$
+declare
+  v_membership public.memberships;
+  v_tier public.membership_tiers;
+  v_account public.credit_accounts;
+  v_start timestamptz;
+  v_end timestamptz;
+begin
+  select * into v_membership
+    from public.memberships
+   where id = p_membership_id
+     and status = p_from_status
+     and current_period_end is not distinct from p_expected_period_end
+     for update;
+
+  if not found then
+    raise exception 'Membership was changed by another request' using errcode = 'PT409';
+  end if;
+
+  select * into v_tier
+    from public.membership_tiers
+   where id = v_membership.tier_id;
+
+  v_start := now();
+  if p_from_status = 'active' and v_membership.current_period_end + interval '1 month' > now() then
+    v_start := v_membership.current_period_end;
+  end if;
+  v_end := v_start + interval '1 month';
+
+  if v_tier.included_sessions > 0 then
+    insert into public.credit_accounts (
+      kind, customer_id, name, service_ids,
+      initial_balance, balance, expires_at, status, purchase_price
+    ) values (
+      'membership', v_membership.customer_id, v_tier.name || ' sessions', v_tier.service_ids,
+      v_tier.included_sessions, v_tier.included_sessions, v_end, 'active', 0
+    )
+    returning * into v_account;
+
+    insert into public.credit_ledger (account_id, entry_type, change, balance_after, reason)
+    values (v_account.id, 'grant', v_account.balance, v_account.balance,
+            'Membership period ' || to_char(v_start, 'YYYY-MM-DD') || ' to ' || to_char(v_end, 'YYYY-MM-DD'));
+  end if;
+
+  update public.memberships
+     set status = 'active',
+         started_at = coalesce(started_at, v_start),
+         current_period_start = v_start,
+         current_period_end = v_end,
+         credit_account_id = v_account.id
+   where id = v_membership.id
+  returning * into v_membership;
+
+  insert into public.membership_periods (
+    membership_id, period_start, period_end, fee, credit_account_id, payment_provider, payment_intent_id
+  ) values (
+    v_membership.id, v_start, v_end, v_membership.monthly_fee, v_account.id,
+    case when p_from_status = 'active' then null else v_membership.payment_provider end,
+    case when p_from_status = 'active' then null else v_membership.payment_intent_id end
+  );
+
+  return v_membership;
+end;
+$$;
+
+-- Called by the API with the service role only
+revoke execute on function public.start_membership_period(uuid, text, timestamptz) from public, anon, authenticated;
@@ -0,0 +1,28 @@
+-- Payment statuses the API writes to bookings.payment_status:
+-- pending → paid (webhook, credit or membership), failed / voided (checkout
+-- did not complete), refunded / partially_refunded (cancelled after payment).
+-- payment_status may be an enum or a text column with a check constraint
+-- depending on how the project was created; handle both.
+do $$
+declare
+  v_type text;
+  v_value text;
+begin
+  select udt_name into v_type
+    from information_schema.columns
+   where table_schema = 'public'
+     and table_name = 'bookings'
+     and column_name = 'payment_status';
+
+  if exists (select 1 from pg_type where typname = v_type and typtype = 'e') then
+    foreach v_value in array array['pending', 'paid', 'failed', 'voided', 'refunded', 'partially_refunded'] loop
+      execute format('alter type public.%I add value if not exists %L', v_type, v_value);
+    end loop;
+  else
+    alter table public.bookings drop constraint if exists bookings_payment_status_check;
+    alter table public.bookings
+      add constraint bookings_payment_status_check
+      check (payment_status in ('pending', 'paid', 'failed', 'voided', 'refunded', 'partially_refunded'));
+  end if;
+end;
+$$;
@@ -0,0 +1,24 @@
+-- Each customer's visits before a date, for the retention report: it
+-- starts from these and streams only the visits in the periods it
+-- reports on. A visit is a confirmed or completed booking; value is what
+-- was paid after member and promo code discounts. Returns one row per
+-- customer keyed by id (the customer's profile id) so it can be paged.
+create or replace function public.customer_visit_totals(p_before date)
+returns table (id uuid, first_visit date, last_visit date, visits integer, value numeric)
+language sql
+stable
+as $$
+  select customer_id,
+         min(booking_date),
+         max(booking_date),
+         count(*)::integer,
+         coalesce(sum(coalesce(service_price, 0) - member_discount_amount - discount_amount), 0)
+    from public.bookings
+   where status::text in ('confirmed', 'completed')
+     and booking_date < p_before
+     and customer_id is not null
+   group by customer_id;
+$$;
+
+-- Called by the API with the service role only
+revoke execute on function public.customer_visit_totals(date) from public, anon, authenticated;
@@ -0,0 +1,100 @@
+-- Paid memberships renew by charging the payment method saved at sign-up.
+-- The sign-up checkout runs for a customer at the payment provider
+-- (payment_customer_id, at payment_provider) and saves the payment method
+-- for off-session use. When a period ends the renewal job charges that
+-- customer and starts the next period once the charge succeeds; a charge
+-- that fails leaves the membership past_due for the member to pay by hand
+-- before the grace period runs out.
+alter table public.memberships
+  add column if not exists payment_customer_id text;
+
+-- An active membership's payment_intent_id is now the renewal charge in
+-- flight, so the payment that started a period is only kept on its
+-- membership_periods row
+update public.memberships
+   set payment_intent_id = null
+ where status = 'active';
+
+-- Same as before, except that a paid tier's renewal (from 'active') needs
+-- the renewal charge recorded on the membership, and follows on from the
+-- previous period like a free one. The payment is moved from the
+-- membership to the period it started.
+create or replace function public.start_membership_period(
+  p_membership_id uuid,
+  p_from_status text,
+  p_expected_period_end timestamptz default null
+)
+returns public.memberships
+language plpgsql
+as $$
+declare
+  v_membership public.memberships;
+  v_tier public.membership_tiers;
+  v_account public.credit_accounts;
+  v_start timestamptz;
+  v_end timestamptz;
+begin
+  select * into v_membership
+    from public.memberships
+   where id = p_membership_id
+     and status = p_from_status
+     and current_period_end is not distinct from p_expected_period_end
+     for update;
+
+  if not found then
+    raise exception 'Membership was changed by another request' using errcode = 'PT409';
+  end if;
+
+  if p_from_status = 'active' and v_membership.monthly_fee > 0 and v_membership.payment_intent_id is null then
+    raise exception 'Membership renewal has not been charged' using errcode = 'PT409';
+  end if;
+
+  select * into v_tier
+    from public.membership_tiers
+   where id = v_membership.tier_id;
+
+  v_start := now();
+  if p_from_status = 'active' and v_membership.current_period_end + interval '1 month' > now() then
+    v_start := v_membership.current_period_end;
+  end if;
+  v_end := v_start + interval '1 month';
+
+  if v_tier.included_sessions > 0 then
+    insert into public.credit_accounts (
+      kind, customer_id, name, service_ids,
+      initial_balance, balance, expires_at, status, purchase_price
+    ) values (
+      'membership', v_membership.customer_id, v_tier.name || ' sessions', v_tier.service_ids,
+      v_tier.included_sessions, v_tier.included_sessions, v_end, 'active', 0
+    )
+    returning * into v_account;
+
+    insert into public.credit_ledger (account_id, entry_type, change, balance_after, reason)
+    values (v_account.id, 'grant', v_account.balance, v_account.balance,
+            'Membership period ' || to_char(v_start, 'YYYY-MM-DD') || ' to ' || to_char(v_end, 'YYYY-MM-DD'));
+  end if;
+
+  insert into public.membership_periods (
+    membership_id, period_start, period_end, fee, credit_account_id, payment_provider, payment_intent_id
+  ) values (
+    v_membership.id, v_start, v_end, v_membership.monthly_fee, v_account.id,
+    case when v_membership.payment_intent_id is null then null else v_membership.payment_provider end,
+    v_membership.payment_intent_id
+  );
+
+  update public.memberships
+     set status = 'active',
+         started_at = coalesce(started_at, v_start),
+         current_period_start = v_start,
+         current_period_end = v_end,
+         credit_account_id = v_account.id,
+         payment_intent_id = null
+   where id = v_membership.id
+  returning * into v_membership;
+
+  return v_membership;
+end;
+$$;
+
+-- Called by the API with the service role only
+revoke execute on function public.start_membership_period(uuid, text, timestamptz) from public, anon, authenticated;
@@ -0,0 +1,149 @@
+// test/analytics.test.js
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestApi } from './helpers/api.js'
+import { createProfile, createService, createSlot, createTherapist } from './helpers/fixtures.js'
+
+/**
+ * Analytics aggregations over bookings in the test database
+ */
+
+let api
+let analytics
+let customer
+let service
+
+before(async () => {
+  api = await startTestApi()
+  analytics = await import('../src/services/analyticsService.js')
+
+  customer = await createProfile(api.pool)
+  service = await createService(api.pool, { duration: 60 })
+})
+
+after(async () => {
+  await api?.stop()
+})
+
+async function bookSlot(slot, { status = 'confirmed' } = {}) {
+  await api.pool.query(
+    `insert into public.bookings
+       (customer_id, service_id, therapist_id, time_slot_id, booking_date, start_time, end_time,
+        service_name, service_price, service_duration, status, payment_status)
+     select $1, $2, s.therapist_id, s.id, s.slot_date, s.start_time, s.end_time, 'Massage', 80, 60, $3::public.booking_status, 'paid'
+       from public.time_slots s
+      where s.id = $4`,
+    [customer.id, service.id, status, slot.id]
+  )
+  await api.pool.query('update public.time_slots set is_available = false where id = $1', [slot.id])
+}
+
+describe('aggregateUtilization', () => {
+  test('leaves bookings inside time off out of the booked minutes, like their slots', async () => {
+    const therapist = await createTherapist(api.pool)
+    const slots = []
+    for (const startTime of ['09:00', '10:00', '11:00', '12:00']) {
+      slots.push(await createSlot(api.pool, therapist.id, { daysAhead: -20, startTime }))
+    }
+    const date = slots[0].slot_date
+
+    // Booked at 9, 10 and 11; the therapist then took 9-11 off
+    await bookSlot(slots[0])
+    await bookSlot(slots[1], { status: 'completed' })
+    await bookSlot(slots[2])
+    await api.pool.query(
+      `insert into public.therapist_time_off (therapist_id, start_date, end_date, start_time, end_time)
+       values ($1, $2, $2, '09:00', '11:00')`,
+      [therapist.id, date]
+    )
+
+    const result = await analytics.aggregateUtilization(date, date)
+    const row = result.byTherapist.find(r => r.therapist_id === therapist.id)
+
+    assert.deepEqual(
+      { availableMinutes: row.availableMinutes, bookedMinutes: row.bookedMinutes, idleMinutes: row.idleMinutes, utilizationRate: row.utilizationRate },
+      { availableMinutes: 120, bookedMinutes: 60, idleMinutes: 60, utilizationRate: 50 }
+    )
+    assert.ok(result.byDay.every(day => day.utilizationRate <= 100))
+    assert.ok(result.byHourOfWeek.every(hour => hour.utilizationRate <= 100))
+  })
+})
+
+describe('aggregateRetention', () => {
+  const therapist = {}
+
+  before(async () => {
+    therapist.id = (await createTherapist(api.pool)).id
+  })
+
+  async function visit(customerId, date, { status = 'completed', discount = 0 } = {}) {
+    await api.pool.query(
+      `insert into public.bookings
+         (customer_id, service_id, therapist_id, booking_date, start_time, end_time,
+          service_name, service_price, service_duration, status, payment_status, discount_amount, payment_amount)
+       values ($1, $2, $3, $4, '10:00', '11:00', 'Massage', 80, 60, $5::public.booking_status, 'paid', $6::numeric, 80 - $6::numeric)`,
+      [customerId, service.id, therapist.id, date, status, discount]
+    )
+  }
+
+  test('reports both periods from visit totals before the range and one pass over it', async () => {
+    const [longStanding, regular, newcomer, lapsed] = await Promise.all(
+      ['Long Standing', 'Regular', 'Newcomer', 'Lapsed'].map(fullName => createProfile(api.pool, { fullName }))
+    )
+
+    await visit(longStanding.id, '2024-06-10')
+    await visit(longStanding.id, '2025-04-10')
+    await visit(regular.id, '2025-03-05')
+    await visit(regular.id, '2025-04-05', { discount: 10 })
+    await visit(regular.id, '2025-04-20', { status: 'confirmed' })
+    await visit(newcomer.id, '2025-04-15')
+    await visit(newcomer.id, '2025-04-16', { status: 'cancelled' })
+    await visit(lapsed.id, '2024-01-01')
+
+    const result = await analytics.aggregateRetention('2025-04-01', '2025-04-30', { previousStartDate: '2025-03-02' })
+
+    assert.deepEqual(result.summary, {
+      activeCustomers: 3,
+      firstTimeCustomers: 1,
+      returningCustomers: 2,
+      repeatVisitRate: 33.33,
+      avgDaysBetweenVisits: 116.67,
+      medianDaysBetweenVisits: 31,
+      churnedCustomers: 1,
+      churnRate: 25,
+      // Lifetime value after discounts: 160, 230, 80 and 80
+      averageLifetimeValue: 137.5,
+      medianLifetimeValue: 120
+    })
+
+    assert.deepEqual(result.previousPeriod, {
+      activeCustomers: 1,
+      firstTimeCustomers: 1,
+      returningCustomers: 0,
+      repeatVisitRate: 0,
+      avgDaysBetweenVisits: 0,
+      medianDaysBetweenVisits: 0,
+      churnedCustomers: 2,
+      churnRate: 66.67,
+      averageLifetimeValue: 80,
+      medianLifetimeValue: 80
+    })
+
+    assert.deepEqual(result.cohorts, [{
+      cohort: '2025-04',
+      customers: 1,
+      averageLifetimeValue: 80,
+      retention: [{ month: '2025-04', month_offset: 0, customers: 1, rate: 100 }]
+    }])
+
+    assert.deepEqual(result.churned.map(c => [c.full_name, c.last_visit, c.visits, c.lifetime_value]), [
+      ['Lapsed', '2024-01-01', 1, 80]
+    ])
+
+    // Without a comparison period the reported one comes out the same
+    const alone = await analytics.aggregateRetention('2025-04-01', '2025-04-30')
+    assert.equal(alone.previousPeriod, null)
+    assert.deepEqual(alone.summary, result.summary)
+    assert.deepEqual(alone.cohorts, result.cohorts)
+  })
+})
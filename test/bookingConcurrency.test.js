@@ -0,0 +1,195 @@
+// test/bookingConcurrency.test.js
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestDatabase } from './helpers/database.js'
+
+/**
+ * Booking functions under concurrent requests
+ *
+ * Races the atomic booking functions (reserve_time_slot, reschedule_booking)
+ * against each other on a real Postgres and checks that a slot never ends
+ * up with more than one live booking.
+ */
+
+const CONCURRENT_REQUESTS = 10
+
+let db
+let customerId
+let therapistId
+let serviceId
+
+async function createSlot(startTime) {
+  const { rows } = await db.pool.query(
+    `insert into public.time_slots (therapist_id, slot_date, start_time, end_time)
+     values ($1, current_date + 7, $2, $2::time + interval '60 minutes')
+     returning id`,
+    [therapistId, startTime]
+  )
+  return rows[0].id
+}
+
+function reserve(slotId) {
+  return db.pool.query('select * from public.reserve_time_slot($1, $2)', [slotId, {
+    customer_id: customerId,
+    service_id: serviceId,
+    therapist_id: therapistId,
+    service_name: 'Massage',
+    service_price: 80,
+    service_duration: 60,
+    payment_amount: 80,
+    reservation_expires_at: new Date(Date.now() + 5 * 60 * 1000).toISOString()
+  }])
+}
+
+async function liveBookingCount(slotId) {
+  const { rows } = await db.pool.query(
+    `select count(*)::int as count
+       from public.bookings
+      where time_slot_id = $1
+        and status in ('pending', 'confirmed')`,
+    [slotId]
+  )
+  return rows[0].count
+}
+
+function outcomes(results) {
+  const fulfilled = results.filter(r => r.status === 'fulfilled')
+  const rejected = results.filter(r => r.status === 'rejected')
+  return { fulfilled, rejected, codes: rejected.map(r => r.reason.code) }
+}
+
+before(async () => {
+  db = await startTestDatabase()
+
+  const { rows: [customer] } = await db.pool.query(
+    `insert into public.profiles (email, full_name) values ('customer@example.com', 'Customer') returning id`
+  )
+  const { rows: [therapist] } = await db.pool.query(
+    'insert into public.therapists (user_id) values ($1) returning id',
+    [customer.id]
+  )
+  const { rows: [service] } = await db.pool.query(
+    `insert into public.services (name, price, duration) values ('Massage', 80, 60) returning id`
+  )
+
+  customerId = customer.id
+  therapistId = therapist.id
+  serviceId = service.id
+})
+
+after(async () => {
+  await db?.stop()
+})
+
+describe('reserve_time_slot', () => {
+  test('only one of many concurrent reservations gets the slot', async () => {
+    const slotId = await createSlot('09:00')
+
+    const results = await Promise.allSettled(
+      Array.from({ length: CONCURRENT_REQUESTS }, () => reserve(slotId))
+    )
+    const { fulfilled, codes } = outcomes(results)
+
+    assert.equal(fulfilled.length, 1)
+    assert.deepEqual(codes, Array(CONCURRENT_REQUESTS - 1).fill('PT409'))
+    assert.equal(await liveBookingCount(slotId), 1)
+  })
+
+  test('a slot wrongly marked available still cannot take a second booking', async () => {
+    const slotId = await createSlot('10:00')
+    await reserve(slotId)
+    await db.pool.query('update public.time_slots set is_available = true where id = $1', [slotId])
+
+    await assert.rejects(reserve(slotId), { code: '23505' })
+    assert.equal(await liveBookingCount(slotId), 1)
+  })
+
+  test('the slot can be booked again once its booking is cancelled', async () => {
+    const slotId = await createSlot('11:00')
+    const { rows: [booking] } = await reserve(slotId)
+
+    await db.pool.query('select * from public.cancel_booking($1)', [booking.id])
+    await reserve(slotId)
+
+    assert.equal(await liveBookingCount(slotId), 1)
+  })
+})
+
+describe('reschedule_booking', () => {
+  test('a reschedule and new reservations racing for one slot leave one booking on it', async () => {
+    const fromSlotId = await createSlot('12:00')
+    const targetSlotId = await createSlot('13:00')
+    const { rows: [booking] } = await reserve(fromSlotId)
+
+    const results = await Promise.allSettled([
+      db.pool.query('select * from public.reschedule_booking($1, $2, $3)', [booking.id, fromSlotId, targetSlotId]),
+      ...Array.from({ length: CONCURRENT_REQUESTS - 1 }, () => reserve(targetSlotId))
+    ])
+    const { fulfilled, codes } = outcomes(results)
+
+    assert.equal(fulfilled.length, 1)
+    assert.ok(codes.every(code => code === 'PT409'))
+    assert.equal(await liveBookingCount(targetSlotId), 1)
+  })
+
+  test('concurrent moves of the same booking apply once', async () => {
+    const fromSlotId = await createSlot('14:00')
+    const targetSlotIds = await Promise.all(['15:00', '16:00', '17:00'].map(createSlot))
+    const { rows: [booking] } = await reserve(fromSlotId)
+
+    const results = await Promise.allSettled(targetSlotIds.map(slotId =>
+      db.pool.query('select * from public.reschedule_booking($1, $2, $3)', [booking.id, fromSlotId, slotId])
+    ))
+    const { fulfilled } = outcomes(results)
+
+    assert.equal(fulfilled.length, 1)
+    const liveCounts = await Promise.all([fromSlotId, ...targetSlotIds].map(liveBookingCount))
+    assert.equal(liveCounts.reduce((sum, n) => sum + n, 0), 1)
+
+    const { rows: takenSlots } = await db.pool.query(
+      'select id from public.time_slots where id = any($1) and is_available = false',
+      [[fromSlotId, ...targetSlotIds]]
+    )
+    assert.equal(takenSlots.length, 1)
+  })
+})
+
+describe('API roles', () => {
+  let slotId
+  let bookingId
+
+  before(async () => {
+    slotId = await createSlot('18:00')
+    const { rows: [booking] } = await reserve(await createSlot('19:00'))
+    bookingId = booking.id
+  })
+
+  async function asRole(role, sql, params) {
+    const client = await db.pool.connect()
+    try {
+      await client.query('begin')
+      await client.query(`set local role ${role}`)
+      return await client.query(sql, params)
+    } finally {
+      await client.query('rollback')
+      client.release()
+    }
+  }
+
+  for (const role of ['anon', 'authenticated']) {
+    test(`${role} cannot call the booking functions directly`, async () => {
+      await assert.rejects(
+        asRole(role, 'select public.reserve_time_slot($1, $2)', [slotId, { therapist_id: therapistId }]),
+        { code: '42501' }
+      )
+      await assert.rejects(
+        asRole(role, 'select public.cancel_booking($1)', [bookingId]),
+        { code: '42501' }
+      )
+      await assert.rejects(
+        asRole(role, 'select public.reschedule_booking($1, $2, $3)', [bookingId, slotId, slotId]),
+        { code: '42501' }
+      )
+    })
+  }
+})
@@ -0,0 +1,84 @@
+// test/bookingEvents.test.js
+import { after, before, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestApi } from './helpers/api.js'
+
+/**
+ * The booking audit trail: events are recorded with only the changed
+ * fields, and once written can be neither changed nor removed, not even
+ * by the service role the API uses
+ */
+
+let api
+let supabase
+let recordBookingEvent
+let SYSTEM_ACTOR
+
+before(async () => {
+  api = await startTestApi()
+  ;({ default: supabase } = await import('../src/config/supabase.js'))
+  ;({ recordBookingEvent, SYSTEM_ACTOR } = await import('../src/services/bookingEvents.js'))
+})
+
+after(async () => {
+  await api?.stop()
+})
+
+async function recordCancellation() {
+  const bookingId = crypto.randomUUID()
+  await recordBookingEvent({
+    type: 'cancelled',
+    actor: SYSTEM_ACTOR,
+    before: { id: bookingId, status: 'confirmed', service_name: 'Massage' },
+    after: { id: bookingId, status: 'cancelled', service_name: 'Massage' },
+    reason: 'Customer request'
+  })
+
+  const { rows: [event] } = await api.pool.query('select * from public.booking_events where booking_id = $1', [bookingId])
+  return event
+}
+
+test('records only the fields that changed', async () => {
+  const event = await recordCancellation()
+
+  assert.equal(event.event_type, 'cancelled')
+  assert.equal(event.actor_role, 'system')
+  assert.deepEqual(event.before, { status: 'confirmed' })
+  assert.deepEqual(event.after, { status: 'cancelled' })
+})
+
+test('events cannot be updated', async () => {
+  const event = await recordCancellation()
+
+  const { error } = await supabase
+    .from('booking_events')
+    .update({ reason: 'Rewritten' })
+    .eq('id', event.id)
+
+  assert.match(error?.message, /append-only/)
+  await assert.rejects(
+    api.pool.query(`update public.booking_events set reason = 'Rewritten' where id = $1`, [event.id]),
+    /append-only/
+  )
+
+  const { rows: [row] } = await api.pool.query('select reason from public.booking_events where id = $1', [event.id])
+  assert.equal(row.reason, 'Customer request')
+})
+
+test('events cannot be deleted', async () => {
+  const event = await recordCancellation()
+
+  const { error } = await supabase
+    .from('booking_events')
+    .delete()
+    .eq('id', event.id)
+
+  assert.match(error?.message, /append-only/)
+  await assert.rejects(
+    api.pool.query('delete from public.booking_events where id = $1', [event.id]),
+    /append-only/
+  )
+
+  const { rows } = await api.pool.query('select id from public.booking_events where id = $1', [event.id])
+  assert.equal(rows.length, 1)
+})
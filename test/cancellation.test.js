@@ -0,0 +1,186 @@
+// test/cancellation.test.js
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { calculateRefund, resolvePolicy, validatePolicy } from '../src/services/cancellationPolicy.js'
+import { serve, startTestApi } from './helpers/api.js'
+import { createProfile, createService, createSlot, createTherapist, reserveSlot } from './helpers/fixtures.js'
+
+/**
+ * Cancellation refunds and the customer cancel endpoint
+ *
+ * The default policy refunds 100% from 48 hours before the appointment,
+ * 50% from 12 hours and nothing after that.
+ */
+
+const HOUR = 60 * 60 * 1000
+const APPOINTMENT = new Date('2026-11-20T10:00:00Z')
+
+function paidBooking(overrides = {}) {
+  return {
+    booking_date: '2026-11-20',
+    start_time: '10:00:00',
+    location: { timezone: 'UTC' },
+    payment_status: 'paid',
+    payment_amount: '80.00',
+    ...overrides
+  }
+}
+
+function hoursBefore(hours) {
+  return new Date(APPOINTMENT.getTime() - hours * HOUR)
+}
+
+describe('calculateRefund', () => {
+  const policy = resolvePolicy(null)
+
+  const cases = [
+    [72, 80, 0],
+    [48, 80, 0],
+    [47.99, 40, 40],
+    [12, 40, 40],
+    [11.99, 0, 80],
+    [0, 0, 80],
+    [-1, 0, 80]
+  ]
+
+  for (const [hours, refund, fee] of cases) {
+    test(`${hours}h before the appointment refunds ${refund} of 80`, () => {
+      const result = calculateRefund(paidBooking(), policy, { now: hoursBefore(hours) })
+      assert.equal(result.refund_amount, refund)
+      assert.equal(result.cancellation_fee, fee)
+      assert.equal(result.refund_percent, refund / 80 * 100)
+    })
+  }
+
+  test('nothing is refunded when nothing was paid', () => {
+    const result = calculateRefund(paidBooking({ payment_status: 'pending' }), policy, { now: hoursBefore(72) })
+    assert.deepEqual(result, { refund_percent: 0, refund_amount: 0, cancellation_fee: 0, hours_before: 72 })
+  })
+
+  test('a fee rule keeps the fee and refunds the rest', () => {
+    const rules = [{ min_hours_before: 24, refund_percent: 100 }, { min_hours_before: 0, fee_amount: 25 }]
+    const result = calculateRefund(paidBooking(), rules, { now: hoursBefore(6) })
+    assert.equal(result.refund_amount, 55)
+    assert.equal(result.cancellation_fee, 25)
+  })
+
+  test('fullRefund ignores the policy', () => {
+    const result = calculateRefund(paidBooking(), policy, { fullRefund: true, now: hoursBefore(1) })
+    assert.equal(result.refund_amount, 80)
+    assert.equal(result.cancellation_fee, 0)
+  })
+
+  describe('session credit (allOrNothing)', () => {
+    const sessionBooking = paidBooking({ payment_method: 'package' })
+
+    test('a full refund returns the session', () => {
+      const result = calculateRefund(sessionBooking, policy, { allOrNothing: true, now: hoursBefore(48) })
+      assert.equal(result.refund_amount, 80)
+    })
+
+    test('a partial refund returns nothing', () => {
+      const result = calculateRefund(sessionBooking, policy, { allOrNothing: true, now: hoursBefore(12) })
+      assert.equal(result.refund_amount, 0)
+      assert.equal(result.cancellation_fee, 80)
+      assert.equal(result.refund_percent, 0)
+    })
+
+    test('an admin cancellation returns the session', () => {
+      const result = calculateRefund(sessionBooking, policy, { allOrNothing: true, fullRefund: true, now: hoursBefore(1) })
+      assert.equal(result.refund_amount, 80)
+    })
+  })
+})
+
+describe('validatePolicy', () => {
+  test('accepts the default policy', () => {
+    assert.equal(validatePolicy(resolvePolicy(null)), null)
+  })
+
+  test('needs exactly one of refund_percent and fee_amount', () => {
+    assert.match(validatePolicy([{ min_hours_before: 0 }]), /exactly one/)
+    assert.match(validatePolicy([{ min_hours_before: 0, refund_percent: 50, fee_amount: 10 }]), /exactly one/)
+  })
+
+  test('rejects out of range values', () => {
+    assert.match(validatePolicy([{ min_hours_before: -1, refund_percent: 50 }]), /min_hours_before/)
+    assert.match(validatePolicy([{ min_hours_before: 0, refund_percent: 150 }]), /refund_percent/)
+    assert.match(validatePolicy([]), /non-empty/)
+  })
+})
+
+describe('POST /api/bookings/:id/cancel', () => {
+  let api
+  let server
+  let customer
+  let therapist
+  let service
+
+  before(async () => {
+    api = await startTestApi()
+
+    const { default: bookingRoutes } = await import('../src/routes/bookings.js')
+    const app = express()
+    app.use(express.json())
+    app.use('/api/bookings', bookingRoutes)
+    server = await serve(app)
+
+    customer = await createProfile(api.pool)
+    therapist = await createTherapist(api.pool)
+    service = await createService(api.pool, { price: 80 })
+  })
+
+  after(async () => {
+    await server?.close()
+    await api?.stop()
+  })
+
+  async function confirmedBooking(slotOptions) {
+    const slot = await createSlot(api.pool, therapist.id, slotOptions)
+    const booking = await reserveSlot(api.pool, slot, { customerId: customer.id, service })
+    await api.pool.query(
+      `update public.bookings set status = 'confirmed', payment_status = 'paid' where id = $1`,
+      [booking.id]
+    )
+    return booking
+  }
+
+  async function bookingState(id) {
+    const { rows: [row] } = await api.pool.query(
+      `select b.status::text, s.is_available
+         from public.bookings b
+         join public.time_slots s on s.id = b.time_slot_id
+        where b.id = $1`,
+      [id]
+    )
+    return row
+  }
+
+  test('cancels a confirmed booking before the appointment', async () => {
+    const booking = await confirmedBooking({ daysAhead: 7, startTime: '09:00' })
+
+    const response = await server.request('POST', `/api/bookings/${booking.id}/cancel`, { as: customer.id })
+
+    assert.equal(response.status, 200)
+    assert.equal(response.body.data.refund_amount, 80)
+    assert.deepEqual(await bookingState(booking.id), { status: 'cancelled', is_available: true })
+  })
+
+  for (const [label, slotOptions] of [
+    ['that is under way', { startsAt: new Date(Date.now() - 30 * 60 * 1000), duration: 90 }],
+    ['that is over', { daysAhead: -1, startTime: '09:00' }]
+  ]) {
+    test(`refuses to cancel a confirmed appointment ${label}`, async () => {
+      const booking = await confirmedBooking(slotOptions)
+
+      const response = await server.request('POST', `/api/bookings/${booking.id}/cancel`, { as: customer.id })
+      const quote = await server.request('GET', `/api/bookings/${booking.id}/cancellation-quote`, { as: customer.id })
+
+      assert.equal(response.status, 400)
+      assert.equal(response.body.error, 'Cannot cancel an appointment that has already started')
+      assert.equal(quote.status, 400)
+      assert.deepEqual(await bookingState(booking.id), { status: 'confirmed', is_available: false })
+    })
+  }
+})
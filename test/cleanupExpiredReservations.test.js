@@ -0,0 +1,99 @@
+// test/cleanupExpiredReservations.test.js
+import { after, before, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestApi } from './helpers/api.js'
+import { createProfile, createService, createSlot, createTherapist, reserveSlot } from './helpers/fixtures.js'
+
+/**
+ * Expired holds are removed and their slots freed, but never a booking
+ * that was confirmed after the job read it
+ */
+
+let api
+let cleanupExpiredReservations
+let customer
+let therapist
+let service
+
+before(async () => {
+  api = await startTestApi()
+  ;({ cleanupExpiredReservations } = await import('../src/jobs/cleanupExpiredReservations.js'))
+
+  customer = await createProfile(api.pool)
+  therapist = await createTherapist(api.pool)
+  service = await createService(api.pool)
+})
+
+after(async () => {
+  await api?.stop()
+})
+
+async function expiredHold(startTime) {
+  const slot = await createSlot(api.pool, therapist.id, { startTime })
+  return reserveSlot(api.pool, slot, { customerId: customer.id, service, expiresInMinutes: -1 })
+}
+
+async function state(booking) {
+  const { rows: [row] } = await api.pool.query(
+    `select (select status::text from public.bookings where id = $1) as status,
+            (select is_available from public.time_slots where id = $2) as slot_available,
+            (select count(*)::int from public.booking_events where booking_id = $1 and event_type = 'expired') as expired_events`,
+    [booking.id, booking.time_slot_id]
+  )
+  return row
+}
+
+test('removes expired holds and frees their slots', async () => {
+  const booking = await expiredHold('09:00')
+
+  assert.equal(await cleanupExpiredReservations(), 1)
+
+  assert.deepEqual(await state(booking), { status: null, slot_available: true, expired_events: 1 })
+})
+
+test('keeps a hold that was confirmed after the job read it', async () => {
+  const confirmed = await expiredHold('10:00')
+  const expired = await expiredHold('11:00')
+
+  // The customer's payment lands between the job's read and its delete
+  api.beforeRequest(async ({ method, path }) => {
+    if (method === 'DELETE' && path === 'bookings') {
+      api.beforeRequest(null)
+      await api.pool.query(
+        `update public.bookings set status = 'confirmed', payment_status = 'paid', reservation_expires_at = null where id = $1`,
+        [confirmed.id]
+      )
+    }
+  })
+
+  try {
+    assert.equal(await cleanupExpiredReservations(), 1)
+  } finally {
+    api.beforeRequest(null)
+  }
+
+  assert.deepEqual(await state(confirmed), { status: 'confirmed', slot_available: false, expired_events: 0 })
+  assert.deepEqual(await state(expired), { status: null, slot_available: true, expired_events: 1 })
+})
+
+test('keeps a hold whose expiry was extended after the job read it', async () => {
+  const booking = await expiredHold('12:00')
+
+  api.beforeRequest(async ({ method, path }) => {
+    if (method === 'DELETE' && path === 'bookings') {
+      api.beforeRequest(null)
+      await api.pool.query(
+        `update public.bookings set reservation_expires_at = now() + interval '5 minutes' where id = $1`,
+        [booking.id]
+      )
+    }
+  })
+
+  try {
+    assert.equal(await cleanupExpiredReservations(), 0)
+  } finally {
+    api.beforeRequest(null)
+  }
+
+  assert.deepEqual(await state(booking), { status: 'pending', slot_available: false, expired_events: 0 })
+})
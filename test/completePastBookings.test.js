@@ -0,0 +1,87 @@
+// test/completePastBookings.test.js
+import { after, before, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestApi } from './helpers/api.js'
+import { createProfile, createService, createTherapist } from './helpers/fixtures.js'
+
+/**
+ * Completing confirmed bookings once the appointment and grace period
+ * have passed
+ */
+
+let api
+let completePastBookings
+let customer
+let therapist
+let service
+
+before(async () => {
+  process.env.BOOKING_COMPLETION_GRACE_MINUTES = '120'
+  api = await startTestApi()
+  ;({ completePastBookings } = await import('../src/jobs/completePastBookings.js'))
+
+  customer = await createProfile(api.pool)
+  therapist = await createTherapist(api.pool)
+  service = await createService(api.pool)
+})
+
+after(async () => {
+  await api?.stop()
+})
+
+/**
+ * `count` bookings ending `endedMinutesAgo` before now, a day apart going
+ * back, each on its own date so they never overlap
+ */
+async function insertBookings({ count = 1, endedMinutesAgo, status = 'confirmed' }) {
+  const { rows } = await api.pool.query(
+    `insert into public.bookings
+       (customer_id, service_id, therapist_id, booking_date, start_time, end_time,
+        service_name, service_price, service_duration, status, payment_status, payment_amount)
+     select $1, $2, $3, (ends - interval '1 hour')::date, (ends - interval '1 hour')::time, ends::time,
+            $4, $5, 60, $6::public.booking_status, 'paid', $5
+       from (
+         select now() at time zone 'UTC' - make_interval(mins => $7) - make_interval(days => n) as ends
+           from generate_series(0, $8 - 1) as n
+       ) t
+     returning id`,
+    [customer.id, service.id, therapist.id, service.name, service.price, status, endedMinutesAgo, count]
+  )
+  return rows.map(r => r.id)
+}
+
+async function statuses(ids) {
+  const { rows } = await api.pool.query(
+    `select status::text, count(*)::int from public.bookings where id = any($1) group by status order by status`,
+    [ids]
+  )
+  return Object.fromEntries(rows.map(r => [r.status, r.count]))
+}
+
+test('completes bookings past the grace period and leaves the rest', async () => {
+  const [ended] = await insertBookings({ endedMinutesAgo: 180 })
+  const [inGrace] = await insertBookings({ endedMinutesAgo: 60 })
+  const [cancelled] = await insertBookings({ endedMinutesAgo: 180, status: 'cancelled' })
+
+  const result = await completePastBookings()
+
+  assert.deepEqual(result, { success: true, completed: 1 })
+  assert.deepEqual(await statuses([ended]), { completed: 1 })
+  assert.deepEqual(await statuses([inGrace]), { confirmed: 1 })
+  assert.deepEqual(await statuses([cancelled]), { cancelled: 1 })
+
+  const { rows: events } = await api.pool.query(
+    `select booking_id from public.booking_events where event_type = 'completed'`
+  )
+  assert.deepEqual(events.map(e => e.booking_id), [ended])
+})
+
+test('completes more bookings than one read returns', async () => {
+  // More than PostgREST's max-rows, which would silently cut a single read short
+  const ids = await insertBookings({ count: 1100, endedMinutesAgo: 180 })
+
+  const result = await completePastBookings()
+
+  assert.deepEqual(result, { success: true, completed: 1100 })
+  assert.deepEqual(await statuses(ids), { completed: 1100 })
+})
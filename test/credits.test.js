@@ -0,0 +1,116 @@
+// test/credits.test.js
+import { after, before, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestDatabase } from './helpers/database.js'
+import { createProfile, createService, createSlot, createTherapist, reserveSlot } from './helpers/fixtures.js'
+
+/**
+ * Credit balances can't be overdrawn
+ *
+ * adjust_credit_balance and redeem_credit_for_booking lock the account
+ * while they check its balance, so neither a large redemption nor two
+ * bookings racing for the last session can take it below zero.
+ */
+
+let db
+let customer
+let therapist
+let service
+
+before(async () => {
+  db = await startTestDatabase()
+
+  customer = await createProfile(db.pool)
+  therapist = await createTherapist(db.pool)
+  service = await createService(db.pool)
+})
+
+after(async () => {
+  await db?.stop()
+})
+
+async function createAccount({ sessions = 1, customerId = customer.id } = {}) {
+  const { rows: [pending] } = await db.pool.query(
+    `insert into public.credit_accounts (kind, customer_id, name, initial_balance)
+     values ('package', $1, 'Test package', $2)
+     returning id`,
+    [customerId, sessions]
+  )
+  const { rows: [account] } = await db.pool.query(
+    `select * from public.activate_credit_account($1, 'purchase')`,
+    [pending.id]
+  )
+  return account
+}
+
+async function accountState(accountId) {
+  const { rows: [row] } = await db.pool.query(
+    `select a.balance::float as balance,
+            (select count(*)::int from public.credit_ledger l where l.account_id = a.id) as ledger_entries
+       from public.credit_accounts a
+      where a.id = $1`,
+    [accountId]
+  )
+  return row
+}
+
+async function hold(startTime) {
+  const slot = await createSlot(db.pool, therapist.id, { daysAhead: 9, startTime })
+  return reserveSlot(db.pool, slot, { customerId: customer.id, service })
+}
+
+function redeem(bookingId, accountId, amount = 1) {
+  return db.pool.query('select * from public.redeem_credit_for_booking($1, $2, $3)', [bookingId, accountId, amount])
+}
+
+async function bookingStatus(id) {
+  const { rows: [row] } = await db.pool.query('select status::text, credit_account_id from public.bookings where id = $1', [id])
+  return row
+}
+
+test('adjust_credit_balance refuses to take more than the balance', async () => {
+  const account = await createAccount({ sessions: 2 })
+
+  await assert.rejects(
+    db.pool.query(`select * from public.adjust_credit_balance($1, -3, 'adjust')`, [account.id]),
+    { code: 'PT409', message: 'Insufficient credit balance' }
+  )
+  assert.deepEqual(await accountState(account.id), { balance: 2, ledger_entries: 1 })
+
+  await db.pool.query(`select * from public.adjust_credit_balance($1, -2, 'adjust')`, [account.id])
+  assert.deepEqual(await accountState(account.id), { balance: 0, ledger_entries: 2 })
+})
+
+test('redeem_credit_for_booking refuses to take more than the balance', async () => {
+  const account = await createAccount({ sessions: 1 })
+  const booking = await hold('09:00')
+
+  await assert.rejects(redeem(booking.id, account.id, 2), { code: 'PT409', message: 'Insufficient credit balance' })
+
+  assert.deepEqual(await accountState(account.id), { balance: 1, ledger_entries: 1 })
+  assert.deepEqual(await bookingStatus(booking.id), { status: 'pending', credit_account_id: null })
+})
+
+test('redeem_credit_for_booking only uses the customer\'s own account', async () => {
+  const other = await createProfile(db.pool)
+  const account = await createAccount({ customerId: other.id })
+  const booking = await hold('10:00')
+
+  await assert.rejects(redeem(booking.id, account.id), { code: 'PT409', message: 'Credit account is not available' })
+  assert.deepEqual(await accountState(account.id), { balance: 1, ledger_entries: 1 })
+})
+
+test('two bookings racing for the last session: only one is paid', async () => {
+  const account = await createAccount({ sessions: 1 })
+  const first = await hold('11:00')
+  const second = await hold('12:00')
+
+  const results = await Promise.allSettled([redeem(first.id, account.id), redeem(second.id, account.id)])
+
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 1)
+  assert.deepEqual(results.filter(r => r.status === 'rejected').map(r => r.reason.code), ['PT409'])
+  assert.deepEqual(await accountState(account.id), { balance: 0, ledger_entries: 2 })
+
+  const statuses = [(await bookingStatus(first.id)).status, (await bookingStatus(second.id)).status].sort()
+  assert.deepEqual(statuses, ['confirmed', 'pending'])
+})
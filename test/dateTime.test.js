@@ -0,0 +1,130 @@
+// test/dateTime.test.js
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { formatDate, getUtcRangeForDates, zonedTimeToUtc } from '../src/utils/dateTime.js'
+import { hoursUntilAppointment } from '../src/services/cancellationPolicy.js'
+
+/**
+ * Wall-clock ↔ UTC conversions across daylight saving changes
+ *
+ * 2026 transitions covered:
+ * - Europe/London: 29 March 01:00 → 02:00, 25 October 02:00 → 01:00
+ * - America/New_York: 8 March 02:00 → 03:00, 1 November 02:00 → 01:00
+ */
+
+const LONDON = 'Europe/London'
+const NEW_YORK = 'America/New_York'
+
+function utc(iso) {
+  return new Date(iso).toISOString()
+}
+
+describe('zonedTimeToUtc', () => {
+  const cases = [
+    // Europe/London, clocks go forward
+    [LONDON, '2026-03-29', '00:30', '2026-03-29T00:30:00.000Z'],
+    [LONDON, '2026-03-29', '01:30', '2026-03-29T01:30:00.000Z'], // skipped: 02:30 BST
+    [LONDON, '2026-03-29', '10:00', '2026-03-29T09:00:00.000Z'],
+    // Europe/London, clocks go back
+    [LONDON, '2026-10-25', '00:30', '2026-10-24T23:30:00.000Z'],
+    [LONDON, '2026-10-25', '01:30', '2026-10-25T00:30:00.000Z'], // repeated: first (BST)
+    [LONDON, '2026-10-25', '10:00', '2026-10-25T10:00:00.000Z'],
+    // America/New_York, clocks go forward
+    [NEW_YORK, '2026-03-08', '01:30', '2026-03-08T06:30:00.000Z'],
+    [NEW_YORK, '2026-03-08', '02:30', '2026-03-08T07:30:00.000Z'], // skipped: 03:30 EDT
+    [NEW_YORK, '2026-03-08', '10:00', '2026-03-08T14:00:00.000Z'],
+    // America/New_York, clocks go back
+    [NEW_YORK, '2026-11-01', '00:30', '2026-11-01T04:30:00.000Z'],
+    [NEW_YORK, '2026-11-01', '01:30', '2026-11-01T05:30:00.000Z'], // repeated: first (EDT)
+    [NEW_YORK, '2026-11-01', '10:00', '2026-11-01T15:00:00.000Z']
+  ]
+
+  for (const [timeZone, date, time, expected] of cases) {
+    test(`${date} ${time} ${timeZone} → ${expected}`, () => {
+      assert.equal(zonedTimeToUtc(date, time, timeZone).toISOString(), expected)
+    })
+  }
+
+  test('defaults to the TIMEZONE setting', () => {
+    const previous = process.env.TIMEZONE
+    process.env.TIMEZONE = NEW_YORK
+    try {
+      assert.equal(zonedTimeToUtc('2026-11-01', '10:00').toISOString(), '2026-11-01T15:00:00.000Z')
+    } finally {
+      if (previous === undefined) delete process.env.TIMEZONE
+      else process.env.TIMEZONE = previous
+    }
+  })
+})
+
+describe('formatDate', () => {
+  const cases = [
+    [LONDON, '2026-03-28T23:30:00Z', '2026-03-28'],
+    [LONDON, '2026-03-29T23:30:00Z', '2026-03-30'],
+    [LONDON, '2026-10-24T23:30:00Z', '2026-10-25'],
+    [LONDON, '2026-10-25T23:30:00Z', '2026-10-25'],
+    [NEW_YORK, '2026-03-08T04:30:00Z', '2026-03-07'],
+    [NEW_YORK, '2026-03-09T03:30:00Z', '2026-03-08'],
+    [NEW_YORK, '2026-11-01T03:30:00Z', '2026-10-31'],
+    [NEW_YORK, '2026-11-02T04:30:00Z', '2026-11-01']
+  ]
+
+  for (const [timeZone, instant, expected] of cases) {
+    test(`${instant} in ${timeZone} is ${expected}`, () => {
+      assert.equal(formatDate(new Date(instant), timeZone), expected)
+    })
+  }
+})
+
+describe('getUtcRangeForDates', () => {
+  const cases = [
+    [LONDON, '2026-03-29', '2026-03-29T00:00:00Z', '2026-03-29T23:00:00Z', 23],
+    [LONDON, '2026-10-25', '2026-10-24T23:00:00Z', '2026-10-26T00:00:00Z', 25],
+    [NEW_YORK, '2026-03-08', '2026-03-08T05:00:00Z', '2026-03-09T04:00:00Z', 23],
+    [NEW_YORK, '2026-11-01', '2026-11-01T04:00:00Z', '2026-11-02T05:00:00Z', 25]
+  ]
+
+  for (const [timeZone, date, from, to, hours] of cases) {
+    test(`${date} in ${timeZone} is ${hours} hours long`, () => {
+      const range = getUtcRangeForDates(date, date, timeZone)
+      assert.deepEqual(range, { from: utc(from), to: utc(to) })
+      assert.equal((new Date(range.to) - new Date(range.from)) / (1000 * 60 * 60), hours)
+    })
+  }
+
+  test('spans several days across a change', () => {
+    assert.deepEqual(getUtcRangeForDates('2026-10-24', '2026-10-26', LONDON), {
+      from: utc('2026-10-23T23:00:00Z'),
+      to: utc('2026-10-27T00:00:00Z')
+    })
+  })
+})
+
+describe('hoursUntilAppointment', () => {
+  // Same wall-clock time the day before, so the answer is the day's length
+  const cases = [
+    [LONDON, '2026-03-29', '2026-03-28T10:00:00Z', 23],
+    [LONDON, '2026-10-25', '2026-10-24T09:00:00Z', 25],
+    [NEW_YORK, '2026-03-08', '2026-03-07T15:00:00Z', 23],
+    [NEW_YORK, '2026-11-01', '2026-10-31T14:00:00Z', 25]
+  ]
+
+  for (const [timeZone, date, now, hours] of cases) {
+    test(`10:00 on ${date} in ${timeZone} is ${hours} hours after 10:00 the day before`, () => {
+      const booking = { booking_date: date, start_time: '10:00:00', location: { timezone: timeZone } }
+      assert.equal(hoursUntilAppointment(booking, new Date(now)), hours)
+    })
+  }
+
+  test('uses the TIMEZONE setting when the booking has no location', () => {
+    const previous = process.env.TIMEZONE
+    process.env.TIMEZONE = LONDON
+    try {
+      const booking = { booking_date: '2026-03-29', start_time: '10:00:00', location: null }
+      assert.equal(hoursUntilAppointment(booking, new Date('2026-03-28T10:00:00Z')), 23)
+    } finally {
+      if (previous === undefined) delete process.env.TIMEZONE
+      else process.env.TIMEZONE = previous
+    }
+  })
+})
@@ -0,0 +1,79 @@
+// test/helpers/api.js
+import { startTestDatabase } from './database.js'
+import { startRestServer } from './postgrest.js'
+
+/**
+ * The API running against a test database
+ *
+ * startTestApi() starts the database and the REST stand-in and points the
+ * Supabase client at them. Import modules from src only after it resolves:
+ * src/config/supabase.js reads SUPABASE_URL when it is first imported.
+ * Returns { pool, beforeRequest, stop } (beforeRequest: see postgrest.js).
+ */
+
+export async function startTestApi() {
+  const db = await startTestDatabase()
+
+  let rest
+  try {
+    rest = await startRestServer(db.pool)
+  } catch (error) {
+    await db.stop()
+    throw error
+  }
+
+  process.env.SUPABASE_URL = rest.url
+  process.env.SUPABASE_SERVICE_KEY = 'test-service-key'
+
+  return {
+    pool: db.pool,
+    beforeRequest: rest.beforeRequest,
+    stop: async () => {
+      await rest.close()
+      await db.stop()
+    }
+  }
+}
+
+/**
+ * Listen on a free port
+ *
+ * Returns { request, close }. request(method, path, { as, body, headers })
+ * authenticates as the profile id in `as`; a Buffer body is sent as is
+ * (for webhooks), anything else as JSON.
+ */
+export async function serve(app) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+  })
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+
+  async function request(method, path, { as, body, headers = {} } = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(as && { authorization: `Bearer ${as}` }),
+        ...(body !== undefined && { 'content-type': 'application/json' }),
+        ...headers
+      },
+      body: body === undefined ? undefined : Buffer.isBuffer(body) ? body : JSON.stringify(body)
+    })
+
+    const text = await response.text()
+    let json = null
+    try {
+      json = text ? JSON.parse(text) : null
+    } catch {
+      json = text
+    }
+    return { status: response.status, headers: response.headers, body: json }
+  }
+
+  return {
+    request,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections()
+      server.close(() => resolve())
+    })
+  }
+}
@@ -0,0 +1,222 @@
+// test/helpers/database.js
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises'
+import { createServer } from 'node:net'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import pg from 'pg'
+
+/**
+ * Throwaway Postgres for database tests
+ *
+ * Uses TEST_DATABASE_URL when set (a scratch database is created there and
+ * dropped afterwards), otherwise starts an embedded Postgres in a temp dir.
+ * The tables the migrations build on are created from a minimal stand-in
+ * of the Supabase project, then supabase/migrations is applied in order.
+ */
+
+const MIGRATIONS_DIR = new URL('../../supabase/migrations/', import.meta.url)
+const STARTUP_TIMEOUT_MS = 60 * 1000
+
+// The part of the project schema that predates the migrations in this repo.
+// bookings.status is an enum, as in the Supabase project; payment_status is
+// text with a check constraint.
+const BASELINE_SCHEMA = `
+  do $$
+  begin
+    if not exists (select 1 from pg_roles where rolname = 'anon') then create role anon nologin; end if;
+    if not exists (select 1 from pg_roles where rolname = 'authenticated') then create role authenticated nologin; end if;
+    if not exists (select 1 from pg_roles where rolname = 'service_role') then create role service_role nologin bypassrls; end if;
+  end;
+  $$;
+
+  grant usage on schema public to anon, authenticated, service_role;
+  alter default privileges in schema public grant all on tables to anon, authenticated, service_role;
+
+  create table public.profiles (
+    id uuid primary key default gen_random_uuid(),
+    email text,
+    full_name text,
+    role text not null default 'customer',
+    created_at timestamptz not null default now()
+  );
+
+  create table public.services (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    price numeric(10, 2) not null,
+    duration integer not null,
+    is_active boolean not null default true,
+    created_at timestamptz not null default now()
+  );
+
+  create table public.therapists (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid references public.profiles (id),
+    created_at timestamptz not null default now()
+  );
+
+  create table public.time_slots (
+    id uuid primary key default gen_random_uuid(),
+    therapist_id uuid not null references public.therapists (id),
+    slot_date date not null,
+    start_time time not null,
+    end_time time not null,
+    is_available boolean not null default true,
+    created_at timestamptz not null default now()
+  );
+
+  create type public.booking_status as enum ('pending', 'confirmed', 'cancelled', 'completed');
+
+  create table public.bookings (
+    id uuid primary key default gen_random_uuid(),
+    customer_id uuid references public.profiles (id),
+    service_id uuid references public.services (id),
+    therapist_id uuid references public.therapists (id),
+    time_slot_id uuid references public.time_slots (id),
+    booking_date date not null,
+    start_time time not null,
+    end_time time not null,
+    service_name text,
+    service_price numeric(10, 2),
+    service_duration integer,
+    status public.booking_status not null default 'pending',
+    reservation_expires_at timestamptz,
+    payment_status text not null default 'pending'
+      constraint bookings_payment_status_check check (payment_status in ('pending', 'paid', 'refunded')),
+    payment_amount numeric(10, 2),
+    notes text,
+    created_at timestamptz not null default now()
+  );
+`
+
+/**
+ * Reject if the promise hasn't settled in time
+ *
+ * embedded-postgres never settles when a binary fails to spawn; the timer
+ * also keeps the process alive so the test fails instead of exiting quietly.
+ */
+function withTimeout(promise, ms, message) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer()
+    server.unref()
+    server.on('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+async function applyMigrations(client) {
+  await client.query(BASELINE_SCHEMA)
+
+  const files = (await readdir(MIGRATIONS_DIR)).filter(f => f.endsWith('.sql')).sort()
+  for (const file of files) {
+    const sql = await readFile(new URL(file, MIGRATIONS_DIR), 'utf8')
+    try {
+      await client.query(sql)
+    } catch (error) {
+      error.message = `${file}: ${error.message}`
+      throw error
+    }
+  }
+}
+
+async function startEmbedded() {
+  const { default: EmbeddedPostgres } = await import('embedded-postgres')
+  const databaseDir = await mkdtemp(join(tmpdir(), 'spa-booking-pg-'))
+  const port = await freePort()
+  const server = new EmbeddedPostgres({
+    databaseDir,
+    port,
+    user: 'postgres',
+    password: 'postgres',
+    persistent: false,
+    createPostgresUser: process.getuid?.() === 0,
+    onLog: () => {},
+    onError: () => {}
+  })
+
+  try {
+    await withTimeout(
+      server.initialise().then(() => server.start()),
+      STARTUP_TIMEOUT_MS,
+      'Embedded Postgres did not start (set TEST_DATABASE_URL to use an existing server)'
+    )
+  } catch (error) {
+    await rm(databaseDir, { recursive: true, force: true })
+    throw error
+  }
+
+  return {
+    connection: { host: '127.0.0.1', port, user: 'postgres', password: 'postgres', database: 'postgres' },
+    stop: async () => {
+      await server.stop()
+      await rm(databaseDir, { recursive: true, force: true })
+    }
+  }
+}
+
+async function useExisting(url) {
+  const name = `spa_booking_test_${process.pid}_${Date.now()}`
+  const admin = new pg.Client({ connectionString: url })
+  await admin.connect()
+  await admin.query(`create database ${name}`)
+  await admin.end()
+
+  const connection = new URL(url)
+  connection.pathname = `/${name}`
+
+  return {
+    connection: { connectionString: connection.toString() },
+    stop: async () => {
+      const cleanup = new pg.Client({ connectionString: url })
+      await cleanup.connect()
+      await cleanup.query(`drop database if exists ${name} with (force)`)
+      await cleanup.end()
+    }
+  }
+}
+
+/**
+ * Start a database with every migration applied
+ *
+ * Returns { pool, stop }. The pool connects as a superuser; use
+ * `set local role ...` inside a transaction to act as an API role.
+ */
+export async function startTestDatabase() {
+  const instance = process.env.TEST_DATABASE_URL
+    ? await useExisting(process.env.TEST_DATABASE_URL)
+    : await startEmbedded()
+
+  const pool = new pg.Pool({ ...instance.connection, max: 20, options: '-c TimeZone=UTC' })
+
+  try {
+    const client = await pool.connect()
+    try {
+      await applyMigrations(client)
+    } finally {
+      client.release()
+    }
+  } catch (error) {
+    await pool.end()
+    await instance.stop()
+    throw error
+  }
+
+  return {
+    pool,
+    stop: async () => {
+      await pool.end()
+      await instance.stop()
+    }
+  }
+}
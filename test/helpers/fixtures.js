@@ -0,0 +1,67 @@
+// test/helpers/fixtures.js
+
+/**
+ * Rows most tests need, inserted straight into the test database
+ */
+
+export async function createProfile(pool, { role = 'customer', email, fullName = 'Test User' } = {}) {
+  const { rows: [profile] } = await pool.query(
+    'insert into public.profiles (email, full_name, role) values ($1, $2, $3) returning *',
+    [email || `${role}-${Date.now()}-${Math.random().toString(36).slice(2)}@example.com`, fullName, role]
+  )
+  return profile
+}
+
+export async function createTherapist(pool) {
+  const profile = await createProfile(pool, { role: 'therapist', fullName: 'Therapist' })
+  const { rows: [therapist] } = await pool.query(
+    'insert into public.therapists (user_id) values ($1) returning *',
+    [profile.id]
+  )
+  return therapist
+}
+
+export async function createService(pool, { name = 'Massage', price = 80, duration = 60 } = {}) {
+  const { rows: [service] } = await pool.query(
+    'insert into public.services (name, price, duration) values ($1, $2, $3) returning *',
+    [name, price, duration]
+  )
+  return service
+}
+
+/**
+ * A free slot `daysAhead` days from today (negative for the past) at
+ * `startTime`, or starting at the instant `startsAt` (UTC wall clock, the
+ * default TIMEZONE)
+ */
+export async function createSlot(pool, therapistId, { daysAhead = 7, startTime = '10:00', startsAt, duration = 60 } = {}) {
+  const [date, time] = startsAt
+    ? [startsAt.toISOString().slice(0, 10), startsAt.toISOString().slice(11, 16)]
+    : [null, startTime]
+
+  const { rows: [slot] } = await pool.query(
+    `insert into public.time_slots (therapist_id, slot_date, start_time, end_time)
+     values ($1, coalesce($5::date, current_date + $2::int), $3::time, $3::time + make_interval(mins => $4))
+     returning id, therapist_id, to_char(slot_date, 'YYYY-MM-DD') as slot_date, start_time::text, end_time::text`,
+    [therapistId, daysAhead, time, duration, date]
+  )
+  return slot
+}
+
+/**
+ * A pending hold on `slot`, made through reserve_time_slot
+ */
+export async function reserveSlot(pool, slot, { customerId, service, expiresInMinutes = 5, ...booking }) {
+  const { rows: [reserved] } = await pool.query('select * from public.reserve_time_slot($1, $2)', [slot.id, {
+    customer_id: customerId,
+    service_id: service.id,
+    therapist_id: slot.therapist_id,
+    service_name: service.name,
+    service_price: service.price,
+    service_duration: service.duration,
+    payment_amount: service.price,
+    reservation_expires_at: new Date(Date.now() + expiresInMinutes * 60 * 1000).toISOString(),
+    ...booking
+  }])
+  return reserved
+}
@@ -0,0 +1,603 @@
+// test/helpers/postgrest.js
+import { createServer } from 'node:http'
+
+/**
+ * Stand-in for the Supabase REST and auth endpoints, backed by a test database
+ *
+ * Understands the subset of the PostgREST protocol the API uses: select
+ * lists with aliases, casts, JSON paths and embedded resources (by foreign
+ * key name), the filter operators, or/and trees, order / limit / offset,
+ * counts, insert / upsert / update / delete with return=representation,
+ * single-object responses and rpc calls (filtered like tables when
+ * POSTed). Reads are capped at MAX_ROWS rows like Supabase's. Errors come
+ * back with PostgREST's status codes (PTxxx raised by a function becomes
+ * HTTP xxx).
+ *
+ * /auth/v1/user treats the bearer token as a profile id, so requests
+ * authenticate with `Authorization: Bearer <profile id>`.
+ *
+ * Point the Supabase client at it by setting SUPABASE_URL to `url` before
+ * anything imports src/config/supabase.js. beforeRequest(fn) runs
+ * fn({ method, path, searchParams }) ahead of each REST request (null to
+ * stop), so tests can change the database at an exact point in a flow.
+ */
+
+const OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'like',
+  ilike: 'ilike'
+}
+
+const SINGLE_OBJECT = 'application/vnd.pgrst.object+json'
+
+// Supabase's default max_rows: reads are silently cut off at this many rows
+const MAX_ROWS = 1000
+
+class RequestError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message)
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+function ident(name) {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(name)) {
+    throw new RequestError(400, 'PGRST100', `Invalid identifier: ${name}`)
+  }
+  return `"${name}"`
+}
+
+/**
+ * Split on commas that are not inside parentheses or double quotes
+ */
+function splitTopLevel(text) {
+  const parts = []
+  let depth = 0
+  let quoted = false
+  let current = ''
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (ch === '\\' && quoted) {
+      current += ch + text[++i]
+      continue
+    }
+    if (ch === '"') quoted = !quoted
+    if (!quoted && ch === '(') depth++
+    if (!quoted && ch === ')') depth--
+    if (!quoted && depth === 0 && ch === ',') {
+      parts.push(current)
+      current = ''
+      continue
+    }
+    current += ch
+  }
+  if (current !== '') parts.push(current)
+  return parts
+}
+
+function unquote(value) {
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(.)/g, '$1')
+  }
+  return value
+}
+
+/**
+ * `col`, `col->key`, `col->>key` → SQL expression on the given table alias
+ */
+function columnExpression(alias, path) {
+  const [column, ...rest] = path.split(/(->>?)/)
+  let sql = `${alias}.${ident(column)}`
+  for (let i = 0; i < rest.length; i += 2) {
+    sql += `${rest[i]}'${rest[i + 1].replace(/'/g, "''")}'`
+  }
+  return sql
+}
+
+/**
+ * Foreign keys of the public schema, for resolving embedded resources
+ */
+async function loadForeignKeys(pool) {
+  const { rows } = await pool.query(`
+    select c.conname as name,
+           src.relname as from_table,
+           dst.relname as to_table,
+           array(select a.attname::text from unnest(c.conkey) with ordinality k(attnum, n)
+                   join pg_attribute a on a.attrelid = c.conrelid and a.attnum = k.attnum order by k.n) as from_columns,
+           array(select a.attname::text from unnest(c.confkey) with ordinality k(attnum, n)
+                   join pg_attribute a on a.attrelid = c.confrelid and a.attnum = k.attnum order by k.n) as to_columns
+      from pg_constraint c
+      join pg_class src on src.oid = c.conrelid
+      join pg_class dst on dst.oid = c.confrelid
+      join pg_namespace n on n.oid = src.relnamespace
+     where c.contype = 'f'
+       and n.nspname = 'public'
+  `)
+  return rows
+}
+
+class QueryBuilder {
+  constructor(foreignKeys) {
+    this.foreignKeys = foreignKeys
+    this.params = []
+    this.aliasCount = 0
+  }
+
+  param(value) {
+    this.params.push(value)
+    return `$${this.params.length}`
+  }
+
+  nextAlias() {
+    return `t${++this.aliasCount}`
+  }
+
+  resolveEmbed(parentTable, relation, hint) {
+    const candidates = this.foreignKeys.filter(fk =>
+      (fk.from_table === parentTable && fk.to_table === relation) ||
+      (fk.from_table === relation && fk.to_table === parentTable)
+    ).filter(fk =>
+      !hint || fk.name === hint || (fk.from_columns.length === 1 && fk.from_columns[0] === hint)
+    )
+
+    if (candidates.length !== 1) {
+      throw new RequestError(
+        candidates.length === 0 ? 400 : 300,
+        candidates.length === 0 ? 'PGRST200' : 'PGRST201',
+        `Could not embed '${relation}' in '${parentTable}'${hint ? ` using '${hint}'` : ''}`
+      )
+    }
+
+    const fk = candidates[0]
+    return { fk, toOne: fk.from_table === parentTable && fk.to_table === relation }
+  }
+
+  /**
+   * Select list → SQL expressions on `alias`; `table` resolves embeds
+   * (null when the rows don't come from a table, e.g. `returns table (...)`)
+   */
+  selectList(select, table, alias) {
+    const items = splitTopLevel(select || '*')
+    return items.map(item => {
+      if (item === '*') return `${alias}.*`
+
+      const embed = item.match(/^(?:([a-z_][a-z0-9_]*):)?([a-z_][a-z0-9_]*)(?:!([a-z_][a-z0-9_]*))?\((.*)\)$/i)
+      if (embed) {
+        const [, key, relation, hint, inner] = embed
+        return `${this.embedExpression(table, alias, relation, hint, inner)} as ${ident(key || relation)}`
+      }
+
+      const column = item.match(/^(?:([a-z_][a-z0-9_]*):)?([a-z_][a-z0-9_]*(?:->>?[a-z0-9_]+)*)(?:::([a-z0-9_ ]+))?$/i)
+      if (!column) {
+        throw new RequestError(400, 'PGRST100', `Unsupported select item: ${item}`)
+      }
+      const [, key, path, cast] = column
+      const name = key || path.split(/->>?/).pop()
+      return `${columnExpression(alias, path)}${cast ? `::${cast}` : ''} as ${ident(name)}`
+    }).join(', ')
+  }
+
+  embedExpression(parentTable, parentAlias, relation, hint, inner) {
+    if (!parentTable) {
+      throw new RequestError(400, 'PGRST200', `Cannot embed '${relation}' here`)
+    }
+
+    const { fk, toOne } = this.resolveEmbed(parentTable, relation, hint)
+    const alias = this.nextAlias()
+    const [childColumns, parentColumns] = toOne
+      ? [fk.to_columns, fk.from_columns]
+      : [fk.from_columns, fk.to_columns]
+    const join = childColumns
+      .map((column, i) => `${alias}.${ident(column)} = ${parentAlias}.${ident(parentColumns[i])}`)
+      .join(' and ')
+    const rows = `select ${this.selectList(inner, relation, alias)} from public.${ident(relation)} ${alias} where ${join}`
+
+    return toOne
+      ? `(select row_to_json(e) from (${rows}) e)`
+      : `coalesce((select json_agg(e) from (${rows}) e), '[]'::json)`
+  }
+
+  /**
+   * One `col.op.value` (or `col=op.value` split into its parts) → SQL
+   */
+  condition(alias, path, expression) {
+    let negate = false
+    let rest = expression
+    if (rest.startsWith('not.')) {
+      negate = true
+      rest = rest.slice(4)
+    }
+
+    const dot = rest.indexOf('.')
+    const operator = rest.slice(0, dot)
+    const value = rest.slice(dot + 1)
+    const column = columnExpression(alias, path)
+    let sql
+
+    if (operator in OPERATORS) {
+      const text = ['like', 'ilike'].includes(operator) ? unquote(value).replace(/\*/g, '%') : unquote(value)
+      sql = `${column} ${OPERATORS[operator]} ${this.param(text)}`
+    } else if (operator === 'in') {
+      const list = value.replace(/^\(|\)$/g, '')
+      const values = list === '' ? [] : splitTopLevel(list).map(unquote)
+      sql = `${column} = any(${this.param(values)})`
+    } else if (operator === 'is') {
+      const target = { null: 'null', true: 'true', false: 'false', unknown: 'unknown' }[value.toLowerCase()]
+      if (!target) throw new RequestError(400, 'PGRST100', `Invalid is value: ${value}`)
+      sql = `${column} is ${target}`
+    } else {
+      throw new RequestError(400, 'PGRST100', `Unsupported operator: ${operator}`)
+    }
+
+    return negate ? `not (${sql})` : sql
+  }
+
+  /**
+   * `(a.eq.1,and(b.lt.2,c.is.null))` → SQL joined with `joiner`
+   */
+  logicTree(alias, list, joiner) {
+    const inner = list.replace(/^\(/, '').replace(/\)$/, '')
+    const parts = splitTopLevel(inner).map(part => {
+      const nested = part.match(/^(not\.)?(and|or)(\(.*\))$/)
+      if (nested) {
+        const sql = `(${this.logicTree(alias, nested[3], nested[2])})`
+        return nested[1] ? `not ${sql}` : sql
+      }
+      const dot = part.indexOf('.')
+      return this.condition(alias, part.slice(0, dot), part.slice(dot + 1))
+    })
+    return parts.join(` ${joiner} `)
+  }
+
+  where(alias, searchParams) {
+    const conditions = []
+    for (const [key, value] of searchParams) {
+      if (['select', 'order', 'limit', 'offset', 'columns', 'on_conflict'].includes(key)) continue
+
+      const logic = key.match(/^(not\.)?(and|or)$/)
+      if (logic) {
+        const sql = `(${this.logicTree(alias, value, logic[2])})`
+        conditions.push(logic[1] ? `not ${sql}` : sql)
+      } else {
+        conditions.push(this.condition(alias, key, value))
+      }
+    }
+    return conditions.length > 0 ? `where ${conditions.join(' and ')}` : ''
+  }
+
+  orderBy(alias, order) {
+    if (!order) return ''
+    const terms = splitTopLevel(order).map(term => {
+      const [path, ...modifiers] = term.split('.')
+      let sql = columnExpression(alias, path)
+      if (modifiers.includes('desc')) sql += ' desc'
+      if (modifiers.includes('nullsfirst')) sql += ' nulls first'
+      if (modifiers.includes('nullslast')) sql += ' nulls last'
+      return sql
+    })
+    return `order by ${terms.join(', ')}`
+  }
+
+  limitOffset(searchParams) {
+    const limit = searchParams.get('limit')
+    const offset = searchParams.get('offset')
+    return [
+      `limit ${limit !== null ? Math.min(parseInt(limit, 10), MAX_ROWS) : MAX_ROWS}`,
+      offset !== null ? `offset ${parseInt(offset, 10)}` : ''
+    ].join(' ')
+  }
+}
+
+async function tableColumns(client, table) {
+  const { rows } = await client.query(
+    `select a.attname::text as name
+       from pg_attribute a
+      where a.attrelid = $1::regclass
+        and a.attnum > 0
+        and not a.attisdropped`,
+    [`public.${ident(table)}`]
+  )
+  if (rows.length === 0) {
+    throw new RequestError(404, '42P01', `relation "public.${table}" does not exist`)
+  }
+  return rows.map(r => r.name)
+}
+
+async function primaryKey(client, table) {
+  const { rows } = await client.query(
+    `select a.attname::text as name
+       from pg_index i
+       join pg_attribute a on a.attrelid = i.indrelid and a.attnum = any(i.indkey)
+      where i.indrelid = $1::regclass
+        and i.indisprimary`,
+    [`public.${ident(table)}`]
+  )
+  return rows.map(r => r.name)
+}
+
+/**
+ * Pick the overload of `fn` whose argument names match the call
+ */
+async function findFunction(client, fn, args) {
+  const { rows } = await client.query(
+    `select p.oid,
+            coalesce(p.proargnames, '{}') as arg_names,
+            array(select format_type(t, null) from unnest(p.proargtypes) t) as arg_types,
+            p.pronargs as arg_count,
+            p.pronargdefaults as default_count,
+            p.proretset as returns_set,
+            rt.typtype as return_kind,
+            rc.relname as return_table
+       from pg_proc p
+       join pg_namespace n on n.oid = p.pronamespace
+       join pg_type rt on rt.oid = p.prorettype
+       left join pg_class rc on rc.oid = rt.typrelid and rc.relkind in ('r', 'v')
+      where n.nspname = 'public'
+        and p.proname = $1
+      order by p.pronargs`,
+    [fn]
+  )
+
+  const names = Object.keys(args)
+  const match = rows.find(row => {
+    const inputNames = row.arg_names.slice(0, row.arg_count)
+    const required = inputNames.slice(0, row.arg_count - row.default_count)
+    return names.every(name => inputNames.includes(name)) && required.every(name => names.includes(name))
+  })
+
+  if (!match) {
+    throw new RequestError(404, 'PGRST202', `Could not find the function public.${fn}(${names.join(', ')})`)
+  }
+  return match
+}
+
+function statusForError(error) {
+  if (error instanceof RequestError) return error.status
+  const code = error.code || ''
+  if (/^PT\d{3}$/.test(code)) return parseInt(code.slice(2), 10)
+  if (code === '23505' || code === '23503') return 409
+  if (code === '42501') return 403
+  if (code === '42883' || code === '42P01') return 404
+  if (/^(22|23)/.test(code) || code === 'P0001') return 400
+  return 500
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8')
+      try {
+        resolve(text ? JSON.parse(text) : undefined)
+      } catch (error) {
+        reject(new RequestError(400, 'PGRST102', 'Invalid JSON body'))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+export async function startRestServer(pool) {
+  const foreignKeys = await loadForeignKeys(pool)
+  let requestHook = null
+
+  async function handleAuth(req, res) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '')
+    const { rows } = await pool.query(
+      `select id, email from public.profiles where id::text = $1`,
+      [token]
+    ).catch(() => ({ rows: [] }))
+
+    if (rows.length === 0) {
+      res.writeHead(401, { 'content-type': 'application/json' })
+      res.end(JSON.stringify({ code: 401, error_code: 'bad_jwt', msg: 'invalid JWT' }))
+      return
+    }
+
+    res.writeHead(200, { 'content-type': 'application/json' })
+    res.end(JSON.stringify({ id: rows[0].id, email: rows[0].email, aud: 'authenticated', role: 'authenticated' }))
+  }
+
+  async function handleRest(req, res, url) {
+    const path = url.pathname.replace(/^\/rest\/v1\//, '')
+    const searchParams = url.searchParams
+    const prefer = req.headers.prefer || ''
+    const singleObject = (req.headers.accept || '').includes(SINGLE_OBJECT)
+    const wantsRepresentation = prefer.includes('return=representation')
+    const wantsCount = /count=(exact|planned|estimated)/.test(prefer)
+    const body = await readBody(req)
+    const query = new QueryBuilder(foreignKeys)
+
+    const client = await pool.connect()
+    try {
+      await client.query('begin')
+
+      let rows
+      let count = null
+      let returnsRows = true
+
+      if (path.startsWith('rpc/')) {
+        const fn = path.slice(4)
+        const args = req.method === 'POST'
+          ? body || {}
+          : Object.fromEntries([...searchParams].filter(([key]) => !['select', 'order', 'limit', 'offset'].includes(key)))
+        const signature = await findFunction(client, fn, args)
+        const inputNames = signature.arg_names.slice(0, signature.arg_count)
+        const call = `public.${ident(fn)}(${Object.entries(args).map(([name, value]) => {
+          const type = signature.arg_types[inputNames.indexOf(name)]
+          const text = value !== null && typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : value
+          return `${ident(name)} => ${query.param(text)}::${type}`
+        }).join(', ')})`
+
+        if (signature.return_kind === 'c' || signature.returns_set) {
+          const alias = query.nextAlias()
+          const columns = signature.return_kind === 'c' ? query.selectList(searchParams.get('select'), signature.return_table, alias) : `${alias} as value`
+          const sql = `select coalesce(json_agg(x), '[]'::json) as body from (
+            select ${columns} from ${call} ${alias}
+            ${req.method === 'POST' ? query.where(alias, searchParams) : ''}
+            ${query.orderBy(alias, searchParams.get('order'))} ${query.limitOffset(searchParams)}
+          ) x`
+          rows = (await client.query(sql, query.params)).rows[0].body
+          if (signature.return_kind !== 'c') rows = rows.map(r => r.value)
+        } else {
+          const { rows: [result] } = await client.query(`select to_json(${call}) as value`, query.params)
+          await client.query('commit')
+          res.writeHead(200, { 'content-type': 'application/json' })
+          res.end(JSON.stringify(result.value))
+          return
+        }
+      } else {
+        const table = path
+        const alias = query.nextAlias()
+        const select = searchParams.get('select')
+        let source
+
+        if (req.method === 'GET' || req.method === 'HEAD') {
+          source = `public.${ident(table)} ${alias} ${query.where(alias, searchParams)}`
+          if (wantsCount) {
+            const countQuery = new QueryBuilder(foreignKeys)
+            const countAlias = countQuery.nextAlias()
+            const { rows: [counted] } = await client.query(
+              `select count(*)::int as count from public.${ident(table)} ${countAlias} ${countQuery.where(countAlias, searchParams)}`,
+              countQuery.params
+            )
+            count = counted.count
+          }
+          returnsRows = req.method === 'GET'
+        } else {
+          const known = await tableColumns(client, table)
+          let mutation
+
+          if (req.method === 'POST') {
+            const records = Array.isArray(body) ? body : [body]
+            const columns = searchParams.get('columns')
+              ? splitTopLevel(searchParams.get('columns')).map(unquote)
+              : [...new Set(records.flatMap(r => Object.keys(r)))]
+            const unknown = columns.filter(c => !known.includes(c))
+            if (unknown.length > 0) {
+              throw new RequestError(400, 'PGRST204', `Could not find the '${unknown[0]}' column of '${table}'`)
+            }
+            const list = columns.map(ident).join(', ')
+            mutation = `insert into public.${ident(table)} as ${alias} (${list})
+              select ${list} from json_populate_recordset(null::public.${ident(table)}, ${query.param(JSON.stringify(records))}::json)`
+
+            if (prefer.includes('resolution=')) {
+              const target = searchParams.get('on_conflict')
+                ? splitTopLevel(searchParams.get('on_conflict')).map(c => c.trim())
+                : await primaryKey(client, table)
+              const updates = columns.filter(c => !target.includes(c))
+              mutation += prefer.includes('resolution=ignore-duplicates') || updates.length === 0
+                ? ` on conflict (${target.map(ident).join(', ')}) do nothing`
+                : ` on conflict (${target.map(ident).join(', ')}) do update set ${updates.map(c => `${ident(c)} = excluded.${ident(c)}`).join(', ')}`
+            }
+          } else if (req.method === 'PATCH') {
+            const columns = Object.keys(body || {})
+            const unknown = columns.filter(c => !known.includes(c))
+            if (unknown.length > 0) {
+              throw new RequestError(400, 'PGRST204', `Could not find the '${unknown[0]}' column of '${table}'`)
+            }
+            mutation = `update public.${ident(table)} ${alias}
+              set ${columns.map(c => `${ident(c)} = r.${ident(c)}`).join(', ')}
+              from json_populate_record(null::public.${ident(table)}, ${query.param(JSON.stringify(body))}::json) r
+              ${query.where(alias, searchParams)}`
+          } else if (req.method === 'DELETE') {
+            mutation = `delete from public.${ident(table)} ${alias} ${query.where(alias, searchParams)}`
+          } else {
+            throw new RequestError(405, 'PGRST117', `Unsupported method ${req.method}`)
+          }
+
+          source = `mutated ${alias}`
+          query.mutation = `with mutated as (${mutation} returning ${alias}.*)`
+          returnsRows = wantsRepresentation
+        }
+
+        const sql = `${query.mutation || ''}
+          select coalesce(json_agg(x), '[]'::json) as body from (
+            select ${query.selectList(select, table, alias)} from ${source}
+            ${query.orderBy(alias, searchParams.get('order'))} ${query.limitOffset(searchParams)}
+          ) x`
+        rows = (await client.query(sql, query.params)).rows[0].body
+      }
+
+      if (singleObject && rows.length !== 1) {
+        await client.query('rollback')
+        res.writeHead(406, { 'content-type': 'application/json' })
+        res.end(JSON.stringify({
+          code: 'PGRST116',
+          details: `The result contains ${rows.length} rows`,
+          hint: null,
+          message: 'JSON object requested, multiple (or no) rows returned'
+        }))
+        return
+      }
+
+      await client.query('commit')
+
+      const headers = { 'content-type': 'application/json' }
+      if (count !== null) {
+        headers['content-range'] = rows.length > 0 ? `0-${rows.length - 1}/${count}` : `*/${count}`
+      }
+
+      if (!returnsRows) {
+        res.writeHead(req.method === 'POST' ? 201 : req.method === 'HEAD' ? 200 : 204, headers)
+        res.end()
+        return
+      }
+
+      res.writeHead(req.method === 'POST' ? 201 : 200, headers)
+      res.end(JSON.stringify(singleObject ? rows[0] : rows))
+    } catch (error) {
+      await client.query('rollback').catch(() => {})
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    try {
+      if (url.pathname === '/auth/v1/user') {
+        await handleAuth(req, res)
+      } else if (url.pathname.startsWith('/rest/v1/')) {
+        if (requestHook) {
+          await requestHook({ method: req.method, path: url.pathname.replace(/^\/rest\/v1\//, ''), searchParams: url.searchParams })
+        }
+        await handleRest(req, res, url)
+      } else {
+        throw new RequestError(404, 'PGRST125', `Unknown path ${url.pathname}`)
+      }
+    } catch (error) {
+      if (res.headersSent) return
+      res.writeHead(statusForError(error), { 'content-type': 'application/json' })
+      res.end(JSON.stringify({
+        code: error.code || null,
+        message: error.message,
+        details: error.details || error.detail || null,
+        hint: error.hint || null
+      }))
+    }
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    beforeRequest: fn => {
+      requestHook = fn
+    },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections()
+      server.close(() => resolve())
+    })
+  }
+}
@@ -0,0 +1,149 @@
+// test/idempotency.test.js
+import { after, before, test } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { serve, startTestApi } from './helpers/api.js'
+import { createProfile } from './helpers/fixtures.js'
+
+/**
+ * The Idempotency-Key middleware in front of a stand-in handler
+ *
+ * The handler counts its runs and answers with whatever status the
+ * request body asks for; `wait` makes it hold until the test lets it go.
+ */
+
+let api
+let server
+let customer
+let runs
+let gates
+
+before(async () => {
+  api = await startTestApi()
+  const { authenticate } = await import('../src/middleware/auth.js')
+  const { idempotency } = await import('../src/middleware/idempotency.js')
+
+  const app = express()
+  app.use(express.json())
+  app.post('/things', authenticate, idempotency, async (req, res) => {
+    runs += 1
+    const run = runs
+    if (req.body.wait) {
+      await new Promise(resolve => gates.push(resolve))
+    }
+    res.status(req.body.status || 201).json({ success: true, data: { run } })
+  })
+  server = await serve(app)
+
+  customer = await createProfile(api.pool)
+})
+
+after(async () => {
+  await server?.close()
+  await api?.stop()
+})
+
+function post(key, body = {}) {
+  return server.request('POST', '/things', { as: customer.id, body, headers: { 'Idempotency-Key': key } })
+}
+
+function freshKey() {
+  runs = 0
+  gates = []
+  return crypto.randomUUID()
+}
+
+async function storedKey(key) {
+  const { rows: [row] } = await api.pool.query(
+    'select status, response_status from public.idempotency_keys where user_id = $1 and idempotency_key = $2',
+    [customer.id, key]
+  )
+  return row ?? null
+}
+
+test('a repeat gets the stored response without running the handler again', async () => {
+  const key = freshKey()
+
+  const first = await post(key, { name: 'a' })
+  const repeat = await post(key, { name: 'a' })
+
+  assert.equal(first.status, 201)
+  assert.equal(first.headers.get('idempotent-replayed'), null)
+  assert.equal(repeat.status, 201)
+  assert.equal(repeat.headers.get('idempotent-replayed'), 'true')
+  assert.deepEqual(repeat.body, first.body)
+  assert.equal(runs, 1)
+})
+
+test('a repeat while the first request is still running gets 409', async () => {
+  const key = freshKey()
+
+  const first = post(key, { wait: true })
+  while (gates.length === 0) await new Promise(resolve => setTimeout(resolve, 10))
+
+  const duplicate = await post(key, { wait: true })
+  gates.forEach(release => release())
+
+  assert.equal(duplicate.status, 409)
+  assert.equal((await first).status, 201)
+  assert.equal(runs, 1)
+})
+
+test('the same key with a different body gets 422', async () => {
+  const key = freshKey()
+
+  await post(key, { name: 'a' })
+  const other = await post(key, { name: 'b' })
+
+  assert.equal(other.status, 422)
+  assert.match(other.body.error, /different request/)
+  assert.equal(runs, 1)
+})
+
+test('a server error releases the key so the client can retry', async () => {
+  const key = freshKey()
+
+  const failed = await post(key, { status: 500 })
+  assert.equal(failed.status, 500)
+  assert.equal(await storedKey(key), null)
+
+  const retried = await post(key, { status: 500 })
+  assert.equal(retried.headers.get('idempotent-replayed'), null)
+  assert.equal(runs, 2)
+})
+
+test('a key abandoned in progress is taken over after the lock timeout', async () => {
+  const key = freshKey()
+  await post(key)
+
+  // As left behind by a request that crashed before finishing
+  await api.pool.query(
+    `update public.idempotency_keys
+        set status = 'in_progress', response_status = null, response_body = null,
+            locked_at = now() - interval '2 minutes'
+      where user_id = $1 and idempotency_key = $2`,
+    [customer.id, key]
+  )
+
+  const retried = await post(key)
+
+  assert.equal(retried.status, 201)
+  assert.deepEqual(retried.body.data, { run: 2 })
+  assert.deepEqual(await storedKey(key), { status: 'completed', response_status: 201 })
+})
+
+test('a key still within the lock timeout is not taken over', async () => {
+  const key = freshKey()
+  await post(key)
+
+  await api.pool.query(
+    `update public.idempotency_keys
+        set status = 'in_progress', response_status = null, response_body = null,
+            locked_at = now() - interval '10 seconds'
+      where user_id = $1 and idempotency_key = $2`,
+    [customer.id, key]
+  )
+
+  assert.equal((await post(key)).status, 409)
+  assert.equal(runs, 1)
+})
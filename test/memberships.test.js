@@ -0,0 +1,344 @@
+// test/memberships.test.js
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { serve, startTestApi } from './helpers/api.js'
+import { createProfile } from './helpers/fixtures.js'
+
+/**
+ * Membership periods and renewals
+ *
+ * start_membership_period moves a membership into its next period; the
+ * renewal job renews free tiers, charges paid ones to the payment method
+ * saved at sign-up (past due when that fails) and ends memberships left
+ * unpaid beyond the grace period.
+ */
+
+process.env.PAYMENT_PROVIDER = 'fake'
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret'
+process.env.MEMBERSHIP_RENEWAL_GRACE_DAYS = '7'
+
+let api
+let server
+let fakeProvider
+let renewMemberships
+
+before(async () => {
+  api = await startTestApi()
+  fakeProvider = await import('../src/services/payments/fakeProvider.js')
+  ;({ renewMemberships } = await import('../src/jobs/renewMemberships.js'))
+
+  const { default: paymentRoutes } = await import('../src/routes/payments.js')
+  const { default: membershipRoutes } = await import('../src/routes/memberships.js')
+
+  // Same order as src/server.js: webhooks need the raw body
+  const app = express()
+  app.use('/api/payments', paymentRoutes)
+  app.use(express.json())
+  app.use('/api/memberships', membershipRoutes)
+  server = await serve(app)
+})
+
+after(async () => {
+  await server?.close()
+  await api?.stop()
+})
+
+async function createTier({ fee = 50, sessions = 2 } = {}) {
+  const { rows: [tier] } = await api.pool.query(
+    `insert into public.membership_tiers (name, monthly_fee, included_sessions)
+     values ($1, $2, $3)
+     returning *`,
+    [`Tier ${crypto.randomUUID().slice(0, 8)}`, fee, sessions]
+  )
+  return tier
+}
+
+async function insertMembership(tier, { status, periodEnd = null, paymentIntentId = null }) {
+  const customer = await createProfile(api.pool)
+  const { rows: [membership] } = await api.pool.query(
+    `insert into public.memberships
+       (customer_id, tier_id, status, monthly_fee, current_period_start, current_period_end, payment_provider, payment_intent_id)
+     values ($1, $2, $3, $4, $5::timestamptz - interval '1 month', $5::timestamptz, 'fake', $6)
+     returning *`,
+    [customer.id, tier.id, status, tier.monthly_fee, periodEnd, paymentIntentId]
+  )
+  return membership
+}
+
+function startPeriod(membership, fromStatus, expectedPeriodEnd = membership.current_period_end) {
+  return api.pool.query(
+    'select * from public.start_membership_period($1, $2, $3)',
+    [membership.id, fromStatus, expectedPeriodEnd]
+  )
+}
+
+async function membershipRow(id) {
+  const { rows: [row] } = await api.pool.query(
+    `select m.status, m.current_period_start, m.current_period_end, m.payment_intent_id, m.payment_customer_id,
+            a.balance::float as sessions
+       from public.memberships m
+       left join public.credit_accounts a on a.id = m.credit_account_id
+      where m.id = $1`,
+    [id]
+  )
+  return row
+}
+
+async function periods(membershipId) {
+  const { rows } = await api.pool.query(
+    `select period_start, period_end, fee::float as fee, payment_intent_id
+       from public.membership_periods
+      where membership_id = $1
+      order by created_at`,
+    [membershipId]
+  )
+  return rows
+}
+
+function deliver({ rawBody, headers }) {
+  return server.request('POST', '/api/payments/webhook', {
+    body: rawBody,
+    headers: { 'content-type': 'application/json', ...headers }
+  })
+}
+
+// Sign up through the API and pay the first month with the fake provider
+async function signUp(tier) {
+  const customer = await createProfile(api.pool)
+  const started = await server.request('POST', '/api/memberships', { as: customer.id, body: { tier_id: tier.id } })
+  assert.equal(started.status, 201, JSON.stringify(started.body))
+
+  const signUpIntentId = started.body.data.payment_intent_id
+  assert.equal((await deliver(fakeProvider.simulatePayment(signUpIntentId))).status, 200)
+
+  return { customer, id: started.body.data.membership.id, signUpIntentId }
+}
+
+// Move a membership's period back so that it ended `ago` ago
+async function endPeriod(id, ago = '1 hour') {
+  const { rows: [row] } = await api.pool.query(
+    `update public.memberships
+        set current_period_start = now() - $2::interval - interval '1 month',
+            current_period_end = now() - $2::interval
+      where id = $1
+      returning current_period_end`,
+    [id, ago]
+  )
+  return row.current_period_end
+}
+
+describe('start_membership_period', () => {
+  test('starts a paid sign-up now, with its sessions and payment', async () => {
+    const tier = await createTier({ sessions: 2 })
+    const membership = await insertMembership(tier, { status: 'pending', paymentIntentId: 'fake_pi_signup' })
+
+    await startPeriod(membership, 'pending')
+
+    const row = await membershipRow(membership.id)
+    assert.equal(row.status, 'active')
+    assert.equal(row.sessions, 2)
+    assert.equal(row.payment_intent_id, null)
+    assert.ok(Math.abs(row.current_period_start.getTime() - Date.now()) < 60000)
+    assert.deepEqual(await periods(membership.id), [{
+      period_start: row.current_period_start,
+      period_end: row.current_period_end,
+      fee: 50,
+      payment_intent_id: 'fake_pi_signup'
+    }])
+  })
+
+  test('starts a renewal paid late when it is paid', async () => {
+    const tier = await createTier()
+    const periodEnd = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000)
+    const membership = await insertMembership(tier, { status: 'past_due', periodEnd, paymentIntentId: 'fake_pi_late' })
+
+    await startPeriod(membership, 'past_due')
+
+    const row = await membershipRow(membership.id)
+    assert.equal(row.status, 'active')
+    assert.ok(Math.abs(row.current_period_start.getTime() - Date.now()) < 60000)
+    assert.deepEqual((await periods(membership.id)).map(p => p.payment_intent_id), ['fake_pi_late'])
+  })
+
+  test('a free renewal follows on from the previous period', async () => {
+    const tier = await createTier({ fee: 0, sessions: 1 })
+    const periodEnd = new Date(Date.now() - 60 * 60 * 1000)
+    const membership = await insertMembership(tier, { status: 'active', periodEnd })
+
+    await startPeriod(membership, 'active')
+
+    const row = await membershipRow(membership.id)
+    assert.deepEqual(row.current_period_start, periodEnd)
+    assert.equal(row.sessions, 1)
+    assert.deepEqual((await periods(membership.id)).map(p => p.payment_intent_id), [null])
+  })
+
+  test('a paid renewal needs its charge and follows on from the previous period', async () => {
+    const tier = await createTier()
+    const periodEnd = new Date(Date.now() - 60 * 60 * 1000)
+    const membership = await insertMembership(tier, { status: 'active', periodEnd })
+
+    await assert.rejects(startPeriod(membership, 'active'), { code: 'PT409', message: 'Membership renewal has not been charged' })
+    assert.deepEqual(await periods(membership.id), [])
+
+    await api.pool.query(`update public.memberships set payment_intent_id = 'fake_pi_renewal' where id = $1`, [membership.id])
+    await startPeriod(membership, 'active')
+
+    const row = await membershipRow(membership.id)
+    assert.deepEqual(row.current_period_start, periodEnd)
+    assert.equal(row.payment_intent_id, null)
+    assert.deepEqual((await periods(membership.id)).map(p => p.payment_intent_id), ['fake_pi_renewal'])
+  })
+
+  test('refuses a membership whose status or period end has moved on', async () => {
+    const tier = await createTier()
+    const membership = await insertMembership(tier, { status: 'pending', paymentIntentId: 'fake_pi_stale' })
+
+    await assert.rejects(startPeriod(membership, 'past_due'), { code: 'PT409', message: 'Membership was changed by another request' })
+
+    await startPeriod(membership, 'pending')
+    await assert.rejects(startPeriod(membership, 'pending'), { code: 'PT409' })
+    await assert.rejects(startPeriod(membership, 'active', new Date()), { code: 'PT409' })
+    assert.equal((await periods(membership.id)).length, 1)
+  })
+})
+
+describe('renewMemberships', () => {
+  test('renews a free tier without charging', async () => {
+    const tier = await createTier({ fee: 0, sessions: 1 })
+    const membership = await insertMembership(tier, { status: 'active', periodEnd: new Date(Date.now() - 60 * 60 * 1000) })
+
+    const result = await renewMemberships()
+
+    assert.equal(result.success, true)
+    const row = await membershipRow(membership.id)
+    assert.equal(row.status, 'active')
+    assert.equal(row.sessions, 1)
+    assert.ok(row.current_period_end > new Date())
+    assert.deepEqual((await periods(membership.id)).map(p => p.payment_intent_id), [null])
+  })
+
+  test('charges a paid tier to the payment method saved at sign-up', async () => {
+    const tier = await createTier({ fee: 45, sessions: 2 })
+    const { id, signUpIntentId } = await signUp(tier)
+    assert.ok((await membershipRow(id)).payment_customer_id)
+    const periodEnd = await endPeriod(id)
+
+    const result = await renewMemberships()
+
+    assert.equal(result.success, true)
+    const row = await membershipRow(id)
+    assert.equal(row.status, 'active')
+    assert.deepEqual(row.current_period_start, periodEnd)
+    assert.equal(row.sessions, 2)
+
+    const [signUpPeriod, renewal] = await periods(id)
+    assert.equal(signUpPeriod.payment_intent_id, signUpIntentId)
+    assert.notEqual(renewal.payment_intent_id, signUpIntentId)
+    assert.equal(renewal.fee, 45)
+
+    const charge = await fakeProvider.retrievePaymentIntent(renewal.payment_intent_id)
+    assert.deepEqual({ status: charge.status, amount: charge.amount }, { status: 'succeeded', amount: 4500 })
+  })
+
+  test('overlapping runs charge and renew once', async () => {
+    const tier = await createTier()
+    const { id } = await signUp(tier)
+    const periodEnd = await endPeriod(id)
+
+    await Promise.all([renewMemberships(), renewMemberships()])
+
+    assert.equal((await periods(id)).length, 2)
+    assert.deepEqual((await membershipRow(id)).current_period_start, periodEnd)
+  })
+
+  test('a charge still processing renews when its webhook arrives', async () => {
+    const tier = await createTier()
+    const { id } = await signUp(tier)
+    const { payment_customer_id } = await membershipRow(id)
+    fakeProvider.simulateSavedPaymentMethod(payment_customer_id, 'processing')
+    const periodEnd = await endPeriod(id)
+
+    await renewMemberships()
+    const processing = await membershipRow(id)
+    assert.equal(processing.status, 'active')
+    assert.deepEqual(processing.current_period_end, periodEnd)
+    assert.ok(processing.payment_intent_id)
+
+    // Runs meanwhile leave it alone
+    await renewMemberships()
+    assert.deepEqual(await membershipRow(id), processing)
+
+    assert.equal((await deliver(fakeProvider.simulatePayment(processing.payment_intent_id))).status, 200)
+
+    const row = await membershipRow(id)
+    assert.deepEqual(row.current_period_start, periodEnd)
+    assert.equal(row.payment_intent_id, null)
+    assert.deepEqual((await periods(id)).at(-1).payment_intent_id, processing.payment_intent_id)
+  })
+
+  test('a declined charge goes past due until the member pays by hand', async () => {
+    const tier = await createTier()
+    const { customer, id } = await signUp(tier)
+    const { payment_customer_id } = await membershipRow(id)
+    fakeProvider.simulateSavedPaymentMethod(payment_customer_id, 'failed')
+    await endPeriod(id)
+
+    await renewMemberships()
+
+    const pastDue = await membershipRow(id)
+    assert.equal(pastDue.status, 'past_due')
+    assert.equal(pastDue.payment_intent_id, null)
+    assert.equal((await periods(id)).length, 1)
+
+    const renewal = await server.request('POST', '/api/memberships/me/renew', { as: customer.id })
+    assert.equal(renewal.status, 201, JSON.stringify(renewal.body))
+    assert.equal((await deliver(fakeProvider.simulatePayment(renewal.body.data.payment_intent_id))).status, 200)
+
+    const row = await membershipRow(id)
+    assert.equal(row.status, 'active')
+    assert.equal(row.payment_customer_id, payment_customer_id)
+    assert.deepEqual((await periods(id)).map(p => p.payment_intent_id).at(-1), renewal.body.data.payment_intent_id)
+  })
+
+  test('a membership without a saved payment method goes past due', async () => {
+    const tier = await createTier()
+    const membership = await insertMembership(tier, { status: 'active', periodEnd: new Date(Date.now() - 60 * 60 * 1000) })
+
+    await renewMemberships()
+
+    assert.equal((await membershipRow(membership.id)).status, 'past_due')
+    assert.deepEqual(await periods(membership.id), [])
+  })
+
+  test('ends a membership set to end with its period without charging', async () => {
+    const tier = await createTier()
+    const { id } = await signUp(tier)
+    await api.pool.query('update public.memberships set cancel_at_period_end = true where id = $1', [id])
+    await endPeriod(id)
+
+    await renewMemberships()
+
+    assert.equal((await membershipRow(id)).status, 'cancelled')
+    assert.equal((await periods(id)).length, 1)
+  })
+
+  test('ends past-due memberships once the grace period is over', async () => {
+    const tier = await createTier()
+    const lapsed = await insertMembership(tier, { status: 'past_due', periodEnd: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000) })
+    const inGrace = await insertMembership(tier, { status: 'past_due', periodEnd: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000) })
+
+    // A renewal checkout already paid is left for its webhook
+    const paying = await insertMembership(tier, { status: 'past_due', periodEnd: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000) })
+    const intent = await fakeProvider.createPaymentIntent({ amount: 5000, currency: 'usd', membershipId: paying.id })
+    fakeProvider.simulatePayment(intent.id)
+    await api.pool.query('update public.memberships set payment_intent_id = $2 where id = $1', [paying.id, intent.id])
+
+    await renewMemberships()
+
+    assert.equal((await membershipRow(lapsed.id)).status, 'cancelled')
+    assert.equal((await membershipRow(inGrace.id)).status, 'past_due')
+    assert.equal((await membershipRow(paying.id)).status, 'past_due')
+  })
+})
@@ -0,0 +1,56 @@
+// test/migrations.test.js
+import { after, before, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestDatabase } from './helpers/database.js'
+
+/**
+ * Access rules every migration must follow
+ *
+ * The API talks to the database with the service role only, so tables
+ * need row level security (no policies) and functions must not be
+ * executable by the anon / authenticated roles PostgREST exposes.
+ */
+
+// Tables from the stand-in baseline schema, not created by the migrations
+const BASELINE_TABLES = ['profiles', 'services', 'therapists', 'time_slots', 'bookings']
+
+let db
+
+before(async () => {
+  db = await startTestDatabase()
+})
+
+after(async () => {
+  await db?.stop()
+})
+
+test('row level security is enabled on every table the migrations create', async () => {
+  const { rows } = await db.pool.query(
+    `select c.relname as table_name
+       from pg_class c
+       join pg_namespace n on n.oid = c.relnamespace
+      where n.nspname = 'public'
+        and c.relkind = 'r'
+        and not c.relrowsecurity
+        and c.relname <> all ($1)
+      order by c.relname`,
+    [BASELINE_TABLES]
+  )
+
+  assert.deepEqual(rows.map(r => r.table_name), [])
+})
+
+test('API roles cannot execute any function', async () => {
+  const { rows } = await db.pool.query(
+    `select p.oid::regprocedure::text as signature, r.rolname as role
+       from pg_proc p
+       join pg_namespace n on n.oid = p.pronamespace
+       cross join (values ('anon'), ('authenticated')) as r (rolname)
+      where n.nspname = 'public'
+        and p.prorettype <> 'trigger'::regtype
+        and has_function_privilege(r.rolname, p.oid, 'execute')
+      order by 1, 2`
+  )
+
+  assert.deepEqual(rows, [])
+})
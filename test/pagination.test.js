@@ -0,0 +1,242 @@
+// test/pagination.test.js
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { applyKeyset, buildPage, parseListParams } from '../src/utils/pagination.js'
+import { serve, startTestApi } from './helpers/api.js'
+import { createProfile, createService, createTherapist } from './helpers/fixtures.js'
+
+/**
+ * Keyset pagination: list params, the cursor condition and the page
+ * envelope, then paging through /api/bookings/my-bookings until the
+ * cursor runs out
+ */
+
+const LIST_OPTIONS = {
+  sortKeys: { booking_date: ['booking_date', 'start_time'], service_price: ['service_price'] },
+  defaultSort: 'booking_date',
+  fields: { '*': '*', id: 'id', status: 'status', therapist: 'therapist:therapists(id)' },
+  defaultFields: ['*']
+}
+
+function cursorFor(sort, order, values) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: values })).toString('base64url')
+}
+
+// Records the calls applyKeyset makes on a query builder
+function recordingQuery() {
+  const calls = []
+  const query = {
+    calls,
+    or(filter) {
+      calls.push(['or', filter])
+      return query
+    },
+    order(column, { ascending }) {
+      calls.push(['order', column, ascending ? 'asc' : 'desc'])
+      return query
+    }
+  }
+  return query
+}
+
+describe('parseListParams', () => {
+  test('applies the defaults', () => {
+    const params = parseListParams({}, LIST_OPTIONS)
+    assert.deepEqual(params, {
+      limit: 25,
+      sort: 'booking_date',
+      order: 'desc',
+      columns: ['booking_date', 'start_time', 'id'],
+      cursorValues: null,
+      select: '*'
+    })
+  })
+
+  test('clamps the limit', () => {
+    assert.equal(parseListParams({ limit: '500' }, LIST_OPTIONS).limit, 100)
+    assert.equal(parseListParams({ limit: '0' }, LIST_OPTIONS).limit, 1)
+    assert.equal(parseListParams({ limit: 'ten' }, LIST_OPTIONS).limit, 25)
+  })
+
+  test('always selects the sort columns', () => {
+    const params = parseListParams({ sort: 'service_price', fields: 'status,therapist' }, LIST_OPTIONS)
+    assert.equal(params.select, 'service_price,\nid,\nstatus,\ntherapist:therapists(id)')
+  })
+
+  test('rejects unknown sorts, orders and fields', () => {
+    assert.match(parseListParams({ sort: 'name' }, LIST_OPTIONS).error, /Invalid sort/)
+    assert.match(parseListParams({ order: 'up' }, LIST_OPTIONS).error, /Invalid order/)
+    assert.match(parseListParams({ fields: 'id,password' }, LIST_OPTIONS).error, /Invalid fields: password/)
+  })
+
+  test('decodes a cursor, including null values', () => {
+    const cursor = cursorFor('service_price', 'asc', [null, 'b0a1'])
+    const params = parseListParams({ sort: 'service_price', order: 'asc', cursor }, LIST_OPTIONS)
+    assert.deepEqual(params.cursorValues, [null, 'b0a1'])
+  })
+
+  test('rejects a malformed cursor or one from another sort', () => {
+    assert.equal(parseListParams({ cursor: 'not-a-cursor' }, LIST_OPTIONS).error, 'Invalid cursor')
+    assert.equal(parseListParams({ cursor: cursorFor('booking_date', 'desc', ['x']) }, LIST_OPTIONS).error, 'Invalid cursor')
+    assert.match(
+      parseListParams({ cursor: cursorFor('booking_date', 'asc', ['2026-11-01', '09:00', 'b0a1']) }, LIST_OPTIONS).error,
+      /does not match/
+    )
+  })
+})
+
+describe('applyKeyset', () => {
+  test('orders by every column without a cursor', () => {
+    const query = applyKeyset(recordingQuery(), { order: 'desc', columns: ['booking_date', 'id'], cursorValues: null })
+    assert.deepEqual(query.calls, [['order', 'booking_date', 'desc'], ['order', 'id', 'desc']])
+  })
+
+  test('continues after the cursor row', () => {
+    const query = applyKeyset(recordingQuery(), {
+      order: 'desc',
+      columns: ['booking_date', 'start_time', 'id'],
+      cursorValues: ['2026-11-01', '09:00:00', 'b0a1']
+    })
+    assert.deepEqual(query.calls[0], ['or',
+      'booking_date.lt."2026-11-01",' +
+      'and(booking_date.eq."2026-11-01",start_time.lt."09:00:00"),' +
+      'and(booking_date.eq."2026-11-01",start_time.eq."09:00:00",id.lt."b0a1")'
+    ])
+  })
+
+  test('nulls come last ascending and first descending', () => {
+    const ascending = applyKeyset(recordingQuery(), { order: 'asc', columns: ['service_price', 'id'], cursorValues: ['50.00', 'b0a1'] })
+    assert.deepEqual(ascending.calls[0], ['or',
+      'or(service_price.gt."50.00",service_price.is.null),' +
+      'and(service_price.eq."50.00",or(id.gt."b0a1",id.is.null))'
+    ])
+
+    const afterNullAscending = applyKeyset(recordingQuery(), { order: 'asc', columns: ['service_price', 'id'], cursorValues: [null, 'b0a1'] })
+    assert.deepEqual(afterNullAscending.calls[0], ['or', 'and(service_price.is.null,or(id.gt."b0a1",id.is.null))'])
+
+    const afterNullDescending = applyKeyset(recordingQuery(), { order: 'desc', columns: ['service_price', 'id'], cursorValues: [null, 'b0a1'] })
+    assert.deepEqual(afterNullDescending.calls[0], ['or', 'service_price.not.is.null,and(service_price.is.null,id.lt."b0a1")'])
+  })
+
+  test('combines the caller\'s or() with the cursor into one', () => {
+    const or = 'status.eq.completed,status.eq.no_show'
+
+    const firstPage = applyKeyset(recordingQuery(), { order: 'asc', columns: ['id'], cursorValues: null, or })
+    assert.deepEqual(firstPage.calls[0], ['or', or])
+
+    const nextPage = applyKeyset(recordingQuery(), { order: 'desc', columns: ['id'], cursorValues: ['b0a1'], or })
+    assert.deepEqual(nextPage.calls.filter(([call]) => call === 'or'), [
+      ['or', 'and(or(status.eq.completed,status.eq.no_show),or(id.lt."b0a1"))']
+    ])
+  })
+
+  test('quotes values with reserved characters', () => {
+    const query = applyKeyset(recordingQuery(), { order: 'desc', columns: ['notes', 'id'], cursorValues: ['a,b "c"', 'b0a1'] })
+    assert.match(query.calls[0][1], /^notes\.lt\."a,b \\"c\\""/)
+  })
+})
+
+describe('buildPage', () => {
+  const params = { limit: 2, sort: 'service_price', order: 'asc', columns: ['service_price', 'id'] }
+
+  test('trims the extra row and points the cursor at the last item', () => {
+    const rows = [{ id: 'a', service_price: 50 }, { id: 'b', service_price: null }, { id: 'c', service_price: null }]
+    const { items, pagination } = buildPage(rows, params)
+
+    assert.deepEqual(items, rows.slice(0, 2))
+    assert.equal(pagination.has_more, true)
+    assert.deepEqual(parseListParams({ sort: 'service_price', order: 'asc', cursor: pagination.next_cursor }, LIST_OPTIONS).cursorValues, [null, 'b'])
+  })
+
+  test('has no cursor on the last page', () => {
+    const { items, pagination } = buildPage([{ id: 'a', service_price: 50 }], params)
+    assert.equal(items.length, 1)
+    assert.deepEqual(pagination, { limit: 2, sort: 'service_price', order: 'asc', has_more: false, next_cursor: null })
+  })
+})
+
+describe('GET /api/bookings/my-bookings', () => {
+  let api
+  let server
+  let customer
+  let therapist
+  let service
+
+  before(async () => {
+    api = await startTestApi()
+
+    const { default: bookingRoutes } = await import('../src/routes/bookings.js')
+    const app = express()
+    app.use(express.json())
+    app.use('/api/bookings', bookingRoutes)
+    server = await serve(app)
+
+    customer = await createProfile(api.pool)
+    therapist = await createTherapist(api.pool)
+    service = await createService(api.pool)
+  })
+
+  after(async () => {
+    await server?.close()
+    await api?.stop()
+  })
+
+  async function insertBooking({ daysAhead, status = 'confirmed', price = 80 }) {
+    const { rows: [booking] } = await api.pool.query(
+      `insert into public.bookings
+         (customer_id, service_id, therapist_id, booking_date, start_time, end_time,
+          service_name, service_price, service_duration, status)
+       values ($1, $2, $3, current_date + $4::int, '10:00', '11:00', 'Massage', $5, 60, $6::public.booking_status)
+       returning id`,
+      [customer.id, service.id, therapist.id, daysAhead, price, status]
+    )
+    return booking.id
+  }
+
+  async function pageThrough(query) {
+    const ids = []
+    let cursor = null
+    do {
+      const response = await server.request(
+        'GET',
+        `/api/bookings/my-bookings?${query}&fields=id&limit=2${cursor ? `&cursor=${cursor}` : ''}`,
+        { as: customer.id }
+      )
+      assert.equal(response.status, 200, JSON.stringify(response.body))
+      ids.push(...response.body.data.map(b => b.id))
+      cursor = response.body.pagination.next_cursor
+    } while (cursor)
+    return ids
+  }
+
+  test('pages past null sort values in both directions', async () => {
+    await api.pool.query('delete from public.bookings where customer_id = $1', [customer.id])
+    for (const price of [null, 50, null, 80, 50]) {
+      await insertBooking({ daysAhead: 3, price })
+    }
+
+    for (const order of ['asc', 'desc']) {
+      const { rows } = await api.pool.query(
+        `select id from public.bookings where customer_id = $1 order by service_price ${order}, id ${order}`,
+        [customer.id]
+      )
+      assert.deepEqual(await pageThrough(`sort=service_price&order=${order}`), rows.map(r => r.id))
+    }
+  })
+
+  test('pages through the past group', async () => {
+    await api.pool.query('delete from public.bookings where customer_id = $1', [customer.id])
+    const past = [
+      await insertBooking({ daysAhead: -1, status: 'completed' }),
+      await insertBooking({ daysAhead: -2 }),
+      await insertBooking({ daysAhead: -3, status: 'completed' }),
+      await insertBooking({ daysAhead: -4, status: 'completed' }),
+      await insertBooking({ daysAhead: -5 })
+    ]
+    await insertBooking({ daysAhead: 1 })
+    await insertBooking({ daysAhead: -1, status: 'cancelled' })
+
+    assert.deepEqual(await pageThrough('group=past'), past)
+  })
+})
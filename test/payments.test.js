@@ -0,0 +1,251 @@
+// test/payments.test.js
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { serve, startTestApi } from './helpers/api.js'
+import { createProfile, createService, createSlot, createTherapist } from './helpers/fixtures.js'
+
+/**
+ * Payment providers and the checkout → webhook → confirmed flow
+ *
+ * Runs the booking and payment routes against the fake provider: checkout
+ * creates an intent, a signed webhook confirms the booking, and payments
+ * that arrive for bookings which no longer want them are refunded.
+ */
+
+process.env.PAYMENT_PROVIDER = 'fake'
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret'
+
+const { getPaymentProvider, toMinorUnits } = await import('../src/services/payments/index.js')
+const fakeProvider = await import('../src/services/payments/fakeProvider.js')
+
+function withEnv(values, fn) {
+  const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]))
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key]
+    else process.env[key] = value
+  })
+  try {
+    return fn()
+  } finally {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key]
+      else process.env[key] = value
+    })
+  }
+}
+
+describe('provider registry', () => {
+  test('refuses to pick a provider when PAYMENT_PROVIDER is not set', () => {
+    withEnv({ PAYMENT_PROVIDER: undefined }, () => {
+      assert.throws(() => getPaymentProvider(), /PAYMENT_PROVIDER is not set/)
+    })
+  })
+
+  test('rejects an unknown provider', () => {
+    assert.throws(() => getPaymentProvider('paypal'), /Unknown payment provider: paypal/)
+  })
+
+  test('returns the configured provider', () => {
+    assert.equal(getPaymentProvider().name, 'fake')
+    assert.equal(getPaymentProvider('stripe').name, 'stripe')
+  })
+
+  test('converts amounts to cents', () => {
+    assert.equal(toMinorUnits(85.5), 8550)
+    assert.equal(toMinorUnits('19.99'), 1999)
+    assert.equal(toMinorUnits(null), 0)
+  })
+})
+
+describe('fake provider', () => {
+  test('refuses to run without a webhook secret or in production', async () => {
+    await withEnv({ FAKE_PAYMENT_WEBHOOK_SECRET: undefined }, () =>
+      assert.rejects(fakeProvider.createPaymentIntent({ amount: 100, currency: 'usd' }), /FAKE_PAYMENT_WEBHOOK_SECRET/)
+    )
+    await withEnv({ NODE_ENV: 'production' }, () =>
+      assert.rejects(fakeProvider.createPaymentIntent({ amount: 100, currency: 'usd' }), /cannot be used in production/)
+    )
+  })
+
+  test('accepts only webhooks signed with the secret', async () => {
+    const intent = await fakeProvider.createPaymentIntent({ amount: 100, currency: 'usd' })
+    const { rawBody, headers } = fakeProvider.simulatePayment(intent.id)
+
+    assert.deepEqual(fakeProvider.parseWebhook(rawBody, headers), { type: 'payment_succeeded', intentId: intent.id })
+    assert.throws(() => fakeProvider.parseWebhook(rawBody, { 'x-fake-signature': 'bad' }), /Invalid webhook signature/)
+    assert.throws(() => fakeProvider.parseWebhook(rawBody, {}), /Invalid webhook signature/)
+
+    const tampered = Buffer.from(rawBody.toString().replace('payment_succeeded', 'payment_failed'))
+    assert.throws(() => fakeProvider.parseWebhook(tampered, headers), /Invalid webhook signature/)
+  })
+
+  test('only voids intents that have not been paid', async () => {
+    const open = await fakeProvider.createPaymentIntent({ amount: 100, currency: 'usd' })
+    assert.equal((await fakeProvider.cancelPaymentIntent(open.id)).status, 'canceled')
+
+    const paid = await fakeProvider.createPaymentIntent({ amount: 100, currency: 'usd' })
+    fakeProvider.simulatePayment(paid.id)
+    assert.equal((await fakeProvider.cancelPaymentIntent(paid.id)).status, 'succeeded')
+  })
+})
+
+describe('checkout and webhook', () => {
+  let api
+  let server
+  let customer
+  let therapist
+  let service
+
+  before(async () => {
+    api = await startTestApi()
+
+    const { default: paymentRoutes } = await import('../src/routes/payments.js')
+    const { default: bookingRoutes } = await import('../src/routes/bookings.js')
+
+    // Same order as src/server.js: webhooks need the raw body
+    const app = express()
+    app.use('/api/payments', paymentRoutes)
+    app.use(express.json())
+    app.use('/api/bookings', bookingRoutes)
+    server = await serve(app)
+
+    customer = await createProfile(api.pool)
+    therapist = await createTherapist(api.pool)
+    service = await createService(api.pool, { price: 80 })
+  })
+
+  after(async () => {
+    await server?.close()
+    await api?.stop()
+  })
+
+  async function bookingRow(id) {
+    const { rows: [row] } = await api.pool.query(
+      'select status::text, payment_status, payment_intent_id from public.bookings where id = $1',
+      [id]
+    )
+    return row
+  }
+
+  async function eventTypes(bookingId) {
+    const { rows } = await api.pool.query(
+      'select event_type from public.booking_events where booking_id = $1 order by created_at',
+      [bookingId]
+    )
+    return rows.map(r => r.event_type)
+  }
+
+  async function checkout(startTime) {
+    const slot = await createSlot(api.pool, therapist.id, { startTime })
+    const reserved = await server.request('POST', '/api/bookings/reserve', {
+      as: customer.id,
+      body: { service_id: service.id, therapist_id: therapist.id, time_slot_id: slot.id }
+    })
+    assert.equal(reserved.status, 201)
+
+    const booking = reserved.body.data.booking
+    const started = await server.request('POST', `/api/bookings/${booking.id}/checkout`, { as: customer.id })
+    assert.equal(started.status, 201)
+    assert.equal(started.body.data.amount, 8000)
+
+    return { booking, intentId: started.body.data.payment_intent_id }
+  }
+
+  function deliver({ rawBody, headers }) {
+    return server.request('POST', '/api/payments/webhook', {
+      body: rawBody,
+      headers: { 'content-type': 'application/json', ...headers }
+    })
+  }
+
+  test('a successful payment webhook confirms the booking', async () => {
+    const { booking, intentId } = await checkout('09:00')
+    assert.deepEqual(await bookingRow(booking.id), { status: 'pending', payment_status: 'pending', payment_intent_id: intentId })
+
+    const response = await deliver(fakeProvider.simulatePayment(intentId))
+
+    assert.equal(response.status, 200)
+    assert.deepEqual(response.body, { received: true })
+    assert.deepEqual(await bookingRow(booking.id), { status: 'confirmed', payment_status: 'paid', payment_intent_id: intentId })
+    assert.deepEqual(await eventTypes(booking.id), ['created', 'confirmed'])
+  })
+
+  test('checkout again while the intent is open returns the same intent', async () => {
+    const { booking, intentId } = await checkout('10:00')
+
+    const again = await server.request('POST', `/api/bookings/${booking.id}/checkout`, { as: customer.id })
+
+    assert.equal(again.status, 200)
+    assert.equal(again.body.data.payment_intent_id, intentId)
+  })
+
+  test('a redelivered webhook changes nothing and refunds nothing', async () => {
+    const { booking, intentId } = await checkout('11:00')
+    const webhook = fakeProvider.simulatePayment(intentId)
+
+    assert.equal((await deliver(webhook)).status, 200)
+    assert.equal((await deliver(webhook)).status, 200)
+
+    assert.deepEqual(await bookingRow(booking.id), { status: 'confirmed', payment_status: 'paid', payment_intent_id: intentId })
+    assert.deepEqual(await eventTypes(booking.id), ['created', 'confirmed'])
+    // The whole payment is still there to refund
+    assert.equal((await fakeProvider.refundPayment(intentId, 8000)).status, 'succeeded')
+  })
+
+  test('a webhook with a bad signature is rejected with 400', async () => {
+    const { booking, intentId } = await checkout('12:00')
+    const { rawBody } = fakeProvider.simulatePayment(intentId)
+
+    const response = await deliver({ rawBody, headers: { 'x-fake-signature': 'f'.repeat(64) } })
+
+    assert.equal(response.status, 400)
+    assert.deepEqual(await bookingRow(booking.id), { status: 'pending', payment_status: 'pending', payment_intent_id: intentId })
+  })
+
+  test('a failed payment is recorded and the hold kept for another attempt', async () => {
+    const { booking, intentId } = await checkout('13:00')
+
+    const response = await deliver(fakeProvider.simulatePayment(intentId, 'failed'))
+
+    assert.equal(response.status, 200)
+    assert.deepEqual(await bookingRow(booking.id), { status: 'pending', payment_status: 'failed', payment_intent_id: intentId })
+    assert.deepEqual(await eventTypes(booking.id), ['created', 'payment_updated'])
+  })
+
+  test('a payment for a booking cancelled before it arrived is refunded', async () => {
+    const { booking, intentId } = await checkout('14:00')
+    const webhook = fakeProvider.simulatePayment(intentId)
+
+    const cancelled = await server.request('POST', `/api/bookings/${booking.id}/cancel`, { as: customer.id })
+    assert.equal(cancelled.status, 200)
+
+    assert.equal((await deliver(webhook)).status, 200)
+
+    assert.equal((await bookingRow(booking.id)).status, 'cancelled')
+    await assert.rejects(fakeProvider.refundPayment(intentId, 1), /Refund exceeds amount paid/)
+  })
+
+  test('a payment for a hold that was removed is refunded', async () => {
+    const { booking, intentId } = await checkout('15:00')
+    const webhook = fakeProvider.simulatePayment(intentId)
+
+    // As the cleanup job leaves it: the hold deleted, its snapshot in the audit trail
+    const { recordBookingEvent, SYSTEM_ACTOR } = await import('../src/services/bookingEvents.js')
+    const { rows: [removed] } = await api.pool.query('delete from public.bookings where id = $1 returning *', [booking.id])
+    await recordBookingEvent({ type: 'expired', actor: SYSTEM_ACTOR, before: removed, after: null })
+
+    assert.equal((await deliver(webhook)).status, 200)
+
+    await assert.rejects(fakeProvider.refundPayment(intentId, 1), /Refund exceeds amount paid/)
+  })
+
+  test('an unknown payment is acknowledged without a refund', async () => {
+    const intent = await fakeProvider.createPaymentIntent({ amount: 500, currency: 'usd' })
+
+    assert.equal((await deliver(fakeProvider.simulatePayment(intent.id))).status, 200)
+
+    assert.equal((await fakeProvider.refundPayment(intent.id, 500)).status, 'succeeded')
+  })
+
+})
@@ -0,0 +1,127 @@
+// test/promoCodes.test.js
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestApi } from './helpers/api.js'
+import { createProfile, createService, createSlot, createTherapist, reserveSlot } from './helpers/fixtures.js'
+
+/**
+ * Promo code discounts and applying codes to holds
+ *
+ * set_booking_promo_code counts usage under a lock, so concurrent holds
+ * can't take more uses than the code allows. An open checkout is voided
+ * only once the new amount is saved.
+ */
+
+process.env.PAYMENT_PROVIDER = 'fake'
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret'
+
+const CONCURRENT_REQUESTS = 10
+
+let api
+let calculateDiscount
+let setBookingPromoCode
+let fakeProvider
+let therapist
+let service
+
+before(async () => {
+  api = await startTestApi()
+  ;({ calculateDiscount, setBookingPromoCode } = await import('../src/services/promoCodeService.js'))
+  fakeProvider = await import('../src/services/payments/fakeProvider.js')
+
+  therapist = await createTherapist(api.pool)
+  service = await createService(api.pool, { price: 80 })
+})
+
+after(async () => {
+  await api?.stop()
+})
+
+describe('calculateDiscount', () => {
+  test('takes a percentage off the price', () => {
+    assert.equal(calculateDiscount({ discount_type: 'percentage', discount_value: '15' }, 80), 12)
+    assert.equal(calculateDiscount({ discount_type: 'percentage', discount_value: '100' }, '80.00'), 80)
+  })
+
+  test('rounds to cents', () => {
+    assert.equal(calculateDiscount({ discount_type: 'percentage', discount_value: '12.5' }, 19.99), 2.5)
+  })
+
+  test('never takes more than the price', () => {
+    assert.equal(calculateDiscount({ discount_type: 'fixed', discount_value: '10' }, 80), 10)
+    assert.equal(calculateDiscount({ discount_type: 'fixed', discount_value: '100' }, 80), 80)
+    assert.equal(calculateDiscount({ discount_type: 'fixed', discount_value: '10' }, null), 0)
+  })
+})
+
+describe('setBookingPromoCode', () => {
+  async function createPromo({ maxUses = null } = {}) {
+    const { rows: [promo] } = await api.pool.query(
+      `insert into public.promo_codes (code, discount_type, discount_value, max_uses)
+       values ($1, 'percentage', 10, $2)
+       returning *`,
+      [`TEST${crypto.randomUUID().slice(0, 8).toUpperCase()}`, maxUses]
+    )
+    return promo
+  }
+
+  async function hold({ daysAhead = 10, startTime = '09:00' } = {}) {
+    const customer = await createProfile(api.pool)
+    const slot = await createSlot(api.pool, therapist.id, { daysAhead, startTime })
+    return reserveSlot(api.pool, slot, { customerId: customer.id, service })
+  }
+
+  async function withCheckout(booking) {
+    const intent = await fakeProvider.createPaymentIntent({ amount: 8000, currency: 'usd', bookingId: booking.id })
+    const { rows: [updated] } = await api.pool.query(
+      `update public.bookings set payment_provider = 'fake', payment_intent_id = $2 where id = $1 returning *`,
+      [booking.id, intent.id]
+    )
+    return updated
+  }
+
+  test('concurrent holds cannot take more uses than the code allows', async () => {
+    const promo = await createPromo({ maxUses: 1 })
+    const holds = await Promise.all(
+      Array.from({ length: CONCURRENT_REQUESTS }, (_, i) => hold({ daysAhead: 11, startTime: `${String(8 + i).padStart(2, '0')}:00` }))
+    )
+
+    const results = await Promise.all(holds.map(booking => setBookingPromoCode(booking, promo)))
+
+    const applied = results.filter(r => r.data)
+    assert.equal(applied.length, 1)
+    assert.equal(applied[0].data.payment_amount, 72)
+    assert.ok(results.filter(r => !r.data).every(r => r.conflict && r.error === 'Promo code has reached its usage limit'))
+
+    const { rows: [{ uses }] } = await api.pool.query(
+      'select count(*)::int as uses from public.bookings where promo_code_id = $1',
+      [promo.id]
+    )
+    assert.equal(uses, 1)
+  })
+
+  test('voids the open checkout once the code is applied', async () => {
+    const promo = await createPromo()
+    const booking = await withCheckout(await hold({ startTime: '09:00' }))
+
+    const result = await setBookingPromoCode(booking, promo)
+
+    assert.equal(result.data.payment_intent_id, null)
+    assert.equal(result.data.discount_amount, 8)
+    assert.equal((await fakeProvider.retrievePaymentIntent(booking.payment_intent_id)).status, 'canceled')
+  })
+
+  test('keeps the checkout open when the code is rejected', async () => {
+    const promo = await createPromo({ maxUses: 1 })
+    const other = await hold({ startTime: '10:00' })
+    await setBookingPromoCode(other, promo)
+    const booking = await withCheckout(await hold({ startTime: '11:00' }))
+
+    const result = await setBookingPromoCode(booking, promo)
+
+    assert.equal(result.conflict, true)
+    assert.equal((await fakeProvider.retrievePaymentIntent(booking.payment_intent_id)).status, 'requires_payment')
+    const { rows: [row] } = await api.pool.query('select payment_intent_id from public.bookings where id = $1', [booking.id])
+    assert.equal(row.payment_intent_id, booking.payment_intent_id)
+  })
+})
@@ -0,0 +1,107 @@
+// test/waitlist.test.js
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestApi } from './helpers/api.js'
+import { createProfile, createService, createSlot, createTherapist } from './helpers/fixtures.js'
+
+/**
+ * Offering freed slots to the waitlist
+ */
+
+let api
+let offerFreedSlot
+let therapist
+let service
+
+before(async () => {
+  api = await startTestApi()
+  ;({ offerFreedSlot } = await import('../src/services/waitlistService.js'))
+
+  therapist = await createTherapist(api.pool)
+  service = await createService(api.pool)
+})
+
+after(async () => {
+  await api?.stop()
+})
+
+async function joinWaitlist(slot) {
+  const customer = await createProfile(api.pool)
+  const { rows: [entry] } = await api.pool.query(
+    `insert into public.waitlist_entries (customer_id, service_id, start_date, end_date)
+     values ($1, $2, $3, $3)
+     returning id, customer_id`,
+    [customer.id, service.id, slot.slot_date]
+  )
+  return entry
+}
+
+async function entryStatus(id) {
+  const { rows: [row] } = await api.pool.query('select status from public.waitlist_entries where id = $1', [id])
+  return row.status
+}
+
+async function holdFor(slotId) {
+  const { rows } = await api.pool.query(
+    `select customer_id, waitlist_entry_id from public.bookings where time_slot_id = $1 and status = 'pending'`,
+    [slotId]
+  )
+  return rows
+}
+
+describe('offerFreedSlot', () => {
+  test('offers the slot to the customer who has waited longest', async () => {
+    const slot = await createSlot(api.pool, therapist.id, { daysAhead: 3, startTime: '09:00' })
+    const first = await joinWaitlist(slot)
+    const second = await joinWaitlist(slot)
+
+    const offered = await offerFreedSlot(slot.id)
+
+    assert.equal(offered.id, first.id)
+    assert.deepEqual(await holdFor(slot.id), [{ customer_id: first.customer_id, waitlist_entry_id: first.id }])
+    assert.equal(await entryStatus(first.id), 'offered')
+    assert.equal(await entryStatus(second.id), 'waiting')
+  })
+
+  test('moves on to the next customer when the first leaves the queue meanwhile', async () => {
+    const slot = await createSlot(api.pool, therapist.id, { daysAhead: 4, startTime: '09:00' })
+    const first = await joinWaitlist(slot)
+    const second = await joinWaitlist(slot)
+
+    // The first entry is read as waiting, but has left the queue by the
+    // time reserve_time_slot tries to mark it offered
+    await api.pool.query(`
+      create or replace function public.test_leave_queue() returns trigger language plpgsql as $$
+      begin
+        if old.id = '${first.id}' then
+          return null;
+        end if;
+        return new;
+      end;
+      $$;
+      create trigger test_leave_queue before update on public.waitlist_entries
+        for each row execute function public.test_leave_queue();
+    `)
+
+    try {
+      const offered = await offerFreedSlot(slot.id)
+
+      assert.equal(offered.id, second.id)
+      assert.deepEqual(await holdFor(slot.id), [{ customer_id: second.customer_id, waitlist_entry_id: second.id }])
+    } finally {
+      await api.pool.query(`
+        drop trigger test_leave_queue on public.waitlist_entries;
+        drop function public.test_leave_queue();
+      `)
+    }
+  })
+
+  test('offers nothing once the slot is taken', async () => {
+    const slot = await createSlot(api.pool, therapist.id, { daysAhead: 5, startTime: '09:00' })
+    const entry = await joinWaitlist(slot)
+    await api.pool.query('update public.time_slots set is_available = false where id = $1', [slot.id])
+
+    assert.equal(await offerFreedSlot(slot.id), null)
+    assert.equal(await entryStatus(entry.id), 'waiting')
+  })
+})